@@ -0,0 +1,53 @@
+// ============================================
+// Estimate save/load round trip
+// A reloaded estimate must recalculate to the costs it was saved with
+// ============================================
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Estimate } from '../www/js/models/Estimate.js';
+import { ProductivityFactor } from '../www/js/models/ProductivityFactor.js';
+import { Calculator } from '../www/js/engine/Calculator.js';
+import { buildActivity, buildMaterials } from '../www/js/engine/ActivityFactory.js';
+import { ACTIVITY_CONFIG, MATERIALS } from '../www/js/data/paving-defaults.js';
+
+const SETTINGS = { asphaltWaste: 1.05, aggregateWaste: 1.05, concreteWaste: 1.05, swellFactor: 1.3, truckEfficiency: 0.9, tackAppRate: 0.05 };
+
+/**
+ * Every activity in the registry at the same takeoff, auto-selected crews,
+ * so crews sharing equipment codes at different rates are all on the job.
+ */
+function buildEstimate() {
+    const materials = buildMaterials(Object.fromEntries(
+        Object.entries(MATERIALS).map(([id, m]) => [id, m.defaultPrice || 50])));
+    const context = {
+        settings: SETTINGS,
+        materials,
+        productivity: ProductivityFactor.fromCompositeValue(1.0),
+        crewContext: { totalJobSY: 4000, useCombo: false },
+    };
+    const activities = Object.keys(ACTIVITY_CONFIG).map(type => buildActivity(type, {
+        area: 4000, depth: 4, cycleTime: 45, rate: 1500, mobIncluded: true, mobCost: 500,
+    }, context));
+    return new Estimate({ projectName: 'Round trip', activities });
+}
+
+function activityCosts(results) {
+    return Object.fromEntries(results.activities.map(a => [a.id, {
+        labor: a.laborCost, equipment: a.equipmentCost, material: a.materialCost, direct: a.directCost,
+    }]));
+}
+
+test('reloaded estimate reprices every activity to the saved costs', () => {
+    const calculator = new Calculator();
+    const estimate = buildEstimate();
+    const saved = calculator.calculate(estimate, 118.75, { simulate: false });
+
+    const reloaded = Estimate.fromJSON(JSON.parse(JSON.stringify(estimate.toJSON())));
+    const repriced = calculator.calculate(reloaded, 118.75, { simulate: false });
+
+    assert.ok(saved.activities.some(a => a.equipmentCost > 0), 'fixture prices some equipment');
+    assert.deepEqual(activityCosts(repriced), activityCosts(saved));
+    assert.equal(repriced.directCostTotal, saved.directCostTotal);
+});
@@ -0,0 +1,97 @@
+// ============================================
+// Estimate storage
+// Saved versions, rename, duplicate and restore against an in-memory localStorage
+// ============================================
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Estimate } from '../www/js/models/Estimate.js';
+import { EstimateStore } from '../www/js/storage/EstimateStore.js';
+
+// localStorage stand-in; past `quota` characters stored, setItem throws like a browser
+function memoryStorage(quota = Infinity) {
+    const items = new Map();
+    const size = () => [...items.values()].reduce((sum, v) => sum + v.length, 0);
+    return {
+        getItem: key => items.has(key) ? items.get(key) : null,
+        setItem: (key, value) => {
+            if (size() - (items.get(key)?.length || 0) + String(value).length > quota) {
+                throw new DOMException('The quota has been exceeded.', 'QuotaExceededError');
+            }
+            items.set(key, String(value));
+        },
+        removeItem: key => items.delete(key),
+        key: i => [...items.keys()][i] ?? null,
+        get length() { return items.size; },
+    };
+}
+
+// A saved estimate whose form snapshot names it, as saveCurrentEstimate() does
+function savedEstimate(store, projectName) {
+    const estimate = new Estimate({ projectName });
+    estimate.formState = { projectName, __estimateId: estimate.id };
+    store.saveEstimate(estimate);
+    return estimate;
+}
+
+beforeEach(() => {
+    globalThis.localStorage = memoryStorage();
+});
+
+test('restoring a version keeps the current name in the form snapshot', () => {
+    const store = new EstimateStore();
+    const estimate = savedEstimate(store, 'Original');
+    store.saveEstimate(estimate);
+    store.renameEstimate(estimate.id, 'Renamed');
+
+    const restored = store.restoreRevision(estimate.id, 1);
+
+    assert.equal(restored.version, 3);
+    assert.equal(restored.projectName, 'Renamed');
+    assert.deepEqual(restored.formState, { projectName: 'Renamed', __estimateId: estimate.id });
+    assert.equal(store.loadEstimate(estimate.id).formState.projectName, 'Renamed');
+    assert.equal(store.listRevisions(estimate.id)[0].restoredFrom, 1);
+});
+
+test('renaming and duplicating carry the name into the form snapshot', () => {
+    const store = new EstimateStore();
+    const estimate = savedEstimate(store, 'Lot A');
+    store.renameEstimate(estimate.id, 'Lot B');
+    const copy = store.duplicateEstimate(estimate.id);
+
+    assert.equal(store.loadEstimate(estimate.id).formState.projectName, 'Lot B');
+    assert.notEqual(copy.id, estimate.id);
+    assert.deepEqual(store.loadEstimate(copy.id).formState, { projectName: 'Lot B (copy)', __estimateId: copy.id });
+    assert.equal(store.listRevisions(copy.id).length, 1);
+});
+
+test('each version is stored once and every one stays restorable', () => {
+    const store = new EstimateStore();
+    const estimate = savedEstimate(store, 'Versions');
+    estimate.formState.scope = 'second';
+    store.saveEstimate(estimate);
+    estimate.formState.scope = 'third';
+    store.saveEstimate(estimate);
+
+    const keys = Array.from({ length: localStorage.length }, (_, i) => localStorage.key(i));
+    assert.equal(keys.filter(k => k.startsWith('pavingCalcRev_')).length, 2);
+    assert.deepEqual(store.listRevisions(estimate.id).map(rev => [rev.version, rev.available]), [[3, true], [2, true], [1, true]]);
+    assert.equal(store.loadRevisionData(estimate.id, 2).formState.scope, 'second');
+    assert.equal(store.loadRevisionData(estimate.id, 3).formState.scope, 'third');
+});
+
+test('a save past the quota reports storage full and keeps the last version', () => {
+    globalThis.localStorage = memoryStorage(4000);
+    const store = new EstimateStore();
+    const estimate = savedEstimate(store, 'Quota');
+    estimate.formState.scope = 'x'.repeat(3000);
+
+    assert.equal(store.saveEstimate(estimate), false);
+    assert.equal(store.storageFull, true);
+    assert.equal(store.loadEstimate(estimate.id).version, 1);
+
+    estimate.formState.scope = '';
+    assert.equal(store.saveEstimate(estimate), true);
+    assert.equal(store.storageFull, false);
+});
@@ -0,0 +1,55 @@
+// ============================================
+// Labor cost
+// Burdened rates, overtime hour splits and the premium on optimized shifts
+// ============================================
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { burdenedRate, laborRates, overtimeHours, overtimePremium } from '../www/js/engine/LaborCost.js';
+import { DEFAULT_OVERTIME_RULES, LABOR_CLASSIFICATIONS } from '../www/js/data/LaborRates.js';
+
+test('burdened rate caps FUTA and SUTA at their wage base', () => {
+    const foreman = burdenedRate(LABOR_CLASSIFICATIONS.FOREMAN);
+
+    assert.ok(Math.abs(foreman.futa - 7000 * 0.006 / 1600) < 1e-9);
+    assert.ok(Math.abs(foreman.suta - 14000 * 0.031 / 1600) < 1e-9);
+    assert.equal(foreman.rate, 52.00);
+    // Overtime base is the wage and the FICA on it, not fringes
+    assert.equal(foreman.overtimeBase, 36.60);
+});
+
+test('labor rates key every classification and carry the source', () => {
+    const rates = laborRates(LABOR_CLASSIFICATIONS, 'Company');
+
+    assert.deepEqual(Object.keys(rates), Object.keys(LABOR_CLASSIFICATIONS));
+    assert.ok(Object.values(rates).every(r => r.source === 'Company' && r.rate > r.baseWage));
+});
+
+test('overtime hours: daily limit, then double time, then the weekly limit', () => {
+    assert.deepEqual(overtimeHours([10, 10, 10, 10, 10], DEFAULT_OVERTIME_RULES), { straight: 40, overtime: 10, doubleTime: 0 });
+    assert.deepEqual(overtimeHours([14], DEFAULT_OVERTIME_RULES), { straight: 8, overtime: 4, doubleTime: 2 });
+    // A sixth day's straight hours run past 40 for the week
+    assert.deepEqual(overtimeHours([10, 10, 10, 10, 10, 10], DEFAULT_OVERTIME_RULES, 6), { straight: 40, overtime: 20, doubleTime: 0 });
+    // Limits of 0 are off
+    assert.deepEqual(overtimeHours([12, 12], { ...DEFAULT_OVERTIME_RULES, dailyAfter: 0, weeklyAfter: 0, doubleAfter: 0 }),
+        { straight: 24, overtime: 0, doubleTime: 0 });
+});
+
+test('overtime premium prices only the premium, per classified worker', () => {
+    const overtime = { rules: DEFAULT_OVERTIME_RULES, overtimeBase: { LABORER: 21.53, OPER_HVY: 32.30 } };
+    const crew = [{ count: 2, classification: 'LABORER' }, { count: 1, classification: 'OPER_HVY' }];
+    const premium = overtimePremium({ hours: 20, days: 2, shiftBase: 10 }, crew, overtime);
+
+    assert.equal(premium.overtimeHours, 4);
+    assert.equal(premium.doubleTimeHours, 0);
+    assert.equal(premium.cost, Math.round((21.53 * 2 + 32.30) * 4 * 0.5 * 100) / 100);
+});
+
+test('overtime premium is zero for straight-time shifts and unclassified crews', () => {
+    const overtime = { rules: DEFAULT_OVERTIME_RULES, overtimeBase: { LABORER: 21.53 } };
+
+    assert.equal(overtimePremium({ hours: 16, days: 2, shiftBase: 8 }, [{ count: 4, classification: 'LABORER' }], overtime).cost, 0);
+    assert.equal(overtimePremium({ hours: 20, days: 2, shiftBase: 10 }, [{ count: 4 }], overtime).cost, 0);
+    assert.equal(overtimePremium({ hours: 20, days: 2, shiftBase: 10 }, [{ count: 4, classification: 'LABORER' }], null).cost, 0);
+});
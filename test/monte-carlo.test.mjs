@@ -0,0 +1,71 @@
+// ============================================
+// Monte Carlo
+// Seeded runs reproduce; rank correlation reorders samples without changing them
+// ============================================
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { MonteCarlo } from '../www/js/engine/MonteCarlo.js';
+
+const VARIABLES = [
+    { name: 'Surface material', key: 'material:paving_surface', base: 40000, min: 0.9, mostLikely: 1, max: 1.25 },
+    { name: 'Base material', key: 'material:paving_base', base: 30000, min: 0.9, mostLikely: 1, max: 1.25 },
+    { name: 'Surface production', key: 'production:paving_surface', base: 20000, min: 0.8, mostLikely: 1, max: 1.2, inverse: true },
+];
+const RISKS = [{ id: 'R-1', probability: 0.3, impactMin: 1000, impactMostLikely: 4000, impactMax: 9000 }];
+
+function ranks(values) {
+    const order = [...values.keys()].sort((a, b) => values[a] - values[b]);
+    const out = new Array(values.length);
+    order.forEach((idx, rank) => { out[idx] = rank; });
+    return out;
+}
+
+// Spearman rank correlation (no ties in continuous samples)
+function spearman(x, y) {
+    const rx = ranks(x);
+    const ry = ranks(y);
+    const n = x.length;
+    const d2 = rx.reduce((sum, r, i) => sum + (r - ry[i]) ** 2, 0);
+    return 1 - 6 * d2 / (n * (n * n - 1));
+}
+
+test('the same seed reproduces a run exactly', () => {
+    const run = seed => new MonteCarlo(2000, seed).runWithRisks({ baseTotal: 150000, markupFactor: 1.2, costVariables: VARIABLES, risks: RISKS });
+    const first = run(42);
+
+    assert.deepEqual(run(42), first);
+    assert.equal(first.seed, 42);
+    assert.notDeepEqual(run(43), first);
+});
+
+test('an unseeded run records the seed that reproduces it', () => {
+    const first = new MonteCarlo(500).runWithRisks({ baseTotal: 150000, costVariables: VARIABLES, risks: RISKS });
+
+    assert.ok(Number.isInteger(first.seed));
+    assert.deepEqual(new MonteCarlo(500, first.seed).runWithRisks({ baseTotal: 150000, costVariables: VARIABLES, risks: RISKS }), first);
+});
+
+test('risks fire at about their probability', () => {
+    const result = new MonteCarlo(5000, 7).runWithRisks({ baseTotal: 150000, costVariables: VARIABLES, risks: RISKS });
+
+    assert.ok(Math.abs(result.riskHitRates['R-1'] - 0.3) < 0.03);
+});
+
+test('correlated variables carry the requested rank correlation', () => {
+    const correlations = [{ a: 'material:paving_surface', b: 'material:paving_base', rho: 0.8 }];
+    const [surface, base, production] = new MonteCarlo(3000, 11).sampleVariables(VARIABLES, correlations);
+
+    assert.ok(Math.abs(spearman(surface, base) - 0.8) < 0.05, `rho ${spearman(surface, base)}`);
+    assert.ok(Math.abs(spearman(surface, production)) < 0.1);
+});
+
+test('inducing correlation only re-pairs samples', () => {
+    const correlations = [{ a: 'material:paving_surface', b: 'material:paving_base', rho: 0.8 }];
+    const independent = new MonteCarlo(1000, 5).sampleVariables(VARIABLES, []);
+    const correlated = new MonteCarlo(1000, 5).sampleVariables(VARIABLES, correlations);
+    const sorted = column => [...column].sort((a, b) => a - b);
+
+    correlated.forEach((column, k) => assert.deepEqual(sorted(column), sorted(independent[k])));
+});
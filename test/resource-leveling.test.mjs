@@ -0,0 +1,53 @@
+// ============================================
+// Resource leveling
+// Activities sharing a crew code wait for a free crew from the fleet
+// ============================================
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Scheduler } from '../www/js/engine/Scheduler.js';
+import { levelResources } from '../www/js/engine/ResourceLeveling.js';
+import { DependencySource } from '../www/js/models/Activity.js';
+
+// Two independent lots paved by the same crew code, and milling ahead of the first
+function activities() {
+    const activity = (id, code, duration, dependencies = []) => ({ id, description: id, duration, crew: { code }, dependencies });
+    return [
+        activity('MILL', 'ML7', 1),
+        activity('LOT-A', 'PV10', 3, [{ predecessorId: 'MILL', type: 'FS', lag: 0 }]),
+        activity('LOT-B', 'PV10', 2),
+    ];
+}
+
+function level(fleet) {
+    const acts = activities();
+    const cpm = new Scheduler(acts);
+    cpm.run();
+    return { acts, result: levelResources(acts, fleet, cpm) };
+}
+
+test('one crew works shared-code activities back to back', () => {
+    const { acts, result } = level({ PV10: 1, ML7: 1 });
+
+    assert.equal(result.cpmDuration, 4);
+    assert.equal(result.leveledDuration, 6);
+    assert.equal(result.delay, 2);
+    assert.equal(result.links.length, 1);
+    assert.equal(result.links[0].source, DependencySource.RESOURCE);
+    assert.equal(result.links[0].crewCode, 'PV10');
+    assert.deepEqual(result.crews.find(c => c.code === 'PV10').activityIds, ['LOT-A', 'LOT-B']);
+
+    // CPM with the resource links reproduces the leveled duration
+    const leveled = new Scheduler(acts, null, result.links);
+    leveled.run();
+    assert.equal(leveled.projectDuration, result.leveledDuration);
+});
+
+test('enough crews, or a code outside the fleet, leaves the CPM schedule alone', () => {
+    for (const fleet of [{ PV10: 2, ML7: 1 }, { ML7: 1 }]) {
+        const { result } = level(fleet);
+        assert.equal(result.leveledDuration, result.cpmDuration);
+        assert.deepEqual(result.links, []);
+    }
+});
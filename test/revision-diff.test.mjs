@@ -0,0 +1,133 @@
+// ============================================
+// Revision diff
+// Estimate-level changes between versions are itemized and priced, leaving
+// no unexplained interaction when they're the only change
+// ============================================
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Estimate } from '../www/js/models/Estimate.js';
+import { ProductivityFactor } from '../www/js/models/ProductivityFactor.js';
+import { RiskItem } from '../www/js/models/RiskRegister.js';
+import { Calculator } from '../www/js/engine/Calculator.js';
+import { buildActivity, buildMaterials } from '../www/js/engine/ActivityFactory.js';
+import { diffEstimates } from '../www/js/engine/RevisionDiff.js';
+import { laborRates } from '../www/js/engine/LaborCost.js';
+import { MATERIALS } from '../www/js/data/paving-defaults.js';
+import { DEFAULT_OVERTIME_RULES, LABOR_CLASSIFICATIONS, PREVAILING_WAGE_TABLES } from '../www/js/data/LaborRates.js';
+
+const SETTINGS = { asphaltWaste: 1.05, aggregateWaste: 1.05, concreteWaste: 1.05, swellFactor: 1.3, truckEfficiency: 0.9, tackAppRate: 0.05 };
+
+function baseline({ area = 4000 } = {}) {
+    const context = {
+        settings: SETTINGS,
+        materials: buildMaterials(Object.fromEntries(Object.keys(MATERIALS).map(id => [id, MATERIALS[id].defaultPrice || 50]))),
+        productivity: ProductivityFactor.fromCompositeValue(1.0),
+        crewContext: { totalJobSY: 4000, useCombo: false },
+    };
+    const estimate = new Estimate({
+        projectName: 'Diff',
+        activities: ['milling', 'paving_surface'].map(type =>
+            buildActivity(type, { area, depth: 2, cycleTime: 45, rate: 1800 }, context)),
+        overtime: overtimeFor('Company open shop', LABOR_CLASSIFICATIONS, DEFAULT_OVERTIME_RULES),
+    });
+    estimate.riskRegister.addRisk(new RiskItem({
+        id: 'R-1', description: 'Binder price spike', probability: 0.2,
+        impactMin: 1000, impactMostLikely: 4000, impactMax: 9000, riskType: 'pricing',
+    }));
+    return estimate.toJSON();
+}
+
+// Estimate overtime settings for a wage table, as main.js laborPricing() builds them
+function overtimeFor(source, classifications, rules) {
+    const rates = laborRates(classifications, source);
+    return {
+        source,
+        rules: { ...rules },
+        overtimeBase: Object.fromEntries(Object.entries(rates).map(([key, r]) => [key, r.overtimeBase])),
+    };
+}
+
+function price(estimate) {
+    const results = new Calculator().calculate(estimate, 118.75, { simulate: false });
+    return {
+        directCost: results.directCostTotal,
+        projectDuration: results.projectDuration,
+        totalEstimatedCost: results.totalEstimatedCost,
+    };
+}
+
+function diffAfter(edit, options) {
+    const before = baseline(options);
+    const after = baseline(options);
+    edit(after);
+    return diffEstimates(before, after, price);
+}
+
+function assertExplained(diff, label) {
+    const change = diff.changes.find(c => c.label === label);
+    assert.ok(change, `${label} is itemized`);
+    assert.notEqual(diff.delta.totalEstimatedCost, 0, 'the edit moves the bid');
+    assert.ok(Math.abs(change.impact.totalEstimatedCost - diff.delta.totalEstimatedCost) < 0.01);
+    assert.ok(Math.abs(diff.interaction.totalEstimatedCost) < 0.01);
+    return change;
+}
+
+test('a risk probability change is itemized under the risk register', () => {
+    const diff = diffAfter(after => { after.riskRegister.risks[0].probability = 0.5; });
+    const change = assertExplained(diff, 'Risk register');
+
+    assert.deepEqual(change.details.map(d => [d.label, d.before, d.after]), [['Binder price spike: Probability', 0.2, 0.5]]);
+    assert.ok(!diff.changes.some(c => c.label === 'Contingency'), 'derived identified-risk total is not a change of its own');
+});
+
+test('an added risk is itemized', () => {
+    const diff = diffAfter(after => {
+        after.riskRegister.risks.push({ ...after.riskRegister.risks[0], id: 'R-2', description: 'Night work restriction' });
+    });
+    assertExplained(diff, 'Risk register');
+});
+
+test('an overtime rule change is itemized under overtime', () => {
+    const diff = diffAfter(after => { after.overtime.rules.multiplier = 2; });
+    const change = assertExplained(diff, 'Overtime');
+
+    assert.deepEqual(change.details.map(d => [d.label, d.before, d.after]), [['Overtime multiplier', 1.5, 2]]);
+});
+
+test('switching the overtime wage table is itemized under overtime', () => {
+    const table = PREVAILING_WAGE_TABLES['WI-DANE'];
+    const diff = diffAfter(after => { after.overtime = overtimeFor(table.label, table.classifications, table.overtime); });
+    const change = assertExplained(diff, 'Overtime');
+
+    assert.ok(change.details.some(d => d.label === 'Wage table' && d.after === table.label));
+    assert.ok(change.details.some(d => d.label === 'Working foreman base'));
+});
+
+test('a six-day work week is itemized under the calendar', () => {
+    // Several weeks of extended shifts: a sixth straight-time day runs past the weekly limit
+    const diff = diffAfter(after => { after.timeUnit.workDaysPerWeek = 6; }, { area: 60000 });
+    const change = assertExplained(diff, 'Calendar');
+
+    assert.ok(change.details.some(d => d.label === 'Work days / week' && d.before === 5 && d.after === 6));
+});
+
+test('moving the start date and season handling is itemized under the calendar', () => {
+    const diff = diffAfter(after => {
+        after.startDate = '2025-11-17';
+        after.seasonMode = 'push';
+        after.timeUnit.seasonalWindow = { startMonth: 4, endMonth: 11 };
+        after.timeUnit.holidays = ['2025-11-28'];
+    });
+    const change = diff.changes.find(c => c.label === 'Calendar');
+
+    assert.deepEqual(change.details.map(d => [d.label, d.before, d.after]), [
+        ['Start date', null, '2025-11-17'],
+        ['Out-of-season work', 'warn', 'push'],
+        ['Season opens (month)', null, 4],
+        ['Season closes (month)', null, 11],
+        ['Other holidays', '', '2025-11-28'],
+    ]);
+    assert.ok(Math.abs(diff.interaction.totalEstimatedCost) < 0.01);
+});
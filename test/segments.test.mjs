@@ -0,0 +1,45 @@
+// ============================================
+// Takeoff segments
+// Rows at their own depth blend into the activity's material quantity
+// ============================================
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Estimate } from '../www/js/models/Estimate.js';
+import { ProductivityFactor } from '../www/js/models/ProductivityFactor.js';
+import { Calculator } from '../www/js/engine/Calculator.js';
+import { buildActivity, buildMaterials } from '../www/js/engine/ActivityFactory.js';
+import { MATERIALS } from '../www/js/data/paving-defaults.js';
+
+const SETTINGS = { asphaltWaste: 1.05, aggregateWaste: 1.05, concreteWaste: 1.05, swellFactor: 1.3, truckEfficiency: 0.9, tackAppRate: 0.05 };
+const price = id => MATERIALS[id].defaultPrice || 50;
+const CONTEXT = {
+    settings: SETTINGS,
+    materials: buildMaterials(Object.fromEntries(Object.keys(MATERIALS).map(id => [id, price(id)]))),
+    productivity: ProductivityFactor.fromCompositeValue(1.0),
+    crewContext: { totalJobSY: 4000, useCombo: false },
+};
+
+function materialCost(type, input) {
+    const activity = buildActivity(type, { rate: 1000, ...input }, CONTEXT);
+    const results = new Calculator().calculate(new Estimate({ activities: [activity] }), 118.75, { simulate: false });
+    return results.activities[0].materialCost;
+}
+
+test('mixed-depth sidewalk prices concrete at the weighted volume', () => {
+    const mixed = materialCost('sidewalk', { area: 1000, depth: 4, segments: [{ name: 'Drive apron', area: 1000, depth: 8 }] });
+    const expected = 1000 * (4 + 8) / 12 / 27 * SETTINGS.concreteWaste * price('M-012');
+
+    assert.ok(Math.abs(mixed - expected) < 0.01, `${mixed} ≠ ${expected}`);
+    assert.ok(Math.abs(mixed - materialCost('sidewalk', { area: 2000, depth: 6 })) < 0.01);
+});
+
+test('mixed-depth surface course prices the tons ordered for each segment', () => {
+    const mixed = materialCost('paving_surface', { area: 1000, depth: 1.5, segments: [{ name: 'Thick', area: 1000, depth: 2.5 }] });
+    const ordered = [1.5, 2.5].reduce((sum, depth) =>
+        sum + buildActivity('paving_surface', { area: 1000, depth }, CONTEXT)._extra.tonsWithWaste, 0);
+
+    assert.ok(ordered > 0);
+    assert.ok(Math.abs(mixed - ordered * price('M-001')) < 0.01);
+});
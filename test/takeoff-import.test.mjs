@@ -0,0 +1,121 @@
+// ============================================
+// Takeoff imports
+// DXF layers, GeoJSON/KML polygons and CSV quantity rows into takeoff quantities
+// ============================================
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { parseDXF, layerQuantity, DXF_UNITS } from '../www/js/engine/DxfImport.js';
+import { parsePolygonFile } from '../www/js/engine/GeoImport.js';
+import { parseCSV, guessColumns, mapCsvRows } from '../www/js/engine/CsvImport.js';
+
+// ---- DXF ----
+
+function dxf(entities, units = 2) {
+    return ['0', 'SECTION', '2', 'HEADER', '9', '$INSUNITS', '70', String(units), '0', 'ENDSEC',
+        '0', 'SECTION', '2', 'ENTITIES', ...entities.flat(), '0', 'ENDSEC', '0', 'EOF'].join('\n');
+}
+const square = (layer, size, extra = []) =>
+    ['0', 'LWPOLYLINE', '8', layer, ...extra, '70', '1', '10', '0', '20', '0', '10', String(size), '20', '0', '10', String(size), '20', String(size), '10', '0', '20', String(size)];
+const line = (layer, length) => ['0', 'LINE', '8', layer, '10', '0', '20', '0', '11', String(length), '21', '0'];
+const insert = layer => ['0', 'INSERT', '8', layer, '10', '0', '20', '0'];
+
+test('DXF layers total closed areas, open lengths and blocks', () => {
+    const { units, layers } = parseDXF(dxf([square('PAVE', 30), square('PAVE', 30), line('CURB', 120), insert('CB'), insert('CB')]));
+
+    assert.equal(units, 2);
+    assert.equal(layerQuantity(layers.PAVE, 'SY', DXF_UNITS[units].feet), 200);
+    assert.equal(layerQuantity(layers.PAVE, 'LF', DXF_UNITS[units].feet), 240);
+    assert.equal(layerQuantity(layers.CURB, 'LF', DXF_UNITS[units].feet), 120);
+    assert.equal(layerQuantity(layers.CB, 'EA', DXF_UNITS[units].feet), 2);
+});
+
+test('DXF skips paper space and scales drawing units to feet', () => {
+    const { units, layers } = parseDXF(dxf([square('PAVE', 360), square('TITLE', 100, ['67', '1'])], 1));
+
+    assert.equal(layers.TITLE, undefined);
+    assert.equal(layerQuantity(layers.PAVE, 'SF', DXF_UNITS[units].feet), 900);
+});
+
+test('DXF rejects files that are not ASCII DXF', () => {
+    assert.throws(() => parseDXF('hello'), /not an ASCII DXF/);
+});
+
+// ---- GeoJSON / KML ----
+
+// ~100 m square near Madison, WI
+const RING = [[-89.4, 43.07], [-89.39877, 43.07], [-89.39877, 43.0709], [-89.4, 43.0709], [-89.4, 43.07]];
+const SQUARE_SY = 100 * 100 * 1.19599;
+
+test('GeoJSON polygons measure their area, less holes', () => {
+    const hole = [[-89.3997, 43.07023], [-89.39908, 43.07023], [-89.39908, 43.07067], [-89.3997, 43.07067], [-89.3997, 43.07023]];
+    const text = JSON.stringify({ type: 'FeatureCollection', features: [
+        { type: 'Feature', properties: { name: 'Lot A' }, geometry: { type: 'Polygon', coordinates: [RING] } },
+        { type: 'Feature', properties: { name: 'Lot B' }, geometry: { type: 'Polygon', coordinates: [RING, hole] } },
+        { type: 'Feature', properties: { name: 'Pin' }, geometry: { type: 'Point', coordinates: RING[0] } },
+    ] });
+    const [lotA, lotB, ...rest] = parsePolygonFile('site.geojson', text);
+
+    assert.equal(rest.length, 0);
+    assert.equal(lotA.id, 'site.geojson#Lot A');
+    assert.ok(Math.abs(lotA.areaSY / SQUARE_SY - 1) < 0.02, `${lotA.areaSY} SY`);
+    assert.ok(Math.abs(lotB.areaSY / lotA.areaSY - 0.75) < 0.02);
+});
+
+test('KML placemarks measure the same as GeoJSON', () => {
+    const coordinates = RING.map(([lon, lat]) => `${lon},${lat},0`).join(' ');
+    const kml = `<?xml version="1.0"?><kml xmlns="http://www.opengis.net/kml/2.2"><Document>
+        <Placemark><name>Lot A</name><Polygon><outerBoundaryIs><LinearRing><coordinates>${coordinates}</coordinates></LinearRing></outerBoundaryIs></Polygon></Placemark>
+        </Document></kml>`;
+    const [fromKml] = parsePolygonFile('site.kml', kml);
+    const [fromGeo] = parsePolygonFile('site.geojson', JSON.stringify({ type: 'Polygon', coordinates: [RING] }));
+
+    assert.equal(fromKml.name, 'Lot A');
+    assert.ok(Math.abs(fromKml.areaSY - fromGeo.areaSY) < 0.01);
+});
+
+test('polygon files of an unsupported type or with no polygons are rejected', () => {
+    assert.throws(() => parsePolygonFile('site.shp', ''), /Unsupported file type/);
+    assert.throws(() => parsePolygonFile('site.geojson', JSON.stringify({ type: 'Point', coordinates: [0, 0] })), /No polygons/);
+});
+
+// ---- CSV ----
+
+test('CSV rows map to activities, convert units and explain what they skip', () => {
+    const { headers, rows } = parseCSV([
+        'Item;Quantity;Unit;Thickness (in)',
+        'Surface Paving;"1,800";SY;1.5',
+        'Parking lot overlay;16200;sq ft;',
+        'Sidewalk;900;SY;4',
+        'Unknown thing;10;SY;',
+        'Surface Paving;n/a;SY;',
+        'Surface Paving;100;LF;',
+    ].join('\r\n'));
+    const columns = guessColumns(headers);
+    const mapped = mapCsvRows(rows, columns, { 'Parking Lot Overlay': 'paving_surface' });
+
+    assert.deepEqual(columns, { item: 0, area: 1, depth: 3, unit: 2 });
+    assert.deepEqual(mapped.map(r => [r.line, r.activityType, r.quantity, r.uom, r.depth]), [
+        [2, 'paving_surface', 1800, 'SY', 1.5],
+        [3, 'paving_surface', 1800, 'SY', 0],
+        [4, 'sidewalk', 8100, 'SF', 4],
+        [5, '', 0, 'SY', 0],
+        [6, 'paving_surface', 0, 'SY', 0],
+        [7, 'paving_surface', 0, 'SY', 0],
+    ]);
+    assert.deepEqual(mapped.map(r => r.reason), [
+        '', '', '', 'No activity for "Unknown thing"', 'Quantity "n/a" is not a number', "LF doesn't convert to SY",
+    ]);
+});
+
+test('CSV quoted fields keep delimiters, quotes and line breaks', () => {
+    const { headers, rows } = parseCSV('Item,Notes\n"Curb, 6""",\"two\nlines\"\n\nTack,x\n');
+
+    assert.deepEqual(headers, ['Item', 'Notes']);
+    assert.deepEqual(rows, [
+        { line: 2, cells: ['Curb, 6"', 'two\nlines'] },
+        { line: 5, cells: ['Tack', 'x'] },
+    ]);
+    assert.throws(() => parseCSV('Item,Qty\n'), /No rows/);
+});
@@ -0,0 +1,63 @@
+// ============================================
+// Work calendar
+// CPM offsets onto dates: work week, holidays and the paving season
+// ============================================
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { TimeUnit } from '../www/js/models/TimeUnit.js';
+import { buildDatedSchedule, parseISODate } from '../www/js/engine/WorkCalendar.js';
+
+const milling = { id: 'MILL-001', activityType: 'milling', duration: 3, earlyStart: 0, earlyFinish: 3 };
+const surface = { id: 'PAVE-002', activityType: 'paving_surface', duration: 2, earlyStart: 3, earlyFinish: 5 };
+
+function dated(schedule, id) {
+    return schedule.activities.find(a => a.id === id);
+}
+
+test('standard holidays are observed on the nearest weekday', () => {
+    const calendar = new TimeUnit();
+
+    assert.equal(calendar.isWorkDay(parseISODate('2025-07-04')), false);     // Friday
+    assert.equal(calendar.isWorkDay(parseISODate('2026-07-03')), false);     // Saturday the 4th, observed Friday
+    assert.equal(calendar.isWorkDay(parseISODate('2025-05-26')), false);     // Last Monday in May
+    assert.equal(calendar.isWorkDay(parseISODate('2025-11-27')), false);     // Fourth Thursday in November
+    assert.equal(calendar.isWorkDay(parseISODate('2025-07-07')), true);
+    assert.equal(new TimeUnit({ observeStandardHolidays: false }).isWorkDay(parseISODate('2025-07-04')), true);
+});
+
+test('dated schedule skips weekends, holidays and extra non-work dates', () => {
+    const work = { ...milling, duration: 2, earlyFinish: 2 };
+
+    assert.equal(dated(buildDatedSchedule([work], new TimeUnit(), '2025-07-03'), 'MILL-001').finishDate, '2025-07-07');
+    assert.equal(dated(buildDatedSchedule([work], new TimeUnit({ holidays: ['2025-07-07'] }), '2025-07-03'), 'MILL-001').finishDate, '2025-07-08');
+    assert.equal(dated(buildDatedSchedule([work], new TimeUnit({ workDaysPerWeek: 6 }), '2025-07-03'), 'MILL-001').finishDate, '2025-07-05');
+    assert.equal(buildDatedSchedule([work], new TimeUnit(), 'not a date'), null);
+});
+
+test('warn mode flags paving that runs past the season but leaves it in place', () => {
+    const calendar = new TimeUnit({ seasonalWindow: { startMonth: 4, endMonth: 11 } });
+    const schedule = buildDatedSchedule([milling, surface], calendar, '2025-11-24', { seasonMode: 'warn' });
+    const paving = dated(schedule, 'PAVE-002');
+
+    assert.equal(paving.startDate, '2025-11-28');
+    assert.equal(paving.finishDate, '2025-12-01');
+    assert.equal(paving.inSeason, false);
+    assert.equal(paving.pushedDays, 0);
+});
+
+test('push mode slides paving and what follows to the next season opening', () => {
+    const calendar = new TimeUnit({ seasonalWindow: { startMonth: 4, endMonth: 11 } });
+    const schedule = buildDatedSchedule([milling, surface], calendar, '2025-11-24', { seasonMode: 'push', weatherDays: 1 });
+    const paving = dated(schedule, 'PAVE-002');
+
+    // Milling isn't season-sensitive and stays put
+    assert.equal(dated(schedule, 'MILL-001').finishDate, '2025-11-26');
+    assert.equal(paving.startDate, '2026-04-01');
+    assert.equal(paving.finishDate, '2026-04-02');
+    assert.equal(paving.inSeason, true);
+    assert.ok(paving.pushedDays > 0);
+    assert.ok(schedule.idleWorkDays > 0);
+    assert.equal(schedule.finishDate, '2026-04-03');
+});
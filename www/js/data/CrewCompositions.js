@@ -10,7 +10,13 @@
  * Rate basis:
  *   Labor: Fully burdened open-shop rates (base + benefits + payroll taxes).
  *          Upper Midwest, 2025 dollars. Excludes WC/GL (in IndirectCosts).
+ *          Each component's classification keys LaborRates.js, which
+ *          itemizes the burden and replaces these rates when a
+ *          prevailing-wage table is selected.
  *   Equipment: Ownership + Operating cost/hr (Blue Book / CAT methodology).
+ *              Component rates are the reference-fuel-price values of
+ *              EquipmentLibrary.js; units in the library are priced from it
+ *              at run time (EQ-MISC allowances keep the rate given here).
  *
  * Sources:
  *   - WI Davis-Bacon WI20240010 (Sep 2024) for prevailing wage reference
@@ -25,16 +31,6 @@
  * lists which contain actual company payroll and equipment fleet costs.
  */
 
-// Labor classification reference (informational; not consumed by calc engine)
-const LABOR_CLASSIFICATIONS = Object.freeze({
-    FOREMAN:  { label: 'Working Foreman',                 baseWage: 34.00, burdenPct: 0.53 },
-    OPER_HVY: { label: 'Heavy Equipment Operator',        baseWage: 30.00, burdenPct: 0.53 },
-    OPER_LT:  { label: 'Light Equipment Operator',        baseWage: 25.00, burdenPct: 0.52 },
-    LAB_BIT:  { label: 'Bituminous Laborer (Raker/Lute)', baseWage: 18.50, burdenPct: 0.51 },
-    LABORER:  { label: 'General Laborer',                 baseWage: 20.00, burdenPct: 0.50 },
-    FLAGGER:  { label: 'Flagger / Traffic Control',       baseWage: 23.00, burdenPct: 0.52 },
-});
-
 const CREW_COMPOSITIONS = Object.freeze({
 
     BHOEX: Object.freeze({
@@ -126,7 +122,7 @@ const CREW_COMPOSITIONS = Object.freeze({
             Object.freeze({ name: 'Laborer/Raker', classification: 'LAB_BIT', rate: 28.00, count: 3 }),
         ]),
         equipmentComponents: Object.freeze([
-            Object.freeze({ name: 'Paver (Cat AP500 class)', code: 'EQ-PAV500', rate: 60.0, count: 1 }),
+            Object.freeze({ name: 'Paver (Cat AP500 class)', code: 'EQ-PAV500E', rate: 60.0, count: 1 }),
             Object.freeze({ name: 'Steel Wheel Roller (8-ton DD)', code: 'EQ-SWR8', rate: 25.48, count: 1 }),
             Object.freeze({ name: 'Hand Tools / Misc', code: 'EQ-MISC', rate: 18.0, count: 1 }),
         ]),
@@ -170,8 +166,8 @@ const CREW_COMPOSITIONS = Object.freeze({
         ]),
         equipmentComponents: Object.freeze([
             Object.freeze({ name: 'Paver (Cat AP1055 class)', code: 'EQ-PAV1055', rate: 80.0, count: 1 }),
-            Object.freeze({ name: 'Steel Wheel Roller (12-ton DD)', code: 'EQ-SWR12', rate: 28.0, count: 1 }),
-            Object.freeze({ name: 'Pneumatic Roller (9-wheel)', code: 'EQ-PR9', rate: 25.85, count: 1 }),
+            Object.freeze({ name: 'Steel Wheel Roller (12-ton DD)', code: 'EQ-SWR12U', rate: 28.0, count: 1 }),
+            Object.freeze({ name: 'Pneumatic Roller (9-wheel)', code: 'EQ-PR9B', rate: 25.85, count: 1 }),
         ]),
         totalRate: 471.85,
         laborRate: 338.00,
@@ -243,6 +239,213 @@ const CREW_COMPOSITIONS = Object.freeze({
         sourceRank: 4,
     }),
 
+    CRKS: Object.freeze({
+        crewCode: 'CRKS',
+        description: 'Crack Seal (Melter)',
+        laborComponents: Object.freeze([
+            Object.freeze({ name: 'Melter / Wand Operator', classification: 'OPER_LT', rate: 40.00, count: 1 }),
+            Object.freeze({ name: 'Laborer (blow-out / squeegee)', classification: 'LABORER', rate: 30.00, count: 2 }),
+        ]),
+        equipmentComponents: Object.freeze([
+            Object.freeze({ name: 'Oil-Jacketed Melter / Applicator (hot-pour)', code: 'EQ-MELT', rate: 45.0, count: 1 }),
+            Object.freeze({ name: 'Air Compressor + Heat Lance', code: 'EQ-HLANCE', rate: 18.5, count: 1 }),
+        ]),
+        totalRate: 163.50,
+        laborRate: 100.00,
+        equipmentRate: 63.50,
+        people: 3,
+        source: 'Derived from regional maintenance crew rates + industry references',
+        sourceRank: 4,
+    }),
+
+    CRKR: Object.freeze({
+        crewCode: 'CRKR',
+        description: 'Crack Seal w/ Router',
+        laborComponents: Object.freeze([
+            Object.freeze({ name: 'Melter / Wand Operator', classification: 'OPER_LT', rate: 40.00, count: 1 }),
+            Object.freeze({ name: 'Router Operator', classification: 'LABORER', rate: 30.00, count: 1 }),
+            Object.freeze({ name: 'Laborer (blow-out / squeegee)', classification: 'LABORER', rate: 30.00, count: 2 }),
+        ]),
+        equipmentComponents: Object.freeze([
+            Object.freeze({ name: 'Oil-Jacketed Melter / Applicator (hot-pour)', code: 'EQ-MELT', rate: 45.0, count: 1 }),
+            Object.freeze({ name: 'Air Compressor + Heat Lance', code: 'EQ-HLANCE', rate: 18.5, count: 1 }),
+            Object.freeze({ name: 'Crack Router (walk-behind)', code: 'EQ-ROUTER', rate: 24.0, count: 1 }),
+        ]),
+        totalRate: 217.50,
+        laborRate: 130.00,
+        equipmentRate: 87.50,
+        people: 4,
+        source: 'Derived from regional maintenance crew rates + industry references',
+        sourceRank: 4,
+    }),
+
+    SEAL: Object.freeze({
+        crewCode: 'SEAL',
+        description: 'Sealcoat Spray Rig',
+        laborComponents: Object.freeze([
+            Object.freeze({ name: 'Spray Rig Operator', classification: 'OPER_LT', rate: 40.00, count: 1 }),
+            Object.freeze({ name: 'Laborer (edging / squeegee)', classification: 'LABORER', rate: 30.00, count: 2 }),
+        ]),
+        equipmentComponents: Object.freeze([
+            Object.freeze({ name: 'Sealcoat Spray Rig (550 gal tank, agitator)', code: 'EQ-SEALRIG', rate: 38.0, count: 1 }),
+            Object.freeze({ name: 'Crew Truck w/ Blower and Edger', code: 'EQ-CTRUCK', rate: 22.0, count: 1 }),
+        ]),
+        totalRate: 160.00,
+        laborRate: 100.00,
+        equipmentRate: 60.00,
+        people: 3,
+        source: 'Derived from regional maintenance crew rates + industry references',
+        sourceRank: 4,
+    }),
+
+    STRP: Object.freeze({
+        crewCode: 'STRP',
+        description: 'Striping (Paint)',
+        laborComponents: Object.freeze([
+            Object.freeze({ name: 'Striper Operator', classification: 'OPER_LT', rate: 40.00, count: 1 }),
+            Object.freeze({ name: 'Laborer (layout / stencils)', classification: 'LABORER', rate: 30.00, count: 1 }),
+        ]),
+        equipmentComponents: Object.freeze([
+            Object.freeze({ name: 'Airless Line Striper (walk-behind)', code: 'EQ-STRIPER', rate: 28.0, count: 1 }),
+            Object.freeze({ name: 'Crew Truck w/ Stencils and Blower', code: 'EQ-CTRUCK', rate: 22.0, count: 1 }),
+        ]),
+        totalRate: 120.00,
+        laborRate: 70.00,
+        equipmentRate: 50.00,
+        people: 2,
+        source: 'Derived from regional maintenance crew rates + industry references',
+        sourceRank: 4,
+    }),
+
+    STRT: Object.freeze({
+        crewCode: 'STRT',
+        description: 'Striping (Thermoplastic)',
+        laborComponents: Object.freeze([
+            Object.freeze({ name: 'Handliner Operator', classification: 'OPER_LT', rate: 40.00, count: 1 }),
+            Object.freeze({ name: 'Kettle Tender', classification: 'LABORER', rate: 30.00, count: 1 }),
+            Object.freeze({ name: 'Laborer (layout / preheat)', classification: 'LABORER', rate: 30.00, count: 1 }),
+        ]),
+        equipmentComponents: Object.freeze([
+            Object.freeze({ name: 'Thermoplastic Handliner', code: 'EQ-HANDLINER', rate: 30.0, count: 1 }),
+            Object.freeze({ name: 'Premelt Kettle (trailer)', code: 'EQ-KETTLE', rate: 35.0, count: 1 }),
+            Object.freeze({ name: 'Crew Truck w/ Stencils and Blower', code: 'EQ-CTRUCK', rate: 22.0, count: 1 }),
+        ]),
+        totalRate: 187.00,
+        laborRate: 100.00,
+        equipmentRate: 87.00,
+        people: 3,
+        source: 'Derived from regional maintenance crew rates + industry references',
+        sourceRank: 4,
+    }),
+
+    PTCH: Object.freeze({
+        crewCode: 'PTCH',
+        description: 'Full-Depth Patch Crew',
+        laborComponents: Object.freeze([
+            Object.freeze({ name: 'Skid Steer Operator', classification: 'OPER_LT', rate: 40.00, count: 1 }),
+            Object.freeze({ name: 'Laborer (saw / rake / compaction)', classification: 'LABORER', rate: 30.00, count: 3 }),
+        ]),
+        equipmentComponents: Object.freeze([
+            Object.freeze({ name: 'Skid Steer w/ Cold Planer Attachment', code: 'EQ-SKIDPL', rate: 55.0, count: 1 }),
+            Object.freeze({ name: 'Walk-Behind Concrete/Asphalt Saw', code: 'EQ-SAW', rate: 15.0, count: 1 }),
+            Object.freeze({ name: 'Small Vibratory Roller (1-3 ton)', code: 'EQ-RLRSM', rate: 30.0, count: 1 }),
+            Object.freeze({ name: 'Plate Compactor', code: 'EQ-PLATE', rate: 6.0, count: 1 }),
+        ]),
+        totalRate: 236.00,
+        laborRate: 130.00,
+        equipmentRate: 106.00,
+        people: 4,
+        source: 'Derived from regional maintenance crew rates + industry references',
+        sourceRank: 4,
+    }),
+
+    RECL: Object.freeze({
+        crewCode: 'RECL',
+        description: 'Reclaimer Crew (FDR)',
+        laborComponents: Object.freeze([
+            Object.freeze({ name: 'Reclaimer Operator', classification: 'OPER_HVY', rate: 48.00, count: 1 }),
+            Object.freeze({ name: 'Grader Operator', classification: 'OPER_HVY', rate: 48.00, count: 1 }),
+            Object.freeze({ name: 'Roller Operator', classification: 'OPER_LT', rate: 40.00, count: 1 }),
+            Object.freeze({ name: 'Laborer / Grade Checker', classification: 'LABORER', rate: 30.00, count: 2 }),
+        ]),
+        equipmentComponents: Object.freeze([
+            Object.freeze({ name: 'Reclaimer (Wirtgen WR 240 class)', code: 'EQ-RECL', rate: 320.0, count: 1 }),
+            Object.freeze({ name: 'Motor Grader (Cat 120 class)', code: 'EQ-GRD120', rate: 62.0, count: 1 }),
+            Object.freeze({ name: 'Padfoot Roller (84")', code: 'EQ-PADFT84', rate: 45.0, count: 1 }),
+            Object.freeze({ name: 'Steel Wheel Roller (12-ton DD)', code: 'EQ-SWR12R', rate: 35.0, count: 1 }),
+            Object.freeze({ name: 'Pickup / Misc Tools', code: 'EQ-MISC', rate: 46.0, count: 1 }),
+        ]),
+        totalRate: 704.00,
+        laborRate: 196.00,
+        equipmentRate: 508.00,
+        people: 5,
+        source: 'Derived from PCA FDR guidance + regional equipment rates',
+        sourceRank: 4,
+    }),
+
+    STAB: Object.freeze({
+        crewCode: 'STAB',
+        description: 'Stabilization Spread & Mix Crew',
+        laborComponents: Object.freeze([
+            Object.freeze({ name: 'Spreader Truck Driver', classification: 'OPER_LT', rate: 40.00, count: 1 }),
+            Object.freeze({ name: 'Reclaimer Operator (mix pass)', classification: 'OPER_HVY', rate: 48.00, count: 1 }),
+            Object.freeze({ name: 'Roller Operator', classification: 'OPER_LT', rate: 40.00, count: 1 }),
+            Object.freeze({ name: 'Laborer', classification: 'LABORER', rate: 30.00, count: 1 }),
+        ]),
+        equipmentComponents: Object.freeze([
+            Object.freeze({ name: 'Reclaimer (Wirtgen WR 240 class)', code: 'EQ-RECL', rate: 320.0, count: 1 }),
+            Object.freeze({ name: 'Metered Cement/Lime Spreader Truck', code: 'EQ-SPRDR', rate: 75.0, count: 1 }),
+            Object.freeze({ name: 'Padfoot Roller (66")', code: 'EQ-PADFT', rate: 34.0, count: 1 }),
+        ]),
+        totalRate: 587.00,
+        laborRate: 158.00,
+        equipmentRate: 429.00,
+        people: 4,
+        source: 'Derived from PCA FDR guidance + regional equipment rates',
+        sourceRank: 4,
+    }),
+
+    GEOT: Object.freeze({
+        crewCode: 'GEOT',
+        description: 'Geotextile Placement Crew',
+        laborComponents: Object.freeze([
+            Object.freeze({ name: 'Skid Steer Operator', classification: 'OPER_LT', rate: 40.00, count: 1 }),
+            Object.freeze({ name: 'Laborer (unroll / lap / pin)', classification: 'LABORER', rate: 30.00, count: 2 }),
+        ]),
+        equipmentComponents: Object.freeze([
+            Object.freeze({ name: 'Skid Steer w/ Roll Bar', code: 'EQ-SKID', rate: 45.0, count: 1 }),
+            Object.freeze({ name: 'Knives / Pins / Misc', code: 'EQ-MISC', rate: 5.0, count: 1 }),
+        ]),
+        totalRate: 150.00,
+        laborRate: 100.00,
+        equipmentRate: 50.00,
+        people: 3,
+        source: 'Derived from regional earthwork crew rates',
+        sourceRank: 4,
+    }),
+
+    UDRN: Object.freeze({
+        crewCode: 'UDRN',
+        description: 'Underdrain Crew',
+        laborComponents: Object.freeze([
+            Object.freeze({ name: 'Mini Excavator Operator', classification: 'OPER_HVY', rate: 44.00, count: 1 }),
+            Object.freeze({ name: 'Laborer (pipe / stone / fabric)', classification: 'LABORER', rate: 30.00, count: 2 }),
+        ]),
+        equipmentComponents: Object.freeze([
+            Object.freeze({ name: 'Mini Excavator (Cat 305 class)', code: 'EQ-MINIEX', rate: 65.0, count: 1 }),
+            Object.freeze({ name: 'Skid Steer (stone placement)', code: 'EQ-SKIDT', rate: 50.0, count: 1 }),
+            Object.freeze({ name: 'Trench Rammer', code: 'EQ-RAMMER', rate: 12.0, count: 1 }),
+            Object.freeze({ name: 'Trench Box (shallow)', code: 'EQ-TBOX', rate: 18.0, count: 1 }),
+            Object.freeze({ name: 'Grade Laser', code: 'EQ-LASER', rate: 16.0, count: 1 }),
+        ]),
+        totalRate: 265.00,
+        laborRate: 104.00,
+        equipmentRate: 161.00,
+        people: 3,
+        source: 'Derived from regional earthwork crew rates',
+        sourceRank: 4,
+    }),
+
     MOBL: Object.freeze({
         crewCode: 'MOBL',
         description: 'Mobilization (2 Lowboys)',
@@ -277,6 +480,23 @@ const CREW_COMPOSITIONS = Object.freeze({
         sourceRank: 4,
     }),
 
+    MOBT: Object.freeze({
+        crewCode: 'MOBT',
+        description: 'Mobilization (Trailer)',
+        laborComponents: Object.freeze([
+            Object.freeze({ name: 'Driver', classification: 'OPER_LT', rate: 40.00, count: 1 }),
+        ]),
+        equipmentComponents: Object.freeze([
+            Object.freeze({ name: 'Pickup + Equipment Trailer', code: 'EQ-TRLR', rate: 55.0, count: 1 }),
+        ]),
+        totalRate: 95.00,
+        laborRate: 40.00,
+        equipmentRate: 55.00,
+        people: 1,
+        source: 'Derived from regional maintenance crew rates + industry references',
+        sourceRank: 4,
+    }),
+
     SAFE: Object.freeze({
         crewCode: 'SAFE',
         description: 'Safety / Traffic Control',
@@ -297,4 +517,4 @@ const CREW_COMPOSITIONS = Object.freeze({
     }),
 });
 
-export { CREW_COMPOSITIONS, LABOR_CLASSIFICATIONS };
+export { CREW_COMPOSITIONS };
@@ -0,0 +1,108 @@
+/**
+ * EquipmentLibrary.js
+ * Ownership and operating inputs for every equipment unit in CREW_COMPOSITIONS.
+ *
+ * Purpose: Replaces the hard-coded equipment $/hr in CREW_COMPOSITIONS with
+ *          rates built up from each unit's cost (engine/EquipmentCost.js), so
+ *          fuel price and fleet changes flow into crew rates.
+ *
+ * Rate basis (FHWA Blue Book / CAT handbook methodology):
+ *   Ownership: depreciation + interest and insurance/tax on the average annual investment
+ *   Operating: fuel burn × fuel price + repairs (repair factor × purchase price
+ *              over life) + wear items (tires, teeth, screeds, cutting edges)
+ *
+ * Calibration: At the reference fuel price each unit reproduces the component
+ * rate CREW_COMPOSITIONS was reconciled to (trailing comments), so estimates
+ * only move when the fuel price or a unit's inputs change. A unit listed at
+ * different rates in different crews gets its own code per rate (EQ-SWR12,
+ * EQ-SWR12R, EQ-SWR12U). Exceptions:
+ *   - EQ-MISC allowances (pickups, small tools) are not units here; crews keep
+ *     the rate they list, and it does not follow the fuel price.
+ *   - EQ-LBOY prices in whole cents: $102.62 against MOBL's $102.625.
+ *
+ * Source rank: 4 (derived; replace with fleet cost records for Rank 1-2)
+ */
+
+// Library-wide basis; a unit may override annualHours, interestRate or insuranceTaxRate
+const EQUIPMENT_RATE_BASIS = Object.freeze({
+    fuelPrice: 3.45,            // $/gal diesel the library is calibrated at
+    annualHours: 1200,          // Operating hours per year (paving season)
+    interestRate: 0.07,         // Cost of capital on the average investment
+    insuranceTaxRate: 0.025,    // Insurance + property tax, fraction of average investment
+});
+
+/**
+ * @param {Object} spec
+ * @param {string} spec.name
+ * @param {number} spec.purchasePrice - $ delivered
+ * @param {number} spec.salvage - $ at end of life
+ * @param {number} spec.lifeHours - Economic life, operating hours
+ * @param {number} spec.fuelBurn - gal/hr at typical load
+ * @param {number} spec.wearPerHour - $/hr for tires, teeth and other wear items
+ * @param {number} spec.repairFactor - Lifetime repairs as a fraction of purchase price
+ */
+function unit(spec) {
+    return Object.freeze({
+        annualHours: EQUIPMENT_RATE_BASIS.annualHours,
+        interestRate: EQUIPMENT_RATE_BASIS.interestRate,
+        insuranceTaxRate: EQUIPMENT_RATE_BASIS.insuranceTaxRate,
+        ...spec,
+    });
+}
+
+// Trailing comment: $/hr at the reference fuel price
+const EQUIPMENT_LIBRARY = Object.freeze({
+    'EQ-ARB': unit({ name: 'Arrow Board (truck-mounted)', purchasePrice: 90000, salvage: 13500, lifeHours: 10000, fuelBurn: 2.0, wearPerHour: 1.49, repairFactor: 0.50 }),  // $25.00
+    'EQ-BH320': unit({ name: 'Backhoe (Cat 320F class, ~50,000 lb)', purchasePrice: 294500, salvage: 73600, lifeHours: 12000, fuelBurn: 4.5, wearPerHour: 2.99, repairFactor: 0.80 }),  // $72.00
+    'EQ-CTRUCK': unit({ name: 'Crew Truck w/ Blower', purchasePrice: 64500, salvage: 12900, lifeHours: 10000, fuelBurn: 2.0, wearPerHour: 1.47, repairFactor: 0.80 }),  // $22.00
+    'EQ-DZR5': unit({ name: 'Dozer (Cat D5 class)', purchasePrice: 142500, salvage: 35600, lifeHours: 12000, fuelBurn: 3.5, wearPerHour: 2.04, repairFactor: 0.80 }),  // $40.00
+    'EQ-GRD120': unit({ name: 'Motor Grader (Cat 120 class)', purchasePrice: 264000, salvage: 66000, lifeHours: 14000, fuelBurn: 4.5, wearPerHour: 3.51, repairFactor: 0.80 }),  // $62.00
+    'EQ-HANDLINER': unit({ name: 'Thermoplastic Handliner', purchasePrice: 54500, salvage: 5400, lifeHours: 6000, fuelBurn: 0.6, wearPerHour: 7.91, repairFactor: 1.00 }),  // $30.00
+    'EQ-HLANCE': unit({ name: 'Air Compressor + Heat Lance', purchasePrice: 36000, salvage: 5400, lifeHours: 8000, fuelBurn: 1.8, wearPerHour: 3.04, repairFactor: 0.80 }),  // $18.50
+    'EQ-KETTLE': unit({ name: 'Premelt Kettle (trailer)', purchasePrice: 93000, salvage: 14000, lifeHours: 8000, fuelBurn: 1.5, wearPerHour: 5.94, repairFactor: 0.80 }),  // $35.00
+    'EQ-LASER': unit({ name: 'Grade Laser', purchasePrice: 39000, salvage: 3900, lifeHours: 5000, fuelBurn: 0.0, wearPerHour: 3.05, repairFactor: 0.50 }),  // $16.00
+    'EQ-LBOY': unit({ name: 'Lowboy Trailer + Tractor (heavy)', purchasePrice: 429000, salvage: 107200, lifeHours: 12000, fuelBurn: 6.0, wearPerHour: 4.00, repairFactor: 0.80 }),  // $102.62
+    'EQ-LBOYH': unit({ name: 'Lowboy Trailer + Tractor (heavy-haul)', purchasePrice: 603500, salvage: 150900, lifeHours: 12000, fuelBurn: 8.0, wearPerHour: 5.53, repairFactor: 0.80 }),  // $142.73
+    'EQ-MELT': unit({ name: 'Oil-Jacketed Melter / Applicator (hot-pour)', purchasePrice: 124000, salvage: 18600, lifeHours: 8000, fuelBurn: 1.5, wearPerHour: 7.97, repairFactor: 0.80 }),  // $45.00
+    'EQ-MILL4': unit({ name: 'Cold Milling Machine (4ft, Wirtgen W150 class)', purchasePrice: 269000, salvage: 67200, lifeHours: 10000, fuelBurn: 8.0, wearPerHour: 16.05, repairFactor: 1.00 }),  // $105.00
+    'EQ-MILL7': unit({ name: 'Cold Milling Machine (7ft, Wirtgen W210 class)', purchasePrice: 810500, salvage: 202600, lifeHours: 10000, fuelBurn: 16.0, wearPerHour: 44.97, repairFactor: 1.00 }),  // $285.00
+    'EQ-MINIEX': unit({ name: 'Mini Excavator (Cat 305 class)', purchasePrice: 200000, salvage: 50000, lifeHours: 8000, fuelBurn: 1.6, wearPerHour: 9.94, repairFactor: 0.80 }),  // $65.00
+    'EQ-MPAV': unit({ name: 'Mini Paver (Cat AP455 class)', purchasePrice: 170000, salvage: 34000, lifeHours: 10000, fuelBurn: 2.5, wearPerHour: 4.05, repairFactor: 1.00 }),  // $52.00
+    'EQ-PADFT': unit({ name: 'Padfoot Roller (66")', purchasePrice: 129500, salvage: 25900, lifeHours: 10000, fuelBurn: 2.0, wearPerHour: 1.03, repairFactor: 0.70 }),  // $34.00
+    'EQ-PADFT84': unit({ name: 'Padfoot Roller (84")', purchasePrice: 164500, salvage: 32900, lifeHours: 10000, fuelBurn: 3.0, wearPerHour: 1.53, repairFactor: 0.70 }),  // $45.00
+    'EQ-PAV1055': unit({ name: 'Paver (Cat AP1055 class)', purchasePrice: 291500, salvage: 58300, lifeHours: 12000, fuelBurn: 4.5, wearPerHour: 5.98, repairFactor: 1.00 }),  // $80.00
+    'EQ-PAV500': unit({ name: 'Paver (Cat AP500 class)', purchasePrice: 206500, salvage: 41300, lifeHours: 12000, fuelBurn: 3.5, wearPerHour: 4.49, repairFactor: 1.00 }),  // $58.00
+    'EQ-PAV500E': unit({ name: 'Paver (Cat AP500 class, extendable screed)', purchasePrice: 212500, salvage: 42500, lifeHours: 12000, fuelBurn: 3.5, wearPerHour: 5.29, repairFactor: 1.00 }),  // $60.00
+    'EQ-PLATE': unit({ name: 'Plate Compactor', purchasePrice: 6500, salvage: 300, lifeHours: 3000, fuelBurn: 0.3, wearPerHour: 0.26, repairFactor: 1.05 }),  // $6.00
+    'EQ-PR9': unit({ name: 'Pneumatic Roller (9-wheel)', purchasePrice: 85000, salvage: 17000, lifeHours: 12000, fuelBurn: 2.2, wearPerHour: 1.48, repairFactor: 0.70 }),  // $24.00
+    'EQ-PR9B': unit({ name: 'Pneumatic Roller (9-wheel, ballasted)', purchasePrice: 89500, salvage: 17900, lifeHours: 12000, fuelBurn: 2.4, wearPerHour: 1.85, repairFactor: 0.70 }),  // $25.85
+    'EQ-RAMMER': unit({ name: 'Trench Rammer', purchasePrice: 12500, salvage: 600, lifeHours: 2500, fuelBurn: 0.3, wearPerHour: 0.46, repairFactor: 1.00 }),  // $12.00
+    'EQ-RECL': unit({ name: 'Reclaimer (Wirtgen WR 240 class)', purchasePrice: 955500, salvage: 238900, lifeHours: 10000, fuelBurn: 18.0, wearPerHour: 40.01, repairFactor: 1.00 }),  // $320.00
+    'EQ-RLRSM': unit({ name: 'Small Vibratory Roller (1-3 ton)', purchasePrice: 85500, salvage: 17100, lifeHours: 8000, fuelBurn: 1.0, wearPerHour: 6.05, repairFactor: 0.70 }),  // $30.00
+    'EQ-ROUTER': unit({ name: 'Crack Router (walk-behind)', purchasePrice: 26500, salvage: 2600, lifeHours: 4000, fuelBurn: 0.6, wearPerHour: 7.89, repairFactor: 1.00 }),  // $24.00
+    'EQ-SAW': unit({ name: 'Walk-Behind Concrete/Asphalt Saw', purchasePrice: 13000, salvage: 1300, lifeHours: 3000, fuelBurn: 0.6, wearPerHour: 3.95, repairFactor: 1.00 }),  // $15.00
+    'EQ-SEALRIG': unit({ name: 'Sealcoat Spray Rig (550 gal tank, agitator)', purchasePrice: 114000, salvage: 17100, lifeHours: 8000, fuelBurn: 0.8, wearPerHour: 5.96, repairFactor: 0.80 }),  // $38.00
+    'EQ-SKID': unit({ name: 'Skid Steer Loader w/ Roll Bar', purchasePrice: 121500, salvage: 30400, lifeHours: 8000, fuelBurn: 2.0, wearPerHour: 8.01, repairFactor: 0.80 }),  // $45.00
+    'EQ-SKIDPL': unit({ name: 'Skid Steer w/ Cold Planer Attachment', purchasePrice: 135000, salvage: 33800, lifeHours: 8000, fuelBurn: 2.2, wearPerHour: 13.98, repairFactor: 0.80 }),  // $55.00
+    'EQ-SKIDT': unit({ name: 'Compact Track Loader (stone placement)', purchasePrice: 133000, salvage: 33200, lifeHours: 8000, fuelBurn: 2.3, wearPerHour: 9.11, repairFactor: 0.80 }),  // $50.00
+    'EQ-SPRDR': unit({ name: 'Metered Cement/Lime Spreader Truck', purchasePrice: 275500, salvage: 55100, lifeHours: 10000, fuelBurn: 4.0, wearPerHour: 2.99, repairFactor: 0.80 }),  // $75.00
+    'EQ-SRL3': unit({ name: 'Small Roller (3-ton SD)', purchasePrice: 74000, salvage: 14800, lifeHours: 8000, fuelBurn: 1.0, wearPerHour: 0.80, repairFactor: 0.70 }),  // $22.00
+    'EQ-SSL': unit({ name: 'Skid Steer Loader', purchasePrice: 80000, salvage: 20000, lifeHours: 8000, fuelBurn: 1.8, wearPerHour: 5.98, repairFactor: 0.80 }),  // $32.00
+    'EQ-STRIPER': unit({ name: 'Airless Line Striper (walk-behind)', purchasePrice: 43000, salvage: 4300, lifeHours: 5000, fuelBurn: 0.4, wearPerHour: 8.04, repairFactor: 1.00 }),  // $28.00
+    'EQ-SWP': unit({ name: 'Street Sweeper', purchasePrice: 157500, salvage: 23600, lifeHours: 10000, fuelBurn: 3.5, wearPerHour: 5.96, repairFactor: 0.80 }),  // $51.83
+    'EQ-SWPT': unit({ name: 'Sweeper (tow-behind)', purchasePrice: 54500, salvage: 5400, lifeHours: 6000, fuelBurn: 0.8, wearPerHour: 3.03, repairFactor: 0.80 }),  // $24.00
+    'EQ-SWR10': unit({ name: 'Steel Wheel Roller (10-ton DD)', purchasePrice: 90500, salvage: 22600, lifeHours: 12000, fuelBurn: 2.5, wearPerHour: 0.98, repairFactor: 0.70 }),  // $25.28
+    'EQ-SWR12': unit({ name: 'Steel Wheel Roller (12-ton DD)', purchasePrice: 116000, salvage: 29000, lifeHours: 12000, fuelBurn: 2.8, wearPerHour: 0.99, repairFactor: 0.70 }),  // $30.75
+    'EQ-SWR12R': unit({ name: 'Steel Wheel Roller (12-ton DD, reclamation duty)', purchasePrice: 116000, salvage: 29000, lifeHours: 12000, fuelBurn: 3.2, wearPerHour: 3.86, repairFactor: 0.70 }),  // $35.00
+    'EQ-SWR12U': unit({ name: 'Steel Wheel Roller (12-ton DD, older model)', purchasePrice: 98000, salvage: 24500, lifeHours: 12000, fuelBurn: 2.8, wearPerHour: 1.36, repairFactor: 0.70 }),  // $28.00
+    'EQ-SWR8': unit({ name: 'Steel Wheel Roller (8-ton DD)', purchasePrice: 97500, salvage: 24400, lifeHours: 12000, fuelBurn: 2.2, wearPerHour: 0.99, repairFactor: 0.70 }),  // $25.48
+    'EQ-TBOX': unit({ name: 'Trench Box (shallow)', purchasePrice: 64000, salvage: 9600, lifeHours: 8000, fuelBurn: 0.0, wearPerHour: 3.96, repairFactor: 0.50 }),  // $18.00
+    'EQ-TCSIGN': unit({ name: 'Signs / Cones / Channelizers', purchasePrice: 28000, salvage: 0, lifeHours: 4000, fuelBurn: 0.0, wearPerHour: 8.06, repairFactor: 0.50 }),  // $20.00
+    'EQ-TDIST': unit({ name: 'Tack Distributor Truck', purchasePrice: 55500, salvage: 11100, lifeHours: 10000, fuelBurn: 2.5, wearPerHour: 0.99, repairFactor: 0.80 }),  // $21.35
+    'EQ-TMA': unit({ name: 'Work Truck w/ TMA Crash Cushion', purchasePrice: 188000, salvage: 37600, lifeHours: 10000, fuelBurn: 2.5, wearPerHour: 2.04, repairFactor: 0.80 }),  // $50.39
+    'EQ-TRLR': unit({ name: 'Pickup + Equipment Trailer', purchasePrice: 176000, salvage: 35200, lifeHours: 10000, fuelBurn: 4.0, wearPerHour: 4.01, repairFactor: 0.80 }),  // $55.00
+    'EQ-VRL10': unit({ name: 'Vibratory Roller (10-ton SD)', purchasePrice: 108000, salvage: 27000, lifeHours: 12000, fuelBurn: 2.4, wearPerHour: 1.01, repairFactor: 0.70 }),  // $28.00
+    'EQ-VRL5': unit({ name: 'Vibratory Roller (SM, 5-ton)', purchasePrice: 60500, salvage: 15100, lifeHours: 10000, fuelBurn: 1.5, wearPerHour: 0.84, repairFactor: 0.70 }),  // $18.00
+});
+
+export { EQUIPMENT_LIBRARY, EQUIPMENT_RATE_BASIS };
@@ -0,0 +1,88 @@
+/**
+ * LaborRates.js
+ * Itemized wage and fringe basis for every labor classification in
+ * CREW_COMPOSITIONS, payroll tax rates, and prevailing-wage tables.
+ *
+ * Purpose: Replaces the single burden percentage per classification with the
+ *          items it is made of, so engine/LaborCost.js can build a burdened
+ *          $/hr from any wage table and price overtime on the wage-driven part.
+ *
+ * Rate basis:
+ *   Burdened $/hr = base wage
+ *                 + payroll taxes (FICA on wages; FUTA/SUTA up to their annual wage base)
+ *                 + fringes (health & welfare, pension, training, employer-paid dues/industry fund)
+ *   Excludes WC/GL (in IndirectCosts), as CREW_COMPOSITIONS does.
+ *
+ * Prevailing-wage tables: Davis-Bacon style heavy/highway determinations by
+ * county. The tables here are SAMPLES shaped on WI20240010 (Sep 2024) —
+ * check every rate against the determination in the bid documents, or copy
+ * a table into a project table in the Labor Rates panel and edit it.
+ *
+ * Source rank: 4 (derived; replace with payroll records / the project wage
+ * determination for Rank 1-2)
+ */
+
+// Employer payroll taxes
+const PAYROLL_TAXES = Object.freeze({
+    ficaRate: 0.0765,           // Social Security 6.2% + Medicare 1.45%
+    futaRate: 0.006,            // After the state credit
+    futaWageBase: 7000,         // $/yr per employee
+    sutaRate: 0.031,            // WI experience-rated construction employer
+    sutaWageBase: 14000,        // $/yr per employee
+    annualHours: 1600,          // Paid hours per year a seasonal paving hand works
+});
+
+// Open shop: time-and-a-half past 8 hr/day or 40 hr/week, double time past 12 hr/day
+const DEFAULT_OVERTIME_RULES = Object.freeze({
+    dailyAfter: 8,              // Hours/day paid straight time (0 = no daily overtime)
+    weeklyAfter: 40,            // Straight-time hours/week (0 = no weekly overtime)
+    multiplier: 1.5,
+    doubleAfter: 12,            // Hours/day before double time (0 = none)
+    doubleMultiplier: 2,
+});
+
+// Company open-shop wage basis ($/hr), Upper Midwest 2025 dollars: a 50-53%
+// burden on the base wage, itemized. Dues are union-only.
+const LABOR_CLASSIFICATIONS = Object.freeze({
+    FOREMAN:  Object.freeze({ label: 'Working Foreman',                 baseWage: 34.00, healthWelfare: 9.00, pension: 5.25, training: 0.85, dues: 0 }),
+    OPER_HVY: Object.freeze({ label: 'Heavy Equipment Operator',        baseWage: 30.00, healthWelfare: 8.50, pension: 4.00, training: 0.80, dues: 0 }),
+    OPER_LT:  Object.freeze({ label: 'Light Equipment Operator',        baseWage: 25.00, healthWelfare: 7.50, pension: 2.65, training: 0.65, dues: 0 }),
+    LAB_BIT:  Object.freeze({ label: 'Bituminous Laborer (Raker/Lute)', baseWage: 18.50, healthWelfare: 5.75, pension: 1.50, training: 0.45, dues: 0 }),
+    LABORER:  Object.freeze({ label: 'General Laborer',                 baseWage: 20.00, healthWelfare: 6.00, pension: 1.70, training: 0.45, dues: 0 }),
+    FLAGGER:  Object.freeze({ label: 'Flagger / Traffic Control',       baseWage: 23.00, healthWelfare: 7.00, pension: 2.30, training: 0.60, dues: 0 }),
+});
+
+/**
+ * A county heavy/highway table: operators and laborers share their craft's
+ * fringe package; the foreman is paid over the heavy operator.
+ * @param {Object} spec - label, county, operator and laborer base wages
+ * @returns {Object} Frozen prevailing-wage table
+ */
+function countyTable({ label, county, operator, laborer }) {
+    const operFringes = { healthWelfare: 13.15, pension: 16.55, training: 0.85, dues: 0.30 };
+    const labFringes = { healthWelfare: 8.10, pension: 11.30, training: 0.40, dues: 0.35 };
+    const cls = (key, baseWage, fringes) =>
+        Object.freeze({ label: LABOR_CLASSIFICATIONS[key].label, baseWage: Math.round(baseWage * 100) / 100, ...fringes });
+    return Object.freeze({
+        label,
+        county,
+        determination: 'Sample — verify against the project wage determination',
+        overtime: DEFAULT_OVERTIME_RULES,
+        classifications: Object.freeze({
+            FOREMAN:  cls('FOREMAN', operator + 1.50, operFringes),
+            OPER_HVY: cls('OPER_HVY', operator, operFringes),
+            OPER_LT:  cls('OPER_LT', operator - 2.30, operFringes),
+            LAB_BIT:  cls('LAB_BIT', laborer + 0.50, labFringes),
+            LABORER:  cls('LABORER', laborer, labFringes),
+            FLAGGER:  cls('FLAGGER', laborer - 3.20, labFringes),
+        }),
+    });
+}
+
+const PREVAILING_WAGE_TABLES = Object.freeze({
+    'WI-DANE':      countyTable({ label: 'Dane County, WI — Heavy & Highway', county: 'Dane, WI', operator: 44.50, laborer: 37.00 }),
+    'WI-MILWAUKEE': countyTable({ label: 'Milwaukee County, WI — Heavy & Highway', county: 'Milwaukee, WI', operator: 45.25, laborer: 37.75 }),
+    'WI-BROWN':     countyTable({ label: 'Brown County, WI — Heavy & Highway', county: 'Brown, WI', operator: 43.00, laborer: 35.50 }),
+});
+
+export { DEFAULT_OVERTIME_RULES, LABOR_CLASSIFICATIONS, PAYROLL_TAXES, PREVAILING_WAGE_TABLES };
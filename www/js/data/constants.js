@@ -8,11 +8,19 @@ export const CONSTANTS = {
     HMA_DENSITY: 145,           // lbs/ft³ — compacted HMA (Asphalt Institute)
     DGA_DENSITY: 1.9,           // tons/CY — compacted DGA (Industry standard)
     SOIL_DENSITY: 1.5,          // tons/CY — excavated soil (Caterpillar handbook)
+    CLEAN_STONE_DENSITY: 1.4,   // tons/CY — #57 / #2 clean stone, placed and tamped
     RAP_DENSITY: 130,           // lbs/ft³ — loose RAP (FHWA)
+    RECLAIMED_DENSITY: 1.8,     // tons/CY — compacted reclaimed base in place (pulverized HMA + aggregate)
+    WATER_LBS_PER_GAL: 8.34,    // lbs/gal — water
 
     // Truck capacities
     TRUCK_CY: 16,               // Cubic yards per tri-axle dump truck (dirt/aggregate)
     TRUCK_TONS: 22,             // Tons per tri-axle dump truck (HMA/material)
+    WATER_TRUCK_GAL: 4000,      // Gallons per water truck load
+
+    // Geotextile
+    GEOTEXTILE_OVERLAP: 1.10,   // Fabric SY per SY covered — 12-18" laps plus anchor trench
+    GEOTEXTILE_ROLL_SY: 500,    // SY per roll — 12.5' × 360'
 
     // Work day
     WORKDAY_HOURS: 8,           // Standard work hours per shift
@@ -41,12 +49,33 @@ export const MATERIAL_PRICES = {
     // Aggregate
     dga:            20.25,  // $/TON — Dense Graded Aggregate
     dga_rap:        14.00,  // $/TON — DGA/RAP blend
+    stone_57:       30.00,  // $/TON — #57 clean stone, delivered
+
+    // Subgrade
+    geotextile_woven: 1.60,  // $/SY — woven stabilization fabric (200-315 lb grab)
+    pipe_perf_4:      1.20,  // $/LF — 4" corrugated HDPE perforated underdrain w/ sock
+    pipe_perf_6:      2.60,  // $/LF — 6" corrugated HDPE perforated underdrain w/ sock
 
     // Tack coat
     tack_std:        3.75,  // $/GAL — standard tack
     tack_64:         4.25,  // $/GAL — 64-22 tack
     tack_76:         6.50,  // $/GAL — 76-22 tack
 
+    // Pavement maintenance
+    sealcoat_mixed:  1.60,  // $/GAL — coal-tar / asphalt emulsion sealer, mixed with water and additive
+    sealcoat_sand:   0.06,  // $/LB — silica sand additive
+    crack_sealant:   0.85,  // $/LB — hot-pour rubberized crack sealant
+    traffic_paint:  18.00,  // $/GAL — waterborne traffic paint, white/yellow
+    thermoplastic:   0.95,  // $/LB — alkyd thermoplastic, hand-applied
+
+    // Concrete
+    readymix_4000:    165.00,  // $/CY — 4,000 psi air-entrained ready-mix, delivered
+    warning_panel:    185.00,  // $/EA — 2'×4' cast-in-place detectable warning panel
+
+    // Stabilization agents
+    cement_bulk:      160.00,  // $/TON — Type I/II portland cement, pneumatic tanker delivery
+    lime_bulk:        190.00,  // $/TON — hydrated lime, pneumatic tanker delivery
+
     // Disposal
     disposal_asphalt:   7.50,  // $/TON — broken asphalt
     disposal_concrete:  7.50,  // $/TON — broken concrete
@@ -54,6 +83,7 @@ export const MATERIAL_PRICES = {
 
     // Consumables
     milling_teeth:      0.15,  // $/SY — milling teeth wear
+    sawcut_blade:       0.35,  // $/LF — diamond blade wear, full-depth asphalt cut
 
     // Plant opening fees
     plant_open_weekday: 1500,  // $ — Mon-Sat
@@ -81,5 +111,7 @@ export const CONSTANT_SOURCES = {
     TRUCK_CY:     { value: 16, unit: 'CY', source: 'Industry standard', note: 'Tri-axle dump, heaped' },
     TRUCK_TONS:   { value: 22, unit: 'tons', source: 'Industry standard', note: 'Tri-axle dump, legal gross weight' },
     HMA_FACTOR:   { value: 0.0575, unit: 'tons/SY-in', source: 'Industry rule of thumb', note: '≈ 115 lbs/SY-in (conservative). Asphalt Institute baseline is 110-112 lbs/SY-in (0.0550-0.0560)' },
-    RAP_FACTOR:   { value: 0.04875, unit: 'tons/SY-in', source: 'Derived from RAP_DENSITY', note: '130×9/12/2000' }
+    RAP_FACTOR:   { value: 0.04875, unit: 'tons/SY-in', source: 'Derived from RAP_DENSITY', note: '130×9/12/2000' },
+    CLEAN_STONE_DENSITY: { value: 1.4, unit: 'tons/CY', source: 'Quarry product data', note: 'Open-graded #57 / #2, varies 1.3-1.5' },
+    RECLAIMED_DENSITY: { value: 1.8, unit: 'tons/CY', source: 'PCA Full-Depth Reclamation guide', note: 'Compacted in place, varies 1.7-2.0 with HMA share and gradation' }
 };
@@ -12,7 +12,7 @@ import { Quantity } from '../models/Quantity.js';
 import { Activity, DependencyType, DependencySource } from '../models/Activity.js';
 import { WorkPackage } from '../models/WorkPackage.js';
 import { RiskItem, RiskType } from '../models/RiskRegister.js';
-import { CONSTANTS } from './constants.js';
+import { CONSTANTS, MATERIAL_PRICES } from './constants.js';
 
 // ============================================
 // PRODUCTION RATE OPTIONS
@@ -25,7 +25,20 @@ export const RATE_OPTIONS = {
     dga_base: [50, 100, 150, 200, 300, 400, 500, 600, 700, 800, 1000, 1200],
     milling: [500, 1000, 1500, 2000, 3000, 4000, 5000, 6000, 8000, 10000, 14000, 18000, 25000],
     paving_base: [500, 750, 1000, 1500, 2000, 2500, 3000, 3500, 4000, 4500, 5000, 6000, 8000],
-    paving_surface: [500, 750, 1000, 1500, 2000, 2500, 3000, 3500, 4000, 5000, 6000, 8000]
+    paving_surface: [500, 750, 1000, 1500, 2000, 2500, 3000, 3500, 4000, 5000, 6000, 8000],
+    crack_seal: [1000, 1500, 2000, 2500, 3000, 3500, 4000, 5000, 6000, 8000],
+    sealcoat: [1500, 2000, 2500, 3000, 4000, 5000, 6000, 8000, 10000, 12000],
+    striping: [1000, 2000, 3000, 4000, 5000, 6000, 8000, 10000, 15000, 20000, 30000],
+    patching: [50, 100, 150, 200, 250, 300, 400, 500, 600, 800],
+    curb: [100, 200, 300, 400, 500, 600, 800, 1000, 1500, 2000],
+    sidewalk: [400, 600, 800, 1000, 1200, 1500, 1800, 2000, 2500],
+    ada_ramp: [1, 1.5, 2, 2.5, 3, 4],
+    cb_adjust: [2, 3, 4, 5, 6, 8],
+    fdr: [1500, 2000, 2500, 3000, 3500, 4000, 5000, 6000, 8000, 10000],
+    stabilization: [2000, 3000, 4000, 5000, 6000, 8000, 10000, 12000],
+    geotextile: [1000, 2000, 3000, 4000, 5000, 6000, 8000],
+    underdrain: [100, 200, 300, 400, 500, 600, 800, 1000],
+    undercut: [40, 60, 80, 100, 120, 160, 200, 250, 300, 400]
 };
 
 // ============================================
@@ -39,7 +52,20 @@ export const CREW_SIZE_OPTIONS = {
     dga_base: [1, 2, 3, 4, 5, 6, 8, 10],
     milling: [2, 3, 4, 5, 6, 8, 10],
     paving_base: [2, 3, 4, 5, 6, 8, 10, 12],
-    paving_surface: [2, 3, 4, 5, 6, 8, 10, 12]
+    paving_surface: [2, 3, 4, 5, 6, 8, 10, 12],
+    crack_seal: [2, 3, 4, 5],
+    sealcoat: [2, 3, 4, 5, 6],
+    striping: [1, 2, 3, 4],
+    patching: [3, 4, 5, 6],
+    curb: [3, 4, 5, 6, 8],
+    sidewalk: [3, 4, 5, 6, 8],
+    ada_ramp: [3, 4, 5, 6],
+    cb_adjust: [2, 3, 4],
+    fdr: [4, 5, 6, 7],
+    stabilization: [3, 4, 5, 6],
+    geotextile: [2, 3, 4],
+    underdrain: [2, 3, 4, 5],
+    undercut: [2, 3, 4, 5]
 };
 
 export const DEFAULT_CREW_SIZES = {
@@ -48,7 +74,20 @@ export const DEFAULT_CREW_SIZES = {
     dga_base: 3,
     milling: 4,
     paving_base: 6,
-    paving_surface: 6
+    paving_surface: 6,
+    crack_seal: 3,
+    sealcoat: 3,
+    striping: 2,
+    patching: 4,
+    curb: 5,
+    sidewalk: 5,
+    ada_ramp: 5,
+    cb_adjust: 2,
+    fdr: 5,
+    stabilization: 4,
+    geotextile: 3,
+    underdrain: 3,
+    undercut: 3
 };
 
 // ============================================
@@ -103,6 +142,19 @@ export const PRODUCTION_RATES = {
         paving_base:   1200,   // SY/day — industry small crew range (1,000-2,000)
         paving_surface: 3500,  // SY/day — industry small crew thin lift (2,000-4,000)
         tack_coat:     5000,   // SY/day — distributor truck, estimated
+        crack_seal:    2500,   // LF/day — melter crew, unrouted, scattered lot cracking
+        sealcoat:      4000,   // SY/day — spray rig, 2 coats
+        striping:      4000,   // LF/day — 4" equivalent, paint with stall layout
+        patching:       250,   // SY/day — full-depth patch, skid steer removal
+        curb:           300,   // LF/day — hand-formed curb & gutter
+        sidewalk:      1000,   // SF/day — 4" walk, hand-formed
+        ada_ramp:         2,   // EA/day — ramp with flares, landing and warning panel
+        cb_adjust:        4,   // EA/day — raise or lower a structure frame with collar
+        fdr:           3000,   // SY/day — reclaimer in a lot, short passes and turns
+        stabilization: 4000,   // SY/day — spread and mix pass
+        geotextile:    3000,   // SY/day — unroll, lap and pin by hand
+        underdrain:     300,   // LF/day — trench, pipe, stone and fabric wrap
+        undercut:       120,   // CY/day — dig out, place fabric, backfill and tamp stone
     },
     roadway: {
         excavation:     300,   // CY/day — WisDOT truck-based low 250, typical 600
@@ -112,6 +164,19 @@ export const PRODUCTION_RATES = {
         paving_base:   3500,   // SY/day — WisDOT 1,300 T/day at 2.5" ≈ 3,800 SY/day
         paving_surface: 6000,  // SY/day — WisDOT 1,300 T/day at 1.5" ≈ 15,700; conservative for real conditions
         tack_coat:    10000,   // SY/day — distributor truck on open road, estimated
+        crack_seal:    4500,   // LF/day — continuous longitudinal cracks
+        sealcoat:      8000,   // SY/day — spray rig on open pavement, 2 coats
+        striping:     15000,   // LF/day — 4" equivalent, truck-mounted long line
+        patching:       400,   // SY/day — full-depth patch, larger lane-width areas
+        curb:           500,   // LF/day — hand-formed, long straight runs
+        sidewalk:      1500,   // SF/day — long straight walk
+        ada_ramp:         3,   // EA/day — standard perpendicular ramps at intersections
+        cb_adjust:        5,   // EA/day — structures in the roadway
+        fdr:           7000,   // SY/day — reclaimer on a two-lane road, 8-10" pulverize
+        stabilization: 8000,   // SY/day — spread and mix pass
+        geotextile:    5000,   // SY/day — full-width rolls off a roll bar
+        underdrain:     500,   // LF/day — edge drain along the pavement edge
+        undercut:       250,   // CY/day — excavator loading trucks, stone tailgated back
     }
 };
 
@@ -148,6 +213,36 @@ export const PRODUCTION_RATES = {
 //   depth factors (paving):
 //     Derived from tonnage math at 110 lbs/SY/inch spread rate
 //     2" to 3" = 7,900/11,800 = 0.67; 1.5" to 2.5" = 9,500/15,700 = 0.60
+//   crack_seal (LF/day):
+//     Industry melter crews: 2,000-6,000 LF/day unrouted; routing roughly
+//     halves output (router runs ahead of the wand at walking pace)
+//   sealcoat (SY/day, 2 coats):
+//     Spray rig 30,000-60,000 SF/day per coat; squeegee work in tight lots
+//     runs well below that. One coat ≈ 1.6× the 2-coat daily area
+//   striping (LF/day of 4" equivalent line):
+//     Walk-behind paint crews: 150-250 stalls/day including layout;
+//     truck-mounted long line 20,000+ LF/day. Hand-applied thermoplastic
+//     runs at roughly half the paint rate (kettle reloads, preheating)
+//   patching (SY/day, full depth):
+//     Skid steer with planer or mini excavator: 150-450 SY/day on 25+ SY
+//     patches. Smaller patches lose time to setup and sawcutting through
+//     PATCH_SIZE_FACTORS (applied as a productivity modifier, not here)
+//   curb (LF/day): hand-formed curb & gutter 200-600 LF/day with a 5-man
+//     form and finish crew; a slipform machine runs about 3× that
+//   sidewalk (SF/day): 800-2,000 SF/day hand-formed; thicker walks slow
+//     placement and finishing
+//   ada_ramp, cb_adjust (EA/day): local contractor production, estimated
+//   fdr, stabilization (SY/day):
+//     PCA FDR guide: 5,000-10,000 SY/day per reclaimer on open roadway;
+//     lots run well below with short passes. Deeper cuts slow the drum
+//   geotextile (SY/day): 2,000-6,000 SY/day placing by hand or roll bar,
+//     estimated
+//   underdrain (LF/day): 200-800 LF/day with a mini excavator or trencher;
+//     deep trenches (over 4') slow the dig and stone placement
+//   undercut (CY/day): dig-out and stone replacement runs about half the
+//     excavation rate (backfill and tamp in the same hole); estimated
+//   paramBreaks: factor by a takeoff param (ACTIVITY_CONFIG.params), same
+//     shape as depthBreaks; booleans compare as 0/1
 // ============================================
 
 export const SUGGESTED_RATES = {
@@ -232,6 +327,168 @@ export const SUGGESTED_RATES = {
                 { maxDepth: Infinity, factor: 0.55 }, // very thick surface lift
             ],
         },
+        crack_seal: {
+            // Melter crew, scattered lot cracking with frequent moves
+            tiers: [
+                { maxQty:  1000, rate: 1500 },
+                { maxQty:  3000, rate: 2500 },
+                { maxQty:  8000, rate: 3500 },
+                { maxQty: Infinity, rate: 4500 },
+            ],
+            depthBreaks: null,
+            paramBreaks: {
+                routed: [
+                    { maxValue: 0, factor: 1.00 },
+                    { maxValue: Infinity, factor: 0.55 },  // router ahead of the wand
+                ],
+            },
+        },
+        sealcoat: {
+            // Spray rig with squeegee edging around islands and curbs
+            tiers: [
+                { maxQty:  2000, rate: 2500 },
+                { maxQty:  6000, rate: 4000 },
+                { maxQty: 15000, rate: 6000 },
+                { maxQty: Infinity, rate: 8000 },
+            ],
+            depthBreaks: null,
+            paramBreaks: {
+                coats: [
+                    { maxValue: 1, factor: 1.60 },
+                    { maxValue: 2, factor: 1.00 },
+                    { maxValue: Infinity, factor: 0.70 },
+                ],
+            },
+        },
+        striping: {
+            // Stall lines and symbols with layout, short pulls between islands
+            tiers: [
+                { maxQty:  1500, rate: 2500 },
+                { maxQty:  5000, rate: 4000 },
+                { maxQty: 15000, rate: 6000 },
+                { maxQty: Infinity, rate: 8000 },
+            ],
+            depthBreaks: null,
+            paramBreaks: {
+                thermoplastic: [
+                    { maxValue: 0, factor: 1.00 },
+                    { maxValue: Infinity, factor: 0.50 },
+                ],
+            },
+        },
+        patching: {
+            // Scattered patches, removal by skid steer, fill in 2 lifts
+            tiers: [
+                { maxQty:   100, rate: 150 },
+                { maxQty:   400, rate: 250 },
+                { maxQty:  1500, rate: 350 },
+                { maxQty: Infinity, rate: 450 },
+            ],
+            depthBreaks: [
+                { maxDepth: 4.0, factor: 1.00 },
+                { maxDepth: 8.0, factor: 0.80 },   // second lift, deeper removal
+                { maxDepth: Infinity, factor: 0.60 },
+            ],
+        },
+        curb: {
+            // Hand-formed around islands and radii
+            tiers: [
+                { maxQty:  200, rate: 200 },
+                { maxQty:  600, rate: 300 },
+                { maxQty: 2000, rate: 400 },
+                { maxQty: Infinity, rate: 500 },
+            ],
+            depthBreaks: null,
+            paramBreaks: {
+                slipform: [
+                    { maxValue: 0, factor: 1.00 },
+                    { maxValue: Infinity, factor: 3.00 },
+                ],
+            },
+        },
+        sidewalk: {
+            tiers: [
+                { maxQty:  500, rate:  600 },
+                { maxQty: 2000, rate: 1000 },
+                { maxQty: 6000, rate: 1400 },
+                { maxQty: Infinity, rate: 1800 },
+            ],
+            depthBreaks: [
+                { maxDepth: 4.0, factor: 1.00 },
+                { maxDepth: 6.0, factor: 0.85 },
+                { maxDepth: Infinity, factor: 0.70 },
+            ],
+        },
+        ada_ramp: {
+            tiers: [
+                { maxQty: 2, rate: 2 },
+                { maxQty: 6, rate: 2.5 },
+                { maxQty: Infinity, rate: 3 },
+            ],
+            depthBreaks: null,
+        },
+        cb_adjust: {
+            tiers: [
+                { maxQty:  3, rate: 3 },
+                { maxQty: 10, rate: 4 },
+                { maxQty: Infinity, rate: 5 },
+            ],
+            depthBreaks: null,
+        },
+        geotextile: {
+            tiers: [
+                { maxQty: 1000, rate: 2000 },
+                { maxQty: 5000, rate: 3000 },
+                { maxQty: Infinity, rate: 4000 },
+            ],
+            depthBreaks: null,
+        },
+        underdrain: {
+            tiers: [
+                { maxQty:  200, rate: 200 },
+                { maxQty: 1000, rate: 300 },
+                { maxQty: Infinity, rate: 400 },
+            ],
+            depthBreaks: null,
+            paramBreaks: {
+                trenchDepth: [
+                    { maxValue: 48, factor: 1.00 },
+                    { maxValue: Infinity, factor: 0.75 },
+                ],
+            },
+        },
+        undercut: {
+            tiers: [
+                { maxQty:   50, rate:  80 },
+                { maxQty:  200, rate: 120 },
+                { maxQty: Infinity, rate: 160 },
+            ],
+            depthBreaks: null,
+        },
+        fdr: {
+            tiers: [
+                { maxQty: 2000, rate: 2500 },
+                { maxQty: 6000, rate: 3500 },
+                { maxQty: Infinity, rate: 4500 },
+            ],
+            depthBreaks: [
+                { maxDepth:  8.0, factor: 1.00 },
+                { maxDepth: 12.0, factor: 0.85 },
+                { maxDepth: Infinity, factor: 0.70 },
+            ],
+        },
+        stabilization: {
+            tiers: [
+                { maxQty: 2000, rate: 3000 },
+                { maxQty: 6000, rate: 4000 },
+                { maxQty: Infinity, rate: 5000 },
+            ],
+            depthBreaks: [
+                { maxDepth:  8.0, factor: 1.00 },
+                { maxDepth: 12.0, factor: 0.85 },
+                { maxDepth: Infinity, factor: 0.70 },
+            ],
+        },
     },
     roadway: {
         excavation: {
@@ -308,12 +565,168 @@ export const SUGGESTED_RATES = {
                 { maxDepth: Infinity, factor: 0.55 },
             ],
         },
+        crack_seal: {
+            // Long continuous joints and edge cracks
+            tiers: [
+                { maxQty:  3000, rate: 3000 },
+                { maxQty: 10000, rate: 4500 },
+                { maxQty: Infinity, rate: 6000 },
+            ],
+            depthBreaks: null,
+            paramBreaks: {
+                routed: [
+                    { maxValue: 0, factor: 1.00 },
+                    { maxValue: Infinity, factor: 0.55 },
+                ],
+            },
+        },
+        sealcoat: {
+            // Open pavement, full spray
+            tiers: [
+                { maxQty:  5000, rate:  5000 },
+                { maxQty: 20000, rate:  8000 },
+                { maxQty: Infinity, rate: 10000 },
+            ],
+            depthBreaks: null,
+            paramBreaks: {
+                coats: [
+                    { maxValue: 1, factor: 1.60 },
+                    { maxValue: 2, factor: 1.00 },
+                    { maxValue: Infinity, factor: 0.70 },
+                ],
+            },
+        },
+        striping: {
+            // Centerline and edge line, truck-mounted
+            tiers: [
+                { maxQty: 10000, rate: 10000 },
+                { maxQty: 40000, rate: 20000 },
+                { maxQty: Infinity, rate: 30000 },
+            ],
+            depthBreaks: null,
+            paramBreaks: {
+                thermoplastic: [
+                    { maxValue: 0, factor: 1.00 },
+                    { maxValue: Infinity, factor: 0.50 },
+                ],
+            },
+        },
+        patching: {
+            // Lane-width patches under traffic control
+            tiers: [
+                { maxQty:  500, rate: 300 },
+                { maxQty: 2000, rate: 450 },
+                { maxQty: Infinity, rate: 600 },
+            ],
+            depthBreaks: [
+                { maxDepth: 4.0, factor: 1.00 },
+                { maxDepth: 8.0, factor: 0.80 },
+                { maxDepth: Infinity, factor: 0.60 },
+            ],
+        },
+        curb: {
+            // Long runs along the roadway edge
+            tiers: [
+                { maxQty:  1000, rate: 400 },
+                { maxQty:  5000, rate: 500 },
+                { maxQty: Infinity, rate: 600 },
+            ],
+            depthBreaks: null,
+            paramBreaks: {
+                slipform: [
+                    { maxValue: 0, factor: 1.00 },
+                    { maxValue: Infinity, factor: 3.00 },
+                ],
+            },
+        },
+        sidewalk: {
+            tiers: [
+                { maxQty:  2000, rate: 1000 },
+                { maxQty: 10000, rate: 1500 },
+                { maxQty: Infinity, rate: 2000 },
+            ],
+            depthBreaks: [
+                { maxDepth: 4.0, factor: 1.00 },
+                { maxDepth: 6.0, factor: 0.85 },
+                { maxDepth: Infinity, factor: 0.70 },
+            ],
+        },
+        ada_ramp: {
+            tiers: [
+                { maxQty: 4, rate: 2.5 },
+                { maxQty: Infinity, rate: 3 },
+            ],
+            depthBreaks: null,
+        },
+        cb_adjust: {
+            tiers: [
+                { maxQty:  5, rate: 4 },
+                { maxQty: Infinity, rate: 5 },
+            ],
+            depthBreaks: null,
+        },
+        geotextile: {
+            tiers: [
+                { maxQty:  5000, rate: 4000 },
+                { maxQty: 20000, rate: 5000 },
+                { maxQty: Infinity, rate: 6000 },
+            ],
+            depthBreaks: null,
+        },
+        underdrain: {
+            tiers: [
+                { maxQty:  500, rate: 300 },
+                { maxQty: 2000, rate: 500 },
+                { maxQty: Infinity, rate: 700 },
+            ],
+            depthBreaks: null,
+            paramBreaks: {
+                trenchDepth: [
+                    { maxValue: 48, factor: 1.00 },
+                    { maxValue: Infinity, factor: 0.75 },
+                ],
+            },
+        },
+        undercut: {
+            tiers: [
+                { maxQty:  100, rate: 150 },
+                { maxQty:  500, rate: 250 },
+                { maxQty: Infinity, rate: 350 },
+            ],
+            depthBreaks: null,
+        },
+        fdr: {
+            tiers: [
+                { maxQty:  5000, rate: 5000 },
+                { maxQty: 15000, rate: 7000 },
+                { maxQty: Infinity, rate: 9000 },
+            ],
+            depthBreaks: [
+                { maxDepth:  8.0, factor: 1.00 },
+                { maxDepth: 12.0, factor: 0.85 },
+                { maxDepth: Infinity, factor: 0.70 },
+            ],
+        },
+        stabilization: {
+            tiers: [
+                { maxQty:  5000, rate:  6000 },
+                { maxQty: 15000, rate:  8000 },
+                { maxQty: Infinity, rate: 10000 },
+            ],
+            depthBreaks: [
+                { maxDepth:  8.0, factor: 1.00 },
+                { maxDepth: 12.0, factor: 0.85 },
+                { maxDepth: Infinity, factor: 0.70 },
+            ],
+        },
     },
 };
 
 // ============================================
 // HISTORICAL BENCHMARKS — unit cost reasonableness ranges
-// Excavation & DGA: $/CY (volume-driven)
+// Excavation, DGA & undercut: $/CY (volume-driven)
+// Crack seal, striping, curb, underdrain: $/LF (striping per LF of 4" equivalent line)
+// Sidewalk: $/SF; ADA ramps, structure adjustments: $/EA
 // All others: $/SY (area-driven)
 //
 // Sources:
@@ -326,6 +739,20 @@ export const SUGGESTED_RATES = {
 //     Derived — estimated from WisDOT FY2024 Average Unit Price List
 //     and industry cost guides, no direct bid tab extraction
 //   tack_coat: derived from application rate × material cost
+//   crack_seal, sealcoat: derived from regional maintenance pricing
+//     (two coats of sealer bid at $0.10-0.18/SF, backed out to direct cost),
+//     no direct sample
+//   striping: derived from regional striping pricing for paint
+//     ($0.25-0.60/LF bid), backed out to direct cost; thermoplastic
+//     runs 3-4× paint and reads HIGH against these ranges
+//   patching: derived from regional full-depth patch pricing at 6-8"
+//     (sawcut, remove, base repair, HMA fill), no direct sample
+//   curb, sidewalk, ada_ramp, cb_adjust: derived from regional concrete
+//     subcontractor pricing backed out to direct cost, no direct sample
+//   fdr, stabilization: derived from PCA FDR cost guidance and regional
+//     reclamation bids backed out to direct cost, no direct sample
+//   geotextile, underdrain, undercut: derived from material cost plus
+//     crew time at the default rates, no direct sample
 // ============================================
 
 export const BENCHMARKS = {
@@ -337,6 +764,19 @@ export const BENCHMARKS = {
         paving_base:    { p25: 22.31, median: 28.10, p75: 35.26, n: 162, basis: 'empirical', unit: 'SY' },
         paving_surface: { p25: 10.30, median: 11.09, p75: 12.25, n: 163, basis: 'empirical', unit: 'SY' },
         tack_coat:      { p25:  0.15, median:  0.22, p75:  0.35, n: 0,   basis: 'derived',   unit: 'SY' },
+        crack_seal:     { p25:  0.75, median:  1.10, p75:  1.60, n: 0,   basis: 'derived',   unit: 'LF' },
+        sealcoat:       { p25:  0.55, median:  0.75, p75:  1.00, n: 0,   basis: 'derived',   unit: 'SY' },
+        striping:       { p25:  0.22, median:  0.32, p75:  0.45, n: 0,   basis: 'derived',   unit: 'LF' },
+        patching:       { p25: 25.00, median: 35.00, p75: 50.00, n: 0,   basis: 'derived',   unit: 'SY' },
+        curb:           { p25: 16.00, median: 22.00, p75: 30.00, n: 0,   basis: 'derived',   unit: 'LF' },
+        sidewalk:       { p25:  4.00, median:  5.50, p75:  7.50, n: 0,   basis: 'derived',   unit: 'SF' },
+        ada_ramp:       { p25: 1400,  median: 2000,  p75: 2800,  n: 0,   basis: 'derived',   unit: 'EA' },
+        cb_adjust:      { p25: 250,   median: 400,   p75: 600,   n: 0,   basis: 'derived',   unit: 'EA' },
+        fdr:            { p25:  2.00, median:  3.00, p75:  4.50, n: 0,   basis: 'derived',   unit: 'SY' },
+        stabilization:  { p25:  3.50, median:  5.00, p75:  7.00, n: 0,   basis: 'derived',   unit: 'SY' },
+        geotextile:     { p25:  1.75, median:  2.25, p75:  3.00, n: 0,   basis: 'derived',   unit: 'SY' },
+        underdrain:     { p25: 12.00, median: 17.00, p75: 25.00, n: 0,   basis: 'derived',   unit: 'LF' },
+        undercut:       { p25: 45.00, median: 65.00, p75: 90.00, n: 0,   basis: 'derived',   unit: 'CY' },
     },
     roadway: {
         excavation:     { p25:  8.00, median: 12.00, p75: 20.00, n: 0, basis: 'derived', unit: 'CY' },
@@ -346,12 +786,27 @@ export const BENCHMARKS = {
         paving_base:    { p25:  8.00, median: 11.50, p75: 16.00, n: 0, basis: 'derived', unit: 'SY' },
         paving_surface: { p25:  6.00, median:  8.50, p75: 12.00, n: 0, basis: 'derived', unit: 'SY' },
         tack_coat:      { p25:  0.10, median:  0.18, p75:  0.30, n: 0, basis: 'derived', unit: 'SY' },
+        crack_seal:     { p25:  0.50, median:  0.80, p75:  1.20, n: 0, basis: 'derived', unit: 'LF' },
+        sealcoat:       { p25:  0.45, median:  0.60, p75:  0.85, n: 0, basis: 'derived', unit: 'SY' },
+        striping:       { p25:  0.10, median:  0.16, p75:  0.25, n: 0, basis: 'derived', unit: 'LF' },
+        patching:       { p25: 20.00, median: 28.00, p75: 40.00, n: 0, basis: 'derived', unit: 'SY' },
+        curb:           { p25: 14.00, median: 19.00, p75: 26.00, n: 0, basis: 'derived', unit: 'LF' },
+        sidewalk:       { p25:  3.50, median:  4.75, p75:  6.50, n: 0, basis: 'derived', unit: 'SF' },
+        ada_ramp:       { p25: 1500,  median: 2200,  p75: 3000,  n: 0, basis: 'derived', unit: 'EA' },
+        cb_adjust:      { p25: 250,   median: 400,   p75: 600,   n: 0, basis: 'derived', unit: 'EA' },
+        fdr:            { p25:  1.50, median:  2.25, p75:  3.25, n: 0, basis: 'derived', unit: 'SY' },
+        stabilization:  { p25:  3.00, median:  4.25, p75:  6.00, n: 0, basis: 'derived', unit: 'SY' },
+        geotextile:     { p25:  1.60, median:  2.05, p75:  2.75, n: 0, basis: 'derived', unit: 'SY' },
+        underdrain:     { p25: 10.00, median: 14.00, p75: 20.00, n: 0, basis: 'derived', unit: 'LF' },
+        undercut:       { p25: 40.00, median: 55.00, p75: 80.00, n: 0, basis: 'derived', unit: 'CY' },
     }
 };
 
 // ============================================
 // QUANTITY RANGES — typical job sizes
 // Excavation & DGA: CY (volume-driven)
+// Crack seal, striping, curb: LF
+// Sidewalk: SF; ADA ramps, structure adjustments: EA
 // All others: SY (area-driven)
 // ============================================
 
@@ -364,6 +819,19 @@ export const QTY_RANGES = {
         paving_base:    { low:  200, high: 12000, unit: 'SY' },
         paving_surface: { low:  500, high: 25000, unit: 'SY' },
         tack_coat:      { low:  500, high: 25000, unit: 'SY' },
+        crack_seal:     { low:  200, high: 15000, unit: 'LF' },
+        sealcoat:       { low: 1000, high: 40000, unit: 'SY' },
+        striping:       { low:  500, high: 30000, unit: 'LF' },
+        patching:       { low:   20, high:  2000, unit: 'SY' },
+        curb:           { low:   50, high:  3000, unit: 'LF' },
+        sidewalk:       { low:  100, high: 10000, unit: 'SF' },
+        ada_ramp:       { low:    1, high:    12, unit: 'EA' },
+        cb_adjust:      { low:    1, high:    15, unit: 'EA' },
+        fdr:            { low: 1000, high: 20000, unit: 'SY' },
+        stabilization:  { low: 1000, high: 20000, unit: 'SY' },
+        geotextile:     { low:  200, high: 15000, unit: 'SY' },
+        underdrain:     { low:   50, high:  2000, unit: 'LF' },
+        undercut:       { low:   10, high:   800, unit: 'CY' },
     },
     roadway: {
         excavation:     { low:   50, high:  5000, unit: 'CY' },
@@ -373,6 +841,19 @@ export const QTY_RANGES = {
         paving_base:    { low: 1000, high: 30000, unit: 'SY' },
         paving_surface: { low: 2000, high: 80000, unit: 'SY' },
         tack_coat:      { low: 2000, high: 80000, unit: 'SY' },
+        crack_seal:     { low: 1000, high: 60000, unit: 'LF' },
+        sealcoat:       { low: 5000, high: 80000, unit: 'SY' },
+        striping:       { low: 2000, high: 200000, unit: 'LF' },
+        patching:       { low:   50, high:  5000, unit: 'SY' },
+        curb:           { low:  200, high: 20000, unit: 'LF' },
+        sidewalk:       { low:  500, high: 50000, unit: 'SF' },
+        ada_ramp:       { low:    2, high:    40, unit: 'EA' },
+        cb_adjust:      { low:    2, high:    40, unit: 'EA' },
+        fdr:            { low: 5000, high: 100000, unit: 'SY' },
+        stabilization:  { low: 5000, high: 100000, unit: 'SY' },
+        geotextile:     { low: 1000, high: 100000, unit: 'SY' },
+        underdrain:     { low:  200, high: 20000, unit: 'LF' },
+        undercut:       { low:   50, high:  5000, unit: 'CY' },
     }
 };
 
@@ -389,14 +870,129 @@ export const RATE_CONFIDENCE = {
     paving_base:    { band: 20, score: 0.80 },
     paving_surface: { band: 15, score: 0.85 },
     tack_coat:      { band: 10, score: 0.90 },
+    crack_seal:     { band: 30, score: 0.70 },
+    sealcoat:       { band: 15, score: 0.85 },
+    striping:       { band: 25, score: 0.75 },
+    patching:       { band: 35, score: 0.65 },
+    curb:           { band: 25, score: 0.75 },
+    sidewalk:       { band: 20, score: 0.80 },
+    ada_ramp:       { band: 35, score: 0.65 },
+    cb_adjust:      { band: 30, score: 0.70 },
+    fdr:            { band: 25, score: 0.75 },
+    stabilization:  { band: 25, score: 0.75 },
+    geotextile:     { band: 25, score: 0.75 },
+    underdrain:     { band: 30, score: 0.70 },
+    undercut:       { band: 35, score: 0.65 },
 };
 
+// ============================================
+// RISK SIMULATION — Monte Carlo inputs (Tier 5.2)
+// ============================================
+
+// Material price swing around the quoted price, as fractions (low/high).
+// Skewed upward: AC index escalation moves HMA quotes up more often than down.
+export const PRICE_UNCERTAINTY = {
+    material: { low: 0.05, high: 0.15 },
+};
+
+export const RISK_SIMULATION_DEFAULTS = {
+    iterations: 2000,
+    confidenceLevel: 0.80,      // Target P-value for contingency (P80 is common for bid work)
+    seed: null,                 // null = fresh seed each run; set to reproduce a simulation exactly
+    scheduleSimulation: false,  // Also simulate the CPM network (finish percentiles, criticality)
+};
+
+// Rank correlations between simulation variables, keyed `<kind>:<activityType>`.
+// HMA mixes and tack all ride the same AC binder index, so their prices move
+// together; paving lifts share a crew and site conditions, so do their rates.
+export const RISK_CORRELATIONS = [
+    { a: 'material:paving_surface', b: 'material:paving_base',   rho: 0.80 },
+    { a: 'material:paving_surface', b: 'material:tack_coat',     rho: 0.60 },
+    { a: 'material:paving_base',    b: 'material:tack_coat',     rho: 0.60 },
+    { a: 'production:paving_surface', b: 'production:paving_base', rho: 0.50 },
+    { a: 'production:excavation',   b: 'production:dga_base',    rho: 0.40 },
+];
+
+// ============================================
+// WORK CALENDAR — company holidays & paving season
+// ============================================
+
+// Observed company holidays. Fixed-date holidays on a weekend move to the
+// nearest weekday (Sat → Fri, Sun → Mon). nth: -1 = last weekday of the month.
+export const STANDARD_HOLIDAYS = [
+    { name: "New Year's Day",   month: 1,  day: 1 },
+    { name: 'Memorial Day',     month: 5,  weekday: 1, nth: -1 },
+    { name: 'Independence Day', month: 7,  day: 4 },
+    { name: 'Labor Day',        month: 9,  weekday: 1, nth: 1 },
+    { name: 'Thanksgiving',     month: 11, weekday: 4, nth: 4 },
+    { name: 'Christmas Day',    month: 12, day: 25 },
+];
+
+// Months (1-12, inclusive) the asphalt plants are open
+export const PAVING_SEASON = { startMonth: 4, endMonth: 11 };
+
+// Activities that need the plant open and paving temperatures (sealer needs
+// 50°F and rising to cure, so it shares the paving season)
+export const SEASON_SENSITIVE_ACTIVITIES = ['paving_base', 'paving_surface', 'tack_coat', 'sealcoat', 'striping', 'patching', 'stabilization'];
+
+// ============================================
+// WEATHER — historical lost work days by region
+// ============================================
+
+// Expected lost work days per month on a Mon–Fri calendar (~21.7 work days).
+// rain = rain-outs and saturated subgrade; cold = days below paving temperature
+// (roughly 40°F and falling). Jan → Dec. Override per job with local records.
+export const WEATHER_REGIONS = {
+    northeast:         { label: 'Northeast',         rain: [3, 3, 3, 3, 3, 3, 2, 2, 2, 3, 3, 3], cold: [16, 14, 8, 3, 0, 0, 0, 0, 0, 2, 7, 14] },
+    mid_atlantic:      { label: 'Mid-Atlantic',      rain: [3, 3, 3, 3, 3, 3, 2, 2, 2, 2, 2, 3], cold: [12, 10, 5, 1, 0, 0, 0, 0, 0, 1, 4, 10] },
+    southeast:         { label: 'Southeast',         rain: [3, 3, 3, 2, 2, 3, 4, 4, 3, 2, 2, 3], cold: [4, 3, 1, 0, 0, 0, 0, 0, 0, 0, 1, 3] },
+    midwest:           { label: 'Midwest',           rain: [2, 2, 3, 4, 4, 3, 3, 3, 3, 2, 2, 2], cold: [18, 15, 9, 3, 0, 0, 0, 0, 0, 2, 9, 16] },
+    south_central:     { label: 'South Central',     rain: [2, 2, 3, 3, 4, 3, 2, 2, 2, 3, 2, 2], cold: [5, 3, 1, 0, 0, 0, 0, 0, 0, 0, 1, 4] },
+    mountain:          { label: 'Mountain West',     rain: [1, 1, 2, 2, 2, 1, 2, 2, 1, 1, 1, 1], cold: [18, 15, 10, 5, 1, 0, 0, 0, 0, 3, 10, 16] },
+    pacific_northwest: { label: 'Pacific Northwest', rain: [8, 7, 7, 5, 4, 3, 1, 1, 2, 4, 8, 8], cold: [8, 6, 4, 1, 0, 0, 0, 0, 0, 1, 4, 8] },
+    southwest:         { label: 'Southwest',         rain: [1, 1, 1, 0, 0, 0, 2, 2, 1, 1, 1, 1], cold: [2, 1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 2] },
+};
+
+export const DEFAULT_WEATHER_REGION = 'mid_atlantic';
+
+// Work days per month the regional tables are based on (Mon–Fri)
+export const WEATHER_BASE_WORK_DAYS = 21.7;
+
+// Share of rain / cold days that stop each activity type. Paving and tack need
+// dry surfaces and mix temperature; earthwork keeps going in cool weather, and
+// milling can run through light rain.
+export const WEATHER_EXPOSURE = {
+    paving_base:    { rain: 1.0, cold: 1.0 },
+    paving_surface: { rain: 1.0, cold: 1.0 },
+    tack_coat:      { rain: 1.0, cold: 1.0 },
+    milling:        { rain: 0.5, cold: 0 },
+    excavation:     { rain: 1.0, cold: 0 },
+    fine_grading:   { rain: 1.0, cold: 0 },
+    dga_base:       { rain: 1.0, cold: 0 },
+    crack_seal:     { rain: 1.0, cold: 0.5 },
+    sealcoat:       { rain: 1.0, cold: 1.0 },
+    striping:       { rain: 1.0, cold: 1.0 },
+    patching:       { rain: 1.0, cold: 1.0 },
+    curb:           { rain: 1.0, cold: 1.0 },
+    sidewalk:       { rain: 1.0, cold: 1.0 },
+    ada_ramp:       { rain: 1.0, cold: 1.0 },
+    cb_adjust:      { rain: 1.0, cold: 0.5 },
+    fdr:            { rain: 1.0, cold: 0 },
+    stabilization:  { rain: 1.0, cold: 1.0 },
+    geotextile:     { rain: 0.5, cold: 0 },
+    underdrain:     { rain: 1.0, cold: 0 },
+    undercut:       { rain: 1.0, cold: 0 },
+};
+
+// Activity types not listed above are treated as earthwork
+export const DEFAULT_WEATHER_EXPOSURE = { rain: 1.0, cold: 0 };
+
 // ============================================
 // CREW DATA — standard paving crew compositions
 // ============================================
 
 export const CREW_DATA = {
-    BHOEX:  { rate: 203.65, people: 3,  desc: 'Backhoe Excavation',      activities: ['excavation'] },
+    BHOEX:  { rate: 203.65, people: 3,  desc: 'Backhoe Excavation',      activities: ['excavation', 'undercut'] },
     DGAFG:  { rate: 241.00, people: 4,  desc: 'DGA/Fine Grade w/ Grader', activities: ['fine_grading', 'dga_base'] },
     DGAST:  { rate: 184.00, people: 4,  desc: 'DGA/Fine Grade w/ Dozer',  activities: ['fine_grading', 'dga_base'] },
     FLEX3:  { rate: 200.78, people: 3,  desc: 'Flex Pave Crew 3-Man',     activities: ['paving_base', 'paving_surface'] },
@@ -406,11 +1002,33 @@ export const CREW_DATA = {
     ML7:    { rate: 648.83, people: 8,  desc: 'Milling Crew 7ft',         activities: ['milling'] },
     COMBO:  { rate: 564.28, people: 11, desc: 'Mill + Pave Combo',        activities: ['milling', 'paving_base', 'paving_surface'] },
     TACK:   { rate:  61.35, people: 1,  desc: 'Tack Coat',                activities: ['tack_coat'] },
+    CRKS:   { rate: 163.50, people: 3,  desc: 'Crack Seal (Melter)',      activities: ['crack_seal'] },
+    CRKR:   { rate: 217.50, people: 4,  desc: 'Crack Seal w/ Router',     activities: ['crack_seal'] },
+    SEAL:   { rate: 160.00, people: 3,  desc: 'Sealcoat Spray Rig',       activities: ['sealcoat'] },
+    STRP:   { rate: 120.00, people: 2,  desc: 'Striping (Paint)',         activities: ['striping'] },
+    STRT:   { rate: 187.00, people: 3,  desc: 'Striping (Thermoplastic)', activities: ['striping'] },
+    PTCH:   { rate: 236.00, people: 4,  desc: 'Full-Depth Patch Crew',    activities: ['patching'] },
+    CONF:   { rate: 284.00, people: 5,  desc: 'Concrete Form & Finish',   activities: ['curb', 'sidewalk', 'ada_ramp'] },
+    CSLP:   { rate: 350.00, people: 5,  desc: 'Curb Slipform',            activities: ['curb'] },
+    CBAJ:   { rate: 114.00, people: 2,  desc: 'Structure Adjustment',     activities: ['cb_adjust'] },
+    RECL:   { rate: 704.00, people: 5,  desc: 'Reclaimer (FDR)',          activities: ['fdr'] },
+    STAB:   { rate: 587.00, people: 4,  desc: 'Stabilization Spread & Mix', activities: ['stabilization'] },
+    GEOT:   { rate: 150.00, people: 3,  desc: 'Geotextile Placement',     activities: ['geotextile'] },
+    UDRN:   { rate: 265.00, people: 3,  desc: 'Underdrain Crew',          activities: ['underdrain'] },
     MOBL:   { rate: 297.25, people: 2,  desc: 'Mobilization (2 Lowboys)', activities: [] },
     MOBS:   { rate: 188.73, people: 1,  desc: 'Mobilization (1 Lowboy)',  activities: [] },
+    MOBT:   { rate:  95.00, people: 1,  desc: 'Mobilization (Trailer)',   activities: [] },
     SAFE:   { rate: 130.39, people: 1,  desc: 'Safety / Traffic Control', activities: [] },
 };
 
+// Crews the company owns, by CREW_DATA code — the limit for resource leveling
+export const DEFAULT_CREW_FLEET = {
+    BHOEX: 1, DGAFG: 1, DGAST: 1, FLEX3: 1, FLEX5: 1,
+    PV8: 1, PV10: 1, ML7: 1, COMBO: 1, TACK: 1,
+    CRKS: 1, CRKR: 1, SEAL: 1, STRP: 1, STRT: 1, PTCH: 1,
+    CONF: 1, CSLP: 1, CBAJ: 1, RECL: 1, STAB: 1, GEOT: 1, UDRN: 1,
+};
+
 // ============================================
 // CREW AUTO-SELECTION THRESHOLDS (total job SY)
 // ============================================
@@ -437,6 +1055,54 @@ export const CREW_THRESHOLDS = {
     tack_coat: [
         { maxSY: Infinity,   crew: 'TACK' },
     ],
+    crack_seal: [
+        { maxSY: Infinity,   crew: 'CRKS' },
+    ],
+    crack_seal_routed: [
+        { maxSY: Infinity,   crew: 'CRKR' },
+    ],
+    sealcoat: [
+        { maxSY: Infinity,   crew: 'SEAL' },
+    ],
+    striping: [
+        { maxSY: Infinity,   crew: 'STRP' },
+    ],
+    striping_thermo: [
+        { maxSY: Infinity,   crew: 'STRT' },
+    ],
+    patching: [
+        { maxSY: Infinity,   crew: 'PTCH' },
+    ],
+    curb: [
+        { maxSY: Infinity,   crew: 'CONF' },
+    ],
+    curb_slipform: [
+        { maxSY: Infinity,   crew: 'CSLP' },
+    ],
+    sidewalk: [
+        { maxSY: Infinity,   crew: 'CONF' },
+    ],
+    ada_ramp: [
+        { maxSY: Infinity,   crew: 'CONF' },
+    ],
+    cb_adjust: [
+        { maxSY: Infinity,   crew: 'CBAJ' },
+    ],
+    fdr: [
+        { maxSY: Infinity,   crew: 'RECL' },
+    ],
+    stabilization: [
+        { maxSY: Infinity,   crew: 'STAB' },
+    ],
+    geotextile: [
+        { maxSY: Infinity,   crew: 'GEOT' },
+    ],
+    underdrain: [
+        { maxSY: Infinity,   crew: 'UDRN' },
+    ],
+    undercut: [
+        { maxSY: Infinity,   crew: 'BHOEX' },
+    ],
 };
 
 // ============================================
@@ -445,7 +1111,7 @@ export const CREW_THRESHOLDS = {
 
 export const CREW_CLUSTERS = {
     earthwork: {
-        activities: ['excavation', 'fine_grading', 'dga_base'],
+        activities: ['excavation', 'undercut', 'underdrain', 'fine_grading', 'geotextile', 'dga_base'],
         mobCrew: 'MOBS',
         desc: 'Earthwork',
     },
@@ -464,6 +1130,21 @@ export const CREW_CLUSTERS = {
         mobCrew: 'MOBL',
         desc: 'Mill + Pave Combo',
     },
+    maintenance: {
+        activities: ['patching', 'crack_seal', 'sealcoat', 'striping'],
+        mobCrew: 'MOBT',
+        desc: 'Pavement Maintenance',
+    },
+    concrete: {
+        activities: ['curb', 'sidewalk', 'ada_ramp', 'cb_adjust'],
+        mobCrew: 'MOBT',
+        desc: 'Concrete',
+    },
+    reclamation: {
+        activities: ['fdr', 'stabilization'],
+        mobCrew: 'MOBL',
+        desc: 'Full-Depth Reclamation',
+    },
 };
 
 // ============================================
@@ -481,10 +1162,10 @@ export const SCOPE_ITEMS = [
     { id: 'disposal',        name: 'Off-site Disposal',                 default: 'excluded' },
     { id: 'premium',         name: 'Night / Weekend Premium',           default: 'excluded' },
     { id: 'temp_markings',   name: 'Temporary Pavement Markings',       default: 'excluded' },
-    { id: 'concrete',        name: 'Concrete Work (Curb/Sidewalk)',     default: 'excluded' },
+    { id: 'concrete',        name: 'Concrete Work (Curb/Sidewalk)',     default: 'excluded', activityTypes: ['curb', 'sidewalk', 'ada_ramp', 'cb_adjust'] },
     { id: 'landscaping',     name: 'Landscaping Restoration',           default: 'excluded' },
     { id: 'utilities',       name: 'Utility Adjustments',               default: 'excluded' },
-    { id: 'geotextile',      name: 'Geotextile / Fabric',              default: 'excluded' },
+    { id: 'geotextile',      name: 'Geotextile / Fabric',              default: 'excluded', activityTypes: ['geotextile'] },
 ];
 
 // ============================================
@@ -515,20 +1196,82 @@ export const TIER_MULTIPLIERS = {
 
 export const DEFAULT_DEPENDENCIES = {
     'FG-001': [
-        { predecessorId: 'EXC-001', type: DependencyType.FS, lag: 0, source: DependencySource.PHYSICAL }
+        { predecessorId: 'EXC-001', type: DependencyType.FS, lag: 0, source: DependencySource.PHYSICAL },
+        { predecessorId: 'UC-001', type: DependencyType.FS, lag: 0, source: DependencySource.PHYSICAL },
+        { predecessorId: 'UD-001', type: DependencyType.FS, lag: 0, source: DependencySource.PHYSICAL }
     ],
     'DGA-001': [
+        { predecessorId: 'FG-001', type: DependencyType.FS, lag: 0, source: DependencySource.PHYSICAL },
+        { predecessorId: 'GEO-001', type: DependencyType.FS, lag: 0, source: DependencySource.PHYSICAL }
+    ],
+    // Soft spots are dug out and the drains laid once the subgrade is exposed
+    'UC-001': [
+        { predecessorId: 'EXC-001', type: DependencyType.FS, lag: 0, source: DependencySource.PHYSICAL }
+    ],
+    'UD-001': [
+        { predecessorId: 'EXC-001', type: DependencyType.FS, lag: 0, source: DependencySource.PHYSICAL }
+    ],
+    // Fabric goes down on the graded subgrade, under the stone
+    'GEO-001': [
         { predecessorId: 'FG-001', type: DependencyType.FS, lag: 0, source: DependencySource.PHYSICAL }
     ],
+    // Curb goes in on the graded subgrade so the base and mat are placed against it
+    'CURB-001': [
+        { predecessorId: 'FG-001', type: DependencyType.FS, lag: 0, source: DependencySource.PHYSICAL }
+    ],
+    // Walks and ramps tie into the back of curb; they follow the curb crew
+    'WALK-001': [
+        { predecessorId: 'CURB-001', type: DependencyType.SS, lag: 0, source: DependencySource.PHYSICAL }
+    ],
+    'RAMP-001': [
+        { predecessorId: 'CURB-001', type: DependencyType.SS, lag: 0, source: DependencySource.PHYSICAL }
+    ],
     'PAVE-001': [
         { predecessorId: 'DGA-001', type: DependencyType.FS, lag: 0, source: DependencySource.PHYSICAL },
+        { predecessorId: 'MILL-001', type: DependencyType.FS, lag: 0, source: DependencySource.PHYSICAL },
+        { predecessorId: 'PATCH-001', type: DependencyType.FS, lag: 0, source: DependencySource.PHYSICAL },
+        // Lags set from the curb and stabilized base cure times
+        { predecessorId: 'CURB-001', type: DependencyType.FS, lag: 0, source: DependencySource.PHYSICAL },
+        { predecessorId: 'FDR-001', type: DependencyType.FS, lag: 0, source: DependencySource.PHYSICAL },
+        { predecessorId: 'STAB-001', type: DependencyType.FS, lag: 0, source: DependencySource.PHYSICAL }
+    ],
+    // Reclaim after any milling of the surface; stabilize the pulverized layer
+    'FDR-001': [
         { predecessorId: 'MILL-001', type: DependencyType.FS, lag: 0, source: DependencySource.PHYSICAL }
     ],
+    'STAB-001': [
+        { predecessorId: 'FDR-001', type: DependencyType.FS, lag: 0, source: DependencySource.PHYSICAL }
+    ],
+    // Structures are set to final grade between base and surface course
+    'CB-001': [
+        { predecessorId: 'PAVE-001', type: DependencyType.FS, lag: 0, source: DependencySource.PHYSICAL }
+    ],
     'TACK-001': [
         { predecessorId: 'PAVE-001', type: DependencyType.FS, lag: 0, source: DependencySource.PHYSICAL }
     ],
     'PAVE-002': [
-        { predecessorId: 'TACK-001', type: DependencyType.FS, lag: 0, source: DependencySource.PHYSICAL }
+        { predecessorId: 'TACK-001', type: DependencyType.FS, lag: 0, source: DependencySource.PHYSICAL },
+        { predecessorId: 'CB-001', type: DependencyType.FS, lag: 0, source: DependencySource.PHYSICAL },
+        // A surface-only overlay on reclaimed base waits out the cure too
+        { predecessorId: 'FDR-001', type: DependencyType.FS, lag: 0, source: DependencySource.PHYSICAL },
+        { predecessorId: 'STAB-001', type: DependencyType.FS, lag: 0, source: DependencySource.PHYSICAL }
+    ],
+    // Patches go in after milling and before anything is paved or sealed over them
+    'PATCH-001': [
+        { predecessorId: 'MILL-001', type: DependencyType.FS, lag: 0, source: DependencySource.PHYSICAL }
+    ],
+    // Maintenance: seal the cracks first, then sealcoat over them
+    'CRACK-001': [
+        { predecessorId: 'PATCH-001', type: DependencyType.FS, lag: 0, source: DependencySource.PHYSICAL }
+    ],
+    'SEAL-001': [
+        { predecessorId: 'CRACK-001', type: DependencyType.FS, lag: 0, source: DependencySource.PHYSICAL }
+    ],
+    // Striping goes down last: after surface paving, and after the sealcoat
+    // cure (lag set from the sealcoat cure time)
+    'STRIPE-001': [
+        { predecessorId: 'PAVE-002', type: DependencyType.FS, lag: 0, source: DependencySource.PHYSICAL },
+        { predecessorId: 'SEAL-001', type: DependencyType.FS, lag: 0, source: DependencySource.PHYSICAL }
     ]
 };
 
@@ -541,8 +1284,8 @@ export const DEFAULT_WBS = [
         id: 'WP-EARTH',
         name: 'Earthwork',
         wbsCode: '01',
-        activityIds: ['EXC-001', 'FG-001'],
-        inclusions: ['Removal of existing subgrade material', 'Fine grading to design elevations'],
+        activityIds: ['EXC-001', 'UC-001', 'UD-001', 'FG-001', 'GEO-001'],
+        inclusions: ['Removal of existing subgrade material', 'Fine grading to design elevations', 'Undercut, underdrain and fabric where priced'],
         exclusions: ['Rock excavation', 'Dewatering', 'Erosion control'],
         interfaces: ['Grading follows excavation; DGA follows grading'],
         assumptions: ['Common earth — no rock', 'Dry conditions', 'Material disposed off-site']
@@ -576,18 +1319,199 @@ export const DEFAULT_WBS = [
         exclusions: ['Pavement markings', 'Curb and gutter'],
         interfaces: ['Follows milling and aggregate base; final scope item'],
         assumptions: ['HMA from approved plant within cycle time distance', 'Minimum paving temperature met']
+    },
+    {
+        id: 'WP-MAINT',
+        name: 'Pavement Maintenance',
+        wbsCode: '05',
+        activityIds: ['CRACK-001', 'SEAL-001', 'STRIPE-001'],
+        inclusions: ['Crack cleaning and hot-pour sealing', 'Sealcoat application with sand additive', 'Pavement marking layout and striping'],
+        exclusions: ['Oil spot priming beyond spot treatment', 'Pothole repair'],
+        interfaces: ['Crack sealing precedes sealcoat; striping follows sealcoat cure'],
+        assumptions: ['Lot closed to traffic during application and cure', 'Surface dry and 50°F and rising', 'Striping matches the existing or plan layout — no design']
+    },
+    {
+        id: 'WP-PATCH',
+        name: 'Full-Depth Patching',
+        wbsCode: '06',
+        activityIds: ['PATCH-001'],
+        inclusions: ['Sawcut patch perimeters', 'Remove failed pavement to disposal', 'Base repair with DGA', 'HMA fill and compaction'],
+        exclusions: ['Subgrade undercut below patch depth', 'Utility repairs'],
+        interfaces: ['Follows milling; precedes paving, crack sealing and sealcoat'],
+        assumptions: ['Removed material is asphalt, disposed at the asphalt rate', 'Patch areas marked in the field before pricing']
+    },
+    {
+        id: 'WP-CONC',
+        name: 'Concrete',
+        wbsCode: '07',
+        activityIds: ['CURB-001', 'WALK-001', 'RAMP-001', 'CB-001'],
+        inclusions: ['Curb and gutter', 'Sidewalk', 'ADA curb ramps with detectable warning panels', 'Structure frame adjustments'],
+        exclusions: ['Reinforcing steel', 'Structure replacement', 'Concrete pumping'],
+        interfaces: ['Curb follows fine grading and cures before paving; structures adjusted between base and surface course'],
+        assumptions: ['4,000 psi air-entrained ready-mix, full loads', 'Subgrade prepared by the earthwork package']
+    },
+    {
+        id: 'WP-FDR',
+        name: 'Full-Depth Reclamation',
+        wbsCode: '08',
+        activityIds: ['FDR-001', 'STAB-001'],
+        inclusions: ['Pulverize existing pavement and base in place', 'Cement or lime spread and mix', 'Water for moisture conditioning', 'Grade and compact'],
+        exclusions: ['Mix design and testing', 'Subgrade undercut'],
+        interfaces: ['Follows any milling; stabilized base cures before paving'],
+        assumptions: ['Existing section uniform enough to reclaim', 'Hydrant water available on site']
     }
 ];
 
+// ============================================
+// MATERIAL CATALOG
+// Priced materials referenced by ACTIVITY_CONFIG.materialId / additionalMaterials
+// ============================================
+
+export const MATERIALS = {
+    'M-001': { name: '9.5mm HMA', unitId: 'TON', rateInput: 'rate95HMA', defaultPrice: null },
+    'M-002': { name: '19mm HMA',  unitId: 'TON', rateInput: 'rate19HMA', defaultPrice: null },
+    'M-003': { name: 'DGA',       unitId: 'TON', rateInput: 'rateDGA',   defaultPrice: MATERIAL_PRICES.dga },
+    'M-004': { name: 'Tack Coat', unitId: 'GAL', rateInput: 'rateTack',  defaultPrice: MATERIAL_PRICES.tack_std },
+    'M-005': { name: 'Sealcoat (mixed)', unitId: 'GAL', rateInput: 'rateSealer',  defaultPrice: MATERIAL_PRICES.sealcoat_mixed },
+    'M-006': { name: 'Sealcoat Sand',    unitId: 'LB',  rateInput: 'rateSand',    defaultPrice: MATERIAL_PRICES.sealcoat_sand },
+    'M-007': { name: 'Crack Sealant',    unitId: 'LB',  rateInput: 'rateSealant', defaultPrice: MATERIAL_PRICES.crack_sealant },
+    'M-008': { name: 'Traffic Paint',    unitId: 'GAL', rateInput: 'ratePaint',   defaultPrice: MATERIAL_PRICES.traffic_paint },
+    'M-009': { name: 'Thermoplastic',    unitId: 'LB',  rateInput: 'rateThermo',  defaultPrice: MATERIAL_PRICES.thermoplastic },
+    'M-010': { name: 'Asphalt Disposal', unitId: 'TON', rateInput: 'rateDisposal', defaultPrice: MATERIAL_PRICES.disposal_asphalt },
+    'M-011': { name: 'Sawcut Blade Wear', unitId: 'LF', rateInput: 'rateSawcut',  defaultPrice: MATERIAL_PRICES.sawcut_blade },
+    'M-012': { name: 'Ready-Mix Concrete', unitId: 'CY', rateInput: 'rateReadyMix', defaultPrice: MATERIAL_PRICES.readymix_4000 },
+    'M-013': { name: 'Detectable Warning Panel', unitId: 'EA', rateInput: 'rateWarnPanel', defaultPrice: MATERIAL_PRICES.warning_panel },
+    'M-014': { name: 'Portland Cement (bulk)', unitId: 'TON', rateInput: 'rateCement', defaultPrice: MATERIAL_PRICES.cement_bulk },
+    'M-015': { name: 'Lime (bulk)',            unitId: 'TON', rateInput: 'rateLime',   defaultPrice: MATERIAL_PRICES.lime_bulk },
+    'M-016': { name: 'Geotextile Fabric',         unitId: 'SY',  rateInput: 'rateFabric', defaultPrice: MATERIAL_PRICES.geotextile_woven },
+    'M-017': { name: '4" Perforated Underdrain',  unitId: 'LF',  rateInput: 'ratePipe4',  defaultPrice: MATERIAL_PRICES.pipe_perf_4 },
+    'M-018': { name: '6" Perforated Underdrain',  unitId: 'LF',  rateInput: 'ratePipe6',  defaultPrice: MATERIAL_PRICES.pipe_perf_6 },
+    'M-019': { name: '#57 Clean Stone',           unitId: 'TON', rateInput: 'rateStone',  defaultPrice: MATERIAL_PRICES.stone_57 },
+};
+
+// ============================================
+// PAVEMENT MARKINGS — striping takeoff conversions
+// Counted items become LF of 4" line (1 SF of marking = 3 LF of 4" line)
+// ============================================
+
+export const MARKING_EQUIVALENTS = {
+    stall:      18,   // one 18' stall line per stall (rows share the line between stalls)
+    stopBar:    72,   // 24" × 12' bar
+    arrow:      45,   // ~15 SF single turn or through arrow
+    adaSymbol:  36,   // ~12 SF international symbol of access
+    crosswalk: 144,   // two 12" transverse lines across a 24' drive aisle
+};
+
+// Material per LF of 4" line: paint at 15 mil wet (~320 LF/gal),
+// thermoplastic at 90 mil (~0.31 lb/LF at 2.0 specific gravity)
+export const MARKING_COVERAGE = {
+    paintLFPerGal: 320,
+    thermoLbsPerLF: 0.31,
+};
+
+// ============================================
+// PATCH SIZE FACTORS — small-area productivity penalty
+// Production rates assume 25+ SY work areas. Every patch repeats layout,
+// sawcut, tack and roller passes, so small patches lose most of the day to
+// setup. Factor applied as the workAreaSize productivity modifier by
+// average patch size (SY).
+// ============================================
+
+export const PATCH_SIZE_FACTORS = [
+    { maxSY:  2, factor: 0.40 },
+    { maxSY:  5, factor: 0.55 },
+    { maxSY: 10, factor: 0.70 },
+    { maxSY: 25, factor: 0.85 },
+    { maxSY: Infinity, factor: 1.00 },
+];
+
+// ============================================
+// CURB PROFILES — concrete cross-section per LF
+// Curb 6" wide × 18" tall plus a 7" gutter pan of the listed width
+// ============================================
+
+export const CURB_PROFILES = {
+    curb_6x18: { label: '6"×18" Barrier Curb',     sfPerLF: 0.75 },
+    cg_18:     { label: '18" Curb & Gutter',       sfPerLF: 1.33 },
+    cg_24:     { label: '24" Curb & Gutter',       sfPerLF: 1.63 },
+    cg_30:     { label: '30" Curb & Gutter',       sfPerLF: 1.92 },
+    mountable: { label: '24" Mountable (Rolled)',  sfPerLF: 1.25 },
+};
+
+// Ready-mix is ordered in quarter yards
+const _orderCY = cy => Math.ceil(cy * 4) / 4;
+
+// ============================================
+// STABILIZING AGENTS — spread on the pulverized layer at % of in-place weight
+// ============================================
+
+export const STABILIZING_AGENTS = {
+    cement: { label: 'Portland Cement', materialId: 'M-014' },
+    lime:   { label: 'Hydrated Lime',   materialId: 'M-015' },
+};
+
+// ============================================
+// UNDERDRAIN PIPE — perforated corrugated HDPE with filter sock
+// ============================================
+
+export const UNDERDRAIN_PIPES = {
+    '4': { label: '4" Perforated', materialId: 'M-017', diameterIn: 4 },
+    '6': { label: '6" Perforated', materialId: 'M-018', diameterIn: 6 },
+};
+
+// Tons of reclaimed material in place: SY × in ÷ 36 = CY
+const _inPlaceTons = (sy, depth) => sy * depth / 36 * CONSTANTS.RECLAIMED_DENSITY;
+
+// Gallons of water to bring the layer up by pct % moisture
+const _waterGal = (tons, pct) => Math.ceil(tons * 2000 * pct / 100 / CONSTANTS.WATER_LBS_PER_GAL);
+
 // ============================================
 // ACTIVITY CONFIGURATION MAP
-// Maps activity type keys to their properties
+// Maps activity type keys to their properties. This is the activity
+// registry: the form, the activity factory, the renderer and the exports
+// all iterate it, so a new activity type is added by declaring it here
+// (plus its rows in SUGGESTED_RATES, BENCHMARKS, CREW_THRESHOLDS and
+// DEFAULT_DEPENDENCIES).
+//
+// Form & factory fields:
+//   label            Short name for the form card and cost summary
+//   inputs           DOM ids: area, depth, cycle (min), rate (per day), mob (checkbox)
+//   crewRateInput    Manual crew $/hr input (blank = auto-select from CREW_THRESHOLDS)
+//   mobRateInput     Mobilization $ input
+//   fallbackCrew     Composite crew used when nothing can be auto-selected
+//   wasteSetting     projectSettings key passed to quantityCalc as the waste factor
+//   materialQtyPerUnit(depth, waste, settings, params) — material per output unit
+//   additionalMaterials  [{ materialId, qtyPerUnit(depth, waste, settings, params) }]
+//                    or [{ materialId, extraKey }] — total quantity from an extraKeys field
+//   materialFor(params)  Material id when it depends on the inputs (default: materialId)
+//   materialLabel    Cost-summary label when the line isn't just materialId
+//   params           Extra takeoff inputs: [{ key, label, inputId, default, step, type, takeoff }]
+//                    (type 'checkbox' for on/off, 'select' with options: [{ value, label }]),
+//                    recorded in quantity inputs and
+//                    passed to quantityCalc as its last argument. takeoff: true marks
+//                    counts entered once for the activity — segment rows don't repeat them
+//   takeoffUOM       Unit of the area input: 'SY' (default) or 'LF'
+//   takeoffLabel     Card label for the area input (default: 'Area (SY)' / 'Length (LF)')
+//   cycleLabel       Card label for the cycle input (default: 'Cycle Time (min)')
+//   crewKey(params)  CREW_THRESHOLDS key when it depends on the inputs (default: type)
+//   workAreaCount    params key splitting the takeoff into separate work areas (patches);
+//                    average area size sets the workAreaSize productivity modifier
+//                    from PATCH_SIZE_FACTORS
+//   cureLag          params key holding days successors wait after this activity
+//   extraKeys        _extra field → quantityCalc result key (card outputs, summary)
+//   tonsKey          quantityCalc result key carried as segment tonnage
+//   outputs          Card output rows read from _extra
+//   summaryTotal     Production-summary stat the activity adds to
+//   standardScope    Counted in scope completeness
+//   isHMA            Hot-mix tonnage (cost/ton, plant checks)
+//   card: false      Not a takeoff card (tack coat has its own section)
 // ============================================
 
 export const ACTIVITY_CONFIG = {
     excavation: {
         id: 'EXC-001',
         description: 'Excavation',
+        label: 'Excavation',
         wbsCode: '01.01',
         colorClass: 'red',
         quantityUOM: 'CY',
@@ -597,6 +1521,7 @@ export const ACTIVITY_CONFIG = {
         hasMaterial: false,
         truckCapacity: CONSTANTS.TRUCK_CY,
         truckCapacityUOM: 'CY',
+        quantityMethod: 'area×depth÷324',
         quantityCalc: (area, depth, wasteFactor, swellFactor) => {
             const bankCY = area && depth ? Math.ceil(area * depth / 324) : 0;
             const looseCY = Math.ceil(bankCY * swellFactor);
@@ -604,11 +1529,28 @@ export const ACTIVITY_CONFIG = {
             return { netQuantity: bankCY, looseCY, tons, uomId: 'CY' };
         },
         // For trucking, use loose CY (what actually goes on the truck)
-        truckingQuantityKey: 'looseCY'
+        truckingQuantityKey: 'looseCY',
+        tonsKey: 'tons',
+        extraKeys: { bankCY: 'netQuantity', looseCY: 'looseCY', tons: 'tons' },
+        inputs: { area: 'excavationArea', depth: 'excavationDepth', cycle: 'excavationCycle', rate: 'excavationRate', mob: 'excMob' },
+        crewRateInput: 'rateCrewExc',
+        mobRateInput: 'mobExc',
+        fallbackCrew: { id: 'C-EXC', name: 'Excavation Crew' },
+        productionRateId: 'PR-EXC',
+        rateStep: 10,
+        rateOptions: [50, 100, 150, 200, 300, 400, 500, 600, 800, 1000, 1300, 1500, 2000],
+        outputs: [
+            { key: 'bankCY', label: 'Bank CY' },
+            { key: 'looseCY', label: 'Loose CY' },
+            { key: 'tons', label: 'Tons' },
+        ],
+        summaryTotal: { id: 'totalExcCY', key: 'bankCY' },
+        standardScope: true,
     },
     fine_grading: {
         id: 'FG-001',
         description: 'Fine Grading',
+        label: 'Fine Grading',
         wbsCode: '01.02',
         colorClass: 'purple',
         quantityUOM: 'SY',
@@ -616,13 +1558,26 @@ export const ACTIVITY_CONFIG = {
         hasDepth: false,
         hasCycleTime: false,
         hasMaterial: false,
+        quantityMethod: 'direct area',
         quantityCalc: (area) => {
             return { netQuantity: area || 0, uomId: 'SY' };
-        }
+        },
+        extraKeys: {},
+        inputs: { area: 'fineGradingArea', rate: 'fineGradingRate', mob: 'fgMob' },
+        crewRateInput: 'rateCrewFG',
+        mobRateInput: 'mobFG',
+        fallbackCrew: { id: 'C-FG', name: 'Fine Grading Crew' },
+        productionRateId: 'PR-FG',
+        rateStep: 100,
+        rateOptions: [500, 750, 1000, 1500, 2000, 2500, 3000, 3500, 4000, 5000, 6000, 8000],
+        outputs: [],
+        standardScope: true,
     },
     dga_base: {
         id: 'DGA-001',
         description: 'DGA Base',
+        label: 'DGA',
+        cardTitle: 'DGA Base',
         wbsCode: '02.01',
         colorClass: 'yellow',
         quantityUOM: 'CY',
@@ -633,17 +1588,187 @@ export const ACTIVITY_CONFIG = {
         materialId: 'M-003',
         truckCapacity: CONSTANTS.TRUCK_CY,
         truckCapacityUOM: 'CY',
+        quantityMethod: 'area×depth÷324',
+        wasteSetting: 'aggregateWaste',
         quantityCalc: (area, depth, wasteFactor) => {
             const cy = area && depth ? Math.ceil(area * depth / 324) : 0;
             const tons = Math.ceil(cy * CONSTANTS.DGA_DENSITY);
             const tonsWithWaste = Math.ceil(tons * wasteFactor);
             return { netQuantity: cy, tons, tonsWithWaste, uomId: 'CY', wasteFactor };
         },
-        truckingQuantityKey: 'netQuantity'
+        materialQtyPerUnit: (depth, wasteFactor) => CONSTANTS.DGA_DENSITY * wasteFactor,
+        truckingQuantityKey: 'netQuantity',
+        tonsKey: 'tonsWithWaste',
+        extraKeys: { cy: 'netQuantity', tons: 'tons', tonsWithWaste: 'tonsWithWaste' },
+        inputs: { area: 'dgaArea', depth: 'dgaDepth', cycle: 'dgaCycle', rate: 'dgaRate', mob: 'dgaMob' },
+        crewRateInput: 'rateCrewDGA',
+        mobRateInput: 'mobDGA',
+        fallbackCrew: { id: 'C-DGA', name: 'DGA Crew' },
+        productionRateId: 'PR-DGA',
+        rateStep: 10,
+        rateOptions: [50, 100, 150, 200, 300, 400, 500, 600, 700, 800, 1000, 1200],
+        outputs: [
+            { key: 'cy', label: 'CY' },
+            { key: 'tons', label: 'Tons' },
+            { key: 'tonsWithWaste', label: '+Waste' },
+        ],
+        summaryTotal: { id: 'totalDGA', key: 'tonsWithWaste' },
+        standardScope: true,
+    },
+    undercut: {
+        id: 'UC-001',
+        description: 'Subgrade Undercut & Replace',
+        label: 'Undercut',
+        cardTitle: 'Undercut & Replace',
+        wbsCode: '01.03',
+        colorClass: 'sand',
+        quantityUOM: 'CY',
+        rateUOM: 'CY',
+        takeoffLabel: 'Undercut Area (SY)',
+        hasDepth: true,
+        hasCycleTime: true,
+        hasMaterial: true,
+        materialId: 'M-019',
+        materialFor: params => params.backfill === 'dga' ? 'M-003' : 'M-019',
+        materialLabel: 'Backfill & Fabric',
+        truckCapacity: CONSTANTS.TRUCK_CY,
+        truckCapacityUOM: 'CY',
+        quantityMethod: 'area × depth ÷ 36',
+        wasteSetting: 'aggregateWaste',
+        quantityCalc: (area, depth, wasteFactor, swellFactor, _tack, params) => {
+            if (!area || !depth) return { netQuantity: 0, looseCY: 0, backfillTons: 0, fabricSY: 0, uomId: 'CY' };
+            const bankCY = Math.ceil(area * depth / 36);
+            const looseCY = Math.ceil(bankCY * swellFactor);
+            const density = params.backfill === 'dga' ? CONSTANTS.DGA_DENSITY : CONSTANTS.CLEAN_STONE_DENSITY;
+            const backfillTons = Math.ceil(bankCY * density * wasteFactor);
+            const fabricSY = params.fabric ? Math.ceil(area * CONSTANTS.GEOTEXTILE_OVERLAP) : 0;
+            return { netQuantity: bankCY, looseCY, backfillTons, fabricSY, uomId: 'CY' };
+        },
+        materialQtyPerUnit: (depth, wasteFactor, settings, params) =>
+            (params.backfill === 'dga' ? CONSTANTS.DGA_DENSITY : CONSTANTS.CLEAN_STONE_DENSITY) * wasteFactor,
+        additionalMaterials: [
+            { materialId: 'M-016', extraKey: 'fabricSY' },
+        ],
+        // Unsuitable soil goes out loose; backfill is delivered
+        truckingQuantityKey: 'looseCY',
+        tonsKey: 'backfillTons',
+        extraKeys: { bankCY: 'netQuantity', looseCY: 'looseCY', backfillTons: 'backfillTons', fabricSY: 'fabricSY' },
+        params: [
+            { key: 'backfill', label: 'Backfill', inputId: 'undercutBackfill', type: 'select', default: 'stone',
+              options: [{ value: 'stone', label: '#57 Clean Stone' }, { value: 'dga', label: 'DGA' }] },
+            { key: 'fabric', label: 'Fabric under backfill', inputId: 'undercutFabric', type: 'checkbox', default: true },
+        ],
+        inputs: { area: 'undercutArea', depth: 'undercutDepth', cycle: 'undercutCycle', rate: 'undercutRate', mob: 'undercutMob' },
+        crewRateInput: 'rateCrewUndercut',
+        mobRateInput: 'mobUndercut',
+        fallbackCrew: { id: 'C-UC', name: 'Excavation Crew' },
+        productionRateId: 'PR-UC',
+        rateStep: 10,
+        rateOptions: [40, 60, 80, 100, 120, 160, 200, 250, 300, 400],
+        outputs: [
+            { key: 'bankCY', label: 'Bank CY' },
+            { key: 'looseCY', label: 'Loose CY' },
+            { key: 'backfillTons', label: 'Backfill Tons' },
+            { key: 'fabricSY', label: 'Fabric SY' },
+        ],
+        standardScope: false,
+    },
+    underdrain: {
+        id: 'UD-001',
+        description: 'Underdrain',
+        label: 'Underdrain',
+        wbsCode: '01.04',
+        colorClass: 'sand',
+        quantityUOM: 'LF',
+        rateUOM: 'LF',
+        takeoffUOM: 'LF',
+        takeoffLabel: 'Underdrain Length (LF)',
+        hasDepth: false,
+        hasCycleTime: false,
+        hasMaterial: true,
+        materialId: 'M-017',
+        materialFor: params => UNDERDRAIN_PIPES[params.pipeSize]?.materialId || 'M-017',
+        materialLabel: 'Pipe, Stone & Fabric',
+        quantityMethod: 'length × trench section',
+        wasteSetting: 'aggregateWaste',
+        quantityCalc: (length, _depth, wasteFactor, _swell, _tack, params) => {
+            if (!length) return { netQuantity: 0, stoneTons: 0, fabricSY: 0, uomId: 'LF' };
+            // Trench filled with stone around the pipe, in square inches
+            const pipeDia = UNDERDRAIN_PIPES[params.pipeSize]?.diameterIn || 4;
+            const stoneSqIn = params.trenchWidth * params.trenchDepth - Math.PI * pipeDia * pipeDia / 4;
+            const stoneTons = Math.ceil(length * stoneSqIn / 144 / 27 * CONSTANTS.CLEAN_STONE_DENSITY * wasteFactor);
+            // Fabric lines the trench perimeter and laps over the top
+            const fabricSY = params.wrap
+                ? Math.ceil(length * 2 * (params.trenchWidth + params.trenchDepth) / 12 / 9 * CONSTANTS.GEOTEXTILE_OVERLAP)
+                : 0;
+            return { netQuantity: length, stoneTons, fabricSY, uomId: 'LF' };
+        },
+        materialQtyPerUnit: () => 1,
+        additionalMaterials: [
+            { materialId: 'M-019', extraKey: 'stoneTons' },
+            { materialId: 'M-016', extraKey: 'fabricSY' },
+        ],
+        extraKeys: { stoneTons: 'stoneTons', fabricSY: 'fabricSY' },
+        params: [
+            { key: 'pipeSize', label: 'Pipe', inputId: 'udPipeSize', type: 'select', default: '4',
+              options: Object.entries(UNDERDRAIN_PIPES).map(([value, p]) => ({ value, label: p.label })) },
+            { key: 'trenchWidth', label: 'Trench Width (in)', inputId: 'udTrenchWidth', default: 12, step: 1 },
+            { key: 'trenchDepth', label: 'Trench Depth (in)', inputId: 'udTrenchDepth', default: 36, step: 6 },
+            { key: 'wrap', label: 'Fabric-wrapped trench', inputId: 'udWrap', type: 'checkbox', default: true },
+        ],
+        inputs: { area: 'udLength', rate: 'udRate', mob: 'udMob' },
+        crewRateInput: 'rateCrewUD',
+        mobRateInput: 'mobUD',
+        fallbackCrew: { id: 'C-UD', name: 'Underdrain Crew' },
+        productionRateId: 'PR-UD',
+        rateStep: 25,
+        rateOptions: [100, 200, 300, 400, 500, 600, 800, 1000],
+        outputs: [
+            { key: 'stoneTons', label: 'Stone Tons' },
+            { key: 'fabricSY', label: 'Fabric SY' },
+        ],
+        standardScope: false,
+    },
+    geotextile: {
+        id: 'GEO-001',
+        description: 'Geotextile Fabric',
+        label: 'Geotextile',
+        wbsCode: '01.05',
+        colorClass: 'sand',
+        quantityUOM: 'SY',
+        rateUOM: 'SY',
+        takeoffLabel: 'Fabric Area (SY)',
+        hasDepth: false,
+        hasCycleTime: false,
+        hasMaterial: true,
+        materialId: 'M-016',
+        quantityMethod: 'direct area × overlap',
+        quantityCalc: (area, _depth, _waste, _swell, _tack, params) => {
+            const fabricSY = area ? Math.ceil(area * params.overlap) : 0;
+            return { netQuantity: area || 0, fabricSY, rolls: Math.ceil(fabricSY / CONSTANTS.GEOTEXTILE_ROLL_SY), uomId: 'SY' };
+        },
+        materialQtyPerUnit: (depth, waste, settings, params) => params.overlap,
+        extraKeys: { fabricSY: 'fabricSY', rolls: 'rolls' },
+        params: [
+            { key: 'overlap', label: 'Overlap Factor', inputId: 'geoOverlap', default: CONSTANTS.GEOTEXTILE_OVERLAP, step: 0.05 },
+        ],
+        inputs: { area: 'geoArea', rate: 'geoRate', mob: 'geoMob' },
+        crewRateInput: 'rateCrewGeo',
+        mobRateInput: 'mobGeo',
+        fallbackCrew: { id: 'C-GEO', name: 'Fabric Crew' },
+        productionRateId: 'PR-GEO',
+        rateStep: 250,
+        rateOptions: [1000, 2000, 3000, 4000, 5000, 6000, 8000],
+        outputs: [
+            { key: 'fabricSY', label: 'Fabric SY' },
+            { key: 'rolls', label: 'Rolls' },
+        ],
+        standardScope: false,
     },
     milling: {
         id: 'MILL-001',
         description: 'Milling',
+        label: 'Milling',
         wbsCode: '03.01',
         colorClass: 'pink',
         quantityUOM: 'SY',
@@ -653,15 +1778,32 @@ export const ACTIVITY_CONFIG = {
         hasMaterial: false,
         truckCapacity: CONSTANTS.TRUCK_TONS,
         truckCapacityUOM: 'TON',
+        quantityMethod: 'direct area',
         quantityCalc: (area, depth) => {
             const rapTons = area && depth ? Math.ceil(area * depth * CONSTANTS.RAP_FACTOR) : 0;
             return { netQuantity: area || 0, rapTons, uomId: 'SY' };
         },
-        truckingQuantityKey: 'rapTons'
+        truckingQuantityKey: 'rapTons',
+        tonsKey: 'rapTons',
+        extraKeys: { rapTons: 'rapTons' },
+        inputs: { area: 'millingArea', depth: 'millingDepth', cycle: 'millingCycle', rate: 'millingRate', mob: 'millMob' },
+        crewRateInput: 'rateCrewMill',
+        mobRateInput: 'mobMill',
+        fallbackCrew: { id: 'C-MILL', name: 'Milling Crew' },
+        productionRateId: 'PR-MILL',
+        rateStep: 100,
+        rateOptions: [500, 1000, 1500, 2000, 3000, 4000, 5000, 6000, 8000, 10000, 14000, 18000, 25000],
+        outputs: [
+            { key: 'rapTons', label: 'RAP Tons' },
+        ],
+        summaryTotal: { id: 'totalRAP', key: 'rapTons' },
+        standardScope: true,
     },
     paving_base: {
         id: 'PAVE-001',
         description: '19mm Base Course',
+        label: 'Base Paving',
+        cardTitle: '19mm Base',
         wbsCode: '04.01',
         colorClass: 'blue',
         quantityUOM: 'SY',
@@ -672,16 +1814,37 @@ export const ACTIVITY_CONFIG = {
         materialId: 'M-002',
         truckCapacity: CONSTANTS.TRUCK_TONS,
         truckCapacityUOM: 'TON',
+        quantityMethod: 'direct area (rate in SY/day)',
+        wasteSetting: 'asphaltWaste',
         quantityCalc: (area, depth, wasteFactor) => {
             const tons = area && depth ? Math.ceil(area * depth * CONSTANTS.HMA_FACTOR) : 0;
             const tonsWithWaste = Math.ceil(tons * wasteFactor);
             return { netQuantity: area || 0, tons, tonsWithWaste, uomId: 'SY', wasteFactor };
         },
-        truckingQuantityKey: 'tonsWithWaste'
+        materialQtyPerUnit: (depth, wasteFactor) => depth * CONSTANTS.HMA_FACTOR * wasteFactor,
+        truckingQuantityKey: 'tonsWithWaste',
+        tonsKey: 'tonsWithWaste',
+        extraKeys: { tons: 'tons', tonsWithWaste: 'tonsWithWaste' },
+        inputs: { area: 'baseArea', depth: 'baseDepth', cycle: 'baseCycle', rate: 'baseRate', mob: 'baseMob' },
+        crewRateInput: 'rateCrewBase',
+        mobRateInput: 'mobBase',
+        fallbackCrew: { id: 'C-PAVE-B', name: 'Paving Crew (Base)' },
+        productionRateId: 'PR-BASE',
+        rateStep: 100,
+        rateOptions: [500, 750, 1000, 1500, 2000, 2500, 3000, 3500, 4000, 4500, 5000, 6000, 8000],
+        outputs: [
+            { key: 'tons', label: 'Tons' },
+            { key: 'tonsWithWaste', label: '+Waste' },
+        ],
+        summaryTotal: { id: 'totalHMA', key: 'tonsWithWaste' },
+        standardScope: true,
+        isHMA: true,
     },
     paving_surface: {
         id: 'PAVE-002',
         description: '9.5mm Surface Course',
+        label: 'Surface Paving',
+        cardTitle: '9.5mm Surface',
         wbsCode: '04.03',
         colorClass: 'green',
         quantityUOM: 'SY',
@@ -692,16 +1855,36 @@ export const ACTIVITY_CONFIG = {
         materialId: 'M-001',
         truckCapacity: CONSTANTS.TRUCK_TONS,
         truckCapacityUOM: 'TON',
+        quantityMethod: 'direct area (rate in SY/day)',
+        wasteSetting: 'asphaltWaste',
         quantityCalc: (area, depth, wasteFactor) => {
             const tons = area && depth ? Math.ceil(area * depth * CONSTANTS.HMA_FACTOR) : 0;
             const tonsWithWaste = Math.ceil(tons * wasteFactor);
             return { netQuantity: area || 0, tons, tonsWithWaste, uomId: 'SY', wasteFactor };
         },
-        truckingQuantityKey: 'tonsWithWaste'
+        materialQtyPerUnit: (depth, wasteFactor) => depth * CONSTANTS.HMA_FACTOR * wasteFactor,
+        truckingQuantityKey: 'tonsWithWaste',
+        tonsKey: 'tonsWithWaste',
+        extraKeys: { tons: 'tons', tonsWithWaste: 'tonsWithWaste' },
+        inputs: { area: 'surfaceArea', depth: 'surfaceDepth', cycle: 'surfaceCycle', rate: 'surfaceRate', mob: 'surfMob' },
+        crewRateInput: 'rateCrewSurf',
+        mobRateInput: 'mobSurf',
+        fallbackCrew: { id: 'C-PAVE-S', name: 'Paving Crew (Surface)' },
+        productionRateId: 'PR-SURF',
+        rateStep: 100,
+        rateOptions: [500, 750, 1000, 1500, 2000, 2500, 3000, 3500, 4000, 5000, 6000, 8000],
+        outputs: [
+            { key: 'tons', label: 'Tons' },
+            { key: 'tonsWithWaste', label: '+Waste' },
+        ],
+        summaryTotal: { id: 'totalHMA', key: 'tonsWithWaste' },
+        standardScope: true,
+        isHMA: true,
     },
     tack_coat: {
         id: 'TACK-001',
         description: 'Tack Coat',
+        label: 'Tack Coat',
         wbsCode: '04.02',
         colorClass: 'teal',
         quantityUOM: 'SY',
@@ -713,10 +1896,547 @@ export const ACTIVITY_CONFIG = {
         quantityCalc: (area, _depth, _waste, _swell, tackAppRate) => {
             const gallons = area ? Math.ceil(area * (tackAppRate || 0.05)) : 0;
             return { netQuantity: area || 0, gallons, uomId: 'SY', tackAppRate: tackAppRate || 0.05 };
-        }
+        },
+        materialQtyPerUnit: (depth, wasteFactor, settings) => settings.tackAppRate,
+        extraKeys: { gallons: 'gallons' },
+        inputs: { area: 'tackArea' },
+        // Blank area follows the surface course it sits under
+        defaultAreaFrom: 'paving_surface',
+        // Application rate is a job setting, recorded with the takeoff
+        settingInputs: ['tackAppRate'],
+        fallbackCrew: { id: 'C-TACK', name: 'Tack Crew' },
+        productionRateId: 'PR-TACK',
+        // Sprayed behind the paver — reference conditions regardless of site complexity
+        referenceProductivity: true,
+        standardScope: true,
+        card: false,
+    },
+    crack_seal: {
+        id: 'CRACK-001',
+        description: 'Crack Sealing',
+        label: 'Crack Seal',
+        wbsCode: '05.01',
+        colorClass: 'orange',
+        quantityUOM: 'LF',
+        rateUOM: 'LF',
+        takeoffUOM: 'LF',
+        hasDepth: false,
+        hasCycleTime: false,
+        hasMaterial: true,
+        materialId: 'M-007',
+        quantityMethod: 'direct length',
+        quantityCalc: (length, _depth, _waste, _swell, _tack, params) => {
+            const sealantLbs = length ? Math.ceil(length * params.lbsPerLF) : 0;
+            return { netQuantity: length || 0, sealantLbs, uomId: 'LF' };
+        },
+        materialQtyPerUnit: (depth, wasteFactor, settings, params) => params.lbsPerLF,
+        extraKeys: { sealantLbs: 'sealantLbs' },
+        params: [
+            // Hot-pour rubberized sealant: ~0.15 lb/LF band-aid, 0.3-0.5 lb/LF routed ½"×½" reservoir
+            { key: 'lbsPerLF', label: 'Sealant (lb/LF)', inputId: 'crackSealantRate', default: 0.30, step: 0.05 },
+            { key: 'routed', label: 'Rout cracks before sealing', inputId: 'crackRouted', type: 'checkbox', default: false },
+        ],
+        // Routing adds a router and operator ahead of the melter
+        crewKey: params => params.routed ? 'crack_seal_routed' : 'crack_seal',
+        inputs: { area: 'crackSealLength', rate: 'crackSealRate', mob: 'crackMob' },
+        crewRateInput: 'rateCrewCrack',
+        mobRateInput: 'mobCrack',
+        fallbackCrew: { id: 'C-CRACK', name: 'Crack Seal Crew' },
+        productionRateId: 'PR-CRACK',
+        rateStep: 250,
+        rateOptions: [1000, 1500, 2000, 2500, 3000, 3500, 4000, 5000, 6000, 8000],
+        outputs: [
+            { key: 'sealantLbs', label: 'Sealant lb' },
+        ],
+        standardScope: false,
+    },
+    sealcoat: {
+        id: 'SEAL-001',
+        description: 'Sealcoat',
+        label: 'Sealcoat',
+        wbsCode: '05.02',
+        colorClass: 'cyan',
+        quantityUOM: 'SY',
+        rateUOM: 'SY',
+        hasDepth: false,
+        hasCycleTime: false,
+        hasMaterial: true,
+        materialId: 'M-005',
+        quantityMethod: 'direct area',
+        quantityCalc: (area, _depth, _waste, _swell, _tack, params) => {
+            const gallons = area ? Math.ceil(area * params.galPerSY * params.coats) : 0;
+            const sandLbs = Math.ceil(gallons * params.sandLbsPerGal);
+            return { netQuantity: area || 0, gallons, sandLbs, uomId: 'SY' };
+        },
+        materialQtyPerUnit: (depth, wasteFactor, settings, params) => params.galPerSY * params.coats,
+        additionalMaterials: [
+            { materialId: 'M-006', qtyPerUnit: (depth, wasteFactor, settings, params) => params.galPerSY * params.coats * params.sandLbsPerGal },
+        ],
+        extraKeys: { gallons: 'gallons', sandLbs: 'sandLbs' },
+        params: [
+            { key: 'coats', label: 'Coats', inputId: 'sealCoats', default: 2, step: 1 },
+            // Mixed (diluted) sealer: ~0.11-0.14 gal/SY per coat on average-texture asphalt
+            { key: 'galPerSY', label: 'Gal/SY per Coat', inputId: 'sealGalPerSY', default: 0.12, step: 0.01 },
+            { key: 'sandLbsPerGal', label: 'Sand (lb/gal)', inputId: 'sealSandRate', default: 3, step: 0.5 },
+            // No traffic or striping until the last coat has cured
+            { key: 'cureDays', label: 'Cure Time (days)', inputId: 'sealCureDays', default: 1, step: 0.5 },
+        ],
+        cureLag: 'cureDays',
+        inputs: { area: 'sealcoatArea', rate: 'sealcoatRate', mob: 'sealMob' },
+        crewRateInput: 'rateCrewSeal',
+        mobRateInput: 'mobSeal',
+        fallbackCrew: { id: 'C-SEAL', name: 'Sealcoat Crew' },
+        productionRateId: 'PR-SEAL',
+        rateStep: 500,
+        rateOptions: [1500, 2000, 2500, 3000, 4000, 5000, 6000, 8000, 10000, 12000],
+        outputs: [
+            { key: 'gallons', label: 'Gallons' },
+            { key: 'sandLbs', label: 'Sand lb' },
+        ],
+        standardScope: false,
+    },
+    striping: {
+        id: 'STRIPE-001',
+        description: 'Pavement Markings',
+        label: 'Striping',
+        wbsCode: '05.03',
+        colorClass: 'lime',
+        quantityUOM: 'LF',
+        rateUOM: 'LF',
+        takeoffUOM: 'LF',
+        takeoffLabel: 'White 4" Line (LF)',
+        hasDepth: false,
+        hasCycleTime: false,
+        hasMaterial: true,
+        materialId: 'M-008',
+        materialFor: params => params.thermoplastic ? 'M-009' : 'M-008',
+        materialLabel: 'Paint / Thermoplastic',
+        quantityMethod: '4" equivalent length',
+        quantityCalc: (length, _depth, _waste, _swell, _tack, params) => {
+            const eq = MARKING_EQUIVALENTS;
+            const netQuantity = (length || 0) + params.yellowLF + params.blueLF
+                + params.stalls * eq.stall + params.stopBars * eq.stopBar + params.arrows * eq.arrow
+                + params.adaSymbols * eq.adaSymbol + params.crosswalks * eq.crosswalk;
+            const paintGal = params.thermoplastic ? 0 : Math.ceil(netQuantity / MARKING_COVERAGE.paintLFPerGal);
+            const thermoLbs = params.thermoplastic ? Math.ceil(netQuantity * MARKING_COVERAGE.thermoLbsPerLF) : 0;
+            return { netQuantity, paintGal, thermoLbs, uomId: 'LF' };
+        },
+        materialQtyPerUnit: (depth, wasteFactor, settings, params) =>
+            params.thermoplastic ? MARKING_COVERAGE.thermoLbsPerLF : 1 / MARKING_COVERAGE.paintLFPerGal,
+        extraKeys: { equivLF: 'netQuantity', paintGal: 'paintGal', thermoLbs: 'thermoLbs' },
+        params: [
+            { key: 'yellowLF', label: 'Yellow 4" Line (LF)', inputId: 'stripeYellowLF', default: 0, step: 10, takeoff: true },
+            { key: 'blueLF', label: 'Blue 4" Line (LF)', inputId: 'stripeBlueLF', default: 0, step: 10, takeoff: true },
+            { key: 'stalls', label: 'Stalls', inputId: 'stripeStalls', default: 0, step: 1, takeoff: true },
+            { key: 'stopBars', label: 'Stop Bars', inputId: 'stripeStopBars', default: 0, step: 1, takeoff: true },
+            { key: 'arrows', label: 'Arrows', inputId: 'stripeArrows', default: 0, step: 1, takeoff: true },
+            { key: 'adaSymbols', label: 'ADA Symbols', inputId: 'stripeAdaSymbols', default: 0, step: 1, takeoff: true },
+            { key: 'crosswalks', label: 'Crosswalks', inputId: 'stripeCrosswalks', default: 0, step: 1, takeoff: true },
+            { key: 'thermoplastic', label: 'Thermoplastic (not paint)', inputId: 'stripeThermo', type: 'checkbox', default: false },
+        ],
+        // Thermoplastic adds a kettle and a tender to the paint crew
+        crewKey: params => params.thermoplastic ? 'striping_thermo' : 'striping',
+        inputs: { area: 'stripeLength', rate: 'stripeRate', mob: 'stripeMob' },
+        crewRateInput: 'rateCrewStripe',
+        mobRateInput: 'mobStripe',
+        fallbackCrew: { id: 'C-STRIPE', name: 'Striping Crew' },
+        productionRateId: 'PR-STRIPE',
+        rateStep: 500,
+        rateOptions: [1000, 2000, 3000, 4000, 5000, 6000, 8000, 10000, 15000, 20000, 30000],
+        outputs: [
+            { key: 'equivLF', label: '4" Equiv LF' },
+            { key: 'paintGal', label: 'Paint gal' },
+            { key: 'thermoLbs', label: 'Thermo lb' },
+        ],
+        standardScope: false,
+    },
+    patching: {
+        id: 'PATCH-001',
+        description: 'Full-Depth Patching',
+        label: 'Patching',
+        cardTitle: 'Full-Depth Patch',
+        wbsCode: '06.01',
+        colorClass: 'indigo',
+        quantityUOM: 'SY',
+        rateUOM: 'SY',
+        takeoffLabel: 'Patch Area (SY)',
+        hasDepth: true,
+        hasCycleTime: true,
+        hasMaterial: true,
+        materialId: 'M-002',
+        materialLabel: 'Patch HMA, Base & Disposal',
+        truckCapacity: CONSTANTS.TRUCK_TONS,
+        truckCapacityUOM: 'TON',
+        quantityMethod: 'direct area, square patches',
+        wasteSetting: 'asphaltWaste',
+        quantityCalc: (area, depth, wasteFactor, _swell, _tack, params) => {
+            if (!area || !depth) return { netQuantity: area || 0, tonsWithWaste: 0, baseTons: 0, removalTons: 0, sawcutLF: 0, uomId: 'SY' };
+            // Patches are taken as squares: n × 4 × side, side in feet
+            const patches = Math.max(1, params.patches || 0);
+            const sawcutLF = Math.ceil(patches * 4 * Math.sqrt(area * CONSTANTS.SF_PER_SY / patches));
+            const hmaDepth = Math.min(params.hmaDepth, depth);
+            const tonsWithWaste = Math.ceil(area * hmaDepth * CONSTANTS.HMA_FACTOR * wasteFactor);
+            // SY × in ÷ 36 = CY
+            const baseTons = Math.ceil(area * (depth - hmaDepth) / 36 * CONSTANTS.DGA_DENSITY);
+            // Everything removed goes to disposal at compacted HMA weight
+            const removalTons = Math.ceil(area * depth * CONSTANTS.HMA_FACTOR);
+            return { netQuantity: area, tonsWithWaste, baseTons, removalTons, sawcutLF, uomId: 'SY' };
+        },
+        materialQtyPerUnit: (depth, wasteFactor, settings, params) => Math.min(params.hmaDepth, depth) * CONSTANTS.HMA_FACTOR * wasteFactor,
+        additionalMaterials: [
+            { materialId: 'M-003', extraKey: 'baseTons' },
+            { materialId: 'M-010', extraKey: 'removalTons' },
+            { materialId: 'M-011', extraKey: 'sawcutLF' },
+        ],
+        truckingQuantityKey: 'removalTons',
+        tonsKey: 'tonsWithWaste',
+        extraKeys: { sawcutLF: 'sawcutLF', removalTons: 'removalTons', baseTons: 'baseTons', tonsWithWaste: 'tonsWithWaste' },
+        params: [
+            // The patch area is spread over this many patches; segment rows are one patch each
+            { key: 'patches', label: 'Patch Count', inputId: 'patchCount', default: 1, step: 1, takeoff: true },
+            // HMA fill in two lifts; anything deeper is DGA base repair
+            { key: 'hmaDepth', label: 'HMA Fill Depth (in)', inputId: 'patchHmaDepth', default: 4, step: 0.5 },
+        ],
+        workAreaCount: 'patches',
+        inputs: { area: 'patchArea', depth: 'patchDepth', cycle: 'patchCycle', rate: 'patchRate', mob: 'patchMob' },
+        crewRateInput: 'rateCrewPatch',
+        mobRateInput: 'mobPatch',
+        fallbackCrew: { id: 'C-PATCH', name: 'Patch Crew' },
+        productionRateId: 'PR-PATCH',
+        rateStep: 25,
+        rateOptions: [50, 100, 150, 200, 250, 300, 400, 500, 600, 800],
+        outputs: [
+            { key: 'sawcutLF', label: 'Sawcut LF' },
+            { key: 'removalTons', label: 'Disposal Tons' },
+            { key: 'baseTons', label: 'DGA Tons' },
+            { key: 'tonsWithWaste', label: 'HMA Tons' },
+        ],
+        summaryTotal: { id: 'totalHMA', key: 'tonsWithWaste' },
+        standardScope: false,
+        isHMA: true,
+    },
+    curb: {
+        id: 'CURB-001',
+        description: 'Concrete Curb & Gutter',
+        label: 'Curb & Gutter',
+        wbsCode: '07.01',
+        colorClass: 'slate',
+        quantityUOM: 'LF',
+        rateUOM: 'LF',
+        takeoffUOM: 'LF',
+        takeoffLabel: 'Curb Length (LF)',
+        hasDepth: false,
+        hasCycleTime: false,
+        hasMaterial: true,
+        materialId: 'M-012',
+        quantityMethod: 'length × profile section ÷ 27',
+        wasteSetting: 'concreteWaste',
+        quantityCalc: (length, _depth, wasteFactor, _swell, _tack, params) => {
+            const sf = CURB_PROFILES[params.profile]?.sfPerLF || 0;
+            const cy = length ? _orderCY(length * sf / 27) : 0;
+            const cyWithWaste = _orderCY(cy * wasteFactor);
+            return { netQuantity: length || 0, cy, cyWithWaste, uomId: 'LF' };
+        },
+        materialQtyPerUnit: (depth, wasteFactor, settings, params) => (CURB_PROFILES[params.profile]?.sfPerLF || 0) / 27 * wasteFactor,
+        extraKeys: { cy: 'cy', cyWithWaste: 'cyWithWaste' },
+        params: [
+            { key: 'profile', label: 'Profile', inputId: 'curbProfile', type: 'select', default: 'cg_24',
+              options: Object.entries(CURB_PROFILES).map(([value, p]) => ({ value, label: p.label })) },
+            { key: 'slipform', label: 'Slipform machine', inputId: 'curbSlipform', type: 'checkbox', default: false },
+            // Curb gains strength before base is placed and rolled against it
+            { key: 'cureDays', label: 'Cure Before Paving (days)', inputId: 'curbCureDays', default: 3, step: 1 },
+        ],
+        crewKey: params => params.slipform ? 'curb_slipform' : 'curb',
+        cureLag: 'cureDays',
+        inputs: { area: 'curbLength', rate: 'curbRate', mob: 'curbMob' },
+        crewRateInput: 'rateCrewCurb',
+        mobRateInput: 'mobCurb',
+        fallbackCrew: { id: 'C-CURB', name: 'Curb Crew' },
+        productionRateId: 'PR-CURB',
+        rateStep: 50,
+        rateOptions: [100, 200, 300, 400, 500, 600, 800, 1000, 1500, 2000],
+        outputs: [
+            { key: 'cy', label: 'CY' },
+            { key: 'cyWithWaste', label: '+Waste' },
+        ],
+        standardScope: false,
+    },
+    sidewalk: {
+        id: 'WALK-001',
+        description: 'Concrete Sidewalk',
+        label: 'Sidewalk',
+        wbsCode: '07.02',
+        colorClass: 'slate',
+        quantityUOM: 'SF',
+        rateUOM: 'SF',
+        takeoffUOM: 'SF',
+        takeoffLabel: 'Walk Area (SF)',
+        hasDepth: true,
+        hasCycleTime: false,
+        hasMaterial: true,
+        materialId: 'M-012',
+        quantityMethod: 'area × thickness ÷ 324',
+        wasteSetting: 'concreteWaste',
+        quantityCalc: (sf, depth, wasteFactor) => {
+            const cy = sf && depth ? _orderCY(sf * depth / 12 / 27) : 0;
+            const cyWithWaste = _orderCY(cy * wasteFactor);
+            return { netQuantity: sf || 0, cy, cyWithWaste, uomId: 'SF' };
+        },
+        materialQtyPerUnit: (depth, wasteFactor) => depth / 12 / 27 * wasteFactor,
+        extraKeys: { cy: 'cy', cyWithWaste: 'cyWithWaste' },
+        inputs: { area: 'walkArea', depth: 'walkDepth', rate: 'walkRate', mob: 'walkMob' },
+        crewRateInput: 'rateCrewWalk',
+        mobRateInput: 'mobWalk',
+        fallbackCrew: { id: 'C-WALK', name: 'Flatwork Crew' },
+        productionRateId: 'PR-WALK',
+        rateStep: 100,
+        rateOptions: [400, 600, 800, 1000, 1200, 1500, 1800, 2000, 2500],
+        outputs: [
+            { key: 'cy', label: 'CY' },
+            { key: 'cyWithWaste', label: '+Waste' },
+        ],
+        standardScope: false,
+    },
+    ada_ramp: {
+        id: 'RAMP-001',
+        description: 'ADA Curb Ramps',
+        label: 'ADA Ramps',
+        wbsCode: '07.03',
+        colorClass: 'slate',
+        quantityUOM: 'EA',
+        rateUOM: 'EA',
+        takeoffUOM: 'EA',
+        takeoffLabel: 'Ramps (EA)',
+        hasDepth: false,
+        hasCycleTime: false,
+        hasMaterial: true,
+        materialId: 'M-012',
+        materialLabel: 'Ramp Concrete & Warning Panels',
+        quantityMethod: 'count × CY per ramp',
+        wasteSetting: 'concreteWaste',
+        quantityCalc: (count, _depth, wasteFactor, _swell, _tack, params) => {
+            const cy = count ? _orderCY(count * params.cyPerRamp) : 0;
+            const cyWithWaste = _orderCY(cy * wasteFactor);
+            const panels = count ? Math.ceil(count * params.panelsPerRamp) : 0;
+            return { netQuantity: count || 0, cy, cyWithWaste, panels, uomId: 'EA' };
+        },
+        materialQtyPerUnit: (depth, wasteFactor, settings, params) => params.cyPerRamp * wasteFactor,
+        additionalMaterials: [
+            { materialId: 'M-013', qtyPerUnit: (depth, wasteFactor, settings, params) => params.panelsPerRamp },
+        ],
+        extraKeys: { cy: 'cy', cyWithWaste: 'cyWithWaste', panels: 'panels' },
+        params: [
+            // Ramp, flares and landing at 4-6" — ~1-2 CY for a perpendicular ramp
+            { key: 'cyPerRamp', label: 'CY per Ramp', inputId: 'rampCY', default: 1.5, step: 0.25 },
+            { key: 'panelsPerRamp', label: 'Warning Panels per Ramp', inputId: 'rampPanels', default: 1, step: 1 },
+        ],
+        inputs: { area: 'rampCount', rate: 'rampRate', mob: 'rampMob' },
+        crewRateInput: 'rateCrewRamp',
+        mobRateInput: 'mobRamp',
+        fallbackCrew: { id: 'C-RAMP', name: 'Flatwork Crew' },
+        productionRateId: 'PR-RAMP',
+        rateStep: 0.5,
+        rateOptions: [1, 1.5, 2, 2.5, 3, 4],
+        outputs: [
+            { key: 'cy', label: 'CY' },
+            { key: 'panels', label: 'Panels' },
+        ],
+        standardScope: false,
+    },
+    cb_adjust: {
+        id: 'CB-001',
+        description: 'Catch Basin / Structure Adjustment',
+        label: 'Structure Adjust',
+        wbsCode: '07.04',
+        colorClass: 'slate',
+        quantityUOM: 'EA',
+        rateUOM: 'EA',
+        takeoffUOM: 'EA',
+        takeoffLabel: 'Structures (EA)',
+        hasDepth: false,
+        hasCycleTime: false,
+        hasMaterial: true,
+        materialId: 'M-012',
+        quantityMethod: 'count × collar CY',
+        wasteSetting: 'concreteWaste',
+        quantityCalc: (count, _depth, wasteFactor, _swell, _tack, params) => {
+            const cy = count ? _orderCY(count * params.cyPerStructure) : 0;
+            return { netQuantity: count || 0, cy, cyWithWaste: _orderCY(cy * wasteFactor), uomId: 'EA' };
+        },
+        materialQtyPerUnit: (depth, wasteFactor, settings, params) => params.cyPerStructure * wasteFactor,
+        extraKeys: { cy: 'cy', cyWithWaste: 'cyWithWaste' },
+        params: [
+            // Concrete collar around the reset frame
+            { key: 'cyPerStructure', label: 'Collar CY Each', inputId: 'cbCollarCY', default: 0.3, step: 0.05 },
+        ],
+        inputs: { area: 'cbCount', rate: 'cbRate', mob: 'cbMob' },
+        crewRateInput: 'rateCrewCB',
+        mobRateInput: 'mobCB',
+        fallbackCrew: { id: 'C-CB', name: 'Structure Adjustment Crew' },
+        productionRateId: 'PR-CB',
+        rateStep: 1,
+        rateOptions: [2, 3, 4, 5, 6, 8],
+        outputs: [
+            { key: 'cy', label: 'CY' },
+        ],
+        standardScope: false,
+    },
+    fdr: {
+        id: 'FDR-001',
+        description: 'Full-Depth Reclamation',
+        label: 'FDR',
+        cardTitle: 'Full-Depth Reclamation',
+        wbsCode: '08.01',
+        colorClass: 'brown',
+        quantityUOM: 'SY',
+        rateUOM: 'SY',
+        takeoffLabel: 'Reclaim Area (SY)',
+        cycleLabel: 'Water Truck Cycle (min)',
+        hasDepth: true,
+        hasCycleTime: true,
+        hasMaterial: false,
+        truckCapacity: CONSTANTS.WATER_TRUCK_GAL,
+        truckCapacityUOM: 'GAL',
+        quantityMethod: 'direct area, water by in-place weight',
+        quantityCalc: (area, depth, _waste, _swell, _tack, params) => {
+            if (!area || !depth) return { netQuantity: area || 0, waterGal: 0, uomId: 'SY' };
+            return { netQuantity: area, waterGal: _waterGal(_inPlaceTons(area, depth), params.waterPct), uomId: 'SY' };
+        },
+        // Water trucks haul gallons from the hydrant; the reclaimer hauls nothing
+        truckingQuantityKey: 'waterGal',
+        extraKeys: { waterGal: 'waterGal' },
+        params: [
+            // Moisture added to reach optimum for compaction
+            { key: 'waterPct', label: 'Water Added (%)', inputId: 'fdrWaterPct', default: 2, step: 0.5 },
+        ],
+        inputs: { area: 'fdrArea', depth: 'fdrDepth', cycle: 'fdrCycle', rate: 'fdrRate', mob: 'fdrMob' },
+        crewRateInput: 'rateCrewFDR',
+        mobRateInput: 'mobFDR',
+        fallbackCrew: { id: 'C-FDR', name: 'Reclaimer Crew' },
+        productionRateId: 'PR-FDR',
+        rateStep: 250,
+        rateOptions: [1500, 2000, 2500, 3000, 3500, 4000, 5000, 6000, 8000, 10000],
+        outputs: [
+            { key: 'waterGal', label: 'Water Gal' },
+        ],
+        standardScope: false,
+    },
+    stabilization: {
+        id: 'STAB-001',
+        description: 'Cement / Lime Stabilization',
+        label: 'Stabilization',
+        cardTitle: 'Cement / Lime Stabilization',
+        wbsCode: '08.02',
+        colorClass: 'brown',
+        quantityUOM: 'SY',
+        rateUOM: 'SY',
+        takeoffLabel: 'Stabilized Area (SY)',
+        cycleLabel: 'Water Truck Cycle (min)',
+        hasDepth: true,
+        hasCycleTime: true,
+        hasMaterial: true,
+        materialId: 'M-014',
+        materialFor: params => STABILIZING_AGENTS[params.agent]?.materialId || 'M-014',
+        materialLabel: 'Cement / Lime',
+        truckCapacity: CONSTANTS.WATER_TRUCK_GAL,
+        truckCapacityUOM: 'GAL',
+        quantityMethod: 'in-place tons × agent % by weight',
+        quantityCalc: (area, depth, _waste, _swell, _tack, params) => {
+            if (!area || !depth) return { netQuantity: area || 0, agentTons: 0, waterGal: 0, uomId: 'SY' };
+            const tons = _inPlaceTons(area, depth);
+            // Spread rate in lbs/SY sets the tanker order
+            const spreadRate = tons / area * 2000 * params.pct / 100;
+            const agentTons = Math.ceil(area * spreadRate / 2000);
+            return { netQuantity: area, agentTons, waterGal: _waterGal(tons, params.waterPct), uomId: 'SY' };
+        },
+        materialQtyPerUnit: (depth, _waste, settings, params) => depth / 36 * CONSTANTS.RECLAIMED_DENSITY * params.pct / 100,
+        truckingQuantityKey: 'waterGal',
+        tonsKey: 'agentTons',
+        extraKeys: { agentTons: 'agentTons', waterGal: 'waterGal' },
+        params: [
+            { key: 'agent', label: 'Agent', inputId: 'stabAgent', type: 'select', default: 'cement',
+              options: Object.entries(STABILIZING_AGENTS).map(([value, a]) => ({ value, label: a.label })) },
+            // Typical mix designs: cement 3-6%, lime 4-8% by dry weight
+            { key: 'pct', label: 'Agent (% by weight)', inputId: 'stabPct', default: 4, step: 0.5 },
+            // Hydration water on top of the reclaimed moisture
+            { key: 'waterPct', label: 'Water Added (%)', inputId: 'stabWaterPct', default: 3, step: 0.5 },
+            // Stabilized base cures under a moist or sealed surface before HMA
+            { key: 'cureDays', label: 'Cure Before Paving (days)', inputId: 'stabCureDays', default: 3, step: 1 },
+        ],
+        cureLag: 'cureDays',
+        inputs: { area: 'stabArea', depth: 'stabDepth', cycle: 'stabCycle', rate: 'stabRate', mob: 'stabMob' },
+        crewRateInput: 'rateCrewStab',
+        mobRateInput: 'mobStab',
+        fallbackCrew: { id: 'C-STAB', name: 'Stabilization Crew' },
+        productionRateId: 'PR-STAB',
+        rateStep: 500,
+        rateOptions: [2000, 3000, 4000, 5000, 6000, 8000, 10000, 12000],
+        outputs: [
+            { key: 'agentTons', label: 'Agent Tons' },
+            { key: 'waterGal', label: 'Water Gal' },
+        ],
+        standardScope: false,
     }
 };
 
+// Activity types counted when checking scope completeness
+export const STANDARD_SCOPE_TYPES = Object.keys(ACTIVITY_CONFIG).filter(type => ACTIVITY_CONFIG[type].standardScope);
+
+// ============================================
+// ROADWAY CROSS-SECTION — activities a typical section feeds
+// quantity: CrossSection getter applied to the activity's area input
+// ============================================
+
+export const CROSS_SECTION_TARGETS = [
+    { activityType: 'milling',        quantity: 'millingSY', label: 'Milling',        default: true },
+    { activityType: 'paving_base',    quantity: 'pavedSY',   label: 'Base Course',    default: false },
+    { activityType: 'paving_surface', quantity: 'pavedSY',   label: 'Surface Course', default: true },
+    { activityType: 'tack_coat',      quantity: 'tackSY',    label: 'Tack Coat',      default: true },
+    // Longitudinal joints sealed with the crack seal crew
+    { activityType: 'crack_seal',     quantity: 'jointLF',   label: 'Joint Seal (LF)', default: false },
+];
+
+// ============================================
+// TAKEOFF ITEM ALIASES — common takeoff-software item names
+// Matched case- and punctuation-insensitively; saved aliases take precedence
+// ============================================
+
+export const DEFAULT_ITEM_ALIASES = {
+    'mill':                      'milling',
+    'asphalt milling':           'milling',
+    'pavement milling':          'milling',
+    'surface course':            'paving_surface',
+    'top course':                'paving_surface',
+    'wearing course':            'paving_surface',
+    'asphalt surface':           'paving_surface',
+    'base course':               'paving_base',
+    'binder course':             'paving_base',
+    'intermediate course':       'paving_base',
+    'asphalt base':              'paving_base',
+    'stone base':                'dga_base',
+    'aggregate base':            'dga_base',
+    'crushed stone base':        'dga_base',
+    'excavate':                  'excavation',
+    'fine grade':                'fine_grading',
+    'subgrade undercut':         'undercut',
+    'edge drain':                'underdrain',
+    'fabric':                    'geotextile',
+    'geotextile fabric':         'geotextile',
+    'seal coat':                 'sealcoat',
+    'sealcoating':               'sealcoat',
+    'pavement markings':         'striping',
+    'line striping':             'striping',
+    'patch':                     'patching',
+    'concrete curb':             'curb',
+    'curb and gutter':           'curb',
+    'concrete sidewalk':         'sidewalk',
+    'curb ramp':                 'ada_ramp',
+    'ada ramp':                  'ada_ramp',
+    'catch basin adjust':        'cb_adjust',
+    'manhole adjust':            'cb_adjust',
+    'full depth reclamation':    'fdr',
+};
+
 // ============================================
 // DEFAULT RISK TEMPLATES
 // ============================================
@@ -748,3 +2468,9 @@ export const DEFAULT_RISK_TEMPLATES = [
         affectedWBS: ['01', '03'], riskType: RiskType.PRODUCTION
     })
 ];
+
+// Risks carried as priced scope once their activities are in the takeoff —
+// a priced undercut replaces the undercut allowance in the contingency
+export const RISK_PRICED_BY = {
+    'R-004': ['undercut'],
+};
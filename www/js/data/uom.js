@@ -3,6 +3,8 @@
 // Tier 6.1 — UOM consistency enforcement
 // ============================================
 
+import { CONSTANTS } from './constants.js';
+
 export const UOM = {
     // Area
     SY: { id: 'SY', name: 'Square Yards', dimension: 'area', abbrev: 'SY' },
@@ -19,6 +21,7 @@ export const UOM = {
     // Length
     IN: { id: 'IN', name: 'Inches', dimension: 'length', abbrev: 'in' },
     FT: { id: 'FT', name: 'Feet', dimension: 'length', abbrev: 'ft' },
+    LF: { id: 'LF', name: 'Linear Feet', dimension: 'length', abbrev: 'LF' },
 
     // Time
     HR: { id: 'HR', name: 'Hours', dimension: 'time', abbrev: 'hr' },
@@ -44,3 +47,25 @@ export function checkUOMCompatibility(quantityUOM, rateOutputUOM) {
 export function getUOM(id) {
     return UOM[id] || null;
 }
+
+/**
+ * Square feet to square yards.
+ */
+export function sfToSy(sf) {
+    return sf / CONSTANTS.SF_PER_SY;
+}
+
+/**
+ * Convert a takeoff quantity between units of the same dimension.
+ * Only area (SF ↔ SY) converts; other units must already match.
+ * @param {number} qty
+ * @param {string} fromId - UOM id the quantity is in
+ * @param {string} toId - UOM id wanted
+ * @returns {number|null} null when the units don't convert
+ */
+export function convertQuantity(qty, fromId, toId) {
+    if (fromId === toId) return qty;
+    if (fromId === 'SF' && toId === 'SY') return sfToSy(qty);
+    if (fromId === 'SY' && toId === 'SF') return qty * CONSTANTS.SF_PER_SY;
+    return null;
+}
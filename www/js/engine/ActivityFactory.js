@@ -0,0 +1,303 @@
+// ============================================
+// Activity Factory
+// Builds estimate activities from their ACTIVITY_CONFIG declaration
+// ============================================
+
+import { Activity, DependencyType } from '../models/Activity.js';
+import { Quantity } from '../models/Quantity.js';
+import { Crew } from '../models/Crew.js';
+import { ProductionRate } from '../models/ProductionRate.js';
+import { ProductivityFactor } from '../models/ProductivityFactor.js';
+import { Resource, ResourceType } from '../models/Resource.js';
+import { Segment } from '../models/Segment.js';
+import { ACTIVITY_CONFIG, MATERIALS, DEFAULT_DEPENDENCIES, DEFAULT_CREW_SIZES, CREW_DATA, CREW_THRESHOLDS, PATCH_SIZE_FACTORS } from '../data/paving-defaults.js';
+import { CREW_COMPOSITIONS } from '../data/CrewCompositions.js';
+
+/**
+ * Material resources for every catalog entry, priced from the rate config.
+ *
+ * @param {Object<string, number>} prices - $/unit keyed by material id
+ * @returns {Object<string, Resource>} Keyed by material id
+ */
+export function buildMaterials(prices) {
+    return Object.fromEntries(Object.entries(MATERIALS).map(([id, m]) => [id, new Resource({
+        id, name: m.name, type: ResourceType.MATERIAL, unitId: m.unitId, costRate: prices[id] || 0
+    })]));
+}
+
+/**
+ * Config params for an activity with defaults filled in for anything not entered.
+ *
+ * @param {string} activityType
+ * @param {Object} [values] - Entered values keyed by param key
+ * @returns {Object} Every declared param key → value
+ */
+export function resolveParams(activityType, values = {}) {
+    const params = {};
+    for (const p of ACTIVITY_CONFIG[activityType].params || []) {
+        params[p.key] = values[p.key] ?? p.default;
+    }
+    return params;
+}
+
+/**
+ * Quantity takeoff for one area of an activity, via its config quantityCalc.
+ *
+ * @param {string} activityType
+ * @param {number} area - SY (LF for length takeoffs)
+ * @param {number} depth - inches
+ * @param {Object} settings - projectSettings (waste factors, swellFactor, tackAppRate)
+ * @param {Object} [params] - resolveParams() result
+ * @returns {{ netQuantity, tons, truckingQty, extra, raw }}
+ */
+export function measureQuantity(activityType, area, depth, settings, params = {}) {
+    const config = ACTIVITY_CONFIG[activityType];
+    const waste = config.wasteSetting ? settings[config.wasteSetting] : 1.0;
+    const raw = config.quantityCalc(area, depth, waste, settings.swellFactor, settings.tackAppRate, params);
+
+    const extra = {};
+    for (const [key, field] of Object.entries(config.extraKeys || {})) {
+        extra[key] = raw[field] || 0;
+    }
+    return {
+        netQuantity: raw.netQuantity,
+        tons: config.tonsKey ? raw[config.tonsKey] || 0 : 0,
+        truckingQty: config.truckingQuantityKey ? raw[config.truckingQuantityKey] || 0 : 0,
+        extra,
+        raw,
+    };
+}
+
+/**
+ * v4.0 smart crew selection. A manual crew rate is used as a composite crew;
+ * otherwise milling and paving share the COMBO crew when both are on the job,
+ * and everything else is auto-selected from CREW_THRESHOLDS by job size.
+ *
+ * @param {string} activityType
+ * @param {number} manualRate - $/hr entered in the rate config (0 = auto)
+ * @param {Object} [crewContext]
+ * @param {number} [crewContext.totalJobSY] - Largest takeoff area, the sizing driver
+ * @param {boolean} [crewContext.useCombo] - Crew.detectCombo() for the job
+ * @param {Object<string, number>} [crewContext.equipmentRates] - Equipment code → O&O $/hr (EquipmentCost.equipmentRates)
+ * @param {Object<string, Object>} [crewContext.laborRates] - Classification → burdened rate (LaborCost.laborRates);
+ *   null keeps the composition labor rates
+ * @param {Object} [params] - resolveParams() result, for config.crewKey
+ * @returns {Crew}
+ */
+export function selectCrew(activityType, manualRate, { totalJobSY = 0, useCombo = false, equipmentRates = null, laborRates = null } = {}, params = {}) {
+    const config = ACTIVITY_CONFIG[activityType];
+    const fallback = config.fallbackCrew;
+    const headcount = DEFAULT_CREW_SIZES[activityType] || 0;
+
+    if (manualRate > 0) {
+        return Crew.fromComposite(fallback.id, fallback.name, manualRate, headcount);
+    }
+    if (useCombo && (activityType === 'milling' || activityType === 'paving_base' || activityType === 'paving_surface')) {
+        // Prefer detailed composition for COMBO
+        if (CREW_COMPOSITIONS['COMBO']) {
+            return Crew.fromDetailedData('COMBO', CREW_COMPOSITIONS['COMBO'], equipmentRates, laborRates);
+        }
+        const comboData = CREW_DATA['COMBO'];
+        if (comboData) return Crew.fromCrewData('COMBO', comboData);
+    }
+    // Auto-select based on job size (prefers detailed compositions)
+    const crewKey = config.crewKey ? config.crewKey(params) : activityType;
+    const result = Crew.autoSelect(totalJobSY, crewKey, CREW_THRESHOLDS, CREW_DATA, CREW_COMPOSITIONS, equipmentRates, laborRates);
+    if (result) return result.crew;
+    // Ultimate fallback
+    return Crew.fromComposite(fallback.id, fallback.name, manualRate, headcount);
+}
+
+/**
+ * Build one activity from its config and the takeoff entered for it.
+ *
+ * @param {string} activityType - ACTIVITY_CONFIG key
+ * @param {Object} input
+ * @param {number} input.area - SY
+ * @param {number} [input.depth] - inches
+ * @param {number} [input.cycleTime] - Truck cycle, minutes (0 = no trucking)
+ * @param {number} [input.rate] - Production rate per day (0 = none entered)
+ * @param {boolean} [input.mobIncluded]
+ * @param {number} [input.mobCost]
+ * @param {number} [input.crewRate] - Manual crew $/hr (0 = auto-select)
+ * @param {Array} [input.segments] - Extra takeoff areas: [{ name, area, depth, preset, mob, source }]
+ * @param {Object} [input.params] - Values for config.params, keyed by param key
+ * @param {string} [input.source] - Where the takeoff came from (e.g. 'DXF layer MILL'), kept in quantity.method
+ * @param {Object} context
+ * @param {Object} context.settings - projectSettings (waste, swell, truck efficiency, tack rate)
+ * @param {Object<string, Resource>} context.materials - buildMaterials() result
+ * @param {ProductivityFactor} context.productivity - Job productivity
+ * @param {Object} [context.crewContext] - { totalJobSY, useCombo, equipmentRates, laborRates } for selectCrew
+ * @returns {Activity}
+ */
+export function buildActivity(activityType, input, context) {
+    const config = ACTIVITY_CONFIG[activityType];
+    const { settings, materials, productivity, crewContext } = context;
+    const area = input.area || 0;
+    const depth = config.hasDepth ? input.depth || 0 : 0;
+    const waste = config.wasteSetting ? settings[config.wasteSetting] : 1.0;
+    const params = resolveParams(activityType, input.params);
+    const measured = measureQuantity(activityType, area, depth, settings, params);
+
+    const inputs = config.hasDepth ? { area, depth } : { area };
+    for (const key of config.settingInputs || []) inputs[key] = settings[key];
+    Object.assign(inputs, params);
+
+    const materialResources = [];
+    if (config.hasMaterial) {
+        const materialId = config.materialFor ? config.materialFor(params) : config.materialId;
+        materialResources.push({ resource: materials[materialId], quantityPerOutputUnit: config.materialQtyPerUnit(depth, waste, settings, params) });
+        for (const add of config.additionalMaterials || []) {
+            const qtyPerUnit = add.extraKey
+                ? (measured.netQuantity > 0 ? measured.extra[add.extraKey] / measured.netQuantity : 0)
+                : add.qtyPerUnit(depth, waste, settings, params);
+            materialResources.push({ resource: materials[add.materialId], quantityPerOutputUnit: qtyPerUnit });
+        }
+    }
+    const cycleTime = config.hasCycleTime ? input.cycleTime || 0 : 0;
+
+    const activity = new Activity({
+        id: config.id,
+        description: config.description,
+        wbsCode: config.wbsCode,
+        activityType,
+        colorClass: config.colorClass,
+        quantity: new Quantity({ netQuantity: measured.netQuantity, uomId: config.quantityUOM, wasteFactor: 1.0, method: _traceMethod(input.source, config.quantityMethod), inputs }),
+        crew: selectCrew(activityType, input.crewRate || 0, crewContext, params),
+        productionRate: new ProductionRate({
+            id: config.productionRateId, activityType, outputQty: input.rate || 0, outputUOMId: config.rateUOM,
+            source: input.rate ? 'User selected' : ''
+        }),
+        productivityFactor: config.referenceProductivity ? new ProductivityFactor()
+            : config.workAreaCount ? _withWorkAreaSize(productivity, area / Math.max(1, params[config.workAreaCount] || 0))
+            : productivity,
+        materialResources,
+        mobilization: { included: !!input.mobIncluded, cost: input.mobCost || 0 },
+        trucking: cycleTime ? { cycleTime, truckCapacity: config.truckCapacity, efficiency: settings.truckEfficiency } : null,
+        dependencies: (DEFAULT_DEPENDENCIES[config.id] || []).map(dep => ({ ...dep }))
+    });
+
+    // Attach extra data for rendering (tonnage, loose CY, etc.)
+    activity._extra = measured.extra;
+    // Trucks haul a derived quantity (loose CY, tons) rather than the takeoff
+    // quantity — netQuantity is what calculateTrucking hauls already
+    if (activity.trucking && config.truckingQuantityKey && config.truckingQuantityKey !== 'netQuantity') {
+        activity._truckingQuantityOverride = measured.truckingQty;
+    }
+
+    if (input.segments?.length) _applySegments(activity, input.segments, input.mobCost || 0, settings, params, productivity);
+    return activity;
+}
+
+/**
+ * Hold FS successors of a curing activity (config.cureLag) for its cure time.
+ * Only applies when the curing activity has work — an empty sealcoat section
+ * doesn't delay striping.
+ *
+ * @param {Activity[]} activities - Built activities (dependencies are edited in place)
+ */
+export function applyCureLags(activities) {
+    const byId = new Map(activities.map(a => [a.id, a]));
+    for (const activity of activities) {
+        for (const dep of activity.dependencies) {
+            const pred = byId.get(dep.predecessorId);
+            const cureKey = pred && ACTIVITY_CONFIG[pred.activityType]?.cureLag;
+            if (!cureKey || (dep.type || DependencyType.FS) !== DependencyType.FS) continue;
+            if (pred.quantity?.netQuantity > 0) {
+                dep.lag = Math.max(dep.lag || 0, pred.quantity.inputs[cureKey] || 0);
+            }
+        }
+    }
+}
+
+// ---- Internal ----
+
+/**
+ * Roll segment rows into the activity. The main inputs become the first
+ * segment at the job productivity; each row is measured with the same
+ * quantity calc and may carry its own preset and separate mobilization.
+ * Takeoff-count params (stalls, arrows) belong to the main entry only.
+ */
+function _applySegments(activity, rows, mobCost, settings, params, productivity) {
+    const config = ACTIVITY_CONFIG[activity.activityType];
+    const main = activity.quantity.inputs;
+    const rowParams = { ...params };
+    for (const p of config.params || []) {
+        if (p.takeoff) rowParams[p.key] = 0;
+    }
+    const entries = [
+        { name: 'Main', area: main.area || 0, depth: main.depth || 0, preset: '', mob: false, params, method: activity.quantity.method },
+        ...rows.map(row => ({
+            ...row, depth: config.hasDepth ? row.depth || main.depth || 0 : 0, params: rowParams,
+            method: _traceMethod(row.source, config.quantityMethod),
+        })),
+    ].map(entry => ({ ...entry, measured: measureQuantity(activity.activityType, entry.area, entry.depth, settings, entry.params) }))
+        .filter(entry => entry.area > 0 || entry.measured.netQuantity > 0);
+    if (entries.length === 0) return;
+
+    const waste = config.wasteSetting ? settings[config.wasteSetting] : 1.0;
+    let netQuantity = 0, area = 0, depthArea = 0, tons = 0, truckingQty = 0, primaryQty = 0;
+    const extra = {};
+    activity.segments = entries.map(entry => {
+        const m = entry.measured;
+        let productivityFactor = entry.preset ? ProductivityFactor.fromPreset(entry.preset) : null;
+        if (config.workAreaCount) {
+            // Each row is one patch; the main entry is spread over the patch count
+            const count = Math.max(1, entry.params[config.workAreaCount] || 0);
+            productivityFactor = _withWorkAreaSize(productivityFactor || productivity, entry.area / count);
+        }
+        netQuantity += m.netQuantity;
+        area += entry.area;
+        depthArea += entry.area * entry.depth;
+        tons += m.tons;
+        truckingQty += m.truckingQty;
+        if (config.hasMaterial) primaryQty += m.netQuantity * config.materialQtyPerUnit(entry.depth, waste, settings, params);
+        for (const [key, val] of Object.entries(m.extra)) extra[key] = (extra[key] || 0) + val;
+
+        return new Segment({
+            name: entry.name,
+            quantity: new Quantity({
+                netQuantity: m.netQuantity, uomId: activity.quantity.uomId, wasteFactor: 1.0,
+                method: entry.method, inputs: { area: entry.area, depth: entry.depth }
+            }),
+            productivityFactor,
+            mobilization: { included: entry.mob, cost: mobCost },
+            tons: m.tons,
+        });
+    });
+
+    activity.quantity = new Quantity({
+        netQuantity, uomId: activity.quantity.uomId, wasteFactor: 1.0,
+        method: `${activity.quantity.method}, ${entries.length} segments`,
+        inputs: { ...main, area, depth: area > 0 ? depthArea / area : 0 }
+    });
+    activity._extra = extra;
+    if (activity._truckingQuantityOverride != null) activity._truckingQuantityOverride = truckingQty;
+    // Material per unit varies by segment depth — use the blended rate: tonnage
+    // where the activity has it, else each row's own material quantity (concrete CY)
+    const [primary, ...additional] = activity.materialResources;
+    if (primary && netQuantity > 0) {
+        if (tons > 0) primary.quantityPerOutputUnit = tons / netQuantity;
+        else if (config.hasDepth) primary.quantityPerOutputUnit = primaryQty / netQuantity;
+    }
+    (config.additionalMaterials || []).forEach((add, i) => {
+        if (add.extraKey && additional[i]) additional[i].quantityPerOutputUnit = netQuantity > 0 ? extra[add.extraKey] / netQuantity : 0;
+    });
+}
+
+// 'DXF layer MILL; direct area' — the takeoff source ahead of the derivation
+function _traceMethod(source, method) {
+    return [source, method].filter(Boolean).join('; ');
+}
+
+/**
+ * Copy of a productivity factor with the small-work-area penalty for the
+ * average area size (PATCH_SIZE_FACTORS).
+ */
+function _withWorkAreaSize(productivity, areaSize) {
+    const pf = ProductivityFactor.fromJSON(productivity?.toJSON() || {});
+    const size = PATCH_SIZE_FACTORS.find(s => areaSize <= s.maxSY) || PATCH_SIZE_FACTORS[PATCH_SIZE_FACTORS.length - 1];
+    pf.workAreaSize = size.factor;
+    pf.bases = { ...pf.bases, workAreaSize: `Average area ${areaSize.toFixed(1)} SY` };
+    return pf;
+}
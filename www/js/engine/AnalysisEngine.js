@@ -3,7 +3,7 @@
 // Deterministic rule-based observations with flags
 // ============================================
 
-import { BENCHMARKS, QTY_RANGES, CREW_DATA, CREW_THRESHOLDS } from '../data/paving-defaults.js';
+import { ACTIVITY_CONFIG, BENCHMARKS, QTY_RANGES, CREW_DATA, CREW_THRESHOLDS } from '../data/paving-defaults.js';
 import { MATERIAL_PRICES } from '../data/constants.js';
 import { _getUnitCostStatus } from './Confidence.js';
 
@@ -112,9 +112,17 @@ export function generateAnalysis(snapshot) {
         }
     }
 
-    // Rule 6: Overtime alert
+    // Rule 6: Overtime alert (priced when the crew's classifications are in the wage table)
     for (const a of activeActivities) {
-        if (a.threeTier && a.threeTier.standard) {
+        if (a.overtimeCost > 0) {
+            const hours = [
+                a.overtimeHours > 0 ? `${+a.overtimeHours.toFixed(1)} OT` : '',
+                a.doubleTimeHours > 0 ? `${+a.doubleTimeHours.toFixed(1)} double-time` : '',
+            ].filter(Boolean).join(' + ');
+            add(a.activityType, 'OVERTIME', 'INFO',
+                `${a.description}: ${hours} hours per worker add $${Math.round(a.overtimeCost).toLocaleString()} overtime premium to labor.`,
+                ['Premium is on wages and FICA; fringes stay straight time', 'Check the wage table overtime rules against the labor agreement']);
+        } else if (a.threeTier && a.threeTier.standard) {
             const opt = a.threeTier.standard.optimized;
             if (opt && opt.shiftBase > 10) {
                 add(a.activityType, 'OVERTIME', 'INFO',
@@ -176,7 +184,7 @@ export function generateAnalysis(snapshot) {
 
     // Rule 11: Missing trucking for activities that need it
     for (const a of activeActivities) {
-        if (['excavation', 'dga_base', 'milling', 'paving_base', 'paving_surface'].includes(a.activityType)) {
+        if (ACTIVITY_CONFIG[a.activityType]?.hasCycleTime) {
             if (a.truckingCost === 0 && a.grossQuantity > 0) {
                 add(a.activityType, 'NO_TRUCKING', 'INFO',
                     `${a.description}: No trucking cost — cycle time not set.`,
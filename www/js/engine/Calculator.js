@@ -6,13 +6,19 @@
 // ============================================
 
 import { Scheduler } from './Scheduler.js';
+import { levelResources } from './ResourceLeveling.js';
+import { simulateSchedule } from './ScheduleRisk.js';
 import { calcThreeTier } from './ThreeTier.js';
+import { overtimePremium } from './LaborCost.js';
 import { clusterize } from './ClusterEngine.js';
 import { calculateConfidence, getContingencyRecommendation } from './Confidence.js';
 import { generateAnalysis } from './AnalysisEngine.js';
 import { calculateCalendarDuration } from './CalendarDuration.js';
+import { buildDatedSchedule } from './WorkCalendar.js';
+import { estimateWeatherDays } from './WeatherDays.js';
+import { MonteCarlo } from './MonteCarlo.js';
 import { MATERIAL_PRICES } from '../data/constants.js';
-import { BENCHMARKS } from '../data/paving-defaults.js';
+import { ACTIVITY_CONFIG, BENCHMARKS, RATE_CONFIDENCE, PRICE_UNCERTAINTY, RISK_SIMULATION_DEFAULTS, RISK_CORRELATIONS } from '../data/paving-defaults.js';
 
 export class Calculator {
     /**
@@ -21,9 +27,12 @@ export class Calculator {
      *
      * @param {import('../models/Estimate.js').Estimate} estimate
      * @param {number} truckingRate - $/hr for trucking (from rate config)
+     * @param {Object} [options]
+     * @param {boolean} [options.simulate=true] - Run the Monte Carlo phases. Callers that
+     *   re-price many variants (revision diff, sensitivity) turn this off.
      * @returns {Object} Complete calculation results
      */
-    calculate(estimate, truckingRate = 0) {
+    calculate(estimate, truckingRate = 0, { simulate = true } = {}) {
         const activities = estimate.allActivities;
         const { stdShift, maxShift } = estimate.shiftSettings;
 
@@ -39,17 +48,34 @@ export class Calculator {
                 activity.threeTier = calcThreeTier(
                     activity.quantity?.grossQuantity || 0,
                     activity.productionRate?.outputQty || 0,
-                    activity.productivityFactor?.composite || 1,
+                    activity.productivityComposite,
                     stdShift,
                     maxShift
                 );
             }
+            // Premium for days and weeks past the wage table's straight-time limits
+            activity.overtime = activity.duration > 0 && estimate.overtime ? overtimePremium(
+                activity.threeTier.standard.optimized,
+                activity.crew?.laborComponents || [],
+                estimate.overtime,
+                estimate.timeUnit.workDaysPerWeek
+            ) : null;
         }
 
         // ---- Phase 3: Schedule (CPM) ----
         // Axiom 4: Project duration derived from CPM, never assumed.
-        const scheduler = new Scheduler(activities);
-        scheduler.run();
+        const cpmScheduler = new Scheduler(activities);
+        cpmScheduler.run();
+
+        // ---- Phase 3.1: Resource leveling against the crew fleet ----
+        // The leveled network (CPM + resource links) drives duration, GC and dates.
+        const resourceLeveling = estimate.crewFleet ?
+            levelResources(activities, estimate.crewFleet, cpmScheduler) : null;
+        let scheduler = cpmScheduler;
+        if (resourceLeveling) {
+            scheduler = new Scheduler(activities, null, resourceLeveling.links);
+            scheduler.run();
+        }
 
         const projectDuration = scheduler.projectDuration;
         const criticalPath = scheduler.criticalPath;
@@ -72,17 +98,19 @@ export class Calculator {
 
             // Compute unit cost for benchmarking
             // Excavation & DGA: $/CY (volume-driven, depth-independent)
-            // All others: $/SY (area-driven)
+            // Crack seal, striping: $/LF of the measured quantity (striping counts
+            // stalls and symbols as 4" line, so the entered length isn't the total)
+            // All others: $/SY of takeoff area
             // Exclude mobilization (lump sum, not per-unit production cost)
             const grossQty = activity.quantity?.grossQuantity || 0;
             const benchmarks = BENCHMARKS[estimate.jobMode] || BENCHMARKS.parking_lot;
             const bm = benchmarks[activity.activityType];
-            const useCY = bm && bm.unit === 'CY';
-            const unitDenominator = useCY ? grossQty : (activity.quantity?.inputs?.area || grossQty);
+            const perSY = (bm?.unit || 'SY') === 'SY';
+            const unitDenominator = perSY ? (activity.quantity?.inputs?.area || grossQty) : grossQty;
             const productionCost = activity.laborCost + activity.equipmentCost + activity.materialCost + trk.truckCost;
             const actDirectCost = activity.directCost + trk.truckCost;
             const unitCost = unitDenominator > 0 ? productionCost / unitDenominator : 0;
-            const unitCostUOM = useCY ? 'CY' : 'SY';
+            const unitCostUOM = bm?.unit || 'SY';
 
             const result = {
                 id: activity.id,
@@ -98,7 +126,7 @@ export class Calculator {
 
                 // Production
                 referenceRate: activity.productionRate?.outputQty || 0,
-                productivityFactor: activity.productivityFactor?.composite || 1,
+                productivityFactor: activity.productivityComposite,
                 adjustedRate: activity.adjustedProductionRate,
                 duration: activity.duration,
 
@@ -110,6 +138,9 @@ export class Calculator {
 
                 // Costs
                 laborCost: activity.laborCost,
+                overtimeCost: activity.overtimeCost,
+                overtimeHours: activity.overtime?.overtimeHours || 0,
+                doubleTimeHours: activity.overtime?.doubleTimeHours || 0,
                 equipmentCost: activity.equipmentCost,
                 materialCost: activity.materialCost,
                 mobilizationCost: activity.mobilizationCost,
@@ -137,6 +168,9 @@ export class Calculator {
                 // Material breakdown (v4.0)
                 materialBreakdown: activity.materialBreakdown,
 
+                // Takeoff segments (empty for single-area activities)
+                segments: activity.segmentBreakdown(trk.truckCost, unitCostUOM),
+
                 // Reviewer note
                 reviewerNote: activity.reviewerNote || '',
             };
@@ -152,7 +186,7 @@ export class Calculator {
             totalActivityDays += result.duration;
 
             // Track HMA tonnage for plant opening fee check
-            if (['paving_base', 'paving_surface'].includes(activity.activityType)) {
+            if (ACTIVITY_CONFIG[activity.activityType]?.isHMA) {
                 const qtyData = activity.quantity;
                 if (qtyData && qtyData._derivedQuantities?.tonsWithWaste) {
                     totalHMATons += qtyData._derivedQuantities.tonsWithWaste;
@@ -180,6 +214,10 @@ export class Calculator {
         const directCostTotal = totalLaborCost + totalEquipmentCost + totalMaterialCost +
             totalTruckingCost + effectiveMobCost + safetyCostTotal;
 
+        // ---- Phase 5.2: Identified risks → contingency (Tier 5.1 → 4.3) ----
+        // Expected value of the risk register is the deterministic identified-risk allowance.
+        estimate.indirectCosts.contingency.identifiedRisksTotal = estimate.riskRegister.totalExpectedValue;
+
         // ---- Phase 6: Indirect costs (uses projectDuration from CPM) ----
         // Axiom 5: Time-dependent costs use concurrent schedule, not sum of durations.
         // Labor-only: %-based GC items (small tools, safety PPE) and B&I items
@@ -191,6 +229,24 @@ export class Calculator {
             projectDuration
         );
 
+        // ---- Phase 6.1: Probabilistic risk analysis (Tier 5.2) ----
+        const riskAnalysis = simulate ? this.runRiskAnalysis(estimate, {
+            activities: activityResults,
+            directCostTotal,
+            ...indirectResults,
+        }) : null;
+
+        // ---- Phase 6.2: Schedule risk analysis (Tier 5.3) ----
+        const riskSettings = { ...RISK_SIMULATION_DEFAULTS, ...(estimate.riskSettings || {}) };
+        const scheduleRisk = simulate && riskSettings.scheduleSimulation ?
+            simulateSchedule(activities, {
+                iterations: riskSettings.iterations,
+                seed: riskSettings.seed,
+                correlations: RISK_CORRELATIONS,
+                gcPerDay: estimate.indirectCosts.gcPerDay,
+                resourceLinks: resourceLeveling?.links,
+            }) : null;
+
         // ---- Phase 7: Confidence scoring ----
         const confidenceSnapshot = {
             activities: activityResults,
@@ -257,14 +313,29 @@ export class Calculator {
         });
         estimate.analysisResults = analysisResults;
 
-        // ---- Phase 10: Calendar duration ----
+        // ---- Phase 10: Weather contingency (regional model over the dated schedule) ----
+        const weatherAnalysis = estimate.weatherModel && estimate.startDate ?
+            estimateWeatherDays(
+                buildDatedSchedule(activityResults, estimate.timeUnit, estimate.startDate, { seasonMode: estimate.seasonMode }),
+                estimate.weatherModel
+            ) : null;
+        const weatherDays = weatherAnalysis ? weatherAnalysis.contingencyDays : estimate.weatherDays;
+
+        // ---- Phase 10.1: Calendar duration ----
         const calendarDuration = calculateCalendarDuration(
             Object.fromEntries(scheduler.results),
             activityResults,
-            estimate.weatherDays
+            weatherDays
         );
         estimate.calendarDuration = calendarDuration;
 
+        // ---- Phase 10.2: Dated schedule (company calendar + paving season) ----
+        const datedSchedule = estimate.startDate ?
+            buildDatedSchedule(activityResults, estimate.timeUnit, estimate.startDate, {
+                weatherDays,
+                seasonMode: estimate.seasonMode,
+            }) : null;
+
         // ---- Phase 11: Final totals ----
         const mobAndSafety = clusterResults ? clusterResults.totalMobAndSafety : 0;
 
@@ -277,6 +348,7 @@ export class Calculator {
             totalActivityDays,
             criticalPath,
             ganttData,
+            resourceLeveling,
             scheduleResults: Object.fromEntries(scheduler.results),
 
             // Cost aggregates
@@ -299,6 +371,10 @@ export class Calculator {
             // Indirect & markups
             ...indirectResults,
 
+            // Probabilistic risk (Monte Carlo)
+            riskAnalysis,
+            scheduleRisk,
+
             // Confidence & Analysis (v4.0 + v4.1 contingency link)
             confidenceScore,
             contingencyRecommendation,
@@ -308,6 +384,8 @@ export class Calculator {
 
             // Calendar (v4.0)
             calendarDuration,
+            datedSchedule,
+            weatherAnalysis,
 
             // Timestamp
             calculatedAt: new Date().toISOString()
@@ -318,4 +396,85 @@ export class Calculator {
 
         return results;
     }
+
+    /**
+     * Monte Carlo over the priced estimate: production-rate uncertainty per
+     * activity (RATE_CONFIDENCE bands), material price uncertainty, and each
+     * risk register item's probability × PERT impact.
+     *
+     * Public so callers that patch direct costs after calculate() (trucking
+     * overrides) can re-run it against the corrected totals.
+     *
+     * @param {import('../models/Estimate.js').Estimate} estimate
+     * @param {Object} results - { activities, directCostTotal, subtotalBeforeContingency, totalContingency, identifiedRisks }
+     * @returns {Object|null} Percentiles, contingency at the target confidence, histogram
+     */
+    runRiskAnalysis(estimate, results) {
+        const baseTotal = results.subtotalBeforeContingency || 0;
+        if (!results.directCostTotal || baseTotal <= 0) return null;
+
+        const settings = { ...RISK_SIMULATION_DEFAULTS, ...(estimate.riskSettings || {}) };
+        const costVariables = [];
+
+        for (const a of results.activities) {
+            if (a.duration <= 0) continue;
+
+            // Production: time-driven cost moves inversely with achieved rate
+            const band = (RATE_CONFIDENCE[a.activityType]?.band ?? 25) / 100;
+            const timeCost = a.laborCost + a.equipmentCost + a.truckingCost;
+            if (timeCost > 0) {
+                costVariables.push({
+                    name: `${a.description} production`,
+                    key: `production:${a.activityType}`,
+                    base: timeCost, min: 1 - band, mostLikely: 1, max: 1 + band, inverse: true,
+                });
+            }
+
+            // Material price
+            if (a.materialCost > 0) {
+                const pu = PRICE_UNCERTAINTY.material;
+                costVariables.push({
+                    name: `${a.description} material price`,
+                    key: `material:${a.activityType}`,
+                    base: a.materialCost, min: 1 - pu.low, mostLikely: 1, max: 1 + pu.high,
+                });
+            }
+        }
+
+        const risks = estimate.riskRegister.risks;
+        const mc = new MonteCarlo(settings.iterations, settings.seed);
+        const sim = mc.runWithRisks({
+            baseTotal,
+            markupFactor: baseTotal / results.directCostTotal,
+            costVariables,
+            risks,
+            correlations: RISK_CORRELATIONS,
+        });
+
+        const confidenceLevel = settings.confidenceLevel;
+        const bidAtTarget = MonteCarlo.percentile(sim.distribution, confidenceLevel);
+        const contingencyAtTarget = Math.max(0, bidAtTarget - baseTotal);
+
+        return {
+            iterations: sim.iterations,
+            seed: sim.seed,
+            mean: sim.mean,
+            stdDev: sim.stdDev,
+            p10: sim.p10,
+            p50: sim.p50,
+            p80: sim.p80,
+            p90: sim.p90,
+            baseTotal,
+            confidenceLevel,
+            bidAtTarget: Math.round(bidAtTarget),
+            contingencyAtTarget: Math.round(contingencyAtTarget),
+            contingencyPctAtTarget: contingencyAtTarget / baseTotal,
+            currentContingency: results.totalContingency || 0,
+            identifiedRisksTotal: estimate.riskRegister.totalExpectedValue,
+            riskHitRates: sim.riskHitRates,
+            variableCount: costVariables.length,
+            riskCount: risks.length,
+            histogram: MonteCarlo.histogram(sim.distribution, 20),
+        };
+    }
 }
@@ -58,6 +58,17 @@ export function clusterize(activities, jobMode, travelHours = 1) {
     if (earthworkActivities.length > 0) {
         const cluster = _buildCluster('earthwork', earthworkDef, activities, activeTypes, earthworkActivities);
         clusters.push(cluster);
+        earthworkActivities.forEach(a => assignedActivities.add(a));
+    }
+
+    // Remaining clusters (pavement maintenance, ...) move in on their own
+    for (const [key, def] of Object.entries(CREW_CLUSTERS)) {
+        if (['earthwork', 'milling', 'paving', 'combo'].includes(key)) continue;
+        const remaining = def.activities.filter(at => activeTypes.has(at) && !assignedActivities.has(at));
+        if (remaining.length > 0) {
+            clusters.push(_buildCluster(key, def, activities, activeTypes, remaining));
+            remaining.forEach(a => assignedActivities.add(a));
+        }
     }
 
     // Calculate mobilization costs per cluster
@@ -0,0 +1,181 @@
+// ============================================
+// CSV Import
+// Quantity takeoffs exported from takeoff software, read locally
+// ============================================
+
+import { ACTIVITY_CONFIG } from '../data/paving-defaults.js';
+import { convertQuantity } from '../data/uom.js';
+
+/**
+ * Unit spellings takeoff exports use, by UOM id.
+ */
+const UNIT_PATTERNS = [
+    ['SF', /^(sf|sq ?ft|sqft|square ?f(ee|oo)t|ft2|ft\^2)$/],
+    ['SY', /^(sy|sq ?yd|sqyd|square ?yards?|yd2|yd\^2)$/],
+    ['LF', /^(lf|ft|lin ?ft|linear ?f(ee|oo)t|feet)$/],
+    ['EA', /^(ea|each|ct|count|no|pcs?)$/],
+];
+
+/**
+ * Header patterns for guessing the column mapping, tried in this order so
+ * a 'Unit' column isn't taken for the quantity.
+ */
+const COLUMN_PATTERNS = [
+    ['unit', /^(units?|uom|u\/?m)$|\bunits?\b|\buom\b/],
+    ['depth', /depth|thick/],
+    ['area', /area|qty|quantity|amount|measure|total|value/],
+    ['item', /item|desc|name|activity|condition|layer|type/],
+];
+
+/**
+ * Split CSV text into a header and data rows. Quoted fields may hold
+ * delimiters, doubled quotes and line breaks; the delimiter (comma,
+ * semicolon or tab) is taken from the header line. Blank lines are skipped.
+ *
+ * @param {string} text - File contents
+ * @returns {{ headers: string[], rows: { line: number, cells: string[] }[] }} line = 1-based file line a row starts on
+ * @throws {Error} No header or no data rows
+ */
+export function parseCSV(text) {
+    text = text.replace(/^\uFEFF/, '');
+    const firstLine = text.slice(0, text.search(/\r?\n|$/));
+    const delimiter = [',', ';', '\t']
+        .reduce((best, d) => firstLine.split(d).length > firstLine.split(best).length ? d : best, ',');
+
+    const records = [];
+    let cells = [];
+    let cell = '';
+    let quoted = false;
+    let line = 1;
+    let start = 1;
+
+    const endRecord = () => {
+        cells.push(cell.trim());
+        if (cells.some(c => c !== '')) records.push({ line: start, cells });
+        cells = [];
+        cell = '';
+    };
+
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (quoted) {
+            if (ch === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (ch === '"') {
+                quoted = false;
+            } else {
+                if (ch === '\n') line++;
+                cell += ch;
+            }
+        } else if (ch === '"' && cell.trim() === '') {
+            quoted = true;
+            cell = '';
+        } else if (ch === delimiter) {
+            cells.push(cell.trim());
+            cell = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && text[i + 1] === '\n') i++;
+            endRecord();
+            line++;
+            start = line;
+        } else {
+            cell += ch;
+        }
+    }
+    endRecord();
+
+    if (records.length === 0) throw new Error('File is empty');
+    if (records.length === 1) throw new Error('No rows below the header');
+    const [header, ...rows] = records;
+    return { headers: header.cells, rows };
+}
+
+/**
+ * Best guess at which columns hold the item, quantity, depth and unit.
+ * @param {string[]} headers
+ * @returns {{ item: number, area: number, depth: number, unit: number }} Column indexes, -1 = none
+ */
+export function guessColumns(headers) {
+    const columns = { item: -1, area: -1, depth: -1, unit: -1 };
+    const names = headers.map(h => h.toLowerCase().trim());
+    for (const [field, pattern] of COLUMN_PATTERNS) {
+        const taken = Object.values(columns);
+        columns[field] = names.findIndex((name, i) => !taken.includes(i) && pattern.test(name));
+    }
+    return columns;
+}
+
+/**
+ * Normalize an item name for alias lookup: lowercase, punctuation to spaces.
+ * @param {string} item
+ * @returns {string}
+ */
+export function aliasKey(item) {
+    return String(item).toLowerCase().replace(/&/g, ' and ').replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+/**
+ * Activity an item name maps to: an alias first, then an activity's own
+ * label or key ("Surface Paving", "paving_surface").
+ * @param {string} item
+ * @param {Object<string, string>} aliases - Item name → ACTIVITY_CONFIG key
+ * @returns {string} Card activity type, '' = no match
+ */
+export function resolveItem(item, aliases) {
+    const key = aliasKey(item);
+    if (!key) return '';
+    for (const [name, type] of Object.entries(aliases)) {
+        if (aliasKey(name) === key && ACTIVITY_CONFIG[type] && ACTIVITY_CONFIG[type].card !== false) return type;
+    }
+    return Object.keys(ACTIVITY_CONFIG).find(type => ACTIVITY_CONFIG[type].card !== false &&
+        (aliasKey(ACTIVITY_CONFIG[type].label) === key || aliasKey(type) === key)) || '';
+}
+
+/**
+ * Turn CSV rows into segment takeoffs. Every row comes back, in file order;
+ * rows that can't be used carry the reason instead of being dropped.
+ *
+ * - Quantities convert into the activity's takeoff unit (SF ↔ SY); a blank
+ *   unit, or no unit column, is taken to already be in that unit
+ * - A blank depth keeps the activity's own
+ *
+ * @param {{ line: number, cells: string[] }[]} rows - parseCSV() rows
+ * @param {{ item: number, area: number, depth: number, unit: number }} columns
+ * @param {Object<string, string>} aliases - Item name → ACTIVITY_CONFIG key
+ * @returns {{ line: number, item: string, rawQuantity: string, rawUnit: string, activityType: string, quantity: number, uom: string, depth: number, reason: string }[]} reason '' = mapped
+ */
+export function mapCsvRows(rows, columns, aliases) {
+    const cell = (row, index) => index >= 0 ? row.cells[index] ?? '' : '';
+
+    return rows.map(row => {
+        const item = cell(row, columns.item);
+        const rawQuantity = cell(row, columns.area);
+        const rawUnit = cell(row, columns.unit);
+        const activityType = resolveItem(item, aliases);
+        const uom = ACTIVITY_CONFIG[activityType]?.takeoffUOM || 'SY';
+        const depth = parseFloat(cell(row, columns.depth)) || 0;
+        const result = { line: row.line, item, rawQuantity, rawUnit, activityType, quantity: 0, uom, depth, reason: '' };
+
+        const qty = parseFloat(rawQuantity.replace(/[,\s]/g, ''));
+        const unit = rawUnit ? _unitId(rawUnit) : uom;
+        if (!item) result.reason = 'No item name';
+        else if (!activityType) result.reason = `No activity for "${item}"`;
+        else if (!Number.isFinite(qty)) result.reason = rawQuantity ? `Quantity "${rawQuantity}" is not a number` : 'No quantity';
+        else if (qty <= 0) result.reason = 'Quantity must be more than zero';
+        else if (!unit) result.reason = `Unknown unit "${rawUnit}"`;
+        else {
+            const converted = convertQuantity(qty, unit, uom);
+            if (converted === null) result.reason = `${unit} doesn't convert to ${uom}`;
+            else result.quantity = Math.round(converted * 100) / 100;
+        }
+        return result;
+    });
+}
+
+// ---- Internal ----
+
+function _unitId(text) {
+    const unit = text.toLowerCase().replace(/[.]/g, '').trim();
+    return UNIT_PATTERNS.find(([, pattern]) => pattern.test(unit))?.[0] || '';
+}
@@ -0,0 +1,247 @@
+// ============================================
+// DXF Import
+// Layer-by-layer areas, lengths and counts from a plan sheet, read locally
+// ============================================
+
+import { CONSTANTS } from '../data/constants.js';
+
+/**
+ * Feet per drawing unit, by the $INSUNITS header code. Unitless drawings
+ * (0) are taken as feet, the civil default.
+ */
+export const DXF_UNITS = {
+    0: { label: 'Unitless (ft)', feet: 1 },
+    1: { label: 'Inches', feet: 1 / 12 },
+    2: { label: 'Feet', feet: 1 },
+    3: { label: 'Miles', feet: 5280 },
+    4: { label: 'Millimeters', feet: 1 / 304.8 },
+    5: { label: 'Centimeters', feet: 1 / 30.48 },
+    6: { label: 'Meters', feet: 1 / 0.3048 },
+    10: { label: 'Yards', feet: 3 },
+    21: { label: 'US Survey Feet', feet: 1200 / 3937 },
+};
+
+/**
+ * Parse an ASCII DXF into per-layer takeoff totals, in drawing units.
+ * Model-space entities only; block definitions and paper space are skipped.
+ *
+ * - Closed LWPOLYLINE/POLYLINE (arc bulges included) and CIRCLE → area + perimeter
+ * - Open polylines, LINE and ARC → length
+ * - INSERT (block references) → count
+ *
+ * @param {string} text - File contents
+ * @returns {{ units: number, layers: Object<string, { closedCount: number, area: number, perimeter: number, openCount: number, length: number, blockCount: number }> }}
+ * @throws {Error} Not an ASCII DXF, or nothing measurable in model space
+ */
+export function parseDXF(text) {
+    const pairs = _groupPairs(text);
+    if (!pairs.some(([code, value]) => code === 0 && value === 'SECTION')) {
+        throw new Error('File is not an ASCII DXF');
+    }
+
+    const units = _headerUnits(pairs);
+    const layers = {};
+    const layer = name => layers[name] || (layers[name] = { closedCount: 0, area: 0, perimeter: 0, openCount: 0, length: 0, blockCount: 0 });
+
+    for (const entity of _entities(pairs)) {
+        if (entity.paperSpace) continue;
+        const totals = layer(entity.layer);
+        switch (entity.type) {
+            case 'LWPOLYLINE':
+            case 'POLYLINE': {
+                const { vertices, closed } = entity;
+                if (vertices.length < 2) break;
+                const measured = _measurePolyline(vertices, closed);
+                if (closed && vertices.length >= 3) {
+                    totals.closedCount++;
+                    totals.area += measured.area;
+                    totals.perimeter += measured.length;
+                } else {
+                    totals.openCount++;
+                    totals.length += measured.length;
+                }
+                break;
+            }
+            case 'CIRCLE':
+                totals.closedCount++;
+                totals.area += Math.PI * entity.radius ** 2;
+                totals.perimeter += 2 * Math.PI * entity.radius;
+                break;
+            case 'LINE':
+                totals.openCount++;
+                totals.length += Math.hypot(entity.end[0] - entity.start[0], entity.end[1] - entity.start[1]);
+                break;
+            case 'ARC': {
+                const sweep = ((entity.endAngle - entity.startAngle) % 360 + 360) % 360 || 360;
+                totals.openCount++;
+                totals.length += entity.radius * sweep * Math.PI / 180;
+                break;
+            }
+            case 'INSERT':
+                totals.blockCount++;
+                break;
+        }
+    }
+
+    for (const [name, t] of Object.entries(layers)) {
+        if (t.closedCount + t.openCount + t.blockCount === 0) delete layers[name];
+    }
+    if (Object.keys(layers).length === 0) throw new Error('No polylines, lines or blocks found in model space');
+    return { units, layers };
+}
+
+/**
+ * Takeoff quantity a layer supplies in an activity's unit.
+ *
+ * - SY / SF: enclosed area of closed shapes
+ * - LF: open lengths plus closed-shape perimeters (curb drawn around islands)
+ * - EA: block references, or closed shapes when the layer has no blocks
+ *
+ * @param {Object} totals - A parseDXF() layer entry, drawing units
+ * @param {string} uom - 'SY' | 'SF' | 'LF' | 'EA'
+ * @param {number} feetPerUnit - Drawing units × plot scale, in feet
+ * @returns {number} Rounded up to a whole unit
+ */
+export function layerQuantity(totals, uom, feetPerUnit) {
+    if (!totals) return 0;
+    const sf = totals.area * feetPerUnit * feetPerUnit;
+    switch (uom) {
+        case 'SF': return Math.ceil(sf);
+        case 'LF': return Math.ceil((totals.length + totals.perimeter) * feetPerUnit);
+        case 'EA': return totals.blockCount || totals.closedCount;
+        default: return Math.ceil(sf / CONSTANTS.SF_PER_SY);
+    }
+}
+
+// ---- Internal ----
+
+// Group code / value line pairs
+function _groupPairs(text) {
+    const lines = text.split(/\r?\n/);
+    const pairs = [];
+    for (let i = 0; i + 1 < lines.length; i += 2) {
+        const code = parseInt(lines[i], 10);
+        if (Number.isNaN(code)) break;
+        pairs.push([code, lines[i + 1].trim()]);
+    }
+    return pairs;
+}
+
+function _headerUnits(pairs) {
+    const i = pairs.findIndex(([code, value]) => code === 9 && value === '$INSUNITS');
+    const units = i >= 0 ? parseInt(pairs[i + 1]?.[1], 10) : 0;
+    return DXF_UNITS[units] ? units : 0;
+}
+
+/**
+ * Entities of the ENTITIES section with the fields the takeoff uses.
+ * Old-style POLYLINEs collect their VERTEX records up to SEQEND.
+ */
+function _entities(pairs) {
+    const start = pairs.findIndex(([code, value], i) => code === 0 && value === 'SECTION' && pairs[i + 1]?.[1] === 'ENTITIES');
+    if (start < 0) return [];
+
+    const entities = [];
+    let current = null;
+    let polyline = null;    // Open POLYLINE collecting VERTEX records
+    let vertex = null;
+
+    for (let i = start + 2; i < pairs.length; i++) {
+        const [code, value] = pairs[i];
+        if (code === 0) {
+            if (value === 'ENDSEC') break;
+            if (value === 'VERTEX' && polyline) {
+                vertex = { x: 0, y: 0, bulge: 0 };
+                polyline.vertices.push(vertex);
+                current = null;
+                continue;
+            }
+            if (value === 'SEQEND') {
+                polyline = null;
+                vertex = null;
+                current = null;
+                continue;
+            }
+            polyline = null;
+            vertex = null;
+            current = { type: value, layer: '0', paperSpace: false, vertices: [], closed: false, start: [0, 0], end: [0, 0], radius: 0, startAngle: 0, endAngle: 360 };
+            entities.push(current);
+            if (value === 'POLYLINE') polyline = current;
+            continue;
+        }
+
+        // VERTEX records of an old-style POLYLINE
+        if (vertex) {
+            if (code === 10) vertex.x = parseFloat(value);
+            else if (code === 20) vertex.y = parseFloat(value);
+            else if (code === 42) vertex.bulge = parseFloat(value);
+            continue;
+        }
+        if (!current) continue;
+
+        switch (code) {
+            case 8: current.layer = value; break;
+            case 67: current.paperSpace = value === '1'; break;
+            case 70:
+                // Bit 1 = closed; 3D meshes and polyface meshes (16, 64) aren't plan areas
+                current.closed = (parseInt(value, 10) & 1) === 1;
+                if (current.type === 'POLYLINE' && (parseInt(value, 10) & (16 | 64))) current.type = 'MESH';
+                break;
+            case 10:
+                if (current.type === 'LWPOLYLINE') current.vertices.push({ x: parseFloat(value), y: 0, bulge: 0 });
+                else current.start[0] = parseFloat(value);
+                break;
+            case 20:
+                if (current.type === 'LWPOLYLINE') current.vertices[current.vertices.length - 1].y = parseFloat(value);
+                else current.start[1] = parseFloat(value);
+                break;
+            case 11: current.end[0] = parseFloat(value); break;
+            case 21: current.end[1] = parseFloat(value); break;
+            case 40: current.radius = parseFloat(value); break;
+            case 42:
+                if (current.type === 'LWPOLYLINE' && current.vertices.length) current.vertices[current.vertices.length - 1].bulge = parseFloat(value);
+                break;
+            case 50: current.startAngle = parseFloat(value); break;
+            case 51: current.endAngle = parseFloat(value); break;
+        }
+    }
+
+    for (const e of entities) {
+        // A polyline drawn back to its start point is closed even without the flag
+        const v = e.vertices;
+        if (!e.closed && v.length >= 4 && v[0].x === v[v.length - 1].x && v[0].y === v[v.length - 1].y) {
+            e.closed = true;
+            v.pop();
+        }
+    }
+    return entities;
+}
+
+/**
+ * Enclosed area (closed only) and path length of a polyline. A vertex's
+ * bulge is tan(θ/4) of the arc to the next vertex; positive arcs run
+ * counterclockwise.
+ */
+function _measurePolyline(vertices, closed) {
+    const n = vertices.length;
+    const edges = closed ? n : n - 1;
+    let twiceArea = 0;
+    let arcArea = 0;
+    let length = 0;
+
+    for (let i = 0; i < edges; i++) {
+        const a = vertices[i];
+        const b = vertices[(i + 1) % n];
+        const chord = Math.hypot(b.x - a.x, b.y - a.y);
+        twiceArea += a.x * b.y - b.x * a.y;
+        if (!a.bulge || chord === 0) {
+            length += chord;
+            continue;
+        }
+        const theta = 4 * Math.atan(Math.abs(a.bulge));
+        const radius = chord / (2 * Math.sin(theta / 2));
+        length += radius * theta;
+        arcArea += Math.sign(a.bulge) * radius * radius * (theta - Math.sin(theta)) / 2;
+    }
+    return { area: closed ? Math.abs(twiceArea / 2 + arcArea) : 0, length };
+}
@@ -0,0 +1,54 @@
+// ============================================
+// Equipment Cost
+// Ownership & operating $/hr from a unit's cost inputs (Blue Book style)
+// ============================================
+
+/**
+ * Hourly ownership and operating cost of one equipment unit.
+ *
+ * - Depreciation: (purchase − salvage) / life hours
+ * - Interest, insurance & tax: annual rates on the average annual investment,
+ *   [P(n + 1) + S(n − 1)] / 2n over an n-year life, spread over annual hours
+ * - Fuel: burn × price; repairs: repair factor × purchase / life hours;
+ *   wear items as entered
+ *
+ * @param {Object} unit - EQUIPMENT_LIBRARY entry
+ * @param {number} fuelPrice - $/gal
+ * @returns {{ depreciation: number, interest: number, insuranceTax: number, ownership: number, fuel: number, repair: number, wear: number, operating: number, rate: number }}
+ *   $/hr; ownership, operating and rate rounded to cents
+ */
+export function ownershipOperatingRate(unit, fuelPrice) {
+    const life = unit.lifeHours > 0 ? unit.lifeHours : 1;
+    const annualHours = unit.annualHours > 0 ? unit.annualHours : life;
+    const years = life / annualHours;
+    const price = unit.purchasePrice || 0;
+    const salvage = Math.min(unit.salvage || 0, price);
+    const averageInvestment = (price * (years + 1) + salvage * (years - 1)) / (2 * years);
+
+    const depreciation = (price - salvage) / life;
+    const interest = averageInvestment * (unit.interestRate || 0) / annualHours;
+    const insuranceTax = averageInvestment * (unit.insuranceTaxRate || 0) / annualHours;
+    const fuel = (unit.fuelBurn || 0) * fuelPrice;
+    const repair = price * (unit.repairFactor || 0) / life;
+    const wear = unit.wearPerHour || 0;
+
+    const ownership = _cents(depreciation + interest + insuranceTax);
+    const operating = _cents(fuel + repair + wear);
+    return { depreciation, interest, insuranceTax, ownership, fuel, repair, wear, operating, rate: _cents(ownership + operating) };
+}
+
+/**
+ * $/hr for every unit in a library, keyed by equipment code — the rates
+ * Crew.fromDetailedData() prices equipment components at.
+ * @param {Object<string, Object>} library - Equipment code → unit
+ * @param {number} fuelPrice - $/gal
+ * @returns {Object<string, number>}
+ */
+export function equipmentRates(library, fuelPrice) {
+    return Object.fromEntries(Object.entries(library)
+        .map(([code, unit]) => [code, ownershipOperatingRate(unit, fuelPrice).rate]));
+}
+
+function _cents(value) {
+    return Math.round(value * 100) / 100;
+}
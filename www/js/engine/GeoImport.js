@@ -0,0 +1,128 @@
+// ============================================
+// Geo Import
+// Reads polygon takeoffs from GeoJSON and KML files, entirely in the browser
+// ============================================
+
+import { TakeoffPolygon } from '../models/TakeoffPolygon.js';
+
+/**
+ * Polygons from an imported file, by extension (.geojson/.json or .kml).
+ *
+ * @param {string} fileName
+ * @param {string} text - File contents
+ * @returns {TakeoffPolygon[]} Unassigned polygons, ids stable across re-imports of the same file
+ * @throws {Error} Unsupported file type, unreadable contents or no polygons found
+ */
+export function parsePolygonFile(fileName, text) {
+    const ext = (fileName.split('.').pop() || '').toLowerCase();
+    let features;
+    if (ext === 'kml') features = parseKML(text);
+    else if (ext === 'geojson' || ext === 'json') features = parseGeoJSON(text);
+    else throw new Error(`Unsupported file type ".${ext}" — use GeoJSON or KML`);
+
+    if (features.length === 0) throw new Error(`No polygons found in ${fileName}`);
+    for (const f of features) _checkLonLat(f.geometry);
+
+    const seen = new Map();
+    return features.map((f, i) => {
+        // Ids follow the feature name so an edited file updates the same polygon
+        const base = `${fileName}#${f.name || i + 1}`;
+        const count = (seen.get(base) || 0) + 1;
+        seen.set(base, count);
+        return new TakeoffPolygon({
+            id: count > 1 ? `${base}~${count}` : base,
+            name: f.name || `Polygon ${i + 1}`,
+            source: fileName,
+            geometry: f.geometry,
+        });
+    });
+}
+
+/**
+ * Polygon features from GeoJSON (FeatureCollection, Feature or bare geometry).
+ * Non-polygon geometries are skipped.
+ *
+ * @param {string} text
+ * @returns {{ name: string, geometry: Object }[]}
+ */
+export function parseGeoJSON(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (e) {
+        throw new Error('File is not valid GeoJSON');
+    }
+    const features = data?.type === 'FeatureCollection' ? data.features || []
+        : data?.type === 'Feature' ? [data]
+        : [{ type: 'Feature', properties: {}, geometry: data }];
+
+    const result = [];
+    for (const f of features) {
+        const props = f?.properties || {};
+        const name = String(props.name ?? props.Name ?? props.NAME ?? f?.id ?? '');
+        for (const geometry of _polygonGeometries(f?.geometry)) {
+            result.push({ name, geometry });
+        }
+    }
+    return result;
+}
+
+/**
+ * Polygon placemarks from KML. A placemark's polygons (including those in a
+ * MultiGeometry) become one MultiPolygon feature.
+ *
+ * @param {string} text
+ * @returns {{ name: string, geometry: Object }[]}
+ */
+export function parseKML(text) {
+    if (!/<kml[\s>]/i.test(text)) throw new Error('File is not valid KML');
+
+    const result = [];
+    for (const [, placemark] of text.matchAll(/<Placemark\b[^>]*>([\s\S]*?)<\/Placemark>/gi)) {
+        const name = _xmlText(/<name>([\s\S]*?)<\/name>/i.exec(placemark)?.[1] || '');
+        const polygons = [...placemark.matchAll(/<Polygon\b[^>]*>([\s\S]*?)<\/Polygon>/gi)].map(([, poly]) => {
+            const outer = /<outerBoundaryIs>[\s\S]*?<coordinates>([\s\S]*?)<\/coordinates>/i.exec(poly)?.[1];
+            const holes = [...poly.matchAll(/<innerBoundaryIs>[\s\S]*?<coordinates>([\s\S]*?)<\/coordinates>/gi)].map(m => m[1]);
+            return [outer, ...holes].filter(Boolean).map(_kmlCoordinates);
+        }).filter(rings => rings.length > 0 && rings[0].length >= 3);
+
+        if (polygons.length === 1) result.push({ name, geometry: { type: 'Polygon', coordinates: polygons[0] } });
+        else if (polygons.length > 1) result.push({ name, geometry: { type: 'MultiPolygon', coordinates: polygons } });
+    }
+    return result;
+}
+
+// ---- Internal ----
+
+function _polygonGeometries(geometry) {
+    if (!geometry) return [];
+    if (geometry.type === 'Polygon' || geometry.type === 'MultiPolygon') return [geometry];
+    if (geometry.type === 'GeometryCollection') return (geometry.geometries || []).flatMap(_polygonGeometries);
+    return [];
+}
+
+// 'lon,lat[,alt] lon,lat[,alt] ...' → [[lon, lat], ...]
+function _kmlCoordinates(text) {
+    return text.trim().split(/\s+/)
+        .map(tuple => tuple.split(',').map(Number))
+        .filter(([lon, lat]) => Number.isFinite(lon) && Number.isFinite(lat))
+        .map(([lon, lat]) => [lon, lat]);
+}
+
+function _xmlText(s) {
+    return s.replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+        .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'").replace(/&amp;/g, '&')
+        .trim();
+}
+
+// Projected coordinates (state plane feet, UTM meters) can't be measured as degrees
+function _checkLonLat(geometry) {
+    const polygons = geometry.type === 'MultiPolygon' ? geometry.coordinates : [geometry.coordinates];
+    for (const ring of polygons.flat()) {
+        for (const [lon, lat] of ring) {
+            if (!(Math.abs(lon) <= 180 && Math.abs(lat) <= 90)) {
+                throw new Error('Coordinates are not longitude/latitude — export the file in WGS84 (EPSG:4326)');
+            }
+        }
+    }
+}
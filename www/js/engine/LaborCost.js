@@ -0,0 +1,138 @@
+// ============================================
+// Labor Cost
+// Burdened $/hr built up from wages, payroll taxes and fringes,
+// and the overtime premium on optimized shifts
+// ============================================
+
+import { PAYROLL_TAXES } from '../data/LaborRates.js';
+
+/**
+ * Fully burdened hourly cost of one labor classification.
+ *
+ * - FICA on every wage dollar; FUTA and SUTA only up to their annual wage
+ *   base, spread over the hours a hand works in a year
+ * - Fringes (health & welfare, pension, training, dues) as entered, $/hr
+ * - Overtime base: the part of the rate an overtime multiplier applies to —
+ *   the wage and the FICA on it. Fringes are paid per hour worked and FUTA/SUTA
+ *   are capped, so neither grows with the premium.
+ *
+ * @param {Object} wages - LABOR_CLASSIFICATIONS or wage-table entry
+ * @param {Object} [taxes=PAYROLL_TAXES]
+ * @returns {{ baseWage: number, fica: number, futa: number, suta: number, healthWelfare: number, pension: number, training: number, dues: number, payrollTaxes: number, fringes: number, rate: number, overtimeBase: number }}
+ *   $/hr; rate and overtimeBase rounded to cents
+ */
+export function burdenedRate(wages, taxes = PAYROLL_TAXES) {
+    const baseWage = wages.baseWage || 0;
+    const hours = taxes.annualHours > 0 ? taxes.annualHours : 1;
+    const annualWages = baseWage * hours;
+
+    const fica = baseWage * taxes.ficaRate;
+    const futa = Math.min(annualWages, taxes.futaWageBase) * taxes.futaRate / hours;
+    const suta = Math.min(annualWages, taxes.sutaWageBase) * taxes.sutaRate / hours;
+    const healthWelfare = wages.healthWelfare || 0;
+    const pension = wages.pension || 0;
+    const training = wages.training || 0;
+    const dues = wages.dues || 0;
+
+    const payrollTaxes = fica + futa + suta;
+    const fringes = healthWelfare + pension + training + dues;
+    return {
+        baseWage, fica, futa, suta, healthWelfare, pension, training, dues, payrollTaxes, fringes,
+        rate: _cents(baseWage + payrollTaxes + fringes),
+        overtimeBase: _cents(baseWage + fica),
+    };
+}
+
+/**
+ * Burdened rates for every classification in a wage table, keyed like it —
+ * the rates Crew.fromDetailedData() prices labor components at.
+ * @param {Object<string, Object>} classifications - Classification key → wages
+ * @param {string} source - Where the wages come from (shown on each resource)
+ * @param {Object} [taxes=PAYROLL_TAXES]
+ * @returns {Object<string, Object>} burdenedRate() results, each with source
+ */
+export function laborRates(classifications, source, taxes = PAYROLL_TAXES) {
+    return Object.fromEntries(Object.entries(classifications)
+        .map(([key, wages]) => [key, { ...burdenedRate(wages, taxes), source }]));
+}
+
+/**
+ * Split a run of working days into straight, overtime and double-time hours.
+ * Daily rules apply first; straight hours past the weekly limit then become
+ * overtime. Weeks are consecutive runs of workDaysPerWeek days.
+ *
+ * @param {number[]} dayHours - Hours worked each day, in order
+ * @param {Object} rules - DEFAULT_OVERTIME_RULES shape; 0 turns a limit off
+ * @param {number} [workDaysPerWeek=5]
+ * @returns {{ straight: number, overtime: number, doubleTime: number }} Hours per worker
+ */
+export function overtimeHours(dayHours, rules, workDaysPerWeek = 5) {
+    const limit = value => value > 0 ? value : Infinity;
+    const daily = limit(rules.dailyAfter);
+    const double = Math.max(daily, limit(rules.doubleAfter));
+    const weekly = limit(rules.weeklyAfter);
+    const daysPerWeek = Math.max(1, Math.round(workDaysPerWeek));
+
+    let straight = 0;
+    let overtime = 0;
+    let doubleTime = 0;
+    let weekStraight = 0;
+    dayHours.forEach((hours, i) => {
+        if (i % daysPerWeek === 0) weekStraight = 0;
+        const dayDouble = Math.max(0, hours - double);
+        const dayOvertime = Math.max(0, Math.min(hours, double) - daily);
+        let dayStraight = hours - dayDouble - dayOvertime;
+        const weekOvertime = Math.max(0, Math.min(dayStraight, weekStraight + dayStraight - weekly));
+        dayStraight -= weekOvertime;
+        weekStraight += dayStraight;
+
+        straight += dayStraight;
+        overtime += dayOvertime + weekOvertime;
+        doubleTime += dayDouble;
+    });
+    return { straight, overtime, doubleTime };
+}
+
+/**
+ * Overtime and double-time premium for a crew working an optimized shift
+ * pattern (ShiftOptimizer.optimizeShifts). Only the premium is priced —
+ * straight time is already in the crew's daily labor cost. Components
+ * without a classification in the table (composite crews) add nothing.
+ *
+ * @param {{ hours: number, days: number, shiftBase: number }} optimized
+ * @param {Array<{ count: number, classification?: string }>} laborComponents - Crew labor components
+ * @param {{ rules: Object, overtimeBase: Object<string, number> }} overtime - Estimate overtime settings
+ * @param {number} [workDaysPerWeek=5]
+ * @returns {{ overtimeHours: number, doubleTimeHours: number, cost: number }} Hours per worker; cost for the crew
+ */
+export function overtimePremium(optimized, laborComponents, overtime, workDaysPerWeek = 5) {
+    const none = { overtimeHours: 0, doubleTimeHours: 0, cost: 0 };
+    if (!optimized || !optimized.days || !overtime?.rules) return none;
+
+    const premiumPerHour = laborComponents.reduce((sum, lc) =>
+        sum + (overtime.overtimeBase?.[lc.classification] || 0) * lc.count, 0);
+    if (premiumPerHour === 0) return none;
+
+    const hours = overtimeHours(_shiftDays(optimized), overtime.rules, workDaysPerWeek);
+    const { multiplier = 1.5, doubleMultiplier = 2 } = overtime.rules;
+    const cost = premiumPerHour *
+        (hours.overtime * (multiplier - 1) + hours.doubleTime * (doubleMultiplier - 1));
+    return { overtimeHours: hours.overtime, doubleTimeHours: hours.doubleTime, cost: _cents(cost) };
+}
+
+// ---- Internal ----
+
+/**
+ * Day-by-day hours of an optimized pattern: full shifts, with the last day
+ * taking what's left (extended or short). Patterns spread over a minimum
+ * number of days split evenly.
+ */
+function _shiftDays({ hours, days, shiftBase }) {
+    const last = hours - (days - 1) * shiftBase;
+    if (last <= 0 || last > shiftBase * 2) return Array(days).fill(hours / days);
+    return [...Array(days - 1).fill(shiftBase), last];
+}
+
+function _cents(value) {
+    return Math.round(value * 100) / 100;
+}
@@ -3,17 +3,25 @@
 // Probabilistic cost estimating engine
 // ============================================
 
+// PERT shape weight on the most likely value (classic PERT uses 4)
+const PERT_LAMBDA = 4;
+
 export class MonteCarlo {
     /**
      * @param {number} [iterations=1000] - Number of simulation iterations
+     * @param {number|null} [seed=null] - PRNG seed; null draws a fresh one.
+     *   The seed actually used is kept on `this.seed` so a run can be reproduced.
      */
-    constructor(iterations = 1000) {
+    constructor(iterations = 1000, seed = null) {
         this.iterations = iterations;
+        this.seed = Number.isFinite(seed) ? seed >>> 0 : Math.floor(Math.random() * 4294967296);
+        this.random = mulberry32(this.seed);
     }
 
     /**
      * Sample from a PERT-Beta distribution.
-     * PERT uses a modified beta distribution: mode is weighted 4× in the mean.
+     * Beta(α, β) scaled to [min, max] with α = 1 + λ(mode − min)/range and
+     * β = 1 + λ(max − mode)/range, giving mean (min + 4·mode + max) / 6.
      * @param {number} min - Minimum value
      * @param {number} mostLikely - Most likely value
      * @param {number} max - Maximum value
@@ -23,20 +31,15 @@ export class MonteCarlo {
         if (min === max) return min;
         if (min >= max) return mostLikely;
 
-        // PERT mean and standard deviation
-        const mean = (min + 4 * mostLikely + max) / 6;
-        const sd = (max - min) / 6;
-
-        // Approximate PERT with triangular distribution (simpler, adequate for this use)
-        // Triangular: uses inverse CDF method
-        const u = Math.random();
-        const fc = (mostLikely - min) / (max - min);
+        const range = max - min;
+        const mode = Math.min(Math.max(mostLikely, min), max);
+        const alpha = 1 + PERT_LAMBDA * (mode - min) / range;
+        const beta = 1 + PERT_LAMBDA * (max - mode) / range;
 
-        if (u < fc) {
-            return min + Math.sqrt(u * (max - min) * (mostLikely - min));
-        } else {
-            return max - Math.sqrt((1 - u) * (max - min) * (max - mostLikely));
-        }
+        // Beta via two gammas: X / (X + Y)
+        const x = this._sampleGamma(alpha);
+        const y = this._sampleGamma(beta);
+        return min + range * (x / (x + y));
     }
 
     /**
@@ -45,25 +48,230 @@ export class MonteCarlo {
      * @param {number} params.baseEstimate - Base (most likely) total cost
      * @param {Array} params.variables - [{ name, min, mostLikely, max, weight }]
      *   weight = fraction of base estimate this variable represents
+     * @param {Array} [params.correlations] - [{ a, b, rho }] rank correlations by variable name
      * @returns {Object} Simulation results
      */
-    run({ baseEstimate, variables }) {
+    run({ baseEstimate, variables, correlations = [] }) {
+        const samples = this.sampleVariables(variables, correlations);
         const results = [];
 
         for (let i = 0; i < this.iterations; i++) {
             let totalCost = 0;
 
-            for (const v of variables) {
-                const sampled = this.samplePERT(v.min, v.mostLikely, v.max);
+            for (let k = 0; k < variables.length; k++) {
+                const v = variables[k];
                 // Scale: sampled / mostLikely gives the ratio, applied to the variable's share of cost
-                const ratio = v.mostLikely > 0 ? sampled / v.mostLikely : 1;
+                const ratio = v.mostLikely > 0 ? samples[k][i] / v.mostLikely : 1;
                 totalCost += (v.weight * baseEstimate) * ratio;
             }
 
             results.push(totalCost);
         }
 
-        return this._analyze(results);
+        const analysis = this._analyze(results);
+        analysis.seed = this.seed;
+        return analysis;
+    }
+
+    /**
+     * Run a cost-risk simulation around a deterministic estimate.
+     *
+     * Each iteration samples every cost variable as a factor around its most
+     * likely value, scales the variable's base cost, and rolls the direct-cost
+     * change through the markup waterfall. Each identified risk fires with its
+     * probability and, when it fires, adds a PERT-sampled impact at cost.
+     *
+     * @param {Object} params
+     * @param {number} params.baseTotal - Deterministic subtotal the simulation varies around
+     * @param {number} [params.markupFactor=1] - $ of baseTotal per $ of direct cost
+     * @param {Array} params.costVariables - [{ name, key, base, min, mostLikely, max, inverse }]
+     *   base = direct $ driven by the variable; inverse = cost moves with 1/factor (production rates)
+     * @param {Array} [params.risks] - RiskItem-like [{ id, probability, impactMin, impactMostLikely, impactMax }]
+     * @param {Array} [params.correlations] - [{ a, b, rho }] rank correlations by variable key
+     * @returns {Object} _analyze() statistics plus per-risk hit rates and the seed used
+     */
+    runWithRisks({ baseTotal, markupFactor = 1, costVariables, risks = [], correlations = [] }) {
+        const samples = this.sampleVariables(costVariables, correlations);
+        const results = [];
+        const hits = new Map(risks.map(r => [r.id, 0]));
+
+        for (let i = 0; i < this.iterations; i++) {
+            let directDelta = 0;
+            for (let k = 0; k < costVariables.length; k++) {
+                const v = costVariables[k];
+                const sampled = samples[k][i];
+                const ratio = v.inverse ?
+                    (sampled > 0 ? v.mostLikely / sampled : 1) :
+                    (v.mostLikely > 0 ? sampled / v.mostLikely : 1);
+                directDelta += v.base * (ratio - 1);
+            }
+
+            let riskCost = 0;
+            for (const r of risks) {
+                if (this.random() < r.probability) {
+                    riskCost += this.samplePERT(r.impactMin, r.impactMostLikely, r.impactMax);
+                    hits.set(r.id, hits.get(r.id) + 1);
+                }
+            }
+
+            results.push(baseTotal + directDelta * markupFactor + riskCost);
+        }
+
+        const analysis = this._analyze(results);
+        analysis.riskHitRates = Object.fromEntries(
+            [...hits].map(([id, count]) => [id, count / this.iterations])
+        );
+        analysis.seed = this.seed;
+        return analysis;
+    }
+
+    /**
+     * Draw every variable's samples up front, then reorder them to carry the
+     * requested rank correlations (Iman-Conover). Marginals are untouched —
+     * only the pairing of values across variables changes.
+     * @param {Array} variables - [{ name, key?, min, mostLikely, max }]
+     * @param {Array} correlations - [{ a, b, rho }] by variable key (falls back to name)
+     * @returns {Float64Array[]} One column of `iterations` samples per variable
+     */
+    sampleVariables(variables, correlations) {
+        const columns = variables.map(v => {
+            const col = new Float64Array(this.iterations);
+            for (let i = 0; i < this.iterations; i++) {
+                col[i] = this.samplePERT(v.min, v.mostLikely, v.max);
+            }
+            return col;
+        });
+
+        const target = MonteCarlo.correlationMatrix(variables.map(v => v.key ?? v.name), correlations);
+        if (target) this._induceRankCorrelation(columns, target);
+        return columns;
+    }
+
+    /**
+     * Build a correlation matrix from pairwise entries. Variables sharing a name
+     * all pick up the pair. Returns null when no pair applies.
+     * If the pairs are inconsistent (not positive definite), off-diagonals are
+     * shrunk toward zero until the matrix is usable.
+     * @param {string[]} names - Variable names, in column order
+     * @param {Array} correlations - [{ a, b, rho }]
+     * @returns {number[][]|null}
+     */
+    static correlationMatrix(names, correlations = []) {
+        const k = names.length;
+        const matrix = names.map((_, i) => names.map((__, j) => (i === j ? 1 : 0)));
+        let applied = false;
+
+        for (const { a, b, rho } of correlations) {
+            const r = Math.max(-0.99, Math.min(0.99, rho || 0));
+            if (r === 0) continue;
+            for (let i = 0; i < k; i++) {
+                for (let j = 0; j < k; j++) {
+                    if (i !== j && names[i] === a && names[j] === b) {
+                        matrix[i][j] = matrix[j][i] = r;
+                        applied = true;
+                    }
+                }
+            }
+        }
+        if (!applied) return null;
+
+        for (let attempt = 0; attempt < 20 && !_cholesky(matrix); attempt++) {
+            for (let i = 0; i < k; i++) {
+                for (let j = 0; j < k; j++) if (i !== j) matrix[i][j] *= 0.9;
+            }
+        }
+        return matrix;
+    }
+
+    // Iman-Conover: pair samples by the ranks of normal scores carrying the target correlation
+    _induceRankCorrelation(columns, target) {
+        const n = this.iterations;
+        const k = columns.length;
+        if (n < 2 || k < 2) return;
+
+        // Van der Waerden scores, scaled to unit variance, independently shuffled per column
+        const scores = Array.from({ length: n }, (_, i) => _inverseNormal((i + 1) / (n + 1)));
+        const sd = Math.sqrt(scores.reduce((s, v) => s + v * v, 0) / n);
+        const scoreCols = columns.map(() => this._shuffle(scores.map(v => v / sd)));
+
+        // Remove the scores' incidental correlation (Q), impose the target (P)
+        const q = _cholesky(_sampleCorrelation(scoreCols));
+        const p = _cholesky(target);
+        if (!q || !p) return;
+
+        const transformed = columns.map(() => new Float64Array(n));
+        const row = new Float64Array(k);
+        const z = new Float64Array(k);
+        for (let r = 0; r < n; r++) {
+            for (let j = 0; j < k; j++) row[j] = scoreCols[j][r];
+            // Forward-substitute Q·z = row
+            for (let i = 0; i < k; i++) {
+                let sum = row[i];
+                for (let j = 0; j < i; j++) sum -= q[i][j] * z[j];
+                z[i] = sum / q[i][i];
+            }
+            for (let i = 0; i < k; i++) {
+                let sum = 0;
+                for (let j = 0; j <= i; j++) sum += p[i][j] * z[j];
+                transformed[i][r] = sum;
+            }
+        }
+
+        // Reorder each column's samples to follow the rank order of its transformed scores
+        for (let j = 0; j < k; j++) {
+            const sorted = Float64Array.from(columns[j]).sort();
+            const order = Array.from({ length: n }, (_, i) => i)
+                .sort((a, b) => transformed[j][a] - transformed[j][b]);
+            for (let rank = 0; rank < n; rank++) {
+                columns[j][order[rank]] = sorted[rank];
+            }
+        }
+    }
+
+    /**
+     * Gamma(shape, 1) sample — Marsaglia & Tsang. PERT shapes are always ≥ 1.
+     */
+    _sampleGamma(shape) {
+        const d = shape - 1 / 3;
+        const c = 1 / Math.sqrt(9 * d);
+        for (;;) {
+            let x, v;
+            do {
+                x = this._sampleNormal();
+                v = 1 + c * x;
+            } while (v <= 0);
+            v = v * v * v;
+            const u = this.random();
+            if (u < 1 - 0.0331 * x * x * x * x) return d * v;
+            if (Math.log(u) < 0.5 * x * x + d * (1 - v + Math.log(v))) return d * v;
+        }
+    }
+
+    // Standard normal via Box-Muller
+    _sampleNormal() {
+        let u = 0;
+        while (u === 0) u = this.random();
+        return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * this.random());
+    }
+
+    // Fisher-Yates, in place
+    _shuffle(arr) {
+        for (let i = arr.length - 1; i > 0; i--) {
+            const j = Math.floor(this.random() * (i + 1));
+            [arr[i], arr[j]] = [arr[j], arr[i]];
+        }
+        return arr;
+    }
+
+    /**
+     * Value at a given percentile of a sorted distribution.
+     * @param {number[]} sorted - Ascending values
+     * @param {number} p - Percentile as a fraction (0.8 = P80)
+     */
+    static percentile(sorted, p) {
+        if (sorted.length === 0) return 0;
+        const idx = Math.min(Math.max(Math.floor(sorted.length * p), 0), sorted.length - 1);
+        return sorted[idx];
     }
 
     /**
@@ -120,7 +328,7 @@ export class MonteCarlo {
         }
 
         for (const val of distribution) {
-            const binIndex = Math.min(Math.floor((val - min) / binWidth), bins - 1);
+            const binIndex = binWidth > 0 ? Math.min(Math.floor((val - min) / binWidth), bins - 1) : 0;
             histogram[binIndex].count++;
         }
 
@@ -132,3 +340,81 @@ export class MonteCarlo {
         return histogram;
     }
 }
+
+// ---- Internal ----
+
+/**
+ * Mulberry32 — small seedable PRNG returning floats in [0, 1).
+ */
+function mulberry32(seed) {
+    let a = seed >>> 0;
+    return function () {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Lower-triangular Cholesky factor, or null if not positive definite
+function _cholesky(m) {
+    const k = m.length;
+    const l = m.map(() => new Array(k).fill(0));
+    for (let i = 0; i < k; i++) {
+        for (let j = 0; j <= i; j++) {
+            let sum = m[i][j];
+            for (let p = 0; p < j; p++) sum -= l[i][p] * l[j][p];
+            if (i === j) {
+                if (sum <= 1e-10) return null;
+                l[i][i] = Math.sqrt(sum);
+            } else {
+                l[i][j] = sum / l[j][j];
+            }
+        }
+    }
+    return l;
+}
+
+// Pearson correlation matrix of zero-mean columns
+function _sampleCorrelation(cols) {
+    const k = cols.length;
+    const n = cols[0].length;
+    const m = cols.map(() => new Array(k).fill(0));
+    for (let i = 0; i < k; i++) {
+        for (let j = 0; j <= i; j++) {
+            let sxy = 0, sxx = 0, syy = 0;
+            for (let r = 0; r < n; r++) {
+                sxy += cols[i][r] * cols[j][r];
+                sxx += cols[i][r] * cols[i][r];
+                syy += cols[j][r] * cols[j][r];
+            }
+            m[i][j] = m[j][i] = sxy / Math.sqrt(sxx * syy);
+        }
+    }
+    return m;
+}
+
+// Standard normal quantile (Acklam's rational approximation, |error| < 1.2e-9)
+function _inverseNormal(p) {
+    const a = [-3.969683028665376e+01, 2.209460984245205e+02, -2.759285104469687e+02, 1.383577518672690e+02, -3.066479806614716e+01, 2.506628277459239e+00];
+    const b = [-5.447609879822406e+01, 1.615858368580409e+02, -1.556989798598866e+02, 6.680131188771972e+01, -1.328068155288572e+01];
+    const c = [-7.784894002430293e-03, -3.223964580411365e-01, -2.400758277161838e+00, -2.549732539343734e+00, 4.374664141464968e+00, 2.938163982698783e+00];
+    const d = [7.784695709041462e-03, 3.224671290700398e-01, 2.445134137142996e+00, 3.754408661907416e+00];
+    const pLow = 0.02425;
+
+    if (p < pLow) {
+        const q = Math.sqrt(-2 * Math.log(p));
+        return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+            ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+    }
+    if (p > 1 - pLow) {
+        const q = Math.sqrt(-2 * Math.log(1 - p));
+        return -(((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+            ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+    }
+    const q = p - 0.5;
+    const r = q * q;
+    return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+        (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+}
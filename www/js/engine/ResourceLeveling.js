@@ -0,0 +1,136 @@
+// ============================================
+// Tier 3.1 — Resource Leveling
+// Crew-constrained schedule against the company's crew fleet
+// ============================================
+
+import { DependencyType, DependencySource } from '../models/Activity.js';
+
+const EPS = 1e-6;
+
+/**
+ * Level the CPM schedule to the number of crews the company owns.
+ *
+ * Serial scheduling: activities are placed one at a time in CPM priority
+ * order (least late start, then early start) at the earliest time their logic
+ * allows and a crew with their code is free. An activity held back waiting
+ * for a crew gets a DependencySource.RESOURCE finish-to-start link from the
+ * activity that releases the crew. Re-running CPM with those links
+ * (new Scheduler(activities, null, links)) reproduces the leveled schedule
+ * with its own floats and critical path.
+ *
+ * Crew codes not in the fleet (manual composite crews, unlisted codes) are
+ * treated as unlimited.
+ *
+ * @param {import('../models/Activity.js').Activity[]} activities
+ * @param {Object<string, number>} crewFleet - Crews owned per code, e.g. { PV10: 1, ML7: 1 }
+ * @param {import('./Scheduler.js').Scheduler} cpm - Unconstrained CPM, already run
+ * @returns {{ cpmDuration, leveledDuration, delay, links: Array, crews: Array }}
+ */
+export function levelResources(activities, crewFleet, cpm) {
+    const active = activities.filter(a => a.duration > 0);
+    const byId = new Map(active.map(a => [a.id, a]));
+    const placed = new Map();
+    const links = [];
+
+    const cpmOf = a => cpm.results.get(a.id) || { lateStart: 0, earlyStart: 0 };
+    const pending = [...active].sort((a, b) =>
+        cpmOf(a).lateStart - cpmOf(b).lateStart || cpmOf(a).earlyStart - cpmOf(b).earlyStart);
+
+    while (pending.length > 0) {
+        let idx = pending.findIndex(a => a.dependencies.every(d =>
+            !byId.has(d.predecessorId) || placed.has(d.predecessorId)));
+        // Dependency cycle — place the rest in priority order rather than stall
+        if (idx === -1) idx = 0;
+        const activity = pending.splice(idx, 1)[0];
+
+        const logicStart = _logicStart(activity, placed);
+        const code = activity.crew?.code;
+        const available = crewFleet[code];
+        let start = logicStart;
+        let releasedBy = null;
+
+        if (available != null) {
+            const sameCrew = [...placed.entries()]
+                .filter(([id]) => byId.get(id).crew?.code === code)
+                .map(([id, p]) => ({ id, ...p }));
+            const candidates = [logicStart, ...sameCrew.map(p => p.finish).filter(f => f > logicStart)]
+                .sort((a, b) => a - b);
+
+            for (const t of candidates) {
+                const busy = sameCrew.filter(p =>
+                    p.start < t + activity.duration - EPS && p.finish > t + EPS).length;
+                if (busy < Math.max(1, available)) {
+                    start = t;
+                    break;
+                }
+            }
+            if (start > logicStart + EPS) {
+                releasedBy = sameCrew.find(p => Math.abs(p.finish - start) < EPS);
+            }
+        }
+
+        placed.set(activity.id, { start, finish: start + activity.duration });
+        if (releasedBy) {
+            links.push({
+                predecessorId: releasedBy.id,
+                successorId: activity.id,
+                type: DependencyType.FS,
+                lag: 0,
+                source: DependencySource.RESOURCE,
+                crewCode: code,
+                delay: start - logicStart,
+                predecessorDescription: byId.get(releasedBy.id).description,
+                successorDescription: activity.description,
+            });
+        }
+    }
+
+    const leveledDuration = Math.max(0, ...[...placed.values()].map(p => p.finish));
+    const cpmDuration = cpm.projectDuration;
+
+    const crews = [...new Set(active.map(a => a.crew?.code).filter(code => crewFleet[code] != null))]
+        .map(code => ({
+            code,
+            available: crewFleet[code],
+            activityIds: active.filter(a => a.crew?.code === code).map(a => a.id),
+        }));
+
+    return {
+        cpmDuration,
+        leveledDuration,
+        delay: leveledDuration - cpmDuration,
+        links,
+        crews,
+    };
+}
+
+// ---- Internal ----
+
+/**
+ * Earliest start allowed by the activity's own logic, from placed predecessors
+ * (same rules as the CPM forward pass).
+ */
+function _logicStart(activity, placed) {
+    let es = 0;
+    for (const dep of activity.dependencies) {
+        const pred = placed.get(dep.predecessorId);
+        if (!pred) continue;
+        const lag = dep.lag || 0;
+
+        switch (dep.type || DependencyType.FS) {
+            case DependencyType.FS:
+                es = Math.max(es, pred.finish + lag);
+                break;
+            case DependencyType.SS:
+                es = Math.max(es, pred.start + lag);
+                break;
+            case DependencyType.FF:
+                es = Math.max(es, pred.finish + lag - activity.duration);
+                break;
+            case DependencyType.SF:
+                es = Math.max(es, pred.start + lag - activity.duration);
+                break;
+        }
+    }
+    return Math.max(0, es);
+}
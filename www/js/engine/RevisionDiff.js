@@ -0,0 +1,336 @@
+// ============================================
+// Revision Diff
+// Input-level comparison of two saved estimate versions with cost/schedule impact
+// ============================================
+
+import { Estimate } from '../models/Estimate.js';
+import { TakeoffPolygon } from '../models/TakeoffPolygon.js';
+import { PlanTakeoff } from '../models/PlanTakeoff.js';
+import { LABOR_CLASSIFICATIONS } from '../data/LaborRates.js';
+
+/**
+ * Activity fields compared as one change group. Each group is applied as a
+ * unit when measuring impact, since its fields are derived together
+ * (e.g. an area change also moves tonnage and material qty/unit).
+ */
+const ACTIVITY_GROUPS = [
+    { key: 'quantity', label: 'Quantity', fields: ['quantity', 'segments', 'materialResources', 'extra', 'truckingQuantityOverride'] },
+    { key: 'production', label: 'Production', fields: ['productionRate', 'productivityFactor'] },
+    { key: 'crew', label: 'Crew', fields: ['crew', 'crewCode', 'crewAutoSelected'] },
+    { key: 'mobilization', label: 'Mobilization', fields: ['mobilization'] },
+    { key: 'trucking', label: 'Trucking', fields: ['trucking'] },
+];
+
+/**
+ * Estimate-level fields compared as one change group each.
+ * `informational` groups are shown but not re-priced — their effect is already
+ * carried by the activity fields they feed (e.g. waste factors → material qty/unit).
+ * A group reads one `path`, or several top-level `fields` priced together
+ * (e.g. a start date and the calendar it is laid on).
+ * `summarize` maps a bulky value to the fields worth comparing; priced groups
+ * still apply the full value. `itemLabels` names each detail after the
+ * summarized item it belongs to (the risk, not just 'Probability').
+ */
+const ESTIMATE_GROUPS = [
+    { key: 'generalConditions', label: 'General conditions', path: ['indirectCosts', 'generalConditions'] },
+    { key: 'homeOfficeOverheadPct', label: 'Home office overhead %', path: ['indirectCosts', 'homeOfficeOverheadPct'] },
+    { key: 'feeProfitPct', label: 'Fee / profit %', path: ['indirectCosts', 'feeProfitPct'] },
+    { key: 'escalation', label: 'Escalation', path: ['indirectCosts', 'escalation'] },
+    { key: 'bondsInsurance', label: 'Bonds & insurance', path: ['indirectCosts', 'bondsInsurance'] },
+    { key: 'contingency', label: 'Contingency', path: ['indirectCosts', 'contingency'], ignore: ['identifiedRisksTotal'] },
+    { key: 'riskRegister', label: 'Risk register', path: ['riskRegister'], summarize: _riskSummary, itemLabels: true },
+    { key: 'riskSettings', label: 'Risk simulation', path: ['riskSettings'] },
+    { key: 'shiftSettings', label: 'Shift settings', path: ['shiftSettings'] },
+    { key: 'calendar', label: 'Calendar', fields: ['startDate', 'seasonMode', 'timeUnit'], summarize: _calendarSummary, ignore: ['timeUnit.notes'] },
+    { key: 'weatherDays', label: 'Weather days', path: ['weatherDays'] },
+    { key: 'weatherModel', label: 'Weather model', path: ['weatherModel'] },
+    { key: 'travelHours', label: 'Travel hours', path: ['travelHours'] },
+    { key: 'clusterMode', label: 'Crew clustering', path: ['clusterMode'] },
+    { key: 'crewFleet', label: 'Crew fleet', path: ['crewFleet'] },
+    { key: 'overtime', label: 'Overtime', path: ['overtime'], summarize: _overtimeSummary },
+    { key: 'jobMode', label: 'Job mode', path: ['jobMode'] },
+    { key: 'crossSection', label: 'Roadway cross-section', path: ['crossSection'], informational: true },
+    { key: 'takeoffPolygons', label: 'Takeoff polygons', path: ['takeoffPolygons'], informational: true, summarize: _polygonSummary },
+    { key: 'planTakeoff', label: 'Plan takeoff', path: ['planTakeoff'], informational: true, summarize: _planSummary },
+    { key: 'truckingRate', label: 'Trucking rate ($/hr)', path: ['projectSettings', 'truckingRate'] },
+    { key: 'projectSettings', label: 'Project settings', path: ['projectSettings'], informational: true, ignore: ['truckingRate'] },
+];
+
+/**
+ * Friendly labels for common leaf paths. Unlisted paths fall back to a humanized leaf name.
+ */
+const FIELD_LABELS = {
+    'quantity.inputs.area': 'Area',
+    'quantity.inputs.depth': 'Depth (in)',
+    'quantity.inputs.tackAppRate': 'Tack rate (gal/SY)',
+    'quantity.netQuantity': 'Net quantity',
+    'quantity.wasteFactor': 'Waste factor',
+    'productionRate.outputQty': 'Production rate',
+    'crew.name': 'Crew',
+    'crew.compositeRate': 'Crew rate ($/hr)',
+    'crew.headcount': 'Crew headcount',
+    'crewCode': 'Crew code',
+    'mobilization.included': 'Mob included',
+    'mobilization.cost': 'Mob cost',
+    'trucking.cycleTime': 'Cycle time (min)',
+    'trucking.efficiency': 'Truck efficiency',
+    'calendar.startDate': 'Start date',
+    'calendar.seasonMode': 'Out-of-season work',
+    'calendar.timeUnit.workDaysPerWeek': 'Work days / week',
+    'calendar.timeUnit.hoursPerShift': 'Hours / shift',
+    'calendar.timeUnit.shiftsPerDay': 'Shifts / day',
+    'calendar.timeUnit.seasonalWindow.startMonth': 'Season opens (month)',
+    'calendar.timeUnit.seasonalWindow.endMonth': 'Season closes (month)',
+    'calendar.timeUnit.observeStandardHolidays': 'Standard holidays',
+    'calendar.timeUnit.holidays': 'Other holidays',
+    'overtime.source': 'Wage table',
+    'overtime.rules.dailyAfter': 'Overtime after (hr/day)',
+    'overtime.rules.weeklyAfter': 'Overtime after (hr/week)',
+    'overtime.rules.multiplier': 'Overtime multiplier',
+    'overtime.rules.doubleAfter': 'Double time after (hr/day)',
+    'overtime.rules.doubleMultiplier': 'Double-time multiplier',
+};
+
+// Derived leaves that change whenever their inputs do — hidden from the detail list
+const HIDDEN_PREFIXES = ['extra', 'truckingQuantityOverride', 'materialResources', 'productivityFactor.bases'];
+
+const IMPACT_KEYS = ['directCost', 'projectDuration', 'totalEstimatedCost'];
+
+/**
+ * Compare two serialized estimate versions.
+ *
+ * Impact is measured one change group at a time: the group is applied to the
+ * "before" version in isolation and re-priced, so each row shows how that change
+ * alone moved direct cost, duration and bid. The remainder between the sum of
+ * row impacts and the total delta is reported as `interaction`.
+ *
+ * @param {Object} beforeData - Estimate.toJSON() of the earlier version
+ * @param {Object} afterData - Estimate.toJSON() of the later version
+ * @param {(est: Estimate) => {directCost, projectDuration, totalEstimatedCost}} recalc - Prices an estimate
+ * @returns {{ before, after, delta, changes: Array, interaction }}
+ */
+export function diffEstimates(beforeData, afterData, recalc) {
+    const before = recalc(Estimate.fromJSON(_clone(beforeData)));
+    const after = recalc(Estimate.fromJSON(_clone(afterData)));
+    const changes = [];
+
+    // ---- Activity-level changes ----
+    const beforeActs = new Map((beforeData.activities || []).map(a => [a.id, a]));
+    const afterActs = new Map((afterData.activities || []).map(a => [a.id, a]));
+    const ids = [...new Set([...beforeActs.keys(), ...afterActs.keys()])];
+
+    for (const id of ids) {
+        const a = beforeActs.get(id);
+        const b = afterActs.get(id);
+        const name = (b || a).description || id;
+
+        if (!a || !b) {
+            changes.push({
+                scope: name,
+                label: a ? 'Activity removed' : 'Activity added',
+                details: [],
+                apply: (draft) => {
+                    draft.activities = (draft.activities || []).filter(x => x.id !== id);
+                    if (b) {
+                        draft.activities.push(_clone(b));
+                        _mergeResources(draft, afterData);
+                    }
+                },
+            });
+            continue;
+        }
+
+        for (const group of ACTIVITY_GROUPS) {
+            const details = [];
+            for (const field of group.fields) {
+                _collectLeafChanges(a[field], b[field], field, details);
+            }
+            if (details.length === 0) continue;
+
+            changes.push({
+                scope: name,
+                label: group.label,
+                details: details.filter(d => !HIDDEN_PREFIXES.some(p => d.path.startsWith(p))),
+                apply: (draft) => {
+                    const target = draft.activities.find(x => x.id === id);
+                    for (const field of group.fields) target[field] = _clone(b[field]);
+                    _mergeResources(draft, afterData);
+                },
+            });
+        }
+    }
+
+    // ---- Resource rate changes (materials, crew component rates) ----
+    const beforeRes = new Map((beforeData.resources || []).map(r => [r.id, r]));
+    for (const r of afterData.resources || []) {
+        const prev = beforeRes.get(r.id);
+        if (!prev || prev.costRate === r.costRate) continue;
+        changes.push({
+            scope: r.name || r.id,
+            label: 'Rate',
+            details: [{ path: 'costRate', label: `Rate ($/${(r.unitId || '').toLowerCase()})`, before: prev.costRate, after: r.costRate }],
+            apply: (draft) => {
+                const target = draft.resources.find(x => x.id === r.id);
+                if (target) target.costRate = r.costRate;
+            },
+        });
+    }
+
+    // ---- Estimate-level changes (markups, settings) ----
+    for (const group of ESTIMATE_GROUPS) {
+        const read = data => group.fields
+            ? Object.fromEntries(group.fields.map(f => [f, data[f] ?? null]))
+            : _get(data, group.path);
+        const a = group.summarize ? group.summarize(read(beforeData)) : read(beforeData);
+        const b = group.summarize ? group.summarize(read(afterData)) : read(afterData);
+        const details = [];
+        _collectLeafChanges(a, b, group.key, details);
+        const visible = details.filter(d => !(group.ignore || []).some(k => d.path === `${group.key}.${k}`));
+        if (visible.length === 0) continue;
+
+        for (const d of visible) {
+            if (d.path === group.key) d.label = group.label;
+            else if (group.itemLabels) d.label = `${d.path.slice(group.key.length + 1, d.path.lastIndexOf('.'))}: ${d.label}`;
+        }
+
+        const value = read(afterData);
+        changes.push({
+            scope: 'Estimate',
+            label: group.label,
+            details: visible,
+            informational: !!group.informational,
+            apply: group.informational ? null : (draft) => {
+                if (!group.fields) return _set(draft, group.path, _clone(value));
+                for (const f of group.fields) draft[f] = _clone(value[f]);
+            },
+        });
+    }
+
+    // ---- Price each change in isolation ----
+    const sum = { directCost: 0, projectDuration: 0, totalEstimatedCost: 0 };
+    for (const change of changes) {
+        if (!change.apply) {
+            change.impact = null;
+        } else {
+            const draft = _clone(beforeData);
+            change.apply(draft);
+            const priced = recalc(Estimate.fromJSON(draft));
+            change.impact = _delta(before, priced);
+            for (const k of IMPACT_KEYS) sum[k] += change.impact[k];
+        }
+        delete change.apply;
+    }
+
+    const delta = _delta(before, after);
+    const interaction = {};
+    for (const k of IMPACT_KEYS) interaction[k] = delta[k] - sum[k];
+
+    return { before, after, delta, changes, interaction };
+}
+
+// ---- Internal ----
+
+function _delta(from, to) {
+    const out = {};
+    for (const k of IMPACT_KEYS) out[k] = (to?.[k] || 0) - (from?.[k] || 0);
+    return out;
+}
+
+function _collectLeafChanges(a, b, path, out) {
+    const isObj = v => v !== null && typeof v === 'object';
+    if (isObj(a) || isObj(b)) {
+        const keys = new Set([...Object.keys(a || {}), ...Object.keys(b || {})]);
+        for (const k of keys) {
+            _collectLeafChanges(isObj(a) ? a[k] : undefined, isObj(b) ? b[k] : undefined, `${path}.${k}`, out);
+        }
+        return;
+    }
+    if (a === b || (a == null && b == null)) return;
+    out.push({ path, label: FIELD_LABELS[path] || _humanize(path), before: a ?? null, after: b ?? null });
+}
+
+// Polygons compared by what they feed, not vertex by vertex
+function _polygonSummary(polygons) {
+    return Object.fromEntries((polygons || []).map(p => {
+        const poly = TakeoffPolygon.fromJSON(p);
+        return [poly.name || poly.id, { area: Math.round(poly.areaSY), activityType: poly.activityType, target: poly.target, depth: poly.depth }];
+    }));
+}
+
+// Risks compared by name, on what prices them (expected value = probability × most likely)
+function _riskSummary(data) {
+    return Object.fromEntries((data?.risks || []).map(risk => [risk.description || risk.id, {
+        probability: risk.probability,
+        impactMin: risk.impactMin,
+        impactMostLikely: risk.impactMostLikely,
+        impactMax: risk.impactMax,
+        riskType: risk.riskType,
+    }]));
+}
+
+// Extra holidays compared as one list, not date by date
+function _calendarSummary(calendar) {
+    const timeUnit = calendar.timeUnit && { ...calendar.timeUnit, holidays: [...(calendar.timeUnit.holidays || [])].sort().join(', ') };
+    return { ...calendar, timeUnit };
+}
+
+// Overtime base $/hr named by classification rather than key
+function _overtimeSummary(overtime) {
+    if (!overtime) return null;
+    return {
+        source: overtime.source,
+        rules: overtime.rules,
+        overtimeBase: Object.fromEntries(Object.entries(overtime.overtimeBase || {})
+            .map(([key, rate]) => [`${LABOR_CLASSIFICATIONS[key]?.label || key} base`, rate])),
+    };
+}
+
+// Traced shapes compared by what they measure, with the plan scale
+function _planSummary(data) {
+    if (!data) return null;
+    const plan = PlanTakeoff.fromJSON(data);
+    const fpp = plan.feetPerPixel;
+    return {
+        image: plan.image?.name || null,
+        feetPerPixel: fpp ? Math.round(fpp * 10000) / 10000 : 0,
+        shapes: Object.fromEntries(plan.shapes.map(s => [s.name || s.id, {
+            measured: s.kind === 'line' ? s.quantity('LF', fpp) : s.quantity('SY', fpp),
+            activityType: s.activityType, target: s.target, depth: s.depth,
+        }])),
+    };
+}
+
+// 'generalConditions.superintendentPerDay' → 'Superintendent per day'
+function _humanize(path) {
+    const leaf = path.split('.').pop().replace(/Pct$/, ' %').replace(/([a-z])([A-Z])/g, '$1 $2').toLowerCase();
+    return leaf.charAt(0).toUpperCase() + leaf.slice(1);
+}
+
+/**
+ * Bring over any resources the "after" version references that the draft lacks,
+ * so applied crew/material changes resolve their resourceIds.
+ */
+function _mergeResources(draft, afterData) {
+    draft.resources = draft.resources || [];
+    const have = new Set(draft.resources.map(r => r.id));
+    for (const r of afterData.resources || []) {
+        if (!have.has(r.id)) draft.resources.push(_clone(r));
+    }
+}
+
+function _get(obj, path) {
+    return path.reduce((o, k) => (o == null ? undefined : o[k]), obj);
+}
+
+function _set(obj, path, value) {
+    let o = obj;
+    for (const k of path.slice(0, -1)) {
+        if (o[k] == null) o[k] = {};
+        o = o[k];
+    }
+    o[path[path.length - 1]] = value;
+}
+
+function _clone(v) {
+    return v === undefined ? undefined : JSON.parse(JSON.stringify(v));
+}
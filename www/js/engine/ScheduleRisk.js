@@ -0,0 +1,105 @@
+// ============================================
+// Tier 5.3 — Schedule Risk Analysis
+// Monte Carlo over the CPM network: finish percentiles, criticality index
+// ============================================
+
+import { Scheduler } from './Scheduler.js';
+import { MonteCarlo } from './MonteCarlo.js';
+import { RATE_CONFIDENCE, TIER_MULTIPLIERS } from '../data/paving-defaults.js';
+
+/**
+ * Simulate the CPM schedule with uncertain production rates.
+ *
+ * Each active activity's achieved rate is sampled as a PERT factor on its
+ * adjusted rate. The bounds are the wider of the ThreeTier conservative /
+ * aggressive multipliers and the activity's RATE_CONFIDENCE band, so poorly
+ * documented rates (excavation) swing further than well-known ones (tack).
+ * Every iteration re-runs the CPM passes on the sampled durations.
+ *
+ * @param {Array} activities - Activity instances (with dependencies and threeTier)
+ * @param {Object} options
+ * @param {number} options.iterations - Simulation iterations
+ * @param {number|null} [options.seed] - PRNG seed (null = fresh)
+ * @param {Array} [options.correlations] - [{ a, b, rho }] keyed `production:<activityType>`
+ * @param {number} [options.gcPerDay=0] - Time-dependent general conditions $/day
+ * @param {Array} [options.resourceLinks] - Resource-leveling links held fixed across iterations
+ * @returns {Object|null} Duration percentiles, criticality index per activity, GC cost distribution
+ */
+export function simulateSchedule(activities, { iterations, seed = null, correlations = [], gcPerDay = 0, resourceLinks = null }) {
+    const active = activities.filter(a => a.duration > 0);
+    if (active.length === 0) return null;
+
+    const deterministic = new Scheduler(activities, null, resourceLinks);
+    deterministic.run();
+    const deterministicDuration = deterministic.projectDuration;
+
+    const variables = active.map(a => {
+        const band = (RATE_CONFIDENCE[a.activityType]?.band ?? 25) / 100;
+        const conservative = a.threeTier?.conservative?.multiplier ?? TIER_MULTIPLIERS.conservative;
+        const aggressive = a.threeTier?.aggressive?.multiplier ?? TIER_MULTIPLIERS.aggressive;
+        return {
+            name: a.description,
+            key: `production:${a.activityType}`,
+            min: Math.min(conservative, 1 - band),
+            mostLikely: 1,
+            max: Math.max(aggressive, 1 + band),
+        };
+    });
+
+    const mc = new MonteCarlo(iterations, seed);
+    const samples = mc.sampleVariables(variables, correlations);
+
+    const durations = [];
+    const criticalCounts = new Map(active.map(a => [a.id, 0]));
+    const sampled = new Map();
+
+    for (let i = 0; i < iterations; i++) {
+        for (let k = 0; k < active.length; k++) {
+            const a = active[k];
+            const raw = a.quantity.grossQuantity / (a.adjustedProductionRate * samples[k][i]);
+            sampled.set(a.id, Math.ceil(raw * 2) / 2);
+        }
+
+        const scheduler = new Scheduler(activities, sampled, resourceLinks);
+        scheduler.run();
+        durations.push(scheduler.projectDuration);
+        for (const id of scheduler.criticalPath) {
+            criticalCounts.set(id, criticalCounts.get(id) + 1);
+        }
+    }
+
+    const sorted = durations.sort((a, b) => a - b);
+    const onTime = sorted.filter(d => d <= deterministicDuration).length / sorted.length;
+    const gcAt = p => Math.round(MonteCarlo.percentile(sorted, p) * gcPerDay);
+
+    return {
+        iterations,
+        seed: mc.seed,
+        deterministicDuration,
+        mean: sorted.reduce((a, b) => a + b, 0) / sorted.length,
+        min: sorted[0],
+        max: sorted[sorted.length - 1],
+        p10: MonteCarlo.percentile(sorted, 0.10),
+        p50: MonteCarlo.percentile(sorted, 0.50),
+        p80: MonteCarlo.percentile(sorted, 0.80),
+        p90: MonteCarlo.percentile(sorted, 0.90),
+        probabilityOnTime: onTime,
+        criticality: active
+            .map(a => ({
+                id: a.id,
+                description: a.description,
+                index: criticalCounts.get(a.id) / iterations,
+                deterministicCritical: deterministic.criticalPath.includes(a.id),
+            }))
+            .sort((a, b) => b.index - a.index),
+        generalConditions: {
+            perDay: gcPerDay,
+            deterministic: Math.round(deterministicDuration * gcPerDay),
+            p10: gcAt(0.10),
+            p50: gcAt(0.50),
+            p80: gcAt(0.80),
+            p90: gcAt(0.90),
+        },
+        histogram: MonteCarlo.histogram(sorted, 20),
+    };
+}
@@ -8,9 +8,17 @@ import { DependencyType } from '../models/Activity.js';
 export class Scheduler {
     /**
      * @param {import('../models/Activity.js').Activity[]} activities - Activities with dependencies
+     * @param {Map<string, number>} [durations] - Per-activity duration overrides (schedule simulation)
+     * @param {Array} [resourceLinks] - Extra { predecessorId, successorId, type, lag } links from resource leveling
      */
-    constructor(activities) {
+    constructor(activities, durations = null, resourceLinks = null) {
         this.activities = activities;
+        this.durations = durations;
+        this.resourceLinks = new Map();
+        for (const link of resourceLinks || []) {
+            if (!this.resourceLinks.has(link.successorId)) this.resourceLinks.set(link.successorId, []);
+            this.resourceLinks.get(link.successorId).push(link);
+        }
         // Results map: activityId → { earlyStart, earlyFinish, lateStart, lateFinish, totalFloat, freeFloat }
         this.results = new Map();
     }
@@ -50,7 +58,7 @@ export class Scheduler {
             const r = this.results.get(activity.id);
             let es = 0;
 
-            for (const dep of activity.dependencies) {
+            for (const dep of this._dependencies(activity)) {
                 const predResult = this.results.get(dep.predecessorId);
                 if (!predResult) continue;
 
@@ -65,17 +73,17 @@ export class Scheduler {
                         break;
                     case DependencyType.FF:
                         // EF must be >= pred.EF + lag, so ES >= pred.EF + lag - duration
-                        es = Math.max(es, predResult.earlyFinish + lag - activity.duration);
+                        es = Math.max(es, predResult.earlyFinish + lag - this._duration(activity));
                         break;
                     case DependencyType.SF:
                         // EF must be >= pred.ES + lag, so ES >= pred.ES + lag - duration
-                        es = Math.max(es, predResult.earlyStart + lag - activity.duration);
+                        es = Math.max(es, predResult.earlyStart + lag - this._duration(activity));
                         break;
                 }
             }
 
             r.earlyStart = Math.max(0, es);
-            r.earlyFinish = r.earlyStart + activity.duration;
+            r.earlyFinish = r.earlyStart + this._duration(activity);
         }
     }
 
@@ -92,13 +100,13 @@ export class Scheduler {
         for (const activity of this.activities) {
             const r = this.results.get(activity.id);
             r.lateFinish = projectEnd;
-            r.lateStart = projectEnd - activity.duration;
+            r.lateStart = projectEnd - this._duration(activity);
         }
 
         // Build successor map
         const successors = new Map();
         for (const activity of this.activities) {
-            for (const dep of activity.dependencies) {
+            for (const dep of this._dependencies(activity)) {
                 if (!successors.has(dep.predecessorId)) {
                     successors.set(dep.predecessorId, []);
                 }
@@ -125,19 +133,19 @@ export class Scheduler {
                             lf = Math.min(lf, succResult.lateStart - succ.lag);
                             break;
                         case DependencyType.SS:
-                            lf = Math.min(lf, succResult.lateStart - succ.lag + activity.duration);
+                            lf = Math.min(lf, succResult.lateStart - succ.lag + this._duration(activity));
                             break;
                         case DependencyType.FF:
                             lf = Math.min(lf, succResult.lateFinish - succ.lag);
                             break;
                         case DependencyType.SF:
-                            lf = Math.min(lf, succResult.lateFinish - succ.lag + activity.duration);
+                            lf = Math.min(lf, succResult.lateFinish - succ.lag + this._duration(activity));
                             break;
                     }
                 }
 
                 r.lateFinish = lf;
-                r.lateStart = lf - activity.duration;
+                r.lateStart = lf - this._duration(activity);
             }
         }
     }
@@ -149,7 +157,7 @@ export class Scheduler {
         // Build successor map for free float
         const successors = new Map();
         for (const activity of this.activities) {
-            for (const dep of activity.dependencies) {
+            for (const dep of this._dependencies(activity)) {
                 if (!successors.has(dep.predecessorId)) {
                     successors.set(dep.predecessorId, []);
                 }
@@ -188,7 +196,7 @@ export class Scheduler {
         }
 
         for (const a of this.activities) {
-            for (const dep of a.dependencies) {
+            for (const dep of this._dependencies(a)) {
                 if (adjList.has(dep.predecessorId)) {
                     adjList.get(dep.predecessorId).push(a.id);
                     inDegree.set(a.id, (inDegree.get(a.id) || 0) + 1);
@@ -224,6 +232,15 @@ export class Scheduler {
         return sorted;
     }
 
+    _dependencies(activity) {
+        const links = this.resourceLinks.get(activity.id);
+        return links ? [...activity.dependencies, ...links] : activity.dependencies;
+    }
+
+    _duration(activity) {
+        return this.durations?.get(activity.id) ?? activity.duration;
+    }
+
     /**
      * Project duration = max Early Finish across all activities.
      * Rubric Axiom 4: Duration derived from CPM, never assumed.
@@ -243,7 +260,7 @@ export class Scheduler {
         const critical = [];
         for (const activity of this.activities) {
             const r = this.results.get(activity.id);
-            if (r && Math.abs(r.totalFloat) < 0.001 && activity.duration > 0) {
+            if (r && Math.abs(r.totalFloat) < 0.001 && this._duration(activity) > 0) {
                 critical.push(activity.id);
             }
         }
@@ -257,7 +274,7 @@ export class Scheduler {
         const nearCritical = [];
         for (const activity of this.activities) {
             const r = this.results.get(activity.id);
-            if (r && r.totalFloat > 0 && r.totalFloat <= floatThreshold && activity.duration > 0) {
+            if (r && r.totalFloat > 0 && r.totalFloat <= floatThreshold && this._duration(activity) > 0) {
                 nearCritical.push(activity.id);
             }
         }
@@ -269,13 +286,13 @@ export class Scheduler {
      */
     getGanttData() {
         return this.activities
-            .filter(a => a.duration > 0)
+            .filter(a => this._duration(a) > 0)
             .map(a => {
                 const r = this.results.get(a.id);
                 return {
                     id: a.id,
                     description: a.description,
-                    duration: a.duration,
+                    duration: this._duration(a),
                     earlyStart: r.earlyStart,
                     earlyFinish: r.earlyFinish,
                     totalFloat: r.totalFloat,
@@ -0,0 +1,192 @@
+// ============================================
+// Sensitivity Analysis
+// One-at-a-time input perturbation → tornado and spider data for bid price
+// ============================================
+
+import { Estimate } from '../models/Estimate.js';
+import { ResourceType } from '../models/Resource.js';
+import { ACTIVITY_CONFIG } from '../data/paving-defaults.js';
+
+/**
+ * Waste multipliers live in projectSettings and are baked into each material's
+ * quantityPerOutputUnit (and the tonnage trucked) for these activity types.
+ */
+const WASTE_DRIVERS = [
+    { key: 'asphaltWaste', label: 'Asphalt waste allowance' },
+    { key: 'aggregateWaste', label: 'Aggregate waste allowance' },
+    { key: 'concreteWaste', label: 'Concrete waste allowance' },
+].map(driver => ({
+    ...driver,
+    activityTypes: Object.keys(ACTIVITY_CONFIG).filter(type => ACTIVITY_CONFIG[type].wasteSetting === driver.key),
+}));
+
+/**
+ * Perturb each bid driver by ±range (one at a time) and re-price.
+ *
+ * Drivers: material prices, production rate and trucking cycle time per
+ * activity, crew rates, waste allowances, productivity composite, fee %.
+ * Each is scaled by (1 + step) at evenly spaced steps from −range to +range;
+ * waste is scaled on its allowance (a 1.05 multiplier has a 5% allowance).
+ *
+ * @param {Object} estimateData - Estimate.toJSON() of the estimate to analyze
+ * @param {(est: Estimate) => {totalEstimatedCost: number}} recalc - Prices an estimate
+ * @param {Object} [options]
+ * @param {number} [options.range=0.10] - Perturbation as a fraction (0.10 = ±10%)
+ * @param {number} [options.steps=5] - Points per spider line, including the base case
+ * @returns {{ baseBid, range, steps: number[], drivers: Array }} drivers sorted by swing, largest first
+ */
+export function analyzeSensitivity(estimateData, recalc, { range = 0.10, steps = 5 } = {}) {
+    const baseBid = recalc(Estimate.fromJSON(_clone(estimateData))).totalEstimatedCost;
+    const stepValues = _steps(range, steps);
+    const drivers = [];
+
+    for (const driver of _buildDrivers(estimateData)) {
+        const points = stepValues.map(step => {
+            if (step === 0) return { step, bid: baseBid };
+            const draft = _clone(estimateData);
+            driver.apply(draft, 1 + step);
+            return { step, bid: recalc(Estimate.fromJSON(draft)).totalEstimatedCost };
+        });
+
+        const atLow = points[0].bid;
+        const atHigh = points[points.length - 1].bid;
+        const swing = Math.abs(atHigh - atLow);
+        if (swing < 0.5) continue;
+
+        drivers.push({
+            key: driver.key,
+            label: driver.label,
+            group: driver.group,
+            atLow,
+            atHigh,
+            swing,
+            points,
+        });
+    }
+
+    drivers.sort((a, b) => b.swing - a.swing);
+    return { baseBid, range, steps: stepValues, drivers };
+}
+
+// ---- Internal ----
+
+function _buildDrivers(data) {
+    const drivers = [];
+    const activities = (data.activities || []).filter(a =>
+        (a.quantity?.netQuantity || 0) > 0 && (a.productionRate?.outputQty || 0) > 0);
+
+    // Material prices — one per material the active scope actually uses
+    const usedMaterials = new Set(activities.flatMap(a => (a.materialResources || []).map(mr => mr.resourceId)));
+    for (const r of data.resources || []) {
+        if (r.type !== ResourceType.MATERIAL || !usedMaterials.has(r.id)) continue;
+        drivers.push({
+            key: `price:${r.id}`,
+            label: `${r.name} price`,
+            group: 'Material',
+            apply: (draft, factor) => {
+                const target = draft.resources.find(x => x.id === r.id);
+                if (target) target.costRate *= factor;
+            },
+        });
+    }
+
+    for (const a of activities) {
+        const name = a.description || a.id;
+        drivers.push({
+            key: `production:${a.id}`,
+            label: `${name} production rate`,
+            group: 'Production',
+            apply: (draft, factor) => {
+                _activity(draft, a.id).productionRate.outputQty *= factor;
+            },
+        });
+
+        if (a.trucking?.cycleTime) {
+            drivers.push({
+                key: `cycle:${a.id}`,
+                label: `${name} truck cycle time`,
+                group: 'Trucking',
+                apply: (draft, factor) => {
+                    _activity(draft, a.id).trucking.cycleTime *= factor;
+                },
+            });
+        }
+    }
+
+    // Crew rates — every labor and equipment resource, and composite crew rates, scaled together
+    drivers.push({
+        key: 'crewRates',
+        label: 'Crew rates (labor + equipment)',
+        group: 'Crew',
+        apply: (draft, factor) => {
+            for (const r of draft.resources || []) {
+                if (r.type !== ResourceType.MATERIAL) r.costRate *= factor;
+            }
+            for (const act of draft.activities || []) {
+                if (act.crew?.compositeRate != null) act.crew.compositeRate *= factor;
+            }
+        },
+    });
+
+    for (const w of WASTE_DRIVERS) {
+        const multiplier = data.projectSettings?.[w.key];
+        if (!(multiplier > 1)) continue;
+        drivers.push({
+            key: `waste:${w.key}`,
+            label: w.label,
+            group: 'Quantity',
+            apply: (draft, factor) => {
+                const ratio = (1 + (multiplier - 1) * factor) / multiplier;
+                for (const act of draft.activities || []) {
+                    if (!w.activityTypes.includes(act.activityType)) continue;
+                    for (const mr of act.materialResources || []) mr.quantityPerOutputUnit *= ratio;
+                    if (act.truckingQuantityOverride) act.truckingQuantityOverride *= ratio;
+                }
+            },
+        });
+    }
+
+    // Productivity composite is the product of its modifiers, so scaling one scales the composite
+    drivers.push({
+        key: 'productivity',
+        label: 'Productivity composite',
+        group: 'Production',
+        apply: (draft, factor) => {
+            for (const act of draft.activities || []) {
+                const factors = [act.productivityFactor, ...(act.segments || []).map(s => s.productivityFactor)];
+                for (const pf of factors) {
+                    const mods = pf?.modifiers;
+                    if (mods) mods.siteAccess = (mods.siteAccess ?? 1) * factor;
+                }
+            }
+        },
+    });
+
+    if (data.indirectCosts?.feeProfitPct > 0) {
+        drivers.push({
+            key: 'feeProfitPct',
+            label: 'Fee / profit %',
+            group: 'Markup',
+            apply: (draft, factor) => {
+                draft.indirectCosts.feeProfitPct *= factor;
+            },
+        });
+    }
+
+    return drivers;
+}
+
+// Evenly spaced steps from −range to +range, always including 0
+function _steps(range, count) {
+    const n = Math.max(3, count | 1);
+    const half = (n - 1) / 2;
+    return Array.from({ length: n }, (_, i) => (i - half) / half * range);
+}
+
+function _activity(draft, id) {
+    return draft.activities.find(x => x.id === id);
+}
+
+function _clone(v) {
+    return JSON.parse(JSON.stringify(v));
+}
@@ -0,0 +1,67 @@
+// ============================================
+// Weather Days
+// Weather contingency from the dated schedule and a regional weather model
+// ============================================
+
+import { WEATHER_EXPOSURE, DEFAULT_WEATHER_EXPOSURE, SEASON_SENSITIVE_ACTIVITIES } from '../data/paving-defaults.js';
+import { parseISODate } from './WorkCalendar.js';
+
+/**
+ * Expected lost work days over the actual dated span of each activity.
+ *
+ * Every scheduled work day gets a lost-day probability per activity on it,
+ * from that month's rain / cold history and the activity's WEATHER_EXPOSURE.
+ * A day counts against the project at the highest probability of any
+ * activity working it (when paving is rained out the day is gone, even if
+ * the excavator keeps digging). Contingency is the expected total, rounded up.
+ *
+ * @param {Object} datedSchedule - buildDatedSchedule() output (weather days are ignored)
+ * @param {import('../models/WeatherModel.js').WeatherModel} weatherModel
+ * @returns {Object|null} { region, expectedDays, contingencyDays, activities[], months[] }
+ */
+export function estimateWeatherDays(datedSchedule, weatherModel) {
+    if (!datedSchedule || !weatherModel) return null;
+
+    const byActivity = new Map(datedSchedule.activities.map(a => [a.id, {
+        id: a.id,
+        description: a.description,
+        activityType: a.activityType,
+        temperatureSensitive: SEASON_SENSITIVE_ACTIVITIES.includes(a.activityType),
+        workDays: 0,
+        expectedLostDays: 0,
+    }]));
+    const byMonth = new Map();
+    let expectedDays = 0;
+
+    for (const day of datedSchedule.timeline) {
+        if (day.type !== 'work') continue;
+        const date = parseISODate(day.date);
+
+        let dayProbability = 0;
+        for (const a of day.activities) {
+            const entry = byActivity.get(a.id);
+            if (!entry) continue;
+            const p = weatherModel.lostDayProbability(date, WEATHER_EXPOSURE[entry.activityType] || DEFAULT_WEATHER_EXPOSURE);
+            entry.workDays++;
+            entry.expectedLostDays += p;
+            dayProbability = Math.max(dayProbability, p);
+        }
+
+        const month = day.date.slice(0, 7);
+        if (!byMonth.has(month)) byMonth.set(month, { month, workDays: 0, expectedLostDays: 0 });
+        const m = byMonth.get(month);
+        m.workDays++;
+        m.expectedLostDays += dayProbability;
+        expectedDays += dayProbability;
+    }
+
+    return {
+        region: weatherModel.region,
+        regionLabel: weatherModel.label,
+        expectedDays,
+        // Tolerance keeps float noise (e.g. 3.0000001) from adding a day
+        contingencyDays: Math.ceil(expectedDays - 1e-6),
+        activities: [...byActivity.values()].filter(a => a.workDays > 0),
+        months: [...byMonth.values()],
+    };
+}
@@ -0,0 +1,178 @@
+// ============================================
+// Work Calendar
+// Maps CPM work-day offsets onto real dates: work week, holidays, paving season
+// ============================================
+
+import { SEASON_SENSITIVE_ACTIVITIES } from '../data/paving-defaults.js';
+
+const DAY_MS = 86400000;
+
+/**
+ * Parse 'YYYY-MM-DD' to a UTC-midnight Date, or null if invalid.
+ * @param {string} iso
+ * @returns {Date|null}
+ */
+export function parseISODate(iso) {
+    const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(iso || '');
+    if (!m) return null;
+    const date = new Date(Date.UTC(+m[1], +m[2] - 1, +m[3]));
+    return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Build a dated schedule from CPM results.
+ *
+ * Work-day offset 0 is the first work day on or after the start date; each
+ * later offset is the next day the company calendar allows work. Weather
+ * contingency days are appended as work days after the last activity.
+ *
+ * Season-sensitive activities (SEASON_SENSITIVE_ACTIVITIES) are checked against
+ * the TimeUnit's seasonal window. In 'warn' mode they are only flagged; in
+ * 'push' mode the activity and everything starting at or after it slide to
+ * the next season opening.
+ *
+ * @param {Array} activities - Activity results (earlyStart, earlyFinish, duration, activityType)
+ * @param {import('../models/TimeUnit.js').TimeUnit} timeUnit - Company calendar
+ * @param {string} startDate - Project start, 'YYYY-MM-DD'
+ * @param {Object} [options]
+ * @param {number} [options.weatherDays=0] - Weather contingency work days
+ * @param {'warn'|'push'} [options.seasonMode='warn'] - Out-of-season handling
+ * @returns {Object|null} Dated activities (with season flags) and a compressed timeline
+ */
+export function buildDatedSchedule(activities, timeUnit, startDate, { weatherDays = 0, seasonMode = 'warn' } = {}) {
+    const start = parseISODate(startDate);
+    if (!start) return null;
+
+    const active = activities
+        .filter(a => a.duration > 0)
+        .map(a => ({ ...a, es: a.earlyStart || 0, ef: a.earlyFinish || a.duration, pushedDays: 0 }));
+    if (active.length === 0) return null;
+
+    const cal = _workDayIndex(timeUnit, start);
+    const firstIdx = a => Math.floor(a.es);
+    const lastIdx = a => Math.max(firstIdx(a), Math.ceil(a.ef) - 1);
+    const outOfSeasonDay = a => {
+        for (let i = firstIdx(a); i <= lastIdx(a); i++) {
+            if (!timeUnit.isInSeason(cal.dateAt(i))) return cal.dateAt(i);
+        }
+        return null;
+    };
+
+    // ---- Seasonal window ----
+    const sensitive = () => active
+        .filter(a => SEASON_SENSITIVE_ACTIVITIES.includes(a.activityType))
+        .sort((a, b) => a.es - b.es);
+
+    if (seasonMode === 'push') {
+        for (let guard = 0; guard < 10; guard++) {
+            const violator = sensitive().find(a => outOfSeasonDay(a));
+            if (!violator) break;
+
+            const target = cal.indexOnOrAfter(timeUnit.nextSeasonStart(outOfSeasonDay(violator)));
+            const delta = target - firstIdx(violator);
+            if (delta <= 0) break;
+
+            const pivot = violator.es;
+            for (const a of active) {
+                if (a.es >= pivot) {
+                    a.es += delta;
+                    a.ef += delta;
+                    a.pushedDays += delta;
+                }
+            }
+        }
+    }
+
+    // ---- Dated activities ----
+    const datedActivities = active
+        .sort((a, b) => a.es - b.es)
+        .map(a => ({
+            id: a.id,
+            description: a.description,
+            activityType: a.activityType,
+            colorClass: a.colorClass,
+            startDate: _iso(cal.dateAt(firstIdx(a))),
+            finishDate: _iso(cal.dateAt(lastIdx(a))),
+            seasonSensitive: SEASON_SENSITIVE_ACTIVITIES.includes(a.activityType),
+            inSeason: !outOfSeasonDay(a),
+            pushedDays: a.pushedDays,
+        }));
+
+    // ---- Timeline (idle stretches compressed) ----
+    const workEnd = Math.max(...active.map(lastIdx));
+    const timeline = [];
+    let idle = null;
+    for (let i = 0; i <= workEnd; i++) {
+        const onDay = active.filter(a => a.es < i + 1 && a.ef > i);
+        if (onDay.length === 0) {
+            if (!idle) {
+                idle = { type: 'idle', date: _iso(cal.dateAt(i)), endDate: null, days: 0, activities: [] };
+                timeline.push(idle);
+            }
+            idle.endDate = _iso(cal.dateAt(i));
+            idle.days++;
+            continue;
+        }
+        idle = null;
+        timeline.push({
+            type: 'work',
+            date: _iso(cal.dateAt(i)),
+            activities: onDay.map(a => ({ id: a.id, description: a.description, colorClass: a.colorClass })),
+        });
+    }
+    for (let i = 1; i <= weatherDays; i++) {
+        timeline.push({ type: 'weather', date: _iso(cal.dateAt(workEnd + i)), activities: [] });
+    }
+
+    const finish = cal.dateAt(workEnd + weatherDays);
+    const idleWorkDays = timeline.filter(d => d.type === 'idle').reduce((sum, d) => sum + d.days, 0);
+
+    return {
+        startDate: _iso(cal.dateAt(0)),
+        workFinishDate: _iso(cal.dateAt(workEnd)),
+        finishDate: _iso(finish),
+        calendarDays: Math.round((finish - cal.dateAt(0)) / DAY_MS) + 1,
+        workDays: workEnd + 1 - idleWorkDays,
+        weatherDays,
+        idleWorkDays,
+        seasonalWindow: timeUnit.seasonalWindow,
+        seasonMode,
+        activities: datedActivities,
+        timeline,
+    };
+}
+
+// ---- Internal ----
+
+/**
+ * Lazily built list of work dates from a start date.
+ * dateAt(i) = i-th work day; indexOnOrAfter(date) = first work-day index on/after date.
+ */
+function _workDayIndex(timeUnit, start) {
+    const dates = [];
+    let cursor = start;
+
+    const extendTo = (predicate) => {
+        // Hard stop at ~10 years so a calendar with no work days can't loop forever
+        for (let n = 0; n < 3660 && !predicate(); n++) {
+            if (timeUnit.isWorkDay(cursor)) dates.push(cursor);
+            cursor = new Date(cursor.getTime() + DAY_MS);
+        }
+    };
+
+    return {
+        dateAt(i) {
+            extendTo(() => dates.length > i);
+            return dates[Math.min(i, dates.length - 1)] || start;
+        },
+        indexOnOrAfter(date) {
+            extendTo(() => dates.length > 0 && dates[dates.length - 1] >= date);
+            const idx = dates.findIndex(d => d >= date);
+            return idx === -1 ? dates.length - 1 : idx;
+        },
+    };
+}
+
+function _iso(date) {
+    return date.toISOString().slice(0, 10);
+}
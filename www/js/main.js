@@ -4,31 +4,56 @@
 // ============================================
 
 import { CONSTANTS } from './data/constants.js';
-import { Resource, ResourceType } from './models/Resource.js';
-import { ProductionRate } from './models/ProductionRate.js';
-import { Quantity } from './models/Quantity.js';
 import { TimeUnit } from './models/TimeUnit.js';
 import { Crew } from './models/Crew.js';
-import { ProductivityFactor } from './models/ProductivityFactor.js';
+import { ProductivityFactor, PRODUCTIVITY_PRESETS } from './models/ProductivityFactor.js';
 import { Activity, DependencyType } from './models/Activity.js';
 import { WorkPackage } from './models/WorkPackage.js';
-import { IndirectCosts } from './models/IndirectCosts.js';
-import { RiskRegister } from './models/RiskRegister.js';
+import { IndirectCosts, EstimateClass } from './models/IndirectCosts.js';
+import { RiskRegister, RiskItem } from './models/RiskRegister.js';
 import { Estimate } from './models/Estimate.js';
+import { WeatherModel } from './models/WeatherModel.js';
+import { CrossSection } from './models/CrossSection.js';
+import { TakeoffPolygon, PolygonTarget } from './models/TakeoffPolygon.js';
+import { PlanTakeoff, PlanShape, ShapeKind } from './models/PlanTakeoff.js';
 import { Calculator } from './engine/Calculator.js';
+import { buildActivity, buildMaterials, applyCureLags, resolveParams, measureQuantity } from './engine/ActivityFactory.js';
 import { Validator } from './validation/Validator.js';
 import { EstimateStore } from './storage/EstimateStore.js';
 import { Renderer } from './ui/Renderer.js';
 import { ExportService } from './ui/ExportService.js';
-import { ACTIVITY_CONFIG, DEFAULT_DEPENDENCIES, RATE_OPTIONS, DEFAULT_CREW_SIZES, SCOPE_ITEMS, CREW_DATA, CREW_THRESHOLDS, PRODUCTION_RATES, BENCHMARKS, SUGGESTED_RATES } from './data/paving-defaults.js';
-import { CREW_COMPOSITIONS } from './data/CrewCompositions.js';
+import { ACTIVITY_CONFIG, MATERIALS, RATE_OPTIONS, SCOPE_ITEMS, CREW_DATA, PRODUCTION_RATES, BENCHMARKS, SUGGESTED_RATES, DEFAULT_RISK_TEMPLATES, RISK_PRICED_BY, RISK_SIMULATION_DEFAULTS, CROSS_SECTION_TARGETS, DEFAULT_ITEM_ALIASES, PAVING_SEASON, WEATHER_REGIONS, DEFAULT_WEATHER_REGION, DEFAULT_CREW_FLEET } from './data/paving-defaults.js';
 import { MATERIAL_PRICES } from './data/constants.js';
 import { calculateConfidence, _getUnitCostStatus, getContingencyRecommendation } from './engine/Confidence.js';
 import { generateAnalysis } from './engine/AnalysisEngine.js';
+import { diffEstimates } from './engine/RevisionDiff.js';
+import { analyzeSensitivity } from './engine/Sensitivity.js';
+import { parseISODate } from './engine/WorkCalendar.js';
+import { parsePolygonFile } from './engine/GeoImport.js';
+import { parseDXF, layerQuantity, DXF_UNITS } from './engine/DxfImport.js';
+import { parseCSV, guessColumns, mapCsvRows, aliasKey } from './engine/CsvImport.js';
+import { ownershipOperatingRate, equipmentRates } from './engine/EquipmentCost.js';
+import { EQUIPMENT_LIBRARY, EQUIPMENT_RATE_BASIS } from './data/EquipmentLibrary.js';
+import { laborRates } from './engine/LaborCost.js';
+import { DEFAULT_OVERTIME_RULES, LABOR_CLASSIFICATIONS, PREVAILING_WAGE_TABLES } from './data/LaborRates.js';
+import { sfToSy } from './data/uom.js';
 
 // ---- Global state ----
 let estimate = null;
 let currentJobMode = 'parking_lot';
+let currentEstimateId = null;   // Saved-estimate ID the form is editing (null = unsaved)
+let historyEstimateId = null;   // Saved-estimate ID shown in the revision history panel
+let takeoffPolygons = [];       // Imported TakeoffPolygons behind area takeoffs
+let dxfTakeoff = null;          // { fileName, layers, mappings } from the last DXF import
+let csvTakeoff = null;          // { fileName, headers, rows, columns, links } from the last CSV import
+let itemAliases = {};           // Saved CSV item name → activity type
+let equipmentOverrides = {};    // Saved edits to EQUIPMENT_LIBRARY units: code → { field: value }
+let wageTables = {};            // Saved project prevailing-wage tables: id → table
+let planTakeoff = new PlanTakeoff();   // Shapes traced over the plan image
+let planImageUrl = null;        // Data URL of planTakeoff.image
+let sessionPlanId;              // Plan image id the saved session last referenced
+let planDraft = null;           // { tool, points } while calibrating or tracing
+let planSelected = -1;          // Shape index holes are cut from
 const calculator = new Calculator();
 const validator = new Validator();
 const store = new EstimateStore();
@@ -54,9 +79,10 @@ function isChecked(id) {
  * @param {string} jobMode - 'parking_lot' | 'roadway'
  * @param {number} quantity - CY for excavation/DGA, SY for all others
  * @param {number} [depth=0] - Depth in inches (for depth-sensitive activities)
+ * @param {Object} [params] - Takeoff params (coats, routing) for paramBreaks
  * @returns {number|null} Suggested rate, or null if no suggestion
  */
-function suggestProductionRate(activityType, jobMode, quantity, depth = 0) {
+function suggestProductionRate(activityType, jobMode, quantity, depth = 0, params = {}) {
     const modeRates = SUGGESTED_RATES[jobMode];
     if (!modeRates) return null;
 
@@ -79,6 +105,15 @@ function suggestProductionRate(activityType, jobMode, quantity, depth = 0) {
         }
     }
 
+    // Apply param factors (coats, routing) if applicable
+    for (const [key, breaks] of Object.entries(config.paramBreaks || {})) {
+        const value = Number(params[key] || 0);
+        const paramBreak = breaks.find(b => value <= b.maxValue);
+        if (paramBreak) {
+            rate = Math.round(rate * paramBreak.factor);
+        }
+    }
+
     return rate;
 }
 
@@ -112,28 +147,18 @@ function snapToDropdownOption(suggestedRate, selectId) {
 }
 
 /**
- * Activity type → select ID mapping for rate dropdowns
+ * Activity types with a takeoff card on the form, in registry order
+ * (tack coat has its own section)
  */
-const RATE_SELECT_MAP = {
-    excavation:     'excavationRate',
-    fine_grading:   'fineGradingRate',
-    dga_base:       'dgaRate',
-    milling:        'millingRate',
-    paving_base:    'baseRate',
-    paving_surface: 'surfaceRate',
-};
+const CARD_TYPES = Object.keys(ACTIVITY_CONFIG).filter(type => ACTIVITY_CONFIG[type].card !== false);
 
 /**
- * Activity type → input IDs for area and depth
+ * Activity type → production rate input ID
  */
-const ACTIVITY_INPUTS = {
-    excavation:     { area: 'excavationArea', depth: 'excavationDepth' },
-    fine_grading:   { area: 'fineGradingArea', depth: null },
-    dga_base:       { area: 'dgaArea',        depth: 'dgaDepth' },
-    milling:        { area: 'millingArea',     depth: 'millingDepth' },
-    paving_base:    { area: 'baseArea',        depth: 'baseDepth' },
-    paving_surface: { area: 'surfaceArea',     depth: 'surfaceDepth' },
-};
+const RATE_SELECT_MAP = Object.fromEntries(CARD_TYPES.map(type => [type, ACTIVITY_CONFIG[type].inputs.rate]));
+
+// Last segment row number per activity type — ids stay unique after removals
+const segmentCounters = {};
 
 /**
  * Check and apply suggested rate for a given activity.
@@ -141,7 +166,7 @@ const ACTIVITY_INPUTS = {
  */
 function trySuggestRate(activityType) {
     const selectId = RATE_SELECT_MAP[activityType];
-    const inputs = ACTIVITY_INPUTS[activityType];
+    const inputs = ACTIVITY_CONFIG[activityType]?.inputs;
     if (!selectId || !inputs) return;
 
     const el = document.getElementById(selectId);
@@ -150,19 +175,23 @@ function trySuggestRate(activityType) {
     // Only auto-suggest if user hasn't already typed/picked a rate
     if (parseFloat(el.value) > 0) return;
 
-    const area = getVal(inputs.area);
+    const area = sectionArea(activityType);
     const depth = inputs.depth ? getVal(inputs.depth) : 0;
-    if (area <= 0) return;
-
-    // For volume-driven activities (excavation, DGA), compute CY from area + depth
     const actConfig = ACTIVITY_CONFIG[activityType];
+    const params = resolveParams(activityType, paramValues(activityType));
+
     let quantity = area; // default: area in SY
-    if (actConfig && actConfig.quantityUOM === 'CY') {
+    if (actConfig.params?.some(p => p.takeoff)) {
+        // Counted items (stalls, arrows) add to the takeoff through the quantity calc
+        quantity = measureQuantity(activityType, area, depth, {}, params).netQuantity;
+    } else if (actConfig.quantityUOM === 'CY') {
+        // For volume-driven activities (excavation, DGA, undercut), compute CY from area + depth
         if (depth <= 0) return; // Need depth to compute CY — can't suggest yet
-        quantity = Math.ceil(area * depth / 324);
+        quantity = measureQuantity(activityType, area, depth, {}, params).netQuantity;
     }
+    if (quantity <= 0) return;
 
-    const rate = suggestProductionRate(activityType, currentJobMode, quantity, depth);
+    const rate = suggestProductionRate(activityType, currentJobMode, quantity, depth, params);
     if (!rate) return;
 
     // Number inputs accept any value — no need to snap to a fixed bucket
@@ -194,282 +223,66 @@ function buildEstimateFromUI() {
     const complexityVal = getVal('complexityModifier');
     const asphaltWaste = getVal('asphaltWaste');
     const aggregateWaste = getVal('aggregateWaste');
+    const concreteWaste = getVal('concreteWaste') || 1.05;
     const swellFactor = getVal('swellFactor');
     const truckEfficiency = getVal('truckingEfficiency');
     const tackAppRate = getVal('tackAppRate') || 0.05;
 
-    // Rates from config panel
-    const rates = {
-        rate95HMA: getVal('rate95HMA'),
-        rate19HMA: getVal('rate19HMA'),
-        rateDGA: getVal('rateDGA'),
-        rateTack: getVal('rateTack'),
-        rateTrucking: getVal('rateTrucking'),
-        rateCrewExc: getVal('rateCrewExc'),
-        rateCrewFG: getVal('rateCrewFG'),
-        rateCrewDGA: getVal('rateCrewDGA'),
-        rateCrewMill: getVal('rateCrewMill'),
-        rateCrewBase: getVal('rateCrewBase'),
-        rateCrewSurf: getVal('rateCrewSurf'),
-        mobExc: getVal('mobExc'),
-        mobFG: getVal('mobFG'),
-        mobDGA: getVal('mobDGA'),
-        mobMill: getVal('mobMill'),
-        mobBase: getVal('mobBase'),
-        mobSurf: getVal('mobSurf')
-    };
+    const settings = { asphaltWaste, aggregateWaste, concreteWaste, swellFactor, truckEfficiency, tackAppRate };
 
-    // Material resources
-    const mat95HMA = new Resource({ id: 'M-001', name: '9.5mm HMA', type: ResourceType.MATERIAL, unitId: 'TON', costRate: rates.rate95HMA });
-    const mat19HMA = new Resource({ id: 'M-002', name: '19mm HMA', type: ResourceType.MATERIAL, unitId: 'TON', costRate: rates.rate19HMA });
-    const matDGA = new Resource({ id: 'M-003', name: 'DGA', type: ResourceType.MATERIAL, unitId: 'TON', costRate: rates.rateDGA });
-    const matTack = new Resource({ id: 'M-004', name: 'Tack Coat', type: ResourceType.MATERIAL, unitId: 'GAL', costRate: rates.rateTack });
+    // Material resources priced from the rate config
+    const materials = buildMaterials(Object.fromEntries(
+        Object.entries(MATERIALS).map(([id, m]) => [id, getVal(m.rateInput)])
+    ));
 
     // Productivity factor from complexity dropdown
     const productivity = ProductivityFactor.fromCompositeValue(complexityVal);
 
-    // Build each activity from UI inputs
-    const activities = [];
-
     // v4.0: Determine total job SY for crew auto-selection
-    // Use the largest paving/milling area as the sizing driver
-    const totalJobSY = Math.max(
-        getVal('millingArea') || 0,
-        getVal('baseArea') || 0,
-        getVal('surfaceArea') || 0,
-        getVal('excavationArea') || 0,
-        getVal('dgaArea') || 0,
-        getVal('fineGradingArea') || 0
-    );
+    // Use the largest area takeoff as the sizing driver (LF takeoffs don't count)
+    const totalJobSY = Math.max(0, ...CARD_TYPES
+        .filter(type => (ACTIVITY_CONFIG[type].takeoffUOM || 'SY') === 'SY')
+        .map(sectionArea));
 
     // v4.0: Detect if COMBO crew should be used (milling + paving both active)
-    const activeTypes = new Set();
-    if (getVal('millingArea') > 0) activeTypes.add('milling');
-    if (getVal('baseArea') > 0) activeTypes.add('paving_base');
-    if (getVal('surfaceArea') > 0) activeTypes.add('paving_surface');
-    if (getVal('excavationArea') > 0) activeTypes.add('excavation');
-    if (getVal('fineGradingArea') > 0) activeTypes.add('fine_grading');
-    if (getVal('dgaArea') > 0) activeTypes.add('dga_base');
-    const useCombo = Crew.detectCombo(activeTypes);
-
-    /**
-     * v4.0: Smart crew selection — uses CREW_DATA auto-select when the user
-     * hasn't entered a manual crew rate; falls back to fromComposite when they have.
-     */
-    function selectCrew(activityType, manualRate, manualHeadcount, fallbackId, fallbackName) {
-        // If the user entered a manual crew rate, respect it
-        if (manualRate > 0) {
-            return Crew.fromComposite(fallbackId, fallbackName, manualRate, manualHeadcount);
-        }
-        // For milling/paving when COMBO is detected, use the COMBO crew
-        if (useCombo && (activityType === 'milling' || activityType === 'paving_base' || activityType === 'paving_surface')) {
-            // Prefer detailed composition for COMBO
-            if (CREW_COMPOSITIONS['COMBO']) {
-                return Crew.fromDetailedData('COMBO', CREW_COMPOSITIONS['COMBO']);
-            }
-            const comboData = CREW_DATA['COMBO'];
-            if (comboData) return Crew.fromCrewData('COMBO', comboData);
+    const activeTypes = new Set(CARD_TYPES.filter(type => sectionArea(type) > 0));
+    const labor = laborPricing();
+    const crewContext = {
+        totalJobSY,
+        useCombo: Crew.detectCombo(activeTypes),
+        equipmentRates: equipmentRates(equipmentLibrary(), fuelPrice()),
+        laborRates: labor.laborRates,
+    };
+
+    // Build each activity from its registry entry and the form inputs
+    const activities = [];
+    for (const [activityType, config] of Object.entries(ACTIVITY_CONFIG)) {
+        const ids = config.inputs || {};
+        let area = getVal(ids.area);
+        if (!area && config.defaultAreaFrom) {
+            area = activities.find(a => a.activityType === config.defaultAreaFrom)?.quantity.inputs.area || 0;
+            if (area) Renderer.setInputVal(ids.area, area);
         }
-        // Auto-select based on job size (prefers detailed compositions)
-        const result = Crew.autoSelect(totalJobSY, activityType, CREW_THRESHOLDS, CREW_DATA, CREW_COMPOSITIONS);
-        if (result) return result.crew;
-        // Ultimate fallback
-        return Crew.fromComposite(fallbackId, fallbackName, manualRate, manualHeadcount);
-    }
-
-    // --- Excavation ---
-    const excArea = getVal('excavationArea');
-    const excDepth = getVal('excavationDepth');
-    const excCycle = getVal('excavationCycle');
-    const excRateVal = getVal('excavationRate');
-
-    const excConfig = ACTIVITY_CONFIG.excavation;
-    const excQuantityData = excConfig.quantityCalc(excArea, excDepth, 1.0, swellFactor);
-
-    const excActivity = new Activity({
-        id: excConfig.id,
-        description: excConfig.description,
-        wbsCode: excConfig.wbsCode,
-        activityType: 'excavation',
-        colorClass: excConfig.colorClass,
-        quantity: new Quantity({ netQuantity: excQuantityData.netQuantity, uomId: 'CY', wasteFactor: 1.0, method: 'area×depth÷324', inputs: { area: excArea, depth: excDepth } }),
-        crew: selectCrew('excavation', rates.rateCrewExc, DEFAULT_CREW_SIZES.excavation, 'C-EXC', 'Excavation Crew'),
-        productionRate: excRateVal ? new ProductionRate({ id: 'PR-EXC', activityType: 'excavation', outputQty: excRateVal, outputUOMId: 'CY', source: 'User selected' }) : new ProductionRate({ id: 'PR-EXC', activityType: 'excavation', outputQty: 0, outputUOMId: 'CY' }),
-        productivityFactor: productivity,
-        mobilization: { included: isChecked('excMob'), cost: rates.mobExc },
-        trucking: excCycle ? { cycleTime: excCycle, truckCapacity: CONSTANTS.TRUCK_CY, efficiency: truckEfficiency } : null,
-        dependencies: DEFAULT_DEPENDENCIES['EXC-001'] || []
-    });
-    // Attach extra data for rendering (tonnage, loose CY, etc.)
-    excActivity._extra = { bankCY: excQuantityData.netQuantity, looseCY: excQuantityData.looseCY, tons: excQuantityData.tons };
-    // Override trucking quantity to use loose CY
-    if (excActivity.trucking) {
-        excActivity._truckingQuantityOverride = excQuantityData.looseCY;
-    }
-    activities.push(excActivity);
-
-    // --- Fine Grading ---
-    const fgArea = getVal('fineGradingArea');
-    const fgRateVal = getVal('fineGradingRate');
-
-    const fgActivity = new Activity({
-        id: 'FG-001',
-        description: 'Fine Grading',
-        wbsCode: '01.02',
-        activityType: 'fine_grading',
-        colorClass: 'purple',
-        quantity: new Quantity({ netQuantity: fgArea, uomId: 'SY', wasteFactor: 1.0, method: 'direct area', inputs: { area: fgArea } }),
-        crew: selectCrew('fine_grading', rates.rateCrewFG, DEFAULT_CREW_SIZES.fine_grading, 'C-FG', 'Fine Grading Crew'),
-        productionRate: fgRateVal ? new ProductionRate({ id: 'PR-FG', activityType: 'fine_grading', outputQty: fgRateVal, outputUOMId: 'SY' }) : new ProductionRate({ id: 'PR-FG', activityType: 'fine_grading', outputQty: 0, outputUOMId: 'SY' }),
-        productivityFactor: productivity,
-        mobilization: { included: isChecked('fgMob'), cost: rates.mobFG },
-        dependencies: DEFAULT_DEPENDENCIES['FG-001'] || []
-    });
-    activities.push(fgActivity);
-
-    // --- DGA Base ---
-    const dgaArea = getVal('dgaArea');
-    const dgaDepth = getVal('dgaDepth');
-    const dgaCycle = getVal('dgaCycle');
-    const dgaRateVal = getVal('dgaRate');
-
-    const dgaQuantityData = ACTIVITY_CONFIG.dga_base.quantityCalc(dgaArea, dgaDepth, aggregateWaste);
-
-    const dgaActivity = new Activity({
-        id: 'DGA-001',
-        description: 'DGA Base',
-        wbsCode: '02.01',
-        activityType: 'dga_base',
-        colorClass: 'yellow',
-        quantity: new Quantity({ netQuantity: dgaQuantityData.netQuantity, uomId: 'CY', wasteFactor: 1.0, method: 'area×depth÷324', inputs: { area: dgaArea, depth: dgaDepth } }),
-        crew: selectCrew('dga_base', rates.rateCrewDGA, DEFAULT_CREW_SIZES.dga_base, 'C-DGA', 'DGA Crew'),
-        productionRate: dgaRateVal ? new ProductionRate({ id: 'PR-DGA', activityType: 'dga_base', outputQty: dgaRateVal, outputUOMId: 'CY' }) : new ProductionRate({ id: 'PR-DGA', activityType: 'dga_base', outputQty: 0, outputUOMId: 'CY' }),
-        productivityFactor: productivity,
-        materialResources: [{ resource: matDGA, quantityPerOutputUnit: CONSTANTS.DGA_DENSITY * aggregateWaste }],
-        mobilization: { included: isChecked('dgaMob'), cost: rates.mobDGA },
-        trucking: dgaCycle ? { cycleTime: dgaCycle, truckCapacity: CONSTANTS.TRUCK_CY, efficiency: truckEfficiency } : null,
-        dependencies: DEFAULT_DEPENDENCIES['DGA-001'] || []
-    });
-    dgaActivity._extra = { cy: dgaQuantityData.netQuantity, tons: dgaQuantityData.tons, tonsWithWaste: dgaQuantityData.tonsWithWaste };
-    activities.push(dgaActivity);
-
-    // --- Milling ---
-    const millArea = getVal('millingArea');
-    const millDepth = getVal('millingDepth');
-    const millCycle = getVal('millingCycle');
-    const millRateVal = getVal('millingRate');
-
-    const millQuantityData = ACTIVITY_CONFIG.milling.quantityCalc(millArea, millDepth);
-
-    const millActivity = new Activity({
-        id: 'MILL-001',
-        description: 'Milling',
-        wbsCode: '03.01',
-        activityType: 'milling',
-        colorClass: 'pink',
-        quantity: new Quantity({ netQuantity: millArea, uomId: 'SY', wasteFactor: 1.0, method: 'direct area', inputs: { area: millArea, depth: millDepth } }),
-        crew: selectCrew('milling', rates.rateCrewMill, DEFAULT_CREW_SIZES.milling, 'C-MILL', 'Milling Crew'),
-        productionRate: millRateVal ? new ProductionRate({ id: 'PR-MILL', activityType: 'milling', outputQty: millRateVal, outputUOMId: 'SY' }) : new ProductionRate({ id: 'PR-MILL', activityType: 'milling', outputQty: 0, outputUOMId: 'SY' }),
-        productivityFactor: productivity,
-        mobilization: { included: isChecked('millMob'), cost: rates.mobMill },
-        trucking: millCycle ? { cycleTime: millCycle, truckCapacity: CONSTANTS.TRUCK_TONS, efficiency: truckEfficiency } : null,
-        dependencies: DEFAULT_DEPENDENCIES['MILL-001'] || []
-    });
-    millActivity._extra = { rapTons: millQuantityData.rapTons };
-    // Trucking for milling uses RAP tons, not SY
-    if (millActivity.trucking) {
-        millActivity._truckingQuantityOverride = millQuantityData.rapTons;
-    }
-    activities.push(millActivity);
-
-    // --- Base Course (19mm HMA) ---
-    const baseArea = getVal('baseArea');
-    const baseDepth = getVal('baseDepth');
-    const baseCycle = getVal('baseCycle');
-    const baseRateVal = getVal('baseRate');
-
-    const baseQuantityData = ACTIVITY_CONFIG.paving_base.quantityCalc(baseArea, baseDepth, asphaltWaste);
-
-    const baseActivity = new Activity({
-        id: 'PAVE-001',
-        description: '19mm Base Course',
-        wbsCode: '04.01',
-        activityType: 'paving_base',
-        colorClass: 'blue',
-        quantity: new Quantity({ netQuantity: baseArea, uomId: 'SY', wasteFactor: 1.0, method: 'direct area (rate in SY/day)', inputs: { area: baseArea, depth: baseDepth } }),
-        crew: selectCrew('paving_base', rates.rateCrewBase, DEFAULT_CREW_SIZES.paving_base, 'C-PAVE-B', 'Paving Crew (Base)'),
-        productionRate: baseRateVal ? new ProductionRate({ id: 'PR-BASE', activityType: 'paving_base', outputQty: baseRateVal, outputUOMId: 'SY' }) : new ProductionRate({ id: 'PR-BASE', activityType: 'paving_base', outputQty: 0, outputUOMId: 'SY' }),
-        productivityFactor: productivity,
-        materialResources: [{ resource: mat19HMA, quantityPerOutputUnit: baseDepth * CONSTANTS.HMA_FACTOR * asphaltWaste }],
-        mobilization: { included: isChecked('baseMob'), cost: rates.mobBase },
-        trucking: baseCycle ? { cycleTime: baseCycle, truckCapacity: CONSTANTS.TRUCK_TONS, efficiency: truckEfficiency } : null,
-        dependencies: DEFAULT_DEPENDENCIES['PAVE-001'] || []
-    });
-    baseActivity._extra = { tons: baseQuantityData.tons, tonsWithWaste: baseQuantityData.tonsWithWaste };
-    // Trucking for paving uses tons with waste
-    if (baseActivity.trucking) {
-        baseActivity._truckingQuantityOverride = baseQuantityData.tonsWithWaste;
-    }
-    activities.push(baseActivity);
-
-    // --- Surface Course (9.5mm HMA) ---
-    const surfArea = getVal('surfaceArea');
-    const surfDepth = getVal('surfaceDepth');
-    const surfCycle = getVal('surfaceCycle');
-    const surfRateVal = getVal('surfaceRate');
-
-    const surfQuantityData = ACTIVITY_CONFIG.paving_surface.quantityCalc(surfArea, surfDepth, asphaltWaste);
-
-    const surfActivity = new Activity({
-        id: 'PAVE-002',
-        description: '9.5mm Surface Course',
-        wbsCode: '04.03',
-        activityType: 'paving_surface',
-        colorClass: 'green',
-        quantity: new Quantity({ netQuantity: surfArea, uomId: 'SY', wasteFactor: 1.0, method: 'direct area (rate in SY/day)', inputs: { area: surfArea, depth: surfDepth } }),
-        crew: selectCrew('paving_surface', rates.rateCrewSurf, DEFAULT_CREW_SIZES.paving_surface, 'C-PAVE-S', 'Paving Crew (Surface)'),
-        productionRate: surfRateVal ? new ProductionRate({ id: 'PR-SURF', activityType: 'paving_surface', outputQty: surfRateVal, outputUOMId: 'SY' }) : new ProductionRate({ id: 'PR-SURF', activityType: 'paving_surface', outputQty: 0, outputUOMId: 'SY' }),
-        productivityFactor: productivity,
-        materialResources: [{ resource: mat95HMA, quantityPerOutputUnit: surfDepth * CONSTANTS.HMA_FACTOR * asphaltWaste }],
-        mobilization: { included: isChecked('surfMob'), cost: rates.mobSurf },
-        trucking: surfCycle ? { cycleTime: surfCycle, truckCapacity: CONSTANTS.TRUCK_TONS, efficiency: truckEfficiency } : null,
-        dependencies: DEFAULT_DEPENDENCIES['PAVE-002'] || []
-    });
-    surfActivity._extra = { tons: surfQuantityData.tons, tonsWithWaste: surfQuantityData.tonsWithWaste };
-    if (surfActivity.trucking) {
-        surfActivity._truckingQuantityOverride = surfQuantityData.tonsWithWaste;
-    }
-    activities.push(surfActivity);
-
-    // --- Tack Coat ---
-    let tackArea = getVal('tackArea');
-    if (!tackArea && surfArea) {
-        tackArea = surfArea;
-        Renderer.setInputVal('tackArea', surfArea);
-    }
-    const tackQuantityData = ACTIVITY_CONFIG.tack_coat.quantityCalc(tackArea, 0, 0, 0, tackAppRate);
-
-    const tackActivity = new Activity({
-        id: 'TACK-001',
-        description: 'Tack Coat',
-        wbsCode: '04.02',
-        activityType: 'tack_coat',
-        colorClass: 'teal',
-        quantity: new Quantity({ netQuantity: tackArea, uomId: 'SY', wasteFactor: 1.0, inputs: { area: tackArea, tackAppRate } }),
-        crew: selectCrew('tack_coat', 0, 0, 'C-TACK', 'Tack Crew'),
-        productionRate: new ProductionRate({ id: 'PR-TACK', activityType: 'tack_coat', outputQty: 0, outputUOMId: 'SY' }),
-        productivityFactor: new ProductivityFactor(),
-        materialResources: [{ resource: matTack, quantityPerOutputUnit: tackAppRate }],
-        mobilization: { included: false, cost: 0 },
-        dependencies: DEFAULT_DEPENDENCIES['TACK-001'] || []
-    });
-    tackActivity._extra = { gallons: tackQuantityData.gallons };
-    activities.push(tackActivity);
+        activities.push(buildActivity(activityType, {
+            area,
+            depth: getVal(ids.depth),
+            cycleTime: getVal(ids.cycle),
+            rate: getVal(ids.rate),
+            mobIncluded: isChecked(ids.mob),
+            mobCost: getVal(config.mobRateInput),
+            crewRate: getVal(config.crewRateInput),
+            segments: segmentRows(activityType),
+            params: paramValues(activityType),
+            source: getTextVal(`src_${activityType}`),
+        }, { settings, materials, productivity, crewContext }));
+    }
+    applyCureLags(activities);
 
     // Tack coat display
+    const tackGallons = activities.find(a => a.activityType === 'tack_coat')?._extra.gallons || 0;
     document.getElementById('tackRateDisplay').value = tackAppRate;
-    Renderer.setVal('tackGallons', tackQuantityData.gallons);
-    Renderer.setVal('tackCost', Renderer.formatCurrency(tackQuantityData.gallons * rates.rateTack));
+    Renderer.setVal('tackGallons', tackGallons);
+    Renderer.setVal('tackCost', Renderer.formatCurrency(tackGallons * getVal(MATERIALS['M-004'].rateInput)));
 
     // Build estimate
     const indirectCosts = new IndirectCosts({
@@ -494,61 +307,1256 @@ function buildEstimateFromUI() {
             prevailingWageLump: getVal('prevailingWageLump') || 0
         },
         contingency: {
-            estimateClass: { id: 3, label: 'Class 3' },
+            estimateClass: EstimateClass.CLASS_3,
             identifiedRisksTotal: 0,
             unidentifiedAllowancePct: getVal('contingencyPct') || 0,
             manualOverride: null
         }
     });
 
-    // v4.0: Collect scope assumptions
-    const scopeAssumptions = {};
-    for (const item of SCOPE_ITEMS) {
-        const el = document.querySelector(`input[name="scope_${item.id}"]:checked`);
-        scopeAssumptions[item.id] = el ? el.value : item.default;
+    // v4.0: Collect scope assumptions
+    const scopeAssumptions = {};
+    for (const item of SCOPE_ITEMS) {
+        const el = document.querySelector(`input[name="scope_${item.id}"]:checked`);
+        scopeAssumptions[item.id] = el ? el.value : item.default;
+        // Scope priced as activities is included, whatever the checklist says
+        if (item.activityTypes && activities.some(a => item.activityTypes.includes(a.activityType) && a.quantity.netQuantity > 0)) {
+            scopeAssumptions[item.id] = 'included';
+            const pill = document.getElementById(`scope_${item.id}_included`);
+            if (pill) pill.checked = true;
+        }
+    }
+
+    // v4.0: Collect reviewer notes
+    const reviewerNotes = {
+        general: getTextVal('noteGeneral'),
+        pricing: getTextVal('notePricing'),
+        schedule: getTextVal('noteSchedule'),
+        risk: getTextVal('noteRisk'),
+    };
+
+    // v4.1: Risk register from the checked risk rows
+    const riskRegister = new RiskRegister();
+    for (const template of DEFAULT_RISK_TEMPLATES) {
+        if (!isChecked(`risk_${template.id}_on`)) continue;
+        const pricedBy = RISK_PRICED_BY[template.id];
+        if (pricedBy && activities.some(a => pricedBy.includes(a.activityType) && a.quantity.netQuantity > 0)) {
+            // Priced as activities — carried in the estimate, not the contingency
+            Renderer.setVal(`risk_${template.id}_ev`, 'Priced');
+            continue;
+        }
+        riskRegister.addRisk(new RiskItem({
+            ...template,
+            probability: getVal(`risk_${template.id}_prob`) / 100,
+            impactMin: getVal(`risk_${template.id}_min`),
+            impactMostLikely: getVal(`risk_${template.id}_ml`),
+            impactMax: getVal(`risk_${template.id}_max`),
+        }));
+    }
+
+    // v4.1: Company calendar and paving season
+    const timeUnit = new TimeUnit({
+        hoursPerShift: getVal('stdShift') || 8,
+        workDaysPerWeek: getVal('workDaysPerWeek') || 5,
+        seasonalWindow: {
+            startMonth: getVal('seasonStartMonth') || PAVING_SEASON.startMonth,
+            endMonth: getVal('seasonEndMonth') || PAVING_SEASON.endMonth,
+        },
+        observeStandardHolidays: isChecked('observeHolidays'),
+        holidays: parseHolidayList(getTextVal('companyHolidays')),
+    });
+
+    // v4.1: Regional weather history (blank region = flat weather days)
+    const weatherRegion = getTextVal('weatherRegion');
+    const weatherModel = weatherRegion ? new WeatherModel({
+        region: weatherRegion,
+        rain: weatherMonths('wxRain'),
+        cold: weatherMonths('wxCold'),
+    }) : null;
+
+    estimate = new Estimate({
+        projectName: getTextVal('projectName'),
+        activities,
+        timeUnit,
+        indirectCosts,
+        riskRegister,
+        projectSettings: {
+            complexityVal, asphaltWaste, aggregateWaste, concreteWaste, swellFactor, truckEfficiency, tackAppRate,
+            truckingRate: getVal('rateTrucking'),
+            fuelIndex: getTextVal('fuelIndex'),
+            acIndex: getTextVal('acIndex')
+        },
+        // v4.0 additions
+        jobMode: currentJobMode,
+        shiftSettings: {
+            stdShift: getVal('stdShift') || 8,
+            maxShift: getVal('maxShift') || 12,
+        },
+        weatherDays: getVal('weatherDays') || 2,
+        travelHours: getVal('travelHours') || 1,
+        clusterMode: isChecked('clusterMode'),
+        scopeAssumptions,
+        reviewerNotes,
+        riskSettings: {
+            iterations: getVal('riskIterations') || RISK_SIMULATION_DEFAULTS.iterations,
+            confidenceLevel: getVal('riskConfidence') || RISK_SIMULATION_DEFAULTS.confidenceLevel,
+            seed: getTextVal('riskSeed').trim() === '' ? RISK_SIMULATION_DEFAULTS.seed : parseInt(getTextVal('riskSeed'), 10),
+            scheduleSimulation: isChecked('riskScheduleSim'),
+        },
+        startDate: getTextVal('projectStartDate') || null,
+        seasonMode: getTextVal('seasonMode') || 'warn',
+        weatherModel,
+        crewFleet: isChecked('levelCrews') ? readCrewFleet() : null,
+        crossSection: currentJobMode === 'roadway' && getVal('xsLength') > 0 ? readCrossSection() : null,
+        takeoffPolygons: takeoffPolygons.map(p => TakeoffPolygon.fromJSON(p.toJSON())),
+        planTakeoff: planTakeoff.image || planTakeoff.shapes.length ? PlanTakeoff.fromJSON(planTakeoff.toJSON()) : null,
+        overtime: labor.overtime,
+    });
+
+    return estimate;
+}
+
+// ---- Custom trucking calculation that handles overrides ----
+
+/**
+ * Parse the company holiday textarea: one 'YYYY-MM-DD' per line (commas also accepted).
+ * Lines that aren't valid dates are ignored.
+ */
+function parseHolidayList(text) {
+    return text.split(/[\n,]+/)
+        .map(line => line.trim())
+        .filter(line => parseISODate(line));
+}
+
+/**
+ * Read the twelve monthly weather inputs for a row prefix ('wxRain' / 'wxCold').
+ */
+function weatherMonths(prefix) {
+    return Array.from({ length: 12 }, (_, i) => getVal(`${prefix}_${i + 1}`));
+}
+
+/**
+ * Crews owned per code from the fleet inputs.
+ */
+function readCrewFleet() {
+    return Object.fromEntries(Object.keys(DEFAULT_CREW_FLEET).map(code => [code, getVal(`fleet_${code}`)]));
+}
+
+// ---- Equipment ownership & operating rates ----
+
+const EQUIPMENT_FIELDS = ['purchasePrice', 'salvage', 'lifeHours', 'annualHours', 'interestRate', 'insuranceTaxRate', 'fuelBurn', 'wearPerHour', 'repairFactor'];
+
+/**
+ * Diesel $/gal from the Fuel Price Index ("$3.45", "3.45/gal"); blank or
+ * unreadable falls back to the price the library is calibrated at.
+ */
+function fuelPrice() {
+    const price = parseFloat(getTextVal('fuelIndex').replace(/[^0-9.]/g, ''));
+    return price > 0 ? price : EQUIPMENT_RATE_BASIS.fuelPrice;
+}
+
+/**
+ * EQUIPMENT_LIBRARY with the saved per-unit edits applied.
+ */
+function equipmentLibrary() {
+    return Object.fromEntries(Object.entries(EQUIPMENT_LIBRARY)
+        .map(([code, unit]) => [code, { ...unit, ...equipmentOverrides[code] }]));
+}
+
+function renderEquipmentLibrary() {
+    const price = fuelPrice();
+    const rows = Object.entries(equipmentLibrary()).map(([code, unit]) => ({
+        code, unit, cost: ownershipOperatingRate(unit, price), edited: !!equipmentOverrides[code],
+    }));
+    Renderer.renderEquipmentLibrary(rows, price);
+}
+
+/**
+ * Edit one cost input of a library unit. Edits are kept across sessions;
+ * setting a value back to the library's drops the edit.
+ * @param {string} code - Equipment code (e.g. 'EQ-PAV500')
+ * @param {string} field - One of EQUIPMENT_FIELDS
+ * @param {string} value - As entered; interest and insurance/tax in percent
+ */
+function setEquipmentField(code, field, value) {
+    const base = EQUIPMENT_LIBRARY[code];
+    if (!base || !EQUIPMENT_FIELDS.includes(field)) return;
+    const percent = field === 'interestRate' || field === 'insuranceTaxRate';
+    const parsed = parseFloat(value);
+    const num = Number.isFinite(parsed) && parsed >= 0 ? (percent ? parsed / 100 : parsed) : base[field];
+
+    const edits = { ...equipmentOverrides[code] };
+    if (Math.abs(num - base[field]) < 1e-9) delete edits[field];
+    else edits[field] = num;
+    if (Object.keys(edits).length) equipmentOverrides[code] = edits;
+    else delete equipmentOverrides[code];
+
+    store.saveEquipmentLibrary(equipmentOverrides);
+    renderEquipmentLibrary();
+    autoCalcCheck();
+}
+
+function resetEquipmentLibrary() {
+    if (Object.keys(equipmentOverrides).length === 0) return;
+    if (!confirm('Discard all equipment edits and return to the library defaults?')) return;
+    equipmentOverrides = {};
+    store.saveEquipmentLibrary(equipmentOverrides);
+    renderEquipmentLibrary();
+    autoCalcCheck();
+}
+
+/**
+ * Fuel price edits reprice every unit's operating cost, and with it the crews.
+ */
+function onFuelPriceChange() {
+    renderEquipmentLibrary();
+    autoCalcCheck();
+}
+
+// ---- Labor rates & prevailing wage ----
+
+const WAGE_FIELDS = ['baseWage', 'healthWelfare', 'pension', 'training', 'dues'];
+const OVERTIME_FIELDS = ['dailyAfter', 'weeklyAfter', 'multiplier', 'doubleAfter', 'doubleMultiplier'];
+
+// Crews keep their composition rates; the classifications only set the overtime base
+const COMPANY_WAGE_TABLE = Object.freeze({
+    label: 'Company open-shop rates',
+    overtime: DEFAULT_OVERTIME_RULES,
+    classifications: LABOR_CLASSIFICATIONS,
+});
+
+/**
+ * Wage table the estimate is priced at: '' is the company open-shop basis,
+ * otherwise a county table or a saved project table.
+ * @param {string} [id] - Defaults to the wage table picker
+ * @returns {{ id: string, table: Object, editable: boolean }} Only project tables are editable
+ */
+function selectedWageTable(id = getTextVal('wageTable')) {
+    if (wageTables[id]) return { id, table: wageTables[id], editable: true };
+    if (PREVAILING_WAGE_TABLES[id]) return { id, table: PREVAILING_WAGE_TABLES[id], editable: false };
+    return { id: '', table: COMPANY_WAGE_TABLE, editable: false };
+}
+
+/**
+ * Labor pricing for the estimate: the burdened rates crews are priced at
+ * (null keeps the composition rates) and the overtime settings.
+ * @returns {{ laborRates: Object<string, Object> | null, overtime: { source: string, rules: Object, overtimeBase: Object<string, number> } }}
+ */
+function laborPricing() {
+    const { id, table } = selectedWageTable();
+    const rates = laborRates(table.classifications, id ? `Prevailing wage: ${table.label}` : table.label);
+    return {
+        laborRates: id ? rates : null,
+        overtime: {
+            source: table.label,
+            rules: { ...table.overtime },
+            overtimeBase: Object.fromEntries(Object.entries(rates).map(([key, r]) => [key, r.overtimeBase])),
+        },
+    };
+}
+
+/**
+ * @param {string} [selected] - Table to show; defaults to the picker's
+ */
+function renderLaborRates(selected = getTextVal('wageTable')) {
+    const { id, table, editable } = selectedWageTable(selected);
+    const rates = laborRates(table.classifications, table.label);
+    Renderer.renderLaborRates({
+        options: [
+            { value: '', label: `${COMPANY_WAGE_TABLE.label} (crew composition rates)` },
+            ...Object.entries(PREVAILING_WAGE_TABLES).map(([value, t]) => ({ value, label: t.label })),
+            ...Object.entries(wageTables).map(([value, t]) => ({ value, label: `${t.label} (project)` })),
+        ],
+        selected: id,
+        table,
+        editable,
+        rows: Object.entries(table.classifications).map(([key, wages]) => ({ key, wages, cost: rates[key] })),
+    });
+}
+
+/**
+ * A different wage table reprices every classified crew and the overtime premium.
+ */
+function onWageTableChange() {
+    renderLaborRates();
+    autoCalcCheck();
+    autoSaveSession();
+}
+
+/**
+ * Copy the shown table into a project table that can be edited to the
+ * determination in the bid documents. Project tables are kept across sessions.
+ */
+function copyWageTable() {
+    const { table } = selectedWageTable();
+    const project = getTextVal('projectName').trim();
+    const name = prompt('Name the project wage table (county, project or determination number):',
+        project ? `${project} — ${table.county || table.label}` : table.label);
+    if (!name || !name.trim()) return;
+
+    const id = `wage_${Date.now().toString(36)}`;
+    wageTables[id] = {
+        label: name.trim(),
+        county: table.county || '',
+        determination: 'Project table',
+        overtime: { ...table.overtime },
+        classifications: Object.fromEntries(Object.entries(table.classifications)
+            .map(([key, wages]) => [key, { ...wages }])),
+    };
+    store.saveWageTables(wageTables);
+    renderLaborRates(id);
+    onWageTableChange();
+    Renderer.showToast(`Created project table "${name.trim()}" — edit its rates below`);
+}
+
+function deleteWageTable() {
+    const { id, table, editable } = selectedWageTable();
+    if (!editable) {
+        Renderer.showToast('Only project tables can be deleted');
+        return;
+    }
+    if (!confirm(`Delete the project wage table "${table.label}"? Estimates priced at it fall back to company rates.`)) return;
+    delete wageTables[id];
+    store.saveWageTables(wageTables);
+    renderLaborRates('');
+    onWageTableChange();
+}
+
+/**
+ * Edit one wage or fringe of a project table classification.
+ * @param {string} key - Classification key (e.g. 'OPER_HVY')
+ * @param {string} field - One of WAGE_FIELDS
+ * @param {string} value - $/hr as entered
+ */
+function setWageField(key, field, value) {
+    const { table, editable } = selectedWageTable();
+    const wages = table.classifications[key];
+    if (!editable || !wages || !WAGE_FIELDS.includes(field)) return;
+    const parsed = parseFloat(value);
+    if (Number.isFinite(parsed) && parsed >= 0) wages[field] = parsed;
+    store.saveWageTables(wageTables);
+    renderLaborRates();
+    autoCalcCheck();
+}
+
+/**
+ * Edit a project table's overtime rule. A limit of 0 turns it off.
+ * @param {string} field - One of OVERTIME_FIELDS
+ * @param {string} value - As entered
+ */
+function setOvertimeRule(field, value) {
+    const { table, editable } = selectedWageTable();
+    if (!editable || !OVERTIME_FIELDS.includes(field)) return;
+    const parsed = parseFloat(value);
+    const isMultiplier = field === 'multiplier' || field === 'doubleMultiplier';
+    if (Number.isFinite(parsed) && parsed >= (isMultiplier ? 1 : 0)) table.overtime[field] = parsed;
+    store.saveWageTables(wageTables);
+    renderLaborRates();
+    autoCalcCheck();
+}
+
+// ---- Roadway cross-section ----
+
+/**
+ * Cross-section from the builder inputs. Blank inputs take the model defaults.
+ */
+function readCrossSection() {
+    const num = id => getTextVal(id) === '' ? undefined : getVal(id);
+    return new CrossSection({
+        lengthLF: num('xsLength'),
+        lanes: num('xsLanes'),
+        laneWidth: num('xsLaneWidth'),
+        leftShoulder: num('xsShoulderLeft'),
+        rightShoulder: num('xsShoulderRight'),
+        turnLanes: num('xsTurnLanes'),
+        turnLaneLength: num('xsTurnLength'),
+        turnLaneWidth: num('xsTurnWidth'),
+        taperLength: num('xsTaperLength'),
+        millShoulders: isChecked('xsMillShoulders'),
+        targets: CROSS_SECTION_TARGETS.map(t => t.activityType).filter(type => isChecked(`xsTarget_${type}`)),
+    });
+}
+
+/**
+ * Write a cross-section into the builder inputs.
+ */
+function fillCrossSection(section) {
+    Renderer.setInputVal('xsLength', section.lengthLF || '');
+    Renderer.setInputVal('xsLanes', section.lanes);
+    Renderer.setInputVal('xsLaneWidth', section.laneWidth);
+    Renderer.setInputVal('xsShoulderLeft', section.leftShoulder);
+    Renderer.setInputVal('xsShoulderRight', section.rightShoulder);
+    Renderer.setInputVal('xsTurnLanes', section.turnLanes);
+    Renderer.setInputVal('xsTurnLength', section.turnLaneLength);
+    Renderer.setInputVal('xsTurnWidth', section.turnLaneWidth);
+    Renderer.setInputVal('xsTaperLength', section.taperLength);
+    const mill = document.getElementById('xsMillShoulders');
+    if (mill) mill.checked = !!section.millShoulders;
+    for (const { activityType } of CROSS_SECTION_TARGETS) {
+        const el = document.getElementById(`xsTarget_${activityType}`);
+        if (el) el.checked = section.targets.includes(activityType);
+    }
+    updateCrossSection();
+}
+
+function updateCrossSection() {
+    Renderer.renderCrossSection(readCrossSection());
+}
+
+/**
+ * Write the section's quantities into the takeoff inputs of the activities
+ * it feeds. Segment rows are left as entered.
+ */
+function applyCrossSection() {
+    const section = readCrossSection();
+    if (!(section.lengthLF > 0)) {
+        Renderer.showToast('Enter a centerline length first');
+        return;
+    }
+    const takeoff = section.takeoff();
+    for (const [activityType, qty] of Object.entries(takeoff)) {
+        setMainTakeoff(activityType, { qty });
+    }
+    autoCalcCheck();
+    Renderer.showToast(`Cross-section applied to ${Object.keys(takeoff).length} activities`);
+}
+
+// ---- Imported takeoff ----
+
+/**
+ * Accumulate an imported quantity toward an activity's main takeoff;
+ * depth is averaged over the quantity that carries one.
+ */
+function addMainTakeoff(mains, activityType, qty, depth = 0, source = '') {
+    const m = mains[activityType] || (mains[activityType] = { qty: 0, depthQty: 0, weightedDepth: 0, sources: [] });
+    m.qty += qty;
+    if (depth > 0) {
+        m.depthQty += qty;
+        m.weightedDepth += qty * depth;
+    }
+    if (source && !m.sources.includes(source)) m.sources.push(source);
+}
+
+/**
+ * Write an activity's main takeoff inputs and record where they came from
+ * (blank when the source isn't a traced import).
+ * @param {string} activityType
+ * @param {{ qty: number, depthQty?: number, weightedDepth?: number, sources?: string[] }} m
+ */
+function setMainTakeoff(activityType, m) {
+    const inputs = ACTIVITY_CONFIG[activityType].inputs;
+    Renderer.setInputVal(inputs.area, m.qty);
+    if (inputs.depth && m.depthQty > 0) {
+        Renderer.setInputVal(inputs.depth, Math.round(m.weightedDepth / m.depthQty * 100) / 100);
+    }
+    Renderer.setInputVal(`src_${activityType}`, (m.sources || []).join(', '));
+}
+
+/**
+ * Fill the segment row an import feeds, adding one if it has none yet or
+ * its row was removed or belongs to another activity.
+ * @param {{ activityType: string, n: number }|null} link - Row the import filled last time
+ * @param {string} activityType
+ * @param {{ name: string, area: number, depth?: number, source?: string }} values
+ * @returns {{ activityType: string, n: number }} Link to keep for the next apply
+ */
+function fillLinkedSegment(link, activityType, { name, area, depth = 0, source = '' }) {
+    if (link && (link.activityType !== activityType || !document.getElementById(`seg_${activityType}_${link.n}`))) {
+        link = releaseLinkedSegment(link);
+    }
+    if (!link) {
+        addSegment(activityType);
+        link = { activityType, n: segmentCounters[activityType] };
+    }
+    const prefix = `seg_${activityType}_${link.n}`;
+    Renderer.setInputVal(`${prefix}_name`, name);
+    Renderer.setInputVal(`${prefix}_area`, area);
+    if (ACTIVITY_CONFIG[activityType].hasDepth && depth > 0) Renderer.setInputVal(`${prefix}_depth`, depth);
+    Renderer.setInputVal(`${prefix}_source`, source);
+    return link;
+}
+
+/**
+ * A hand-edited takeoff no longer traces to the import that filled it.
+ * @param {string} sourceId - Hidden source input beside the edited area
+ */
+function takeoffEdited(sourceId) {
+    Renderer.setInputVal(sourceId, '');
+    autoCalcCheck();
+}
+
+/**
+ * Remove the segment row an import filled.
+ * @returns {null} Cleared link
+ */
+function releaseLinkedSegment(link) {
+    if (link) removeSegment(link.activityType, link.n);
+    return null;
+}
+
+// ---- Polygon takeoff import ----
+
+/**
+ * Card activities whose takeoff is an area, so a polygon can feed them.
+ */
+function polygonActivityOptions() {
+    return CARD_TYPES
+        .filter(type => ['SY', 'SF'].includes(ACTIVITY_CONFIG[type].takeoffUOM || 'SY'))
+        .map(type => ({ value: type, label: ACTIVITY_CONFIG[type].label }));
+}
+
+function renderPolygons() {
+    Renderer.renderPolygonList(takeoffPolygons, polygonActivityOptions());
+}
+
+/**
+ * Read a GeoJSON or KML file into the polygon list. Re-importing a file
+ * replaces the geometry of polygons it already supplied and keeps their
+ * assignments, so edited polygons re-derive their quantities.
+ * @param {HTMLInputElement} input - File input the user picked from
+ */
+async function importPolygonFile(input) {
+    const file = input.files?.[0];
+    input.value = '';
+    if (!file) return;
+
+    let imported;
+    try {
+        imported = parsePolygonFile(file.name, await file.text());
+    } catch (e) {
+        console.warn('Polygon import failed:', e);
+        Renderer.showToast(`Import failed: ${e.message}`);
+        return;
+    }
+
+    const existing = new Map(takeoffPolygons.map(p => [p.id, p]));
+    let updated = 0;
+    for (const poly of imported) {
+        const prior = existing.get(poly.id);
+        if (prior) {
+            prior.geometry = poly.geometry;
+            if (prior.activityType) updated++;
+        } else {
+            takeoffPolygons.push(poly);
+        }
+    }
+    renderPolygons();
+    if (updated > 0) applyPolygons();
+    autoSaveSession();
+    Renderer.showToast(`Imported ${imported.length} polygon${imported.length === 1 ? '' : 's'} from ${file.name}`);
+}
+
+/**
+ * Update one polygon's assignment from its row in the list.
+ * @param {number} index - Position in the polygon list
+ * @param {'activityType'|'target'|'depth'} field
+ * @param {string} value
+ */
+function setPolygonField(index, field, value) {
+    const poly = takeoffPolygons[index];
+    if (!poly) return;
+    poly[field] = field === 'depth' ? parseFloat(value) || 0 : value;
+    autoSaveSession();
+}
+
+/**
+ * Drop a polygon and the segment row it filled.
+ */
+function removePolygon(index) {
+    const [poly] = takeoffPolygons.splice(index, 1);
+    if (poly) releaseLinkedSegment(poly.segment);
+    renderPolygons();
+    autoSaveSession();
+}
+
+function clearPolygons() {
+    if (takeoffPolygons.length === 0) return;
+    if (!confirm('Remove all imported polygons and the segment rows they filled?')) return;
+    for (const poly of takeoffPolygons) releaseLinkedSegment(poly.segment);
+    takeoffPolygons = [];
+    renderPolygons();
+    autoSaveSession();
+}
+
+/**
+ * Write polygon areas into the takeoff. Main-area polygons replace their
+ * activity's area input (depth is the area-weighted average of those given
+ * one); segment polygons each fill a segment row of their own, added on
+ * first apply and updated in place after that.
+ */
+function applyPolygons() {
+    const eligible = new Set(polygonActivityOptions().map(o => o.value));
+    const qtyOf = (type, poly) => Math.ceil(ACTIVITY_CONFIG[type].takeoffUOM === 'SF'
+        ? poly.areaSY * CONSTANTS.SF_PER_SY : poly.areaSY);
+    const mains = {};
+    let applied = 0;
+
+    for (const poly of takeoffPolygons) {
+        const type = eligible.has(poly.activityType) ? poly.activityType : '';
+        if (type && poly.target === PolygonTarget.SEGMENT) {
+            poly.segment = fillLinkedSegment(poly.segment, type, { name: poly.name, area: qtyOf(type, poly), depth: poly.depth });
+        } else {
+            // A polygon moved off its segment row takes the row with it
+            poly.segment = releaseLinkedSegment(poly.segment);
+            if (type) addMainTakeoff(mains, type, qtyOf(type, poly), poly.depth);
+        }
+        if (type) applied++;
+    }
+    for (const [type, m] of Object.entries(mains)) setMainTakeoff(type, m);
+
+    renderPolygons();
+    autoCalcCheck();
+    Renderer.showToast(applied > 0
+        ? `Applied ${applied} polygon${applied === 1 ? '' : 's'} to the takeoff`
+        : 'Assign polygons to an activity first');
+}
+
+// ---- DXF plan import ----
+
+/**
+ * Feet per drawing unit: the units select times the plot scale.
+ */
+function dxfFeetPerUnit() {
+    return (DXF_UNITS[getTextVal('dxfUnits')]?.feet ?? 1) * (getVal('dxfScale') || 1);
+}
+
+/**
+ * Quantity a layer mapping supplies, in its activity's takeoff unit.
+ */
+function dxfMappingQuantity(mapping) {
+    const config = ACTIVITY_CONFIG[mapping.activityType];
+    if (!config || !dxfTakeoff) return 0;
+    return layerQuantity(dxfTakeoff.layers[mapping.layer], config.takeoffUOM || 'SY', dxfFeetPerUnit());
+}
+
+function renderDxf() {
+    const feet = dxfFeetPerUnit();
+    const layers = Object.entries(dxfTakeoff?.layers || {}).map(([name, t]) => ({
+        name, closedCount: t.closedCount, openCount: t.openCount, blockCount: t.blockCount,
+        areaSY: layerQuantity(t, 'SY', feet), lengthLF: layerQuantity(t, 'LF', feet),
+    }));
+    const mappings = (dxfTakeoff?.mappings || []).map(m => ({
+        ...m, quantity: dxfMappingQuantity(m), uom: ACTIVITY_CONFIG[m.activityType]?.takeoffUOM || 'SY',
+    }));
+    const options = CARD_TYPES.map(type => ({
+        value: type, label: `${ACTIVITY_CONFIG[type].label} (${ACTIVITY_CONFIG[type].takeoffUOM || 'SY'})`,
+    }));
+    Renderer.renderDxfTakeoff(dxfTakeoff?.fileName || '', layers, mappings, options);
+}
+
+/**
+ * Read a DXF plan sheet's layers. Re-importing keeps the layer mappings, so
+ * a revised drawing re-derives the same takeoff.
+ * @param {HTMLInputElement} input - File input the user picked from
+ */
+async function importDxfFile(input) {
+    const file = input.files?.[0];
+    input.value = '';
+    if (!file) return;
+
+    let parsed;
+    try {
+        parsed = parseDXF(await file.text());
+    } catch (e) {
+        console.warn('DXF import failed:', e);
+        Renderer.showToast(`Import failed: ${e.message}`);
+        return;
+    }
+
+    Renderer.setInputVal('dxfUnits', parsed.units);
+    dxfTakeoff = { fileName: file.name, layers: parsed.layers, mappings: dxfTakeoff?.mappings || [] };
+    renderDxf();
+    if (dxfTakeoff.mappings.some(m => m.activityType)) applyDxfMappings();
+    autoSaveSession();
+    Renderer.showToast(`Read ${Object.keys(parsed.layers).length} layers from ${file.name}`);
+}
+
+function addDxfMapping() {
+    if (!dxfTakeoff) return;
+    dxfTakeoff.mappings.push({ layer: Object.keys(dxfTakeoff.layers)[0] || '', activityType: '', target: 'main', depth: 0, segment: null });
+    renderDxf();
+    autoSaveSession();
+}
+
+/**
+ * Update one layer mapping from its row.
+ * @param {number} index - Position in the mapping list
+ * @param {'layer'|'activityType'|'target'|'depth'} field
+ * @param {string} value
+ */
+function setDxfMapping(index, field, value) {
+    const mapping = dxfTakeoff?.mappings[index];
+    if (!mapping) return;
+    mapping[field] = field === 'depth' ? parseFloat(value) || 0 : value;
+    renderDxf();
+    autoSaveSession();
+}
+
+/**
+ * Drop a layer mapping and the segment row it filled.
+ */
+function removeDxfMapping(index) {
+    const [mapping] = dxfTakeoff?.mappings.splice(index, 1) || [];
+    if (mapping) releaseLinkedSegment(mapping.segment);
+    renderDxf();
+    autoSaveSession();
+}
+
+function clearDxf() {
+    if (!dxfTakeoff) return;
+    if (!confirm('Remove the imported drawing, its layer mappings and the segment rows they filled?')) return;
+    for (const mapping of dxfTakeoff.mappings) releaseLinkedSegment(mapping.segment);
+    dxfTakeoff = null;
+    renderDxf();
+    autoSaveSession();
+}
+
+/**
+ * Write mapped layer quantities into the takeoff, each traced as
+ * 'DXF layer X'. Main mappings replace their activity's takeoff input (one
+ * layer can feed several activities, several layers one activity); segment
+ * mappings each fill a row named for the layer.
+ */
+function applyDxfMappings() {
+    if (!dxfTakeoff) return;
+    const mains = {};
+    let applied = 0;
+
+    for (const mapping of dxfTakeoff.mappings) {
+        const type = ACTIVITY_CONFIG[mapping.activityType] && dxfTakeoff.layers[mapping.layer] ? mapping.activityType : '';
+        const source = `DXF layer ${mapping.layer}`;
+        const qty = type ? dxfMappingQuantity(mapping) : 0;
+        if (type && mapping.target === 'segment') {
+            mapping.segment = fillLinkedSegment(mapping.segment, type, { name: mapping.layer, area: qty, depth: mapping.depth, source });
+        } else {
+            mapping.segment = releaseLinkedSegment(mapping.segment);
+            if (type) addMainTakeoff(mains, type, qty, mapping.depth, source);
+        }
+        if (type) applied++;
+    }
+    for (const [type, m] of Object.entries(mains)) setMainTakeoff(type, m);
+
+    renderDxf();
+    autoCalcCheck();
+    autoSaveSession();
+    Renderer.showToast(applied > 0
+        ? `Applied ${applied} layer mapping${applied === 1 ? '' : 's'} to the takeoff`
+        : 'Map layers to an activity first');
+}
+
+// ---- CSV quantity import ----
+
+/**
+ * Aliases item names resolve with: the defaults, overridden by saved ones.
+ */
+function csvAliases() {
+    return { ...DEFAULT_ITEM_ALIASES, ...itemAliases };
+}
+
+/**
+ * Each CSV row's mapping under the current columns and aliases.
+ */
+function csvRowResults() {
+    return csvTakeoff ? mapCsvRows(csvTakeoff.rows, csvTakeoff.columns, csvAliases()) : [];
+}
+
+function renderCsv() {
+    Renderer.renderCsvImport({
+        fileName: csvTakeoff?.fileName || '',
+        headers: csvTakeoff?.headers || [],
+        columns: csvTakeoff?.columns || {},
+        rows: csvRowResults(),
+        activityOptions: CARD_TYPES.map(type => ({
+            value: type, label: `${ACTIVITY_CONFIG[type].label} (${ACTIVITY_CONFIG[type].takeoffUOM || 'SY'})`,
+        })),
+    });
+}
+
+/**
+ * Read a takeoff CSV and guess its column mapping. A re-export with the
+ * same headers keeps the mapping already chosen.
+ * @param {HTMLInputElement} input - File input the user picked from
+ */
+async function importCsvFile(input) {
+    const file = input.files?.[0];
+    input.value = '';
+    if (!file) return;
+
+    let parsed;
+    try {
+        parsed = parseCSV(await file.text());
+    } catch (e) {
+        console.warn('CSV import failed:', e);
+        Renderer.showToast(`Import failed: ${e.message}`);
+        return;
+    }
+
+    const sameHeaders = csvTakeoff && csvTakeoff.headers.join('\n') === parsed.headers.join('\n');
+    csvTakeoff = {
+        fileName: file.name,
+        headers: parsed.headers,
+        rows: parsed.rows,
+        columns: sameHeaders ? csvTakeoff.columns : guessColumns(parsed.headers),
+        links: csvTakeoff?.links || [],
+    };
+    renderCsv();
+    autoSaveSession();
+    Renderer.showToast(`Read ${parsed.rows.length} rows from ${file.name} — check the columns, then apply`);
+}
+
+/**
+ * Point a takeoff field at a CSV column.
+ * @param {'item'|'area'|'depth'|'unit'} field
+ * @param {string} index - Column index, '-1' = none
+ */
+function setCsvColumn(field, index) {
+    if (!csvTakeoff) return;
+    csvTakeoff.columns[field] = parseInt(index, 10);
+    renderCsv();
+    autoSaveSession();
+}
+
+/**
+ * Save which activity an item name means, for this and later imports.
+ * Choosing none forgets the saved alias.
+ * @param {string} item - Item name as it appears in the CSV
+ * @param {string} activityType - ACTIVITY_CONFIG key ('' = forget)
+ */
+function setCsvAlias(item, activityType) {
+    const key = aliasKey(item);
+    if (!key) return;
+    if (activityType) itemAliases[key] = activityType;
+    else delete itemAliases[key];
+    store.saveItemAliases(itemAliases);
+    renderCsv();
+}
+
+function clearCsv() {
+    if (!csvTakeoff) return;
+    if (!confirm('Remove the imported CSV and the segment rows it filled?')) return;
+    for (const link of csvTakeoff.links) releaseLinkedSegment(link);
+    csvTakeoff = null;
+    renderCsv();
+    autoCalcCheck();
+    autoSaveSession();
+}
+
+/**
+ * Fill one segment row per mapped CSV row, reusing the rows the last apply made,
+ * each traced as 'CSV <file> line N'. Rows that can't be mapped stay listed
+ * with their reason.
+ */
+function applyCsvTakeoff() {
+    if (!csvTakeoff) return;
+    if (csvTakeoff.columns.item < 0 || csvTakeoff.columns.area < 0) {
+        Renderer.showToast('Choose the item and quantity columns first');
+        return;
+    }
+    const rows = csvRowResults();
+    const mapped = rows.filter(row => !row.reason);
+    // Items taken off more than once get their line number to tell the rows apart
+    const counts = {};
+    for (const row of mapped) counts[row.item] = (counts[row.item] || 0) + 1;
+
+    // Refill the rows the last apply made, in order, so re-applying keeps them in place
+    const previous = csvTakeoff.links;
+    csvTakeoff.links = mapped.map((row, i) => fillLinkedSegment(previous[i] || null, row.activityType, {
+        name: counts[row.item] > 1 ? `${row.item} (line ${row.line})` : row.item,
+        area: row.quantity,
+        depth: row.depth,
+        source: `CSV ${csvTakeoff.fileName} line ${row.line}`,
+    }));
+    for (const link of previous.slice(mapped.length)) releaseLinkedSegment(link);
+
+    renderCsv();
+    autoCalcCheck();
+    autoSaveSession();
+    const skipped = rows.length - mapped.length;
+    Renderer.showToast(`Created ${mapped.length} segment${mapped.length === 1 ? '' : 's'}` +
+        (skipped > 0 ? ` — ${skipped} row${skipped === 1 ? '' : 's'} not mapped, see the list` : ''));
+}
+
+// ---- On-screen plan takeoff ----
+
+const PLAN_MAX_PX = 2400;       // Long side a plan image is stored at
+const PLAN_JPEG_QUALITY = 0.8;
+
+function renderPlan() {
+    const fpp = planTakeoff.feetPerPixel;
+    // Lines only measure length; areas can feed any takeoff unit
+    const options = kind => CARD_TYPES
+        .filter(type => kind === ShapeKind.AREA || ['LF', 'EA'].includes(ACTIVITY_CONFIG[type].takeoffUOM))
+        .map(type => ({ value: type, label: `${ACTIVITY_CONFIG[type].label} (${ACTIVITY_CONFIG[type].takeoffUOM || 'SY'})` }));
+    Renderer.renderPlanTakeoff({
+        image: planTakeoff.image,
+        imageUrl: planImageUrl,
+        zoom: parseFloat(getTextVal('planZoom')) || 1,
+        calibration: planTakeoff.calibration,
+        feetPerPixel: fpp,
+        shapes: planTakeoff.shapes.map(shape => ({
+            shape,
+            measure: !fpp ? '—'
+                : shape.kind === ShapeKind.AREA ? `${shape.quantity('SY', fpp).toLocaleString('en-US')} SY`
+                : `${shape.quantity('LF', fpp).toLocaleString('en-US')} LF`,
+            options: options(shape.kind),
+        })),
+        selected: planSelected,
+        draft: planDraft,
+    });
+}
+
+/**
+ * Load a plan image (a scanned sheet or an exported PDF page), downsized
+ * and stored once so estimates reference it by id.
+ * @param {HTMLInputElement} input - File input the user picked from
+ */
+async function loadPlanImage(input) {
+    const file = input.files?.[0];
+    input.value = '';
+    if (!file) return;
+    // PDFs aren't rasterized here; the picker only offers images, but "All files" can still pass one
+    if (/\.pdf$/i.test(file.name) || file.type === 'application/pdf') {
+        Renderer.showToast('Export the PDF page as a PNG or JPG, then load the image');
+        return;
+    }
+    if (planTakeoff.shapes.length && !confirm('Replace the plan? Traced shapes and the segment rows they filled are removed.')) return;
+
+    let image;
+    try {
+        image = await _downsizePlanImage(file);
+    } catch (e) {
+        console.warn('Plan image load failed:', e);
+        Renderer.showToast('Could not read that image');
+        return;
+    }
+
+    for (const shape of planTakeoff.shapes) releaseLinkedSegment(shape.segment);
+    const id = `plan_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 7)}`;
+    if (!store.savePlanImage(id, image.dataUrl)) {
+        Renderer.showToast('Storage is full — the plan image won\'t be kept after this session');
+    }
+    restorePlanTakeoff(new PlanTakeoff({ image: { id, name: file.name, width: image.width, height: image.height } }));
+    planImageUrl = image.dataUrl;
+    renderPlan();
+    autoSaveSession();
+    Renderer.showToast('Plan loaded — calibrate a known dimension first');
+}
+
+function _downsizePlanImage(file) {
+    return new Promise((resolve, reject) => {
+        const url = URL.createObjectURL(file);
+        const img = new Image();
+        img.onload = () => {
+            const ratio = Math.min(1, PLAN_MAX_PX / Math.max(img.naturalWidth, img.naturalHeight));
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.round(img.naturalWidth * ratio);
+            canvas.height = Math.round(img.naturalHeight * ratio);
+            const ctx = canvas.getContext('2d');
+            ctx.fillStyle = '#fff';
+            ctx.fillRect(0, 0, canvas.width, canvas.height);
+            ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+            URL.revokeObjectURL(url);
+            resolve({ dataUrl: canvas.toDataURL('image/jpeg', PLAN_JPEG_QUALITY), width: canvas.width, height: canvas.height });
+        };
+        img.onerror = () => {
+            URL.revokeObjectURL(url);
+            reject(new Error(`Unreadable image: ${file.name}`));
+        };
+        img.src = url;
+    });
+}
+
+/**
+ * Make a saved or restored plan takeoff current, fetching its stored image.
+ */
+function restorePlanTakeoff(plan) {
+    planTakeoff = plan;
+    planImageUrl = plan.image ? store.loadPlanImage(plan.image.id) : null;
+    planDraft = null;
+    planSelected = -1;
+}
+
+/**
+ * Start clicking points for a plan tool.
+ * @param {'calibrate'|'area'|'line'|'hole'} tool - 'hole' cuts the selected area
+ */
+function setPlanTool(tool) {
+    if (!planTakeoff.image) {
+        Renderer.showToast('Load a plan image first');
+        return;
+    }
+    if (tool !== 'calibrate' && !planTakeoff.feetPerPixel) {
+        Renderer.showToast('Calibrate the plan scale first');
+        return;
+    }
+    if (tool === 'hole' && planTakeoff.shapes[planSelected]?.kind !== ShapeKind.AREA) {
+        Renderer.showToast('Select an area to cut a hole from');
+        return;
+    }
+    planDraft = { tool, points: [] };
+    renderPlan();
+}
+
+/**
+ * Plan click: add a point to the shape being traced, in image pixels.
+ */
+function planClick(event) {
+    if (!planDraft || !planTakeoff.image) return;
+    const rect = event.currentTarget.getBoundingClientRect();
+    const x = (event.clientX - rect.left) / rect.width * planTakeoff.image.width;
+    const y = (event.clientY - rect.top) / rect.height * planTakeoff.image.height;
+    planDraft.points.push([Math.round(x * 10) / 10, Math.round(y * 10) / 10]);
+
+    if (planDraft.tool === 'calibrate' && planDraft.points.length === 2) {
+        const feet = parseFloat(prompt('Length of the clicked dimension (ft):', '') || '');
+        if (feet > 0) {
+            const [a, b] = planDraft.points;
+            planTakeoff.calibration = { a, b, feet };
+            Renderer.showToast(`Scale set: ${(planTakeoff.feetPerPixel * 100).toFixed(2)} ft per 100 px`);
+            autoSaveSession();
+        }
+        planDraft = null;
+    }
+    renderPlan();
+}
+
+function undoPlanPoint() {
+    if (!planDraft) return;
+    planDraft.points.pop();
+    renderPlan();
+}
+
+function cancelPlanDraft() {
+    planDraft = null;
+    renderPlan();
+}
+
+/**
+ * Close the traced points into a new area or line, or a hole in the selected area.
+ */
+function finishPlanShape() {
+    if (!planDraft || planDraft.tool === 'calibrate') return;
+    const { tool, points } = planDraft;
+    const needed = tool === 'line' ? 2 : 3;
+    if (points.length < needed) {
+        Renderer.showToast(`Click at least ${needed} points`);
+        return;
+    }
+
+    if (tool === 'hole') {
+        planTakeoff.shapes[planSelected].holes.push(points);
+    } else {
+        const kind = tool === 'line' ? ShapeKind.LINE : ShapeKind.AREA;
+        const count = planTakeoff.shapes.filter(s => s.kind === kind).length + 1;
+        planTakeoff.shapes.push(new PlanShape({
+            id: `shape_${Date.now().toString(36)}_${planTakeoff.shapes.length}`,
+            kind,
+            name: `${kind === ShapeKind.LINE ? 'Line' : 'Area'} ${count}`,
+            points,
+        }));
+        planSelected = planTakeoff.shapes.length - 1;
+    }
+    planDraft = null;
+    renderPlan();
+    autoSaveSession();
+}
+
+function selectPlanShape(index) {
+    planSelected = planSelected === index ? -1 : index;
+    renderPlan();
+}
+
+/**
+ * Update one traced shape's name or assignment from its row.
+ * @param {number} index
+ * @param {'name'|'activityType'|'target'|'depth'} field
+ * @param {string} value
+ */
+function setPlanShapeField(index, field, value) {
+    const shape = planTakeoff.shapes[index];
+    if (!shape) return;
+    shape[field] = field === 'depth' ? parseFloat(value) || 0 : value;
+    renderPlan();
+    autoSaveSession();
+}
+
+/**
+ * Drop a shape's most recent hole.
+ */
+function removePlanHole(index) {
+    planTakeoff.shapes[index]?.holes.pop();
+    renderPlan();
+    autoSaveSession();
+}
+
+/**
+ * Drop a traced shape and the segment row it filled.
+ */
+function removePlanShape(index) {
+    const [shape] = planTakeoff.shapes.splice(index, 1);
+    if (shape) releaseLinkedSegment(shape.segment);
+    planSelected = -1;
+    renderPlan();
+    autoSaveSession();
+}
+
+function clearPlanTakeoff() {
+    if (!planTakeoff.image && planTakeoff.shapes.length === 0) return;
+    if (!confirm('Remove the plan, its traced shapes and the segment rows they filled?')) return;
+    for (const shape of planTakeoff.shapes) releaseLinkedSegment(shape.segment);
+    restorePlanTakeoff(new PlanTakeoff());
+    renderPlan();
+    autoSaveSession();
+}
+
+/**
+ * Write traced quantities into the takeoff, each traced as
+ * 'Plan takeoff <shape>'. Main shapes replace their activity's takeoff
+ * input; segment shapes each fill a row named for the shape.
+ */
+function applyPlanTakeoff() {
+    const fpp = planTakeoff.feetPerPixel;
+    if (!fpp) {
+        Renderer.showToast('Calibrate the plan scale first');
+        return;
+    }
+    const mains = {};
+    let applied = 0;
+
+    for (const shape of planTakeoff.shapes) {
+        const type = CARD_TYPES.includes(shape.activityType) ? shape.activityType : '';
+        const source = `Plan takeoff ${shape.name}`;
+        const qty = type ? shape.quantity(ACTIVITY_CONFIG[type].takeoffUOM || 'SY', fpp) : 0;
+        if (type && shape.target === 'segment') {
+            shape.segment = fillLinkedSegment(shape.segment, type, { name: shape.name, area: qty, depth: shape.depth, source });
+        } else {
+            shape.segment = releaseLinkedSegment(shape.segment);
+            if (type) addMainTakeoff(mains, type, qty, shape.depth, source);
+        }
+        if (type) applied++;
+    }
+    for (const [type, m] of Object.entries(mains)) setMainTakeoff(type, m);
+
+    renderPlan();
+    autoCalcCheck();
+    autoSaveSession();
+    Renderer.showToast(applied > 0
+        ? `Applied ${applied} traced shape${applied === 1 ? '' : 's'} to the takeoff`
+        : 'Assign traced shapes to an activity first');
+}
+
+// ---- Takeoff segments ----
+
+/**
+ * Segment rows entered under an activity section, in display order.
+ */
+function segmentRows(activityType) {
+    const container = document.getElementById(`segments_${activityType}`);
+    if (!container) return [];
+    return [...container.querySelectorAll('.segment-row')].map(row => {
+        const n = parseInt(row.dataset.segment, 10);
+        const prefix = `seg_${activityType}_${n}`;
+        return {
+            n,
+            name: getTextVal(`${prefix}_name`).trim() || `Segment ${n}`,
+            area: getVal(`${prefix}_area`),
+            depth: getVal(`${prefix}_depth`),
+            preset: getTextVal(`${prefix}_prod`),
+            mob: isChecked(`${prefix}_mob`),
+            source: getTextVal(`${prefix}_source`),
+        };
+    });
+}
+
+/**
+ * Values entered for an activity's config params. Blank inputs are left out
+ * so resolveParams() falls back to the declared default.
+ */
+function paramValues(activityType) {
+    const values = {};
+    for (const p of ACTIVITY_CONFIG[activityType]?.params || []) {
+        if (p.type === 'checkbox') {
+            values[p.key] = isChecked(p.inputId);
+        } else if (p.type === 'select') {
+            values[p.key] = getTextVal(p.inputId) || p.default;
+        } else if (getTextVal(p.inputId) !== '') {
+            values[p.key] = getVal(p.inputId);
+        }
     }
+    return values;
+}
 
-    // v4.0: Collect reviewer notes
-    const reviewerNotes = {
-        general: getTextVal('noteGeneral'),
-        pricing: getTextVal('notePricing'),
-        schedule: getTextVal('noteSchedule'),
-        risk: getTextVal('noteRisk'),
-    };
+/**
+ * Label for an activity's takeoff input (card and segment rows).
+ */
+function takeoffLabelOf(config) {
+    if (config?.takeoffLabel) return config.takeoffLabel;
+    return config?.takeoffUOM === 'LF' ? 'Length (LF)' : 'Area (SY)';
+}
 
-    estimate = new Estimate({
-        projectName: getTextVal('projectName'),
-        activities,
-        indirectCosts,
-        projectSettings: {
-            complexityVal, asphaltWaste, aggregateWaste, swellFactor, truckEfficiency, tackAppRate,
-            fuelIndex: getTextVal('fuelIndex'),
-            acIndex: getTextVal('acIndex')
-        },
-        // v4.0 additions
-        jobMode: currentJobMode,
-        shiftSettings: {
-            stdShift: getVal('stdShift') || 8,
-            maxShift: getVal('maxShift') || 12,
-        },
-        weatherDays: getVal('weatherDays') || 2,
-        travelHours: getVal('travelHours') || 1,
-        clusterMode: isChecked('clusterMode'),
-        scopeAssumptions,
-        reviewerNotes,
-    });
+/**
+ * Main area plus every segment row's area for an activity section.
+ */
+function sectionArea(activityType) {
+    const inputs = ACTIVITY_CONFIG[activityType]?.inputs;
+    const main = inputs ? getVal(inputs.area) || 0 : 0;
+    return segmentRows(activityType).reduce((sum, row) => sum + row.area, main);
+}
 
-    return estimate;
+/**
+ * Add a segment row under an activity section.
+ * @param {string} activityType
+ * @param {number} [n] - Row number to reuse (session restore); next free number if omitted
+ */
+function addSegment(activityType, n = null) {
+    const container = document.getElementById(`segments_${activityType}`);
+    if (!container) return;
+    const num = n ?? (segmentCounters[activityType] || 0) + 1;
+    segmentCounters[activityType] = Math.max(segmentCounters[activityType] || 0, num);
+
+    const prefix = `seg_${activityType}_${num}`;
+    const hasDepth = !!ACTIVITY_CONFIG[activityType]?.hasDepth;
+    const takeoffLabel = takeoffLabelOf(ACTIVITY_CONFIG[activityType]);
+    const presetOptions = Object.entries(PRODUCTIVITY_PRESETS)
+        .map(([key, preset]) => `<option value="${key}">${preset.label}</option>`).join('');
+
+    const row = document.createElement('div');
+    row.className = 'segment-row';
+    row.id = prefix;
+    row.dataset.segment = num;
+    row.innerHTML = `
+        <input type="text" class="segment-name" id="${prefix}_name" placeholder="Segment ${num} name" oninput="autoCalcCheck()">
+        <input type="number" inputmode="numeric" id="${prefix}_area" placeholder="${takeoffLabel}" oninput="takeoffEdited('${prefix}_source')">
+        ${hasDepth ? `<input type="number" inputmode="decimal" id="${prefix}_depth" placeholder="Depth (in)" oninput="autoCalcCheck()">` : ''}
+        <select id="${prefix}_prod" onchange="autoCalcCheck()"><option value="">Job productivity</option>${presetOptions}</select>
+        <input type="hidden" id="${prefix}_source">
+        <div class="segment-actions">
+            <label><input type="checkbox" id="${prefix}_mob" onchange="autoCalcCheck()"> Separate mob</label>
+            <button type="button" class="btn-remove-segment" onclick="removeSegment('${activityType}', ${num})">Remove</button>
+        </div>
+    `;
+    container.appendChild(row);
 }
 
-// ---- Custom trucking calculation that handles overrides ----
+function removeSegment(activityType, n) {
+    document.getElementById(`seg_${activityType}_${n}`)?.remove();
+    autoCalcCheck();
+}
+
+function clearSegments() {
+    for (const activityType of CARD_TYPES) {
+        const container = document.getElementById(`segments_${activityType}`);
+        if (container) container.innerHTML = '';
+        segmentCounters[activityType] = 0;
+    }
+}
 
-function calculateWithTruckingOverrides(est, truckingRate) {
+function calculateWithTruckingOverrides(est, truckingRate, options = {}) {
     // The standard Calculator uses Activity.calculateTrucking which uses quantity.grossQuantity.
     // For paving, trucking uses different quantities (loose CY for exc, tons for HMA/milling).
     // We handle this by patching the trucking results after calculation.
 
-    const results = calculator.calculate(est, truckingRate);
+    const results = calculator.calculate(est, truckingRate, options);
     const benchmarks = BENCHMARKS[est.jobMode] || BENCHMARKS.parking_lot;
 
     // Patch trucking for activities with overrides
@@ -578,16 +1586,22 @@ function calculateWithTruckingOverrides(est, truckingRate) {
                 ar.directCost = ar.laborCost + ar.equipmentCost + ar.materialCost + ar.mobilizationCost + ar.truckingCost;
 
                 // Recalculate unit cost with corrected trucking
-                // Use CY denominator for excavation/DGA, SY for all others
+                // Per SY of takeoff area, or per measured CY / LF
                 const bm = benchmarks[activity.activityType];
-                const useCY = bm && bm.unit === 'CY';
-                const denom = useCY ? ar.grossQuantity : (activity.quantity?.inputs?.area || ar.grossQuantity);
+                const perSY = (bm?.unit || 'SY') === 'SY';
+                const denom = perSY ? (activity.quantity?.inputs?.area || ar.grossQuantity) : ar.grossQuantity;
                 const prodCost = ar.laborCost + ar.equipmentCost + ar.materialCost + ar.truckingCost;
                 ar.unitCost = denom > 0 ? prodCost / denom : 0;
-                ar.unitCostUOM = useCY ? 'CY' : 'SY';
+                ar.unitCostUOM = bm?.unit || 'SY';
             }
         }
 
+        // Re-split segments with the corrected trucking
+        if (activity.segments.length > 0) {
+            const bm = benchmarks[activity.activityType];
+            ar.segments = activity.segmentBreakdown(ar.truckingCost, bm?.unit || 'SY');
+        }
+
         // Attach _extra for renderer
         ar._extra = activity._extra;
     }
@@ -609,6 +1623,11 @@ function calculateWithTruckingOverrides(est, truckingRate) {
     );
     Object.assign(results, indirectResults);
 
+    // Re-run the risk simulation against the corrected subtotal
+    if (results.riskAnalysis) {
+        results.riskAnalysis = calculator.runRiskAnalysis(est, results);
+    }
+
     // Recalculate unit checks with corrected unit costs (includes Issue 6 breakdown)
     results.unitChecks = results.activities
         .filter(a => a.duration > 0 && a.unitCost > 0)
@@ -708,6 +1727,13 @@ function snapshotSession() {
         }
     });
     data.__jobMode = currentJobMode;
+    data.__estimateId = currentEstimateId;
+    data.__segments = Object.fromEntries(CARD_TYPES
+        .map(type => [type, segmentRows(type).map(row => row.n)]));
+    data.__polygons = takeoffPolygons.map(p => p.toJSON());
+    data.__dxf = dxfTakeoff;
+    data.__csv = csvTakeoff;
+    data.__plan = planTakeoff.toJSON();
     return data;
 }
 
@@ -717,27 +1743,19 @@ function autoSaveSession() {
     } catch (e) {
         console.warn('Session auto-save failed:', e);
     }
+    // A replaced, cleared or swapped-out plan may no longer be referenced
+    const planId = planTakeoff.image?.id ?? null;
+    if (planId !== sessionPlanId) {
+        sessionPlanId = planId;
+        store.prunePlanImages();
+    }
 }
 
 function restoreSession() {
     try {
         const raw = localStorage.getItem(SESSION_KEY);
         if (!raw) return false;
-        const data = JSON.parse(raw);
-        for (const [key, val] of Object.entries(data)) {
-            if (key === '__jobMode') continue;
-            if (key.startsWith('__radio__')) {
-                const name = key.slice('__radio__'.length);
-                const radio = document.querySelector(`input[type="radio"][name="${name}"][value="${val}"]`);
-                if (radio) radio.checked = true;
-                continue;
-            }
-            const el = document.getElementById(key);
-            if (!el) continue;
-            if (el.type === 'checkbox') el.checked = !!val;
-            else el.value = val;
-        }
-        if (data.__jobMode) setJobMode(data.__jobMode);
+        applyFormState(JSON.parse(raw));
         return true;
     } catch (e) {
         console.warn('Session restore failed:', e);
@@ -745,6 +1763,294 @@ function restoreSession() {
     }
 }
 
+/**
+ * Write a snapshotSession() object back into the form.
+ * Shared by session restore and opening a saved estimate.
+ */
+function applyFormState(data) {
+    // Segment rows must exist before their inputs can be filled
+    clearSegments();
+    for (const [activityType, rows] of Object.entries(data.__segments || {})) {
+        for (const n of rows) addSegment(activityType, n);
+    }
+    for (const [key, val] of Object.entries(data)) {
+        if (key.startsWith('__radio__')) {
+            const name = key.slice('__radio__'.length);
+            const radio = document.querySelector(`input[type="radio"][name="${name}"][value="${val}"]`);
+            if (radio) radio.checked = true;
+            continue;
+        }
+        if (key.startsWith('__')) continue;
+        const el = document.getElementById(key);
+        if (!el) continue;
+        if (el.type === 'checkbox') el.checked = !!val;
+        else el.value = val;
+    }
+    currentEstimateId = data.__estimateId || null;
+    takeoffPolygons = (data.__polygons || []).map(p => TakeoffPolygon.fromJSON(p));
+    dxfTakeoff = data.__dxf || null;
+    csvTakeoff = data.__csv || null;
+    restorePlanTakeoff(data.__plan ? PlanTakeoff.fromJSON(data.__plan) : new PlanTakeoff());
+    if (data.__jobMode) setJobMode(data.__jobMode);
+    toggleWeatherGrid();
+    updateCrossSection();
+    renderPolygons();
+    renderDxf();
+    renderCsv();
+    renderPlan();
+    renderEquipmentLibrary();
+    renderLaborRates();
+}
+
+// ---- Saved Estimates (job list) ----
+
+/**
+ * Save the current form as a version of the open estimate, or as a new
+ * estimate if nothing is open yet.
+ */
+function saveCurrentEstimate() {
+    calculateAll();
+    if (!estimate) return;
+
+    if (!estimate.projectName.trim()) {
+        Renderer.showToast('Enter a project name before saving');
+        return;
+    }
+
+    const prior = currentEstimateId ? store.loadEstimate(currentEstimateId) : null;
+    if (prior) {
+        estimate.id = prior.id;
+        estimate.createdAt = prior.createdAt;
+        estimate.revisionHistory = prior.revisionHistory;
+    }
+    currentEstimateId = estimate.id;
+    estimate.formState = snapshotSession();
+
+    if (store.saveEstimate(estimate)) {
+        autoSaveSession();
+        refreshEstimateList();
+        Renderer.showToast(`Saved "${estimate.projectName}" v${estimate.version}`);
+    } else {
+        showEstimateWriteFailure('save');
+    }
+}
+
+/**
+ * Say why an estimate write failed. Out of quota, say how much is stored
+ * and what frees it — every saved version is kept in localStorage.
+ * @param {string} action - What failed, e.g. 'save'
+ */
+function showEstimateWriteFailure(action) {
+    if (!store.storageFull) {
+        Renderer.showToast(`Unable to ${action} the estimate`);
+        return;
+    }
+    const mb = store.getStorageUsage().used / (1024 * 1024);
+    Renderer.showToast(`Storage is full (${mb.toFixed(1)} MB used) — delete old estimates, then ${action} again`);
+}
+
+/**
+ * Open a saved estimate back into the form and recalculate.
+ */
+function openEstimate(estimateId) {
+    const saved = store.loadEstimate(estimateId);
+    if (!saved) {
+        Renderer.showToast('Estimate could not be loaded');
+        return;
+    }
+    if (!confirm(`Open "${saved.projectName || 'Untitled'}"? Unsaved changes to the current form will be lost.`)) return;
+
+    if (saved.formState) {
+        applyFormState(saved.formState);
+    } else {
+        applyEstimateToForm(saved);
+    }
+    currentEstimateId = saved.id;
+    calculateAll();
+    refreshEstimateList();
+    Renderer.showToast(`Opened "${saved.projectName || 'Untitled'}" v${saved.version}`);
+}
+
+/**
+ * Fallback for estimates saved without a form snapshot (e.g. imported JSON):
+ * populate takeoff inputs from the rehydrated activities.
+ */
+function applyEstimateToForm(est) {
+    Renderer.setInputVal('projectName', est.projectName);
+    clearSegments();
+    for (const activity of est.activities) {
+        const inputs = CARD_TYPES.includes(activity.activityType) ? ACTIVITY_CONFIG[activity.activityType].inputs : null;
+        // The 'Main' segment is the section's own inputs; the rest are segment rows
+        const main = activity.segments[0]?.name === 'Main' ? activity.segments[0] : null;
+        const extra = main ? activity.segments.slice(1) : activity.segments;
+        const qInputs = (main ? main.quantity?.inputs : extra.length ? {} : activity.quantity?.inputs) || {};
+        if (inputs) {
+            Renderer.setInputVal(inputs.area, qInputs.area || '');
+            if (inputs.depth) Renderer.setInputVal(inputs.depth, qInputs.depth || '');
+        }
+        // Params are the same across segments, so the activity-level inputs carry them
+        for (const p of ACTIVITY_CONFIG[activity.activityType]?.params || []) {
+            const value = activity.quantity?.inputs?.[p.key] ?? p.default;
+            if (p.type === 'checkbox') {
+                const el = document.getElementById(p.inputId);
+                if (el) el.checked = !!value;
+            } else {
+                Renderer.setInputVal(p.inputId, value);
+            }
+        }
+        for (const seg of extra) {
+            addSegment(activity.activityType);
+            const prefix = `seg_${activity.activityType}_${segmentCounters[activity.activityType]}`;
+            Renderer.setInputVal(`${prefix}_name`, seg.name);
+            Renderer.setInputVal(`${prefix}_area`, seg.quantity?.inputs?.area || '');
+            Renderer.setInputVal(`${prefix}_depth`, seg.quantity?.inputs?.depth || '');
+            Renderer.setInputVal(`${prefix}_prod`, seg.productivityFactor?.presetKey || '');
+            const mob = document.getElementById(`${prefix}_mob`);
+            if (mob) mob.checked = !!seg.mobilization?.included;
+        }
+        const rateId = RATE_SELECT_MAP[activity.activityType];
+        if (rateId && activity.productionRate?.outputQty) {
+            Renderer.setInputVal(rateId, activity.productionRate.outputQty);
+        }
+    }
+    if (est.startDate) Renderer.setInputVal('projectStartDate', est.startDate);
+    if (est.weatherModel) {
+        Renderer.setInputVal('weatherRegion', est.weatherModel.region);
+        est.weatherModel.rain.forEach((v, i) => Renderer.setInputVal(`wxRain_${i + 1}`, v));
+        est.weatherModel.cold.forEach((v, i) => Renderer.setInputVal(`wxCold_${i + 1}`, v));
+        toggleWeatherGrid();
+    }
+    if (est.crossSection) fillCrossSection(est.crossSection);
+    // Segment rows were renumbered above; polygons find theirs again by name
+    takeoffPolygons = est.takeoffPolygons.map(p => TakeoffPolygon.fromJSON(p.toJSON()));
+    restorePlanTakeoff(est.planTakeoff ? PlanTakeoff.fromJSON(est.planTakeoff.toJSON()) : new PlanTakeoff());
+    for (const item of [...takeoffPolygons, ...planTakeoff.shapes]) {
+        if (!item.segment) continue;
+        const row = segmentRows(item.segment.activityType).find(r => r.name === item.name);
+        item.segment = row ? { activityType: item.segment.activityType, n: row.n } : null;
+    }
+    renderPolygons();
+    renderPlan();
+    if (est.jobMode) setJobMode(est.jobMode);
+}
+
+function duplicateSavedEstimate(estimateId) {
+    const copy = store.duplicateEstimate(estimateId);
+    if (copy) {
+        refreshEstimateList();
+        Renderer.showToast(`Created "${copy.projectName}"`);
+    } else {
+        showEstimateWriteFailure('duplicate');
+    }
+}
+
+function renameSavedEstimate(estimateId) {
+    const meta = store.listEstimates().find(e => e.id === estimateId);
+    if (!meta) return;
+    const name = prompt('Rename estimate:', meta.projectName || '');
+    if (name === null || !name.trim()) return;
+
+    if (store.renameEstimate(estimateId, name.trim())) {
+        if (estimateId === currentEstimateId) {
+            Renderer.setInputVal('projectName', name.trim());
+            autoSaveSession();
+        }
+        refreshEstimateList();
+    }
+}
+
+function deleteSavedEstimate(estimateId) {
+    const meta = store.listEstimates().find(e => e.id === estimateId);
+    if (!meta) return;
+    if (!confirm(`Delete "${meta.projectName || 'Untitled'}" and all its versions? This cannot be undone.`)) return;
+
+    if (store.deleteEstimate(estimateId)) {
+        if (estimateId === currentEstimateId) {
+            currentEstimateId = null;
+            autoSaveSession();
+        }
+        if (estimateId === historyEstimateId) closeRevisions();
+        refreshEstimateList();
+        Renderer.showToast('Estimate deleted');
+    }
+}
+
+function refreshEstimateList() {
+    Renderer.renderEstimateList(store.listEstimates(), currentEstimateId);
+    if (historyEstimateId) showRevisions(historyEstimateId);
+}
+
+// ---- Revision History ----
+
+/**
+ * Price a (rehydrated) estimate the same way calculateAll() does, using the
+ * trucking rate captured with it (simulation off). Used for revision diffs
+ * and sensitivity analysis.
+ */
+function priceEstimate(est) {
+    const results = calculateWithTruckingOverrides(est, est.projectSettings?.truckingRate || 0, { simulate: false });
+    return {
+        directCost: results.directCostTotal,
+        projectDuration: results.projectDuration,
+        totalEstimatedCost: results.totalEstimatedCost,
+    };
+}
+
+function showRevisions(estimateId) {
+    const meta = store.listEstimates().find(e => e.id === estimateId);
+    if (!meta) {
+        closeRevisions();
+        return;
+    }
+    historyEstimateId = estimateId;
+    Renderer.renderRevisionList(meta, store.listRevisions(estimateId));
+}
+
+function closeRevisions() {
+    historyEstimateId = null;
+    Renderer.renderRevisionList(null, []);
+}
+
+function restoreSavedRevision(estimateId, version) {
+    if (!confirm(`Restore v${version}? It will be saved as a new version and opened in the form.`)) return;
+
+    const restored = store.restoreRevision(estimateId, version);
+    if (!restored) {
+        if (store.storageFull) showEstimateWriteFailure('restore');
+        else Renderer.showToast('Unable to restore — snapshot missing');
+        return;
+    }
+    if (restored.formState) {
+        applyFormState(restored.formState);
+    } else {
+        applyEstimateToForm(restored);
+    }
+    currentEstimateId = restored.id;
+    calculateAll();
+    refreshEstimateList();
+    Renderer.showToast(`Restored v${version} as v${restored.version}`);
+}
+
+function compareRevisions() {
+    if (!historyEstimateId) return;
+    const fromVersion = parseInt(getTextVal('revisionFrom'), 10);
+    const toVersion = parseInt(getTextVal('revisionTo'), 10);
+    if (!fromVersion || !toVersion || fromVersion === toVersion) {
+        Renderer.showToast('Pick two different versions to compare');
+        return;
+    }
+
+    const before = store.loadRevisionData(historyEstimateId, Math.min(fromVersion, toVersion));
+    const after = store.loadRevisionData(historyEstimateId, Math.max(fromVersion, toVersion));
+    if (!before || !after) {
+        Renderer.showToast('Snapshot not available for one of those versions');
+        return;
+    }
+
+    const diff = diffEstimates(before, after, priceEstimate);
+    Renderer.renderRevisionDiff(diff, before.version, after.version);
+}
+
 // ---- UI Event Handlers ----
 
 let _autoCalcTimer = null;
@@ -758,7 +2064,7 @@ function autoCalcCheck() {
 
 function convertSfToSy() {
     const sf = getVal('sqFeetInput');
-    document.getElementById('sqYardsResult').value = sf ? (sf / 9).toFixed(2) : '0';
+    document.getElementById('sqYardsResult').value = sf ? sfToSy(sf).toFixed(2) : '0';
 }
 
 function togglePanel(btn, contentId) {
@@ -769,10 +2075,10 @@ function togglePanel(btn, contentId) {
 function saveRates() {
     const rates = {};
     const rateIds = [
-        'rate95HMA', 'rate19HMA', 'rateDGA', 'rateTack', 'tackAppRate',
+        ...Object.values(MATERIALS).map(m => m.rateInput), 'tackAppRate',
         'fuelIndex', 'acIndex', 'rateTrucking',
-        'rateCrewExc', 'rateCrewFG', 'rateCrewDGA', 'rateCrewMill', 'rateCrewBase', 'rateCrewSurf',
-        'mobExc', 'mobFG', 'mobDGA', 'mobMill', 'mobBase', 'mobSurf'
+        ...Object.values(ACTIVITY_CONFIG).map(c => c.crewRateInput).filter(Boolean),
+        ...Object.values(ACTIVITY_CONFIG).map(c => c.mobRateInput).filter(Boolean)
     ];
     for (const id of rateIds) {
         const el = document.getElementById(id);
@@ -787,6 +2093,18 @@ function saveRates() {
         weatherDays: getVal('weatherDays'),
         travelHours: getVal('travelHours'),
         clusterMode: isChecked('clusterMode'),
+        // v4.1 company calendar
+        workDaysPerWeek: getVal('workDaysPerWeek') || 5,
+        seasonStartMonth: getVal('seasonStartMonth'),
+        seasonEndMonth: getVal('seasonEndMonth'),
+        seasonMode: getTextVal('seasonMode'),
+        observeHolidays: isChecked('observeHolidays'),
+        companyHolidays: getTextVal('companyHolidays'),
+        weatherRegion: getTextVal('weatherRegion'),
+        weatherRain: weatherMonths('wxRain'),
+        weatherCold: weatherMonths('wxCold'),
+        levelCrews: isChecked('levelCrews'),
+        crewFleet: readCrewFleet(),
     };
 
     const ratesSaved = store.saveRatesLegacy(rates);
@@ -823,12 +2141,33 @@ function resetForm() {
     if (!confirm('Clear all inputs? This cannot be undone.')) return;
 
     document.querySelectorAll('input[type="number"]:not([id^="rate"]):not([id^="mob"]):not([id="markupPercent"]):not([id="tackAppRate"])').forEach(input => {
-        if (!input.readOnly && !input.id.includes('rate') && !input.id.includes('mob') && !input.id.startsWith('gc') && !input.id.startsWith('homeOffice') && !input.id.startsWith('bond') && !input.id.startsWith('gl') && !input.id.startsWith('wc') && !input.id.startsWith('permit') && !input.id.startsWith('prevailing') && !input.id.startsWith('contingency')) {
+        if (!input.readOnly && !input.id.includes('rate') && !input.id.includes('mob') && !input.id.startsWith('gc') && !input.id.startsWith('homeOffice') && !input.id.startsWith('bond') && !input.id.startsWith('gl') && !input.id.startsWith('wc') && !input.id.startsWith('permit') && !input.id.startsWith('prevailing') && !input.id.startsWith('contingency') && !input.id.startsWith('risk') && !input.id.startsWith('sens') && !input.id.startsWith('wx') && !input.id.startsWith('fleet')) {
             input.value = '';
         }
     });
     document.getElementById('projectName').value = '';
     document.getElementById('tackArea').value = '';
+    clearSegments();
+    for (const config of Object.values(ACTIVITY_CONFIG)) {
+        for (const p of config.params || []) {
+            const el = document.getElementById(p.inputId);
+            if (!el) continue;
+            if (p.type === 'checkbox') el.checked = !!p.default;
+            else el.value = p.default;
+        }
+    }
+    fillCrossSection(new CrossSection());
+    takeoffPolygons = [];
+    renderPolygons();
+    dxfTakeoff = null;
+    renderDxf();
+    csvTakeoff = null;
+    renderCsv();
+    restorePlanTakeoff(new PlanTakeoff());
+    renderPlan();
+    renderLaborRates('');
+    document.querySelectorAll('input[id^="src_"]').forEach(input => { input.value = ''; });
+    currentEstimateId = null;
 
     // Production-rate inputs share the 'rate' substring with the rate-library inputs,
     // so they're excluded by the regex above. Clear them explicitly.
@@ -842,13 +2181,16 @@ function resetForm() {
 
     document.querySelectorAll('select').forEach(select => {
         if (!select.id.includes('Modifier') && !select.id.includes('Waste') &&
-            !select.id.includes('Swell') && !select.id.includes('Efficiency')) {
+            !select.id.includes('Swell') && !select.id.includes('Efficiency') &&
+            !select.id.startsWith('risk') && !select.id.startsWith('season') &&
+            select.id !== 'workDaysPerWeek' && select.id !== 'weatherRegion') {
             select.selectedIndex = 0;
             select.classList.remove('suggested');
         }
     });
 
     calculateAll();
+    refreshEstimateList();
     Renderer.showToast('Form reset');
 }
 
@@ -902,6 +2244,8 @@ function setJobMode(mode) {
     currentJobMode = mode;
     document.getElementById('pillParkingLot').classList.toggle('active', mode === 'parking_lot');
     document.getElementById('pillRoadway').classList.toggle('active', mode === 'roadway');
+    const crossSection = document.getElementById('crossSectionPanel');
+    if (crossSection) crossSection.style.display = mode === 'roadway' ? '' : 'none';
 
     // Reset auto-suggested rates so they re-calculate for the new job mode
     for (const selectId of Object.values(RATE_SELECT_MAP)) {
@@ -957,6 +2301,316 @@ function initScopeGrid() {
     }
 }
 
+// ---- v4.1 Risk Register Grid ----
+
+function initRiskGrid() {
+    const tbody = document.getElementById('riskGrid');
+    if (!tbody) return;
+    tbody.innerHTML = '';
+
+    for (const risk of DEFAULT_RISK_TEMPLATES) {
+        const tr = document.createElement('tr');
+        tr.innerHTML = `
+            <td><input type="checkbox" id="risk_${risk.id}_on" checked onchange="updateRiskEV('${risk.id}'); autoCalcCheck()"></td>
+            <td><label for="risk_${risk.id}_on">${risk.description}</label></td>
+            <td><input type="number" inputmode="decimal" id="risk_${risk.id}_prob" value="${Math.round(risk.probability * 100)}" min="0" max="100" step="1"></td>
+            <td><input type="number" inputmode="decimal" id="risk_${risk.id}_min" value="${risk.impactMin}" step="100"></td>
+            <td><input type="number" inputmode="decimal" id="risk_${risk.id}_ml" value="${risk.impactMostLikely}" step="100"></td>
+            <td><input type="number" inputmode="decimal" id="risk_${risk.id}_max" value="${risk.impactMax}" step="100"></td>
+            <td class="risk-ev" id="risk_${risk.id}_ev">—</td>
+        `;
+        tr.querySelectorAll('input[type="number"]').forEach(input => {
+            input.addEventListener('input', () => {
+                updateRiskEV(risk.id);
+                autoCalcCheck();
+            });
+        });
+        tbody.appendChild(tr);
+    }
+}
+
+/**
+ * Region options and the month-by-month lost-day inputs (rain / cold rows).
+ * Inputs start at the default region's history; picking a region refills them.
+ */
+function initWeatherGrid() {
+    const select = document.getElementById('weatherRegion');
+    if (select) {
+        for (const [key, region] of Object.entries(WEATHER_REGIONS)) {
+            const option = document.createElement('option');
+            option.value = key;
+            option.textContent = region.label;
+            select.appendChild(option);
+        }
+    }
+
+    const tbody = document.getElementById('weatherGrid');
+    if (!tbody) return;
+    tbody.innerHTML = '';
+
+    const preset = WEATHER_REGIONS[DEFAULT_WEATHER_REGION];
+    for (const [prefix, label, values] of [['wxRain', 'Rain', preset.rain], ['wxCold', 'Cold', preset.cold]]) {
+        const tr = document.createElement('tr');
+        tr.innerHTML = `<td>${label}</td>` + values.map((v, i) =>
+            `<td><input type="number" inputmode="decimal" id="${prefix}_${i + 1}" value="${v}" min="0" max="23" step="0.5" oninput="autoCalcCheck()"></td>`
+        ).join('');
+        tbody.appendChild(tr);
+    }
+}
+
+/**
+ * One count input per crew code in DEFAULT_CREW_FLEET.
+ */
+function initCrewFleet() {
+    const container = document.getElementById('crewFleetGrid');
+    if (!container) return;
+    container.innerHTML = '';
+
+    for (const [code, count] of Object.entries(DEFAULT_CREW_FLEET)) {
+        const group = document.createElement('div');
+        group.className = 'setting-group compact';
+        group.title = CREW_DATA[code]?.desc || code;
+        group.innerHTML = `
+            <label for="fleet_${code}">${code}</label>
+            <input type="number" inputmode="decimal" id="fleet_${code}" value="${count}" min="0" max="9" step="1" style="width: 50px;" oninput="autoCalcCheck()">
+        `;
+        container.appendChild(group);
+    }
+}
+
+/**
+ * Cross-section target checkboxes, one per CROSS_SECTION_TARGETS entry, and
+ * the builder's default section.
+ */
+function initCrossSection() {
+    const container = document.getElementById('xsTargets');
+    if (!container) return;
+    container.innerHTML = '';
+
+    for (const { activityType, label } of CROSS_SECTION_TARGETS) {
+        const group = document.createElement('div');
+        group.className = 'checkbox-group';
+        group.innerHTML = `
+            <input type="checkbox" id="xsTarget_${activityType}" onchange="updateCrossSection()">
+            <label for="xsTarget_${activityType}">${label}</label>
+        `;
+        container.appendChild(group);
+    }
+    fillCrossSection(new CrossSection());
+}
+
+/**
+ * Drawing-unit choices for the DXF import, in $INSUNITS order.
+ */
+function initDxfImport() {
+    const select = document.getElementById('dxfUnits');
+    if (!select) return;
+    select.innerHTML = Object.entries(DXF_UNITS)
+        .map(([code, unit]) => `<option value="${code}">${unit.label}</option>`).join('');
+}
+
+/**
+ * One takeoff card per ACTIVITY_CONFIG entry with a card. Input ids come
+ * from config.inputs; output ids are out_<type>_<key>.
+ */
+function initActivityCards() {
+    const grid = document.getElementById('activityCards');
+    if (!grid) return;
+    grid.innerHTML = '';
+
+    for (const type of CARD_TYPES) {
+        const config = ACTIVITY_CONFIG[type];
+        const ids = config.inputs;
+        const takeoffLabel = takeoffLabelOf(config);
+        const paramInputs = (config.params || []).map(p => p.type === 'checkbox' ? `
+                <div class="mob-checkbox">
+                    <input type="checkbox" id="${p.inputId}"${p.default ? ' checked' : ''} onchange="autoCalcCheck()">
+                    <label for="${p.inputId}">${p.label}</label>
+                </div>` : p.type === 'select' ? `
+                <div class="input-group">
+                    <label>${p.label}</label>
+                    <select id="${p.inputId}" onchange="autoCalcCheck()">
+                        ${p.options.map(o => `<option value="${o.value}"${o.value === p.default ? ' selected' : ''}>${o.label}</option>`).join('')}
+                    </select>
+                </div>` : `
+                <div class="input-group">
+                    <label>${p.label}</label>
+                    <input type="number" inputmode="decimal" id="${p.inputId}" value="${p.default}" min="0" step="${p.step}" oninput="autoCalcCheck()">
+                </div>`).join('');
+        const out = (key, label, cls = '') =>
+            `<div class="output-row${cls ? ' ' + cls : ''}"><span class="label">${label}</span><span class="value" id="out_${type}_${key}">${cls === 'cost' ? '$0' : '0'}</span></div>`;
+
+        const card = document.createElement('div');
+        card.className = 'section-card';
+        card.innerHTML = `
+            <div class="section-header ${config.colorClass}">${config.cardTitle || config.label}</div>
+            <div class="section-body">
+                <div class="input-group">
+                    <label>${takeoffLabel}</label>
+                    <input type="number" inputmode="numeric" id="${ids.area}" placeholder="0" oninput="takeoffEdited('src_${type}')">
+                    <input type="hidden" id="src_${type}">
+                </div>
+                ${config.hasDepth ? `
+                <div class="input-group">
+                    <label>Depth (in)</label>
+                    <input type="number" inputmode="decimal" id="${ids.depth}" placeholder="0" oninput="autoCalcCheck()">
+                </div>` : ''}
+                ${config.hasCycleTime ? `
+                <div class="input-group">
+                    <label>${config.cycleLabel || 'Cycle Time (min)'}</label>
+                    <input type="number" inputmode="numeric" id="${ids.cycle}" placeholder="0" oninput="autoCalcCheck()">
+                    <div class="warning-badge" id="cycleWarn_${type}">⚠ No cycle time — trucking will be $0</div>
+                </div>` : ''}
+                ${paramInputs}
+                <div class="input-group">
+                    <label>${config.rateUOM}/day Rate</label>
+                    <input type="number" inputmode="numeric" id="${ids.rate}" placeholder="auto" min="0" step="${config.rateStep}" list="${ids.rate}List" oninput="autoCalcCheck()">
+                    <datalist id="${ids.rate}List">
+                        ${config.rateOptions.map(v => `<option value="${v}">`).join('')}
+                    </datalist>
+                </div>
+                <div class="mob-checkbox">
+                    <input type="checkbox" id="${ids.mob}" checked onchange="autoCalcCheck()">
+                    <label for="${ids.mob}">Include Mobilization</label>
+                </div>
+                <div class="segment-list" id="segments_${type}"></div>
+                <button type="button" class="btn-add-segment" onclick="addSegment('${type}')">+ Add Segment</button>
+            </div>
+            <div class="output-card">
+                <div class="output-header" style="color: var(--accent-${config.colorClass});">Output</div>
+                <div class="output-body">
+                    ${config.outputs.map(o => out(o.key, o.label)).join('')}
+                    ${out('days', 'Days', 'highlight')}
+                    ${config.hasCycleTime ? out('trucks', 'Trucks') + out('truckHrs', 'Truck Hrs') : ''}
+                    <div class="output-divider"></div>
+                    ${config.hasMaterial ? out('matCost', 'Material', 'cost') : ''}
+                    ${out('laborCost', 'Labor', 'cost')}
+                    ${config.hasCycleTime ? out('truckCost', 'Trucking', 'cost') : ''}
+                </div>
+            </div>
+        `;
+        grid.appendChild(card);
+    }
+}
+
+/**
+ * Material price, crew rate and mobilization rows in the rate panel, from
+ * MATERIALS and each activity's crewRateInput / mobRateInput.
+ */
+function initRateInputs() {
+    const rateRow = (id, label, placeholder, value = null) => {
+        const row = document.createElement('div');
+        row.className = 'rate-row';
+        row.innerHTML = `
+            <label>${label}</label>
+            <input type="number" inputmode="decimal" id="${id}" placeholder="${placeholder}" step="0.01"${value != null ? ` value="${value}"` : ''}>
+        `;
+        return row;
+    };
+
+    const materialRows = document.getElementById('materialRateRows');
+    if (materialRows) {
+        materialRows.innerHTML = '';
+        for (const m of Object.values(MATERIALS)) {
+            materialRows.appendChild(rateRow(m.rateInput, `${m.name} ($/${m.unitId.toLowerCase()})`, '0.00', m.defaultPrice));
+        }
+    }
+
+    const crewRows = document.getElementById('crewRateRows');
+    const mobRows = document.getElementById('mobRateRows');
+    if (crewRows) crewRows.innerHTML = '';
+    if (mobRows) mobRows.innerHTML = '';
+    for (const config of Object.values(ACTIVITY_CONFIG)) {
+        if (config.crewRateInput && crewRows) crewRows.appendChild(rateRow(config.crewRateInput, `${config.label} Crew`, 'auto'));
+        if (config.mobRateInput && mobRows) mobRows.appendChild(rateRow(config.mobRateInput, `${config.label} Mob`, '0.00'));
+    }
+}
+
+/**
+ * Per-activity lines in the cost summary, ids cost_<category>_<type>.
+ */
+function initCostSummary() {
+    const groups = [
+        ['costMaterialLines', 'material', config => config.hasMaterial, config => config.materialLabel || MATERIALS[config.materialId].name],
+        ['costLaborLines', 'labor', config => !!config.crewRateInput],
+        ['costEquipmentLines', 'equipment', config => !!config.crewRateInput],
+        ['costTruckingLines', 'trucking', config => config.hasCycleTime],
+        ['costMobLines', 'mob', config => !!config.mobRateInput],
+    ];
+    for (const [containerId, category, applies, labelOf = config => config.label] of groups) {
+        const container = document.getElementById(containerId);
+        if (!container) continue;
+        container.innerHTML = '';
+        for (const [type, config] of Object.entries(ACTIVITY_CONFIG)) {
+            if (!applies(config)) continue;
+            const line = document.createElement('div');
+            line.className = 'cost-line';
+            line.innerHTML = `
+                <span class="label">${labelOf(config)}</span>
+                <span class="value" id="cost_${category}_${type}">$0</span>
+            `;
+            container.appendChild(line);
+        }
+    }
+}
+
+function applyWeatherRegion() {
+    const region = WEATHER_REGIONS[getTextVal('weatherRegion')];
+    if (region) {
+        region.rain.forEach((v, i) => Renderer.setInputVal(`wxRain_${i + 1}`, v));
+        region.cold.forEach((v, i) => Renderer.setInputVal(`wxCold_${i + 1}`, v));
+    }
+    toggleWeatherGrid();
+    autoCalcCheck();
+}
+
+function toggleWeatherGrid() {
+    const table = document.getElementById('weatherTable');
+    if (table) table.style.display = getTextVal('weatherRegion') ? '' : 'none';
+}
+
+function updateRiskEV(riskId) {
+    const on = isChecked(`risk_${riskId}_on`);
+    const ev = (getVal(`risk_${riskId}_prob`) / 100) * getVal(`risk_${riskId}_ml`);
+    Renderer.setVal(`risk_${riskId}_ev`, on ? Renderer.formatCurrency(ev) : '—');
+}
+
+/**
+ * Swing each bid driver by ±range on a snapshot of the current estimate and
+ * show the ranked effect on bid price. On demand — it re-prices the estimate
+ * a few dozen times.
+ */
+function runSensitivity() {
+    if (!estimate || !estimate.results) {
+        calculateAll();
+    }
+    if (!estimate?.results) {
+        Renderer.showToast('Calculate first to run sensitivity');
+        return;
+    }
+
+    const range = (getVal('sensRange') || 10) / 100;
+    const data = JSON.parse(JSON.stringify(estimate.toJSON()));
+    estimate.results.sensitivity = analyzeSensitivity(data, priceEstimate, { range });
+    Renderer.renderSensitivity(estimate.results.sensitivity);
+    if (estimate.results.sensitivity.drivers.length === 0) {
+        Renderer.showToast('No priced drivers to vary');
+    }
+}
+
+/**
+ * Pin the seed of the last simulation into the seed input so re-runs reproduce it.
+ */
+function lockRiskSeed() {
+    const seed = estimate?.results?.riskAnalysis?.seed;
+    if (seed == null) {
+        Renderer.showToast('Calculate first to get a seed');
+        return;
+    }
+    document.getElementById('riskSeed').value = seed;
+    Renderer.showToast(`Seed ${seed} locked`);
+}
+
 function toggleExportMenu() {
     const menu = document.getElementById('exportMenu');
     if (menu) menu.classList.toggle('open');
@@ -980,10 +2634,80 @@ window.clearSavedRates = clearSavedRates;
 window.resetForm = resetForm;
 window.exportResults = exportResults;
 window.toggleExportMenu = toggleExportMenu;
+window.updateRiskEV = updateRiskEV;
+window.applyWeatherRegion = applyWeatherRegion;
+window.addSegment = addSegment;
+window.removeSegment = removeSegment;
+window.lockRiskSeed = lockRiskSeed;
+window.runSensitivity = runSensitivity;
 window.setJobMode = setJobMode;
+window.updateCrossSection = updateCrossSection;
+window.applyCrossSection = applyCrossSection;
+window.takeoffEdited = takeoffEdited;
+window.importPolygonFile = importPolygonFile;
+window.setPolygonField = setPolygonField;
+window.removePolygon = removePolygon;
+window.applyPolygons = applyPolygons;
+window.clearPolygons = clearPolygons;
+window.importDxfFile = importDxfFile;
+window.renderDxf = renderDxf;
+window.addDxfMapping = addDxfMapping;
+window.setDxfMapping = setDxfMapping;
+window.removeDxfMapping = removeDxfMapping;
+window.applyDxfMappings = applyDxfMappings;
+window.clearDxf = clearDxf;
+window.importCsvFile = importCsvFile;
+window.setCsvColumn = setCsvColumn;
+window.setCsvAlias = setCsvAlias;
+window.clearCsv = clearCsv;
+window.setEquipmentField = setEquipmentField;
+window.resetEquipmentLibrary = resetEquipmentLibrary;
+window.onFuelPriceChange = onFuelPriceChange;
+window.onWageTableChange = onWageTableChange;
+window.copyWageTable = copyWageTable;
+window.deleteWageTable = deleteWageTable;
+window.setWageField = setWageField;
+window.setOvertimeRule = setOvertimeRule;
+window.applyCsvTakeoff = applyCsvTakeoff;
+window.renderPlan = renderPlan;
+window.loadPlanImage = loadPlanImage;
+window.setPlanTool = setPlanTool;
+window.planClick = planClick;
+window.undoPlanPoint = undoPlanPoint;
+window.cancelPlanDraft = cancelPlanDraft;
+window.finishPlanShape = finishPlanShape;
+window.selectPlanShape = selectPlanShape;
+window.setPlanShapeField = setPlanShapeField;
+window.removePlanHole = removePlanHole;
+window.removePlanShape = removePlanShape;
+window.applyPlanTakeoff = applyPlanTakeoff;
+window.clearPlanTakeoff = clearPlanTakeoff;
+window.saveCurrentEstimate = saveCurrentEstimate;
+window.openEstimate = openEstimate;
+window.duplicateSavedEstimate = duplicateSavedEstimate;
+window.renameSavedEstimate = renameSavedEstimate;
+window.deleteSavedEstimate = deleteSavedEstimate;
+window.showRevisions = showRevisions;
+window.closeRevisions = closeRevisions;
+window.restoreSavedRevision = restoreSavedRevision;
+window.compareRevisions = compareRevisions;
 
 // ---- Initialization ----
 document.addEventListener('DOMContentLoaded', function () {
+    // Activity cards, rate rows, weather and fleet inputs are generated from
+    // config, so build them before saved rates and settings fill them
+    initActivityCards();
+    initRateInputs();
+    initCostSummary();
+    initWeatherGrid();
+    initCrewFleet();
+    initCrossSection();
+    initDxfImport();
+    itemAliases = store.loadItemAliases();
+    equipmentOverrides = store.loadEquipmentLibrary();
+    wageTables = store.loadWageTables();
+    renderLaborRates();
+
     // Load saved rates (backward compatible)
     const rates = store.loadRatesLegacy();
     if (rates) {
@@ -1002,15 +2726,33 @@ document.addEventListener('DOMContentLoaded', function () {
         if (savedSettings.weatherDays != null) document.getElementById('weatherDays').value = savedSettings.weatherDays;
         if (savedSettings.travelHours != null) document.getElementById('travelHours').value = savedSettings.travelHours;
         if (savedSettings.clusterMode != null) document.getElementById('clusterMode').checked = savedSettings.clusterMode;
+        if (savedSettings.workDaysPerWeek) document.getElementById('workDaysPerWeek').value = savedSettings.workDaysPerWeek;
+        if (savedSettings.seasonStartMonth) document.getElementById('seasonStartMonth').value = savedSettings.seasonStartMonth;
+        if (savedSettings.seasonEndMonth) document.getElementById('seasonEndMonth').value = savedSettings.seasonEndMonth;
+        if (savedSettings.seasonMode) document.getElementById('seasonMode').value = savedSettings.seasonMode;
+        if (savedSettings.observeHolidays != null) document.getElementById('observeHolidays').checked = savedSettings.observeHolidays;
+        if (savedSettings.companyHolidays != null) document.getElementById('companyHolidays').value = savedSettings.companyHolidays;
+        if (savedSettings.weatherRegion != null) document.getElementById('weatherRegion').value = savedSettings.weatherRegion;
+        (savedSettings.weatherRain || []).forEach((v, i) => Renderer.setInputVal(`wxRain_${i + 1}`, v));
+        (savedSettings.weatherCold || []).forEach((v, i) => Renderer.setInputVal(`wxCold_${i + 1}`, v));
+        if (savedSettings.levelCrews != null) document.getElementById('levelCrews').checked = savedSettings.levelCrews;
+        for (const [code, count] of Object.entries(savedSettings.crewFleet || {})) {
+            Renderer.setInputVal(`fleet_${code}`, count);
+        }
     }
+    toggleWeatherGrid();
 
     // Initialize scope grid (must run before session restore so radios exist)
     initScopeGrid();
+    initRiskGrid();
 
     // Restore last-used session (project takeoffs, indirects, scope, notes).
     // This overlays on top of rate-library and settings loaded above, since
     // the session is the most-recent snapshot.
     const restored = restoreSession();
+    renderEquipmentLibrary();
+    refreshEstimateList();
+    DEFAULT_RISK_TEMPLATES.forEach(r => updateRiskEV(r.id));
 
     // Wire rate input manual-change handlers to clear "suggested" indicator
     for (const selectId of Object.values(RATE_SELECT_MAP)) {
@@ -1023,8 +2765,7 @@ document.addEventListener('DOMContentLoaded', function () {
     // If we restored a session and at least one takeoff is populated, calculate
     // so the rendered output reflects the restored state immediately.
     if (restored) {
-        const anyArea = ['excavationArea', 'fineGradingArea', 'dgaArea', 'millingArea', 'baseArea', 'surfaceArea']
-            .some(id => getVal(id) > 0);
+        const anyArea = CARD_TYPES.some(type => getVal(ACTIVITY_CONFIG[type].inputs.area) > 0);
         if (anyArea) calculateAll();
     }
 });
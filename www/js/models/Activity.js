@@ -4,6 +4,11 @@
 // ============================================
 
 import { CONSTANTS } from '../data/constants.js';
+import { Quantity } from './Quantity.js';
+import { Crew } from './Crew.js';
+import { ProductionRate } from './ProductionRate.js';
+import { ProductivityFactor } from './ProductivityFactor.js';
+import { Segment } from './Segment.js';
 
 /**
  * Dependency relationship types (Tier 3.1)
@@ -39,6 +44,7 @@ export class Activity {
      * @param {string} [params.colorClass] - UI color class (e.g., "red", "blue")
      * @param {string} [params.crewCode] - Named crew code from CREW_DATA (e.g., "PV8")
      * @param {boolean} [params.crewAutoSelected] - Whether crew was auto-selected vs manual
+     * @param {import('./Segment.js').Segment[]} [params.segments] - Takeoff areas; quantity is their roll-up
      */
     constructor({
         id, description, wbsCode, activityType,
@@ -49,7 +55,8 @@ export class Activity {
         dependencies = [],
         colorClass = '',
         crewCode = null,
-        crewAutoSelected = true
+        crewAutoSelected = true,
+        segments = []
     }) {
         this.id = id;
         this.description = description;
@@ -68,7 +75,9 @@ export class Activity {
         // v4.0 additions
         this.crewCode = crewCode;
         this.crewAutoSelected = crewAutoSelected;
+        this.segments = segments;
         this.threeTier = null;           // Populated by Calculator
+        this.overtime = null;            // Populated by Calculator (overtime/double-time premium)
         this.clusterAssignment = null;   // Populated by ClusterEngine
         this.materialBreakdown = null;   // Populated by Calculator (material cost detail)
         this.reviewerNote = '';
@@ -79,12 +88,30 @@ export class Activity {
 
     // ---- Derived values (Tier 1.1 table) ----
 
+    /**
+     * Composite productivity factor for the whole activity.
+     * With segments, each segment's quantity runs at its own factor, so the
+     * activity factor is their quantity-weighted harmonic mean (same total days).
+     */
+    get productivityComposite() {
+        const base = this.productivityFactor?.composite || 1;
+        if (this.segments.length === 0) return base;
+
+        let gross = 0;
+        let weightedDays = 0;
+        for (const seg of this.segments) {
+            gross += seg.grossQuantity;
+            weightedDays += seg.grossQuantity / (seg.productivityFactor?.composite || base);
+        }
+        return weightedDays > 0 ? gross / weightedDays : base;
+    }
+
     /**
      * Adjusted production rate = reference rate × composite productivity factor.
      */
     get adjustedProductionRate() {
         if (!this.productionRate) return 0;
-        return this.productionRate.outputQty * this.productivityFactor.composite;
+        return this.productionRate.outputQty * this.productivityComposite;
     }
 
     /**
@@ -107,10 +134,18 @@ export class Activity {
     }
 
     /**
-     * Labor cost = duration × crew labor cost per day.
+     * Labor cost = duration × crew labor cost per day + overtime premium.
      */
     get laborCost() {
-        return this.duration * this.crew.laborCostPerDay(CONSTANTS.WORKDAY_HOURS);
+        return this.duration * this.crew.laborCostPerDay(CONSTANTS.WORKDAY_HOURS) + this.overtimeCost;
+    }
+
+    /**
+     * Overtime and double-time premium on the optimized shift pattern
+     * (LaborCost.overtimePremium); 0 until calculated.
+     */
+    get overtimeCost() {
+        return this.overtime?.cost || 0;
     }
 
     /**
@@ -135,8 +170,66 @@ export class Activity {
      * Mobilization cost (if included and activity has work).
      */
     get mobilizationCost() {
-        if (!this.mobilization.included || this.duration <= 0) return 0;
-        return this.mobilization.cost;
+        if (this.duration <= 0) return 0;
+        const segmentMob = this.segments.reduce((sum, seg) => sum + seg.mobilizationCost, 0);
+        return (this.mobilization.included ? this.mobilization.cost : 0) + segmentMob;
+    }
+
+    /**
+     * Per-segment share of the activity: days, tonnage, cost and unit cost.
+     * Crew cost follows each segment's share of production days; material and
+     * trucking follow tonnage (or quantity when the activity moves no tons).
+     * Activity-level mobilization is carried on the first segment.
+     *
+     * @param {number} [truckCost=0] - Activity trucking cost to allocate
+     * @param {string} [unitUOM='SY'] - Unit cost basis: 'SY' divides by takeoff area, otherwise by measured quantity (CY, LF)
+     * @returns {Array} One row per segment (empty when the activity has no segments)
+     */
+    segmentBreakdown(truckCost = 0, unitUOM = 'SY') {
+        if (this.segments.length === 0) return [];
+
+        const rate = this.productionRate?.outputQty || 0;
+        const base = this.productivityFactor?.composite || 1;
+        const rawDays = this.segments.map(seg =>
+            rate > 0 ? seg.grossQuantity / (rate * (seg.productivityFactor?.composite || base)) : 0);
+        const totalRawDays = rawDays.reduce((a, b) => a + b, 0);
+        const totalTons = this.segments.reduce((sum, seg) => sum + seg.tons, 0);
+        const totalGross = this.quantity?.grossQuantity || 0;
+        const crewCost = this.laborCost + this.equipmentCost;
+        const activityMob = this.mobilization.included && this.duration > 0 ? this.mobilization.cost : 0;
+
+        return this.segments.map((seg, i) => {
+            const dayShare = totalRawDays > 0 ? rawDays[i] / totalRawDays : 0;
+            const qtyShare = totalTons > 0 ? seg.tons / totalTons :
+                totalGross > 0 ? seg.grossQuantity / totalGross : 0;
+            const labor = this.laborCost * dayShare;
+            const equipment = this.equipmentCost * dayShare;
+            const material = this.materialCost * qtyShare;
+            const trucking = truckCost * qtyShare;
+            const mobilization = (i === 0 ? activityMob : 0) + (this.duration > 0 ? seg.mobilizationCost : 0);
+            const productionCost = crewCost * dayShare + material + trucking;
+            const area = seg.quantity?.inputs?.area || 0;
+            const denominator = unitUOM === 'SY' ? (area || seg.grossQuantity) : seg.grossQuantity;
+
+            return {
+                name: seg.name,
+                area,
+                depth: seg.quantity?.inputs?.depth || 0,
+                quantity: seg.grossQuantity,
+                quantityUOM: this.quantity?.uomId || '',
+                tons: seg.tons,
+                productivityFactor: seg.productivityFactor?.composite || base,
+                duration: this.duration * dayShare,
+                laborCost: labor,
+                equipmentCost: equipment,
+                materialCost: material,
+                truckingCost: trucking,
+                mobilizationCost: mobilization,
+                directCost: productionCost + mobilization,
+                unitCost: denominator > 0 ? productionCost / denominator : 0,
+                unitCostUOM: unitUOM,
+            };
+        });
     }
 
     // ---- Trucking calculations ----
@@ -187,7 +280,7 @@ export class Activity {
                 formula: 'productionRate × productivityFactor.composite',
                 values: {
                     productionRate: this.productionRate?.outputQty,
-                    productivityComposite: this.productivityFactor?.composite
+                    productivityComposite: this.productivityComposite
                 },
                 result: this.adjustedProductionRate
             },
@@ -200,10 +293,11 @@ export class Activity {
                 result: this.duration
             },
             laborCost: {
-                formula: 'duration × crewCostPerDay',
+                formula: 'duration × crewCostPerDay + overtimeCost',
                 values: {
                     duration: this.duration,
-                    crewCostPerDay: this.crew?.costPerDay(CONSTANTS.WORKDAY_HOURS)
+                    crewCostPerDay: this.crew?.costPerDay(CONSTANTS.WORKDAY_HOURS),
+                    overtimeCost: this.overtimeCost
                 },
                 result: this.laborCost
             },
@@ -250,7 +344,49 @@ export class Activity {
             colorClass: this.colorClass,
             crewCode: this.crewCode,
             crewAutoSelected: this.crewAutoSelected,
+            segments: this.segments.map(seg => seg.toJSON()),
             reviewerNote: this.reviewerNote,
+            extra: this._extra || null,
+            truckingQuantityOverride: this._truckingQuantityOverride || null,
         };
     }
+
+    /**
+     * Rebuild a live Activity from toJSON() output.
+     * Material and crew resourceId references are resolved against the
+     * estimate's resource library.
+     *
+     * @param {Object} data - Serialized activity
+     * @param {Map<string, Resource>} resources - Resource library keyed by id
+     * @returns {Activity}
+     */
+    static fromJSON(data, resources = new Map()) {
+        const activity = new Activity({
+            id: data.id,
+            description: data.description,
+            wbsCode: data.wbsCode,
+            activityType: data.activityType,
+            quantity: data.quantity ? Quantity.fromJSON(data.quantity) : null,
+            crew: data.crew ? Crew.fromJSON(data.crew, resources) : null,
+            productionRate: data.productionRate ? ProductionRate.fromJSON(data.productionRate) : null,
+            productivityFactor: data.productivityFactor ? ProductivityFactor.fromJSON(data.productivityFactor) : new ProductivityFactor(),
+            materialResources: (data.materialResources || [])
+                .filter(mr => resources.has(mr.resourceId))
+                .map(mr => ({
+                    resource: resources.get(mr.resourceId),
+                    quantityPerOutputUnit: mr.quantityPerOutputUnit,
+                })),
+            mobilization: data.mobilization || { included: false, cost: 0 },
+            trucking: data.trucking || null,
+            dependencies: data.dependencies || [],
+            colorClass: data.colorClass || '',
+            crewCode: data.crewCode || null,
+            crewAutoSelected: data.crewAutoSelected !== false,
+            segments: (data.segments || []).map(seg => Segment.fromJSON(seg)),
+        });
+        activity.reviewerNote = data.reviewerNote || '';
+        if (data.extra) activity._extra = data.extra;
+        if (data.truckingQuantityOverride) activity._truckingQuantityOverride = data.truckingQuantityOverride;
+        return activity;
+    }
 }
@@ -10,7 +10,7 @@ export class Crew {
      * @param {Object} params
      * @param {string} params.id - Unique crew ID (e.g., "C-EXC-01")
      * @param {string} params.name - Display name (e.g., "Excavation Crew")
-     * @param {Array} [params.laborComponents] - [{ resource: Resource, count: number }]
+     * @param {Array} [params.laborComponents] - [{ resource: Resource, count: number, classification?: string }]
      * @param {Array} [params.equipmentComponents] - [{ resource: Resource, count: number }]
      * @param {number} [params.compositeRate] - Shortcut: single $/hr for entire crew (backward compat)
      */
@@ -76,6 +76,13 @@ export class Crew {
         return this.equipmentCostPerHour * hoursPerDay;
     }
 
+    /**
+     * Crew code (e.g. "PV10") from the "C-<code>" id convention; used to match the crew fleet.
+     */
+    get code() {
+        return this.id?.startsWith('C-') ? this.id.slice(2) : this.id;
+    }
+
     /**
      * Total headcount (labor only).
      */
@@ -97,7 +104,8 @@ export class Crew {
             name: this.name,
             laborComponents: this.laborComponents.map(lc => ({
                 resourceId: lc.resource.id,
-                count: lc.count
+                count: lc.count,
+                classification: lc.classification
             })),
             equipmentComponents: this.equipmentComponents.map(ec => ({
                 resourceId: ec.resource.id,
@@ -108,6 +116,36 @@ export class Crew {
         };
     }
 
+    /**
+     * Rebuild a crew from toJSON() output, resolving each component's
+     * resourceId against the estimate's resource library.
+     *
+     * @param {Object} data - Serialized crew
+     * @param {Map<string, Resource>} resources - Resource library keyed by id
+     * @returns {Crew}
+     */
+    static fromJSON(data, resources = new Map()) {
+        const resolve = (components = []) => components
+            .filter(c => resources.has(c.resourceId))
+            .map(c => ({
+                resource: resources.get(c.resourceId),
+                count: c.count,
+                ...(c.classification ? { classification: c.classification } : {}),
+            }));
+
+        const crew = new Crew({
+            id: data.id,
+            name: data.name,
+            laborComponents: resolve(data.laborComponents),
+            equipmentComponents: resolve(data.equipmentComponents),
+            compositeRate: data.compositeRate ?? null,
+        });
+        if (data.headcount !== undefined && data.headcount !== null) {
+            crew._headcount = data.headcount;
+        }
+        return crew;
+    }
+
     /**
      * Create a simple crew from a composite rate and headcount.
      * Backward-compatible with current app's single-rate approach.
@@ -140,34 +178,49 @@ export class Crew {
      *
      * @param {string} code - Crew code (e.g., "PV8")
      * @param {Object} comp - CREW_COMPOSITIONS entry
+     * @param {Object<string, number>} [equipmentRates] - Equipment code → O&O $/hr
+     *   (EquipmentCost.equipmentRates); components without one keep their listed rate
+     * @param {Object<string, Object>} [laborRates] - Classification → burdened rate
+     *   (LaborCost.laborRates) from a prevailing-wage table; components without
+     *   one keep their listed rate
      * @returns {Crew}
      */
-    static fromDetailedData(code, comp) {
-        const laborComponents = comp.laborComponents.map((lc, i) => ({
-            resource: new Resource({
-                id: `L-${code}-${i}`,
-                name: lc.name,
-                type: ResourceType.LABOR,
-                unitId: 'HR',
-                costRate: lc.rate,
-                source: comp.source || '',
-                sourceRank: comp.sourceRank || SourceRank.FIRST_PRINCIPLES,
-            }),
-            count: lc.count,
-        }));
-
-        const equipmentComponents = comp.equipmentComponents.map((ec, i) => ({
-            resource: new Resource({
-                id: ec.code || `E-${code}-${i}`,
-                name: ec.name,
-                type: ResourceType.EQUIPMENT,
-                unitId: 'HR',
-                costRate: ec.rate,
-                source: comp.source || '',
-                sourceRank: comp.sourceRank || SourceRank.FIRST_PRINCIPLES,
-            }),
-            count: ec.count,
-        }));
+    static fromDetailedData(code, comp, equipmentRates = null, laborRates = null) {
+        const laborComponents = comp.laborComponents.map((lc, i) => {
+            const tableRate = laborRates?.[lc.classification];
+            return {
+                resource: new Resource({
+                    id: `L-${code}-${i}`,
+                    name: lc.name,
+                    type: ResourceType.LABOR,
+                    unitId: 'HR',
+                    costRate: tableRate?.rate ?? lc.rate,
+                    costStructure: tableRate || null,
+                    source: tableRate?.source || comp.source || '',
+                    sourceRank: comp.sourceRank || SourceRank.FIRST_PRINCIPLES,
+                }),
+                count: lc.count,
+                classification: lc.classification,
+            };
+        });
+
+        const equipmentComponents = comp.equipmentComponents.map((ec, i) => {
+            const libraryRate = equipmentRates?.[ec.code];
+            return {
+                // Ids are per crew like labor's: the same code is listed at
+                // different rates in different crews (EQ-MISC allowances)
+                resource: new Resource({
+                    id: `E-${code}-${i}`,
+                    name: ec.name,
+                    type: ResourceType.EQUIPMENT,
+                    unitId: 'HR',
+                    costRate: libraryRate ?? ec.rate,
+                    source: libraryRate !== undefined ? 'Equipment library (ownership + operating)' : comp.source || '',
+                    sourceRank: comp.sourceRank || SourceRank.FIRST_PRINCIPLES,
+                }),
+                count: ec.count,
+            };
+        });
 
         const crew = new Crew({
             id: `C-${code}`,
@@ -188,9 +241,11 @@ export class Crew {
      * @param {Object} thresholds - CREW_THRESHOLDS
      * @param {Object} crewData - CREW_DATA (composite rates)
      * @param {Object} [compositions] - CREW_COMPOSITIONS (detailed breakdowns)
+     * @param {Object<string, number>} [equipmentRates] - Equipment code → O&O $/hr for detailed crews
+     * @param {Object<string, Object>} [laborRates] - Classification → burdened rate for detailed crews
      * @returns {{ code: string, crew: Crew } | null}
      */
-    static autoSelect(totalSY, activityType, thresholds, crewData, compositions = null) {
+    static autoSelect(totalSY, activityType, thresholds, crewData, compositions = null, equipmentRates = null, laborRates = null) {
         const tiers = thresholds[activityType] || thresholds.paving;
         if (!tiers) return null;
 
@@ -200,7 +255,7 @@ export class Crew {
                 if (compositions && compositions[tier.crew]) {
                     return {
                         code: tier.crew,
-                        crew: Crew.fromDetailedData(tier.crew, compositions[tier.crew]),
+                        crew: Crew.fromDetailedData(tier.crew, compositions[tier.crew], equipmentRates, laborRates),
                     };
                 }
                 // Fallback to composite rate
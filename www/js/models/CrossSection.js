@@ -0,0 +1,121 @@
+// ============================================
+// Tier 0.6 — Roadway Cross-Section
+// Typical section over a centerline length, measured into takeoff quantities
+// ============================================
+
+import { CONSTANTS } from '../data/constants.js';
+import { CROSS_SECTION_TARGETS } from '../data/paving-defaults.js';
+
+const PAVING_TYPES = ['paving_base', 'paving_surface'];
+
+export class CrossSection {
+    /**
+     * @param {Object} [params]
+     * @param {number} [params.lengthLF=0] - Centerline length
+     * @param {number} [params.lanes=2] - Through lanes
+     * @param {number} [params.laneWidth=12] - Through lane width, ft
+     * @param {number} [params.leftShoulder=0] - Paved shoulder width, ft
+     * @param {number} [params.rightShoulder=0] - Paved shoulder width, ft
+     * @param {number} [params.turnLanes=0] - Auxiliary turn lanes
+     * @param {number} [params.turnLaneLength=0] - Full-width storage per turn lane, LF
+     * @param {number} [params.turnLaneWidth=12] - Turn lane width, ft
+     * @param {number} [params.taperLength=0] - Taper per turn lane, LF (paved as a triangle)
+     * @param {boolean} [params.millShoulders=false] - Shoulders are milled with the lanes
+     * @param {string[]} [params.targets] - Activity types the section feeds (CROSS_SECTION_TARGETS)
+     */
+    constructor({
+        lengthLF = 0,
+        lanes = 2,
+        laneWidth = 12,
+        leftShoulder = 0,
+        rightShoulder = 0,
+        turnLanes = 0,
+        turnLaneLength = 0,
+        turnLaneWidth = 12,
+        taperLength = 0,
+        millShoulders = false,
+        targets = CROSS_SECTION_TARGETS.filter(t => t.default).map(t => t.activityType)
+    } = {}) {
+        this.lengthLF = lengthLF;
+        this.lanes = lanes;
+        this.laneWidth = laneWidth;
+        this.leftShoulder = leftShoulder;
+        this.rightShoulder = rightShoulder;
+        this.turnLanes = turnLanes;
+        this.turnLaneLength = turnLaneLength;
+        this.turnLaneWidth = turnLaneWidth;
+        this.taperLength = taperLength;
+        this.millShoulders = millShoulders;
+        this.targets = targets;
+    }
+
+    get laneSY() {
+        return Math.ceil(this.lengthLF * this.lanes * this.laneWidth / CONSTANTS.SF_PER_SY);
+    }
+
+    get shoulderSY() {
+        return Math.ceil(this.lengthLF * (this.leftShoulder + this.rightShoulder) / CONSTANTS.SF_PER_SY);
+    }
+
+    get turnLaneSY() {
+        const sfEach = this.turnLaneWidth * (this.turnLaneLength + this.taperLength / 2);
+        return Math.ceil(this.turnLanes * sfEach / CONSTANTS.SF_PER_SY);
+    }
+
+    /**
+     * Full paved width: lanes, shoulders and turn lanes.
+     */
+    get pavedSY() {
+        return this.laneSY + this.shoulderSY + this.turnLaneSY;
+    }
+
+    get millingSY() {
+        return this.laneSY + this.turnLaneSY + (this.millShoulders ? this.shoulderSY : 0);
+    }
+
+    /**
+     * One tack shot under each HMA lift the section feeds.
+     */
+    get tackSY() {
+        return this.pavedSY * PAVING_TYPES.filter(type => this.targets.includes(type)).length;
+    }
+
+    /**
+     * Longitudinal joints: between lanes, at each paved shoulder, and along
+     * each turn lane's storage and taper.
+     */
+    get jointLF() {
+        const lineCount = Math.max(0, this.lanes - 1) + (this.leftShoulder > 0 ? 1 : 0) + (this.rightShoulder > 0 ? 1 : 0);
+        return Math.ceil(this.lengthLF * lineCount + this.turnLanes * (this.turnLaneLength + this.taperLength));
+    }
+
+    /**
+     * Takeoff quantity for each activity the section feeds.
+     * @returns {Object<string, number>} activityType → SY (LF for joints)
+     */
+    takeoff() {
+        return Object.fromEntries(CROSS_SECTION_TARGETS
+            .filter(t => this.targets.includes(t.activityType))
+            .map(t => [t.activityType, this[t.quantity]]));
+    }
+
+    toJSON() {
+        return {
+            lengthLF: this.lengthLF,
+            lanes: this.lanes,
+            laneWidth: this.laneWidth,
+            leftShoulder: this.leftShoulder,
+            rightShoulder: this.rightShoulder,
+            turnLanes: this.turnLanes,
+            turnLaneLength: this.turnLaneLength,
+            turnLaneWidth: this.turnLaneWidth,
+            taperLength: this.taperLength,
+            millShoulders: this.millShoulders,
+            targets: this.targets
+        };
+    }
+
+    static fromJSON(data) {
+        return new CrossSection(data);
+    }
+}
@@ -6,6 +6,14 @@
 import { TimeUnit } from './TimeUnit.js';
 import { IndirectCosts } from './IndirectCosts.js';
 import { RiskRegister } from './RiskRegister.js';
+import { WeatherModel } from './WeatherModel.js';
+import { CrossSection } from './CrossSection.js';
+import { TakeoffPolygon } from './TakeoffPolygon.js';
+import { PlanTakeoff } from './PlanTakeoff.js';
+import { Resource } from './Resource.js';
+import { Activity } from './Activity.js';
+import { WorkPackage } from './WorkPackage.js';
+import { STANDARD_SCOPE_TYPES } from '../data/paving-defaults.js';
 
 export class Estimate {
     /**
@@ -20,6 +28,15 @@ export class Estimate {
      * @param {RiskRegister} [params.riskRegister] - Tier 5 risks
      * @param {Object} [params.projectSettings] - Global settings
      * @param {Object} [params.rateLibrary] - Resource/rate library references
+     * @param {string} [params.startDate] - Project start 'YYYY-MM-DD' (null = undated schedule)
+     * @param {string} [params.seasonMode] - 'warn' | 'push' for out-of-season paving
+     * @param {WeatherModel} [params.weatherModel] - Regional weather history (null = flat weatherDays)
+     * @param {Object<string, number>} [params.crewFleet] - Crews owned per code (null = no resource leveling)
+     * @param {CrossSection} [params.crossSection] - Roadway typical section the takeoff came from (null = direct SY)
+     * @param {TakeoffPolygon[]} [params.takeoffPolygons] - Imported polygon geometry behind area takeoffs
+     * @param {PlanTakeoff} [params.planTakeoff] - On-screen takeoff traced over a plan image (null = none)
+     * @param {Object} [params.overtime] - { source, rules, overtimeBase } overtime pricing: the wage
+     *   table's rules and each classification's overtime base $/hr (null = no overtime premium)
      */
     constructor({
         id = null,
@@ -40,6 +57,16 @@ export class Estimate {
         clusterMode = true,
         scopeAssumptions = {},
         reviewerNotes = {},
+        // v4.1 additions
+        riskSettings = { iterations: 2000, confidenceLevel: 0.80, seed: null, scheduleSimulation: false },
+        startDate = null,
+        seasonMode = 'warn',
+        weatherModel = null,
+        crewFleet = null,
+        crossSection = null,
+        takeoffPolygons = [],
+        planTakeoff = null,
+        overtime = null,
     } = {}) {
         this.id = id || this._generateId();
         this.projectName = projectName;
@@ -65,6 +92,21 @@ export class Estimate {
         this.scopeAssumptions = scopeAssumptions;
         this.reviewerNotes = reviewerNotes;
 
+        // v4.1 additions
+        this.riskSettings = riskSettings;
+        this.startDate = startDate;
+        this.seasonMode = seasonMode;
+        this.weatherModel = weatherModel;
+        this.crewFleet = crewFleet;
+        this.crossSection = crossSection;
+        this.takeoffPolygons = takeoffPolygons;
+        this.planTakeoff = planTakeoff;
+        this.overtime = overtime;
+
+        // v4.1: Raw form snapshot so a saved estimate can be reopened into the UI
+        this.formState = null;
+        this._savedSummary = null;
+
         // Calculated results (populated by Calculator)
         this.results = null;
         this.confidenceScore = null;
@@ -129,7 +171,7 @@ export class Estimate {
      * Estimate completeness: what fraction of expected paving activities have work?
      */
     get completeness() {
-        const expectedTypes = ['excavation', 'fine_grading', 'dga_base', 'milling', 'paving_base', 'paving_surface', 'tack_coat'];
+        const expectedTypes = STANDARD_SCOPE_TYPES;
         const present = expectedTypes.filter(type =>
             this.activities.some(a => a.activityType === type && a.duration > 0)
         );
@@ -144,6 +186,39 @@ export class Estimate {
         return cls ? cls.label : 'Not specified';
     }
 
+    /**
+     * Headline numbers for job lists and revision comparison.
+     * Live results when calculated, otherwise the summary captured at save time.
+     */
+    get summary() {
+        if (!this.results) return this._savedSummary;
+        return {
+            directCost: this.results.directCostTotal,
+            projectDuration: this.results.projectDuration,
+            totalEstimatedCost: this.results.totalEstimatedCost,
+        };
+    }
+
+    /**
+     * Every Resource referenced by crews and material lines, de-duplicated by id.
+     * Serialized alongside activities so resourceId references can be resolved
+     * on load (activity/crew JSON only carries ids).
+     */
+    get resources() {
+        const byId = new Map();
+        const collect = (r) => {
+            if (r && r.id && !byId.has(r.id)) byId.set(r.id, r);
+        };
+        for (const a of this.activities) {
+            for (const mr of a.materialResources) collect(mr.resource);
+            if (a.crew) {
+                for (const lc of a.crew.laborComponents) collect(lc.resource);
+                for (const ec of a.crew.equipmentComponents) collect(ec.resource);
+            }
+        }
+        return [...byId.values()];
+    }
+
     toJSON() {
         return {
             id: this.id,
@@ -152,6 +227,7 @@ export class Estimate {
             createdAt: this.createdAt,
             lastModified: this.lastModified,
             revisionHistory: this.revisionHistory,
+            resources: this.resources.map(r => r.toJSON()),
             activities: this.activities.map(a => a.toJSON()),
             workPackages: this.workPackages.map(wp => wp.toJSON()),
             timeUnit: this.timeUnit.toJSON(),
@@ -167,6 +243,69 @@ export class Estimate {
             clusterMode: this.clusterMode,
             scopeAssumptions: this.scopeAssumptions,
             reviewerNotes: this.reviewerNotes,
+            // v4.1
+            riskSettings: this.riskSettings,
+            startDate: this.startDate,
+            seasonMode: this.seasonMode,
+            weatherModel: this.weatherModel ? this.weatherModel.toJSON() : null,
+            crewFleet: this.crewFleet,
+            crossSection: this.crossSection ? this.crossSection.toJSON() : null,
+            takeoffPolygons: this.takeoffPolygons.map(p => p.toJSON()),
+            planTakeoff: this.planTakeoff ? this.planTakeoff.toJSON() : null,
+            overtime: this.overtime,
+            formState: this.formState,
+            summary: this.summary,
         };
     }
+
+    /**
+     * Rebuild a live Estimate from toJSON() output (saved or imported).
+     * Resources are restored first so crews and material lines resolve to
+     * shared Resource instances; the result recalculates through
+     * Calculator.calculate() to the same totals it had when saved.
+     *
+     * @param {Object} data - Serialized estimate
+     * @returns {Estimate}
+     */
+    static fromJSON(data) {
+        const resources = new Map(
+            (data.resources || []).map(r => [r.id, Resource.fromJSON(r)])
+        );
+        const activities = (data.activities || []).map(a => Activity.fromJSON(a, resources));
+
+        const estimate = new Estimate({
+            id: data.id,
+            projectName: data.projectName || '',
+            version: data.version ?? 1,
+            activities,
+            workPackages: (data.workPackages || []).map(wp => WorkPackage.fromJSON(wp, activities)),
+            timeUnit: data.timeUnit ? TimeUnit.fromJSON(data.timeUnit) : new TimeUnit(),
+            indirectCosts: data.indirectCosts ? IndirectCosts.fromJSON(data.indirectCosts) : new IndirectCosts(),
+            riskRegister: data.riskRegister ? RiskRegister.fromJSON(data.riskRegister) : new RiskRegister(),
+            projectSettings: data.projectSettings || {},
+            rateLibrary: data.rateLibrary || {},
+            jobMode: data.jobMode || 'parking_lot',
+            shiftSettings: data.shiftSettings || { stdShift: 8, maxShift: 12 },
+            weatherDays: data.weatherDays ?? 2,
+            travelHours: data.travelHours ?? 1,
+            clusterMode: data.clusterMode ?? true,
+            scopeAssumptions: data.scopeAssumptions || {},
+            reviewerNotes: data.reviewerNotes || {},
+            riskSettings: data.riskSettings || undefined,
+            startDate: data.startDate || null,
+            seasonMode: data.seasonMode || 'warn',
+            weatherModel: data.weatherModel ? WeatherModel.fromJSON(data.weatherModel) : null,
+            crewFleet: data.crewFleet || null,
+            crossSection: data.crossSection ? CrossSection.fromJSON(data.crossSection) : null,
+            takeoffPolygons: (data.takeoffPolygons || []).map(p => TakeoffPolygon.fromJSON(p)),
+            planTakeoff: data.planTakeoff ? PlanTakeoff.fromJSON(data.planTakeoff) : null,
+            overtime: data.overtime || null,
+        });
+        estimate.createdAt = data.createdAt || estimate.createdAt;
+        estimate.lastModified = data.lastModified || estimate.createdAt;
+        estimate.revisionHistory = data.revisionHistory || [];
+        estimate.formState = data.formState || null;
+        estimate._savedSummary = data.summary || null;
+        return estimate;
+    }
 }
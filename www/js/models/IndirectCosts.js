@@ -62,6 +62,16 @@ export class IndirectCosts {
         this.contingency = contingency;
     }
 
+    /**
+     * Time-dependent general conditions per working day (superintendent,
+     * field office, temp facilities, temp construction).
+     */
+    get gcPerDay() {
+        const gc = this.generalConditions;
+        return gc.superintendentPerDay + gc.fieldOfficePerDay +
+            gc.tempFacilitiesPerDay + gc.tempConstructionPerDay;
+    }
+
     /**
      * Calculate all indirect cost amounts.
      * @param {number} directCost - Total direct cost
@@ -73,8 +83,7 @@ export class IndirectCosts {
         const gc = this.generalConditions;
 
         // General Conditions: time-dependent items use project duration (Axiom 5)
-        const gcTimeDep = (gc.superintendentPerDay + gc.fieldOfficePerDay +
-            gc.tempFacilitiesPerDay + gc.tempConstructionPerDay) * projectDurationDays;
+        const gcTimeDep = this.gcPerDay * projectDurationDays;
         const gcFixed = gc.tempConstructionLump + gc.qcTestingLump + gc.cleanupLump;
         const gcPctBased = laborCost * (gc.smallToolsPct / 100 + gc.safetyPpePct / 100);
         const gcTotal = gcTimeDep + gcFixed + gcPctBased;
@@ -163,7 +172,13 @@ export class IndirectCosts {
         // Resolve estimate class from id
         const classMap = { 5: EstimateClass.CLASS_5, 4: EstimateClass.CLASS_4, 3: EstimateClass.CLASS_3, 2: EstimateClass.CLASS_2, 1: EstimateClass.CLASS_1 };
         if (data.contingency?.estimateClassId) {
-            data.contingency.estimateClass = classMap[data.contingency.estimateClassId] || EstimateClass.CLASS_3;
+            data = {
+                ...data,
+                contingency: {
+                    ...data.contingency,
+                    estimateClass: classMap[data.contingency.estimateClassId] || EstimateClass.CLASS_3,
+                },
+            };
         }
         return new IndirectCosts(data);
     }
@@ -0,0 +1,159 @@
+// ============================================
+// Tier 0.8 — Plan Takeoff
+// Shapes traced over a scaled plan image, measured into takeoff quantities
+// ============================================
+
+import { CONSTANTS } from '../data/constants.js';
+
+export const ShapeKind = Object.freeze({
+    AREA: 'area',   // Closed outline, holes subtracted
+    LINE: 'line',   // Open polyline
+});
+
+export class PlanShape {
+    /**
+     * @param {Object} params
+     * @param {string} params.id
+     * @param {string} [params.kind] - ShapeKind value
+     * @param {string} [params.name]
+     * @param {number[][]} params.points - [x, y] image pixels
+     * @param {number[][][]} [params.holes] - Rings cut out of an area (islands, buildings)
+     * @param {string} [params.activityType] - ACTIVITY_CONFIG key ('' = unassigned)
+     * @param {string} [params.target] - 'main' | 'segment'
+     * @param {number} [params.depth] - inches (0 = the activity's own depth)
+     * @param {{ activityType: string, n: number }} [params.segment] - Segment row the shape last filled
+     */
+    constructor({
+        id,
+        kind = ShapeKind.AREA,
+        name = '',
+        points = [],
+        holes = [],
+        activityType = '',
+        target = 'main',
+        depth = 0,
+        segment = null
+    }) {
+        this.id = id;
+        this.kind = kind;
+        this.name = name;
+        this.points = points;
+        this.holes = holes;
+        this.activityType = activityType;
+        this.target = target;
+        this.depth = depth;
+        this.segment = segment;
+    }
+
+    /**
+     * Area less holes, square pixels.
+     */
+    get pixelArea() {
+        if (this.kind !== ShapeKind.AREA) return 0;
+        const holes = this.holes.reduce((sum, ring) => sum + Math.abs(_shoelace(ring)), 0);
+        return Math.max(0, Math.abs(_shoelace(this.points)) - holes);
+    }
+
+    /**
+     * Path length, pixels: an area's outline and hole edges, or a line's run.
+     */
+    get pixelLength() {
+        if (this.kind === ShapeKind.LINE) return _pathLength(this.points, false);
+        return [this.points, ...this.holes].reduce((sum, ring) => sum + _pathLength(ring, true), 0);
+    }
+
+    /**
+     * Takeoff quantity in an activity's unit.
+     * @param {string} uom - 'SY' | 'SF' | 'LF' | 'EA'
+     * @param {number} feetPerPixel - PlanTakeoff calibration
+     * @returns {number} Rounded up to a whole unit
+     */
+    quantity(uom, feetPerPixel) {
+        const sf = this.pixelArea * feetPerPixel * feetPerPixel;
+        switch (uom) {
+            case 'SF': return Math.ceil(sf);
+            case 'LF': return Math.ceil(this.pixelLength * feetPerPixel);
+            case 'EA': return 1;
+            default: return Math.ceil(sf / CONSTANTS.SF_PER_SY);
+        }
+    }
+
+    toJSON() {
+        return {
+            id: this.id,
+            kind: this.kind,
+            name: this.name,
+            points: this.points,
+            holes: this.holes,
+            activityType: this.activityType,
+            target: this.target,
+            depth: this.depth,
+            segment: this.segment
+        };
+    }
+
+    static fromJSON(data) {
+        return new PlanShape(data);
+    }
+}
+
+export class PlanTakeoff {
+    /**
+     * @param {Object} [params]
+     * @param {{ id: string, name: string, width: number, height: number }} [params.image] - Stored plan image (EstimateStore.savePlanImage)
+     * @param {{ a: number[], b: number[], feet: number }} [params.calibration] - Known dimension clicked on the plan
+     * @param {PlanShape[]} [params.shapes]
+     */
+    constructor({ image = null, calibration = null, shapes = [] } = {}) {
+        this.image = image;
+        this.calibration = calibration;
+        this.shapes = shapes;
+    }
+
+    /**
+     * Plan scale from the calibration line (0 = not calibrated).
+     */
+    get feetPerPixel() {
+        const c = this.calibration;
+        if (!c || !(c.feet > 0)) return 0;
+        const px = Math.hypot(c.b[0] - c.a[0], c.b[1] - c.a[1]);
+        return px > 0 ? c.feet / px : 0;
+    }
+
+    toJSON() {
+        return {
+            image: this.image,
+            calibration: this.calibration,
+            shapes: this.shapes.map(s => s.toJSON())
+        };
+    }
+
+    static fromJSON(data) {
+        return new PlanTakeoff({
+            image: data.image || null,
+            calibration: data.calibration || null,
+            shapes: (data.shapes || []).map(s => PlanShape.fromJSON(s)),
+        });
+    }
+}
+
+function _shoelace(ring) {
+    let twice = 0;
+    for (let i = 0; i < ring.length; i++) {
+        const [x1, y1] = ring[i];
+        const [x2, y2] = ring[(i + 1) % ring.length];
+        twice += x1 * y2 - x2 * y1;
+    }
+    return twice / 2;
+}
+
+function _pathLength(points, closed) {
+    let length = 0;
+    const edges = closed && points.length > 2 ? points.length : points.length - 1;
+    for (let i = 0; i < edges; i++) {
+        const [x1, y1] = points[i];
+        const [x2, y2] = points[(i + 1) % points.length];
+        length += Math.hypot(x2 - x1, y2 - y1);
+    }
+    return length;
+}
@@ -17,7 +17,8 @@ export const MODIFIER_DEFINITIONS = [
     { key: 'crewExperience',   label: 'Crew Skill / Experience',     min: 0.70, max: 1.15, default: 1.00, description: 'Crew capability relative to reference assumption' },
     { key: 'materialHandling', label: 'Material Handling Distance',  min: 0.70, max: 1.00, default: 1.00, description: 'Extra time for material transport beyond reference' },
     { key: 'regulatorySafety', label: 'Regulatory / Safety Overhead', min: 0.60, max: 1.00, default: 1.00, description: 'Confined space, hot work, traffic control, environmental' },
-    { key: 'tradeStacking',    label: 'Trade Stacking / Concurrent', min: 0.60, max: 1.00, default: 1.00, description: 'Efficiency loss from multiple trades sharing workspace' }
+    { key: 'tradeStacking',    label: 'Trade Stacking / Concurrent', min: 0.60, max: 1.00, default: 1.00, description: 'Efficiency loss from multiple trades sharing workspace' },
+    { key: 'workAreaSize',     label: 'Small Work Areas',            min: 0.30, max: 1.00, default: 1.00, description: 'Setup, sawcut and cleanup repeated for each small area (patches)' }
 ];
 
 /**
@@ -0,0 +1,54 @@
+// ============================================
+// Tier 1.4 — Activity Segment
+// One area of an activity's takeoff with its own depth and conditions
+// ============================================
+
+import { Quantity } from './Quantity.js';
+import { ProductivityFactor } from './ProductivityFactor.js';
+
+export class Segment {
+    /**
+     * @param {Object} params
+     * @param {string} params.name - Display name (e.g., "North lot overlay")
+     * @param {Quantity} params.quantity - Segment takeoff (inputs: area, depth)
+     * @param {ProductivityFactor} [params.productivityFactor] - Segment conditions (null = the activity's)
+     * @param {Object} [params.mobilization] - { included, cost } — a separate move-in for this segment
+     * @param {number} [params.tons] - Segment tonnage (HMA/DGA with waste, RAP for milling, soil for excavation)
+     */
+    constructor({ name, quantity, productivityFactor = null, mobilization = { included: false, cost: 0 }, tons = 0 }) {
+        this.name = name;
+        this.quantity = quantity;
+        this.productivityFactor = productivityFactor;
+        this.mobilization = mobilization;
+        this.tons = tons;
+    }
+
+    get grossQuantity() {
+        return this.quantity?.grossQuantity || 0;
+    }
+
+    get mobilizationCost() {
+        if (!this.mobilization.included || this.grossQuantity <= 0) return 0;
+        return this.mobilization.cost;
+    }
+
+    toJSON() {
+        return {
+            name: this.name,
+            quantity: this.quantity?.toJSON(),
+            productivityFactor: this.productivityFactor?.toJSON() || null,
+            mobilization: this.mobilization,
+            tons: this.tons
+        };
+    }
+
+    static fromJSON(data) {
+        return new Segment({
+            name: data.name,
+            quantity: data.quantity ? Quantity.fromJSON(data.quantity) : null,
+            productivityFactor: data.productivityFactor ? ProductivityFactor.fromJSON(data.productivityFactor) : null,
+            mobilization: data.mobilization || { included: false, cost: 0 },
+            tons: data.tons || 0,
+        });
+    }
+}
@@ -0,0 +1,93 @@
+// ============================================
+// Tier 0.7 — Takeoff Polygon
+// Imported area geometry assigned to an activity's takeoff
+// ============================================
+
+// WGS84 equatorial radius, m — the sphere used for geodesic area
+const EARTH_RADIUS_M = 6378137;
+const M2_PER_SY = 0.83612736;
+
+export const PolygonTarget = Object.freeze({
+    MAIN: 'main',         // Adds to the activity's own area input
+    SEGMENT: 'segment',   // Becomes a segment row of its own
+});
+
+export class TakeoffPolygon {
+    /**
+     * @param {Object} params
+     * @param {string} params.id - Unique within the estimate (source file + feature)
+     * @param {string} [params.name] - Feature name from the file
+     * @param {string} [params.source] - File the geometry came from
+     * @param {Object} params.geometry - GeoJSON Polygon or MultiPolygon, [lon, lat] degrees
+     * @param {string} [params.activityType] - ACTIVITY_CONFIG key ('' = unassigned)
+     * @param {string} [params.target] - PolygonTarget value
+     * @param {number} [params.depth] - inches (0 = the activity's own depth)
+     * @param {{ activityType: string, n: number }} [params.segment] - Segment row the polygon last filled
+     */
+    constructor({
+        id,
+        name = '',
+        source = '',
+        geometry,
+        activityType = '',
+        target = PolygonTarget.SEGMENT,
+        depth = 0,
+        segment = null
+    }) {
+        this.id = id;
+        this.name = name;
+        this.source = source;
+        this.geometry = geometry;
+        this.activityType = activityType;
+        this.target = target;
+        this.depth = depth;
+        this.segment = segment;
+    }
+
+    /**
+     * Geodesic area, SY. Holes are subtracted; multipolygon parts are summed.
+     */
+    get areaSY() {
+        const polygons = this.geometry?.type === 'MultiPolygon' ? this.geometry.coordinates
+            : this.geometry?.type === 'Polygon' ? [this.geometry.coordinates]
+            : [];
+        const m2 = polygons.reduce((sum, [outer, ...holes]) =>
+            sum + Math.abs(_ringArea(outer || [])) - holes.reduce((h, ring) => h + Math.abs(_ringArea(ring)), 0), 0);
+        return Math.max(0, m2) / M2_PER_SY;
+    }
+
+    toJSON() {
+        return {
+            id: this.id,
+            name: this.name,
+            source: this.source,
+            geometry: this.geometry,
+            activityType: this.activityType,
+            target: this.target,
+            depth: this.depth,
+            segment: this.segment
+        };
+    }
+
+    static fromJSON(data) {
+        return new TakeoffPolygon(data);
+    }
+}
+
+/**
+ * Signed area of a [lon, lat] ring on the sphere, m² (Chamberlain & Duquette,
+ * "Some Algorithms for Polygons on a Sphere", JPL 2007).
+ */
+function _ringArea(ring) {
+    const n = ring.length;
+    if (n < 3) return 0;
+    const rad = deg => deg * Math.PI / 180;
+    let total = 0;
+    for (let i = 0; i < n; i++) {
+        const lower = ring[i];
+        const middle = ring[(i + 1) % n];
+        const upper = ring[(i + 2) % n];
+        total += (rad(upper[0]) - rad(lower[0])) * Math.sin(rad(middle[1]));
+    }
+    return total * EARTH_RADIUS_M * EARTH_RADIUS_M / 2;
+}
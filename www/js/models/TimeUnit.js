@@ -3,14 +3,20 @@
 // Work calendar configuration
 // ============================================
 
+import { STANDARD_HOLIDAYS } from '../data/paving-defaults.js';
+
+const DAY_MS = 86400000;
+
 export class TimeUnit {
     /**
      * @param {Object} [params]
      * @param {number} [params.hoursPerShift=8] - Work hours per shift
      * @param {number} [params.shiftsPerDay=1] - Shifts per work day
-     * @param {number} [params.workDaysPerWeek=5] - Work days per week
+     * @param {number} [params.workDaysPerWeek=5] - Work days per week (5 = Mon–Fri, 6 = Mon–Sat)
      * @param {number} [params.calendarToWorkDayFactor] - Calendar days to work days conversion
      * @param {Object} [params.seasonalWindow] - { startMonth, endMonth } (1-12)
+     * @param {boolean} [params.observeStandardHolidays=true] - Skip STANDARD_HOLIDAYS
+     * @param {string[]} [params.holidays] - Extra non-work dates ('YYYY-MM-DD')
      * @param {string} [params.notes]
      */
     constructor({
@@ -19,6 +25,8 @@ export class TimeUnit {
         workDaysPerWeek = 5,
         calendarToWorkDayFactor = null,
         seasonalWindow = null,
+        observeStandardHolidays = true,
+        holidays = [],
         notes = ''
     } = {}) {
         this.hoursPerShift = hoursPerShift;
@@ -26,7 +34,10 @@ export class TimeUnit {
         this.workDaysPerWeek = workDaysPerWeek;
         this.calendarToWorkDayFactor = calendarToWorkDayFactor ?? (workDaysPerWeek / 7);
         this.seasonalWindow = seasonalWindow;
+        this.observeStandardHolidays = observeStandardHolidays;
+        this.holidays = holidays;
         this.notes = notes;
+        this._holidayCache = new Map();
     }
 
     get minutesPerShift() {
@@ -51,6 +62,61 @@ export class TimeUnit {
         return calendarDays * this.calendarToWorkDayFactor;
     }
 
+    /**
+     * Whether a date is a working day: inside the work week and not a holiday.
+     * Work weeks start Monday, so 5 = Mon–Fri, 6 = Mon–Sat, 7 = every day.
+     * @param {Date} date - UTC midnight
+     */
+    isWorkDay(date) {
+        const mondayBased = (date.getUTCDay() + 6) % 7;
+        if (mondayBased >= this.workDaysPerWeek) return false;
+        return !this.holidaysFor(date.getUTCFullYear()).has(date.toISOString().slice(0, 10));
+    }
+
+    /**
+     * All non-work holiday dates for a year, as 'YYYY-MM-DD'.
+     * @param {number} year
+     * @returns {Set<string>}
+     */
+    holidaysFor(year) {
+        if (this._holidayCache.has(year)) return this._holidayCache.get(year);
+
+        const dates = new Set(this.holidays.filter(d => d.startsWith(`${year}-`)));
+        if (this.observeStandardHolidays) {
+            for (const h of STANDARD_HOLIDAYS) {
+                dates.add(_holidayDate(year, h).toISOString().slice(0, 10));
+            }
+        }
+        this._holidayCache.set(year, dates);
+        return dates;
+    }
+
+    /**
+     * Whether a date falls inside the seasonal window (always true with no window).
+     * Windows may wrap the year end (e.g. { startMonth: 11, endMonth: 3 }).
+     * @param {Date} date - UTC midnight
+     */
+    isInSeason(date) {
+        if (!this.seasonalWindow) return true;
+        const { startMonth, endMonth } = this.seasonalWindow;
+        const m = date.getUTCMonth() + 1;
+        return startMonth <= endMonth ?
+            (m >= startMonth && m <= endMonth) :
+            (m >= startMonth || m <= endMonth);
+    }
+
+    /**
+     * First day of the next seasonal window opening on or after a date.
+     * @param {Date} date - UTC midnight
+     * @returns {Date}
+     */
+    nextSeasonStart(date) {
+        if (!this.seasonalWindow || this.isInSeason(date)) return date;
+        const startMonth = this.seasonalWindow.startMonth;
+        const year = date.getUTCFullYear() + (date.getUTCMonth() + 1 > startMonth ? 1 : 0);
+        return new Date(Date.UTC(year, startMonth - 1, 1));
+    }
+
     toJSON() {
         return {
             hoursPerShift: this.hoursPerShift,
@@ -58,6 +124,8 @@ export class TimeUnit {
             workDaysPerWeek: this.workDaysPerWeek,
             calendarToWorkDayFactor: this.calendarToWorkDayFactor,
             seasonalWindow: this.seasonalWindow,
+            observeStandardHolidays: this.observeStandardHolidays,
+            holidays: this.holidays,
             notes: this.notes
         };
     }
@@ -66,3 +134,24 @@ export class TimeUnit {
         return new TimeUnit(data);
     }
 }
+
+// Observed date of a STANDARD_HOLIDAYS rule in a given year (UTC midnight)
+function _holidayDate(year, rule) {
+    if (rule.day) {
+        const date = new Date(Date.UTC(year, rule.month - 1, rule.day));
+        const dow = date.getUTCDay();
+        if (dow === 6) return new Date(date.getTime() - DAY_MS);
+        if (dow === 0) return new Date(date.getTime() + DAY_MS);
+        return date;
+    }
+
+    if (rule.nth === -1) {
+        const last = new Date(Date.UTC(year, rule.month, 0));
+        const back = (last.getUTCDay() - rule.weekday + 7) % 7;
+        return new Date(last.getTime() - back * DAY_MS);
+    }
+
+    const first = new Date(Date.UTC(year, rule.month - 1, 1));
+    const ahead = (rule.weekday - first.getUTCDay() + 7) % 7;
+    return new Date(first.getTime() + (ahead + (rule.nth - 1) * 7) * DAY_MS);
+}
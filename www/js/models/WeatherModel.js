@@ -0,0 +1,75 @@
+// ============================================
+// Tier 0.5 — Weather Model
+// Historical lost work days by month (rain, cold) for a region
+// ============================================
+
+import { WEATHER_REGIONS, DEFAULT_WEATHER_REGION, WEATHER_BASE_WORK_DAYS } from '../data/paving-defaults.js';
+
+export class WeatherModel {
+    /**
+     * @param {Object} [params]
+     * @param {string} [params.region] - Key into WEATHER_REGIONS (or 'custom')
+     * @param {number[]} [params.rain] - Expected rain-out work days per month, Jan → Dec
+     * @param {number[]} [params.cold] - Expected days below paving temperature per month, Jan → Dec
+     * @param {string} [params.notes] - Source of the data (e.g. "NOAA 30-yr normals, BWI")
+     */
+    constructor({
+        region = DEFAULT_WEATHER_REGION,
+        rain = null,
+        cold = null,
+        notes = ''
+    } = {}) {
+        const preset = WEATHER_REGIONS[region] || WEATHER_REGIONS[DEFAULT_WEATHER_REGION];
+        this.region = region;
+        this.rain = _months(rain, preset.rain);
+        this.cold = _months(cold, preset.cold);
+        this.notes = notes;
+    }
+
+    get label() {
+        return WEATHER_REGIONS[this.region]?.label || 'Custom';
+    }
+
+    /**
+     * Expected lost days in a year for fully weather-sensitive work.
+     */
+    get annualLostDays() {
+        return this.rain.reduce((sum, r, i) => sum + Math.max(r, this.cold[i]), 0);
+    }
+
+    /**
+     * Probability a work day is lost for an activity with the given exposure.
+     * Rain and cold are treated as independent, so a cold rainy day counts once.
+     *
+     * @param {Date} date - UTC midnight
+     * @param {{ rain: number, cold: number }} exposure - Share of rain / cold days that stop the work
+     * @returns {number} 0–1
+     */
+    lostDayProbability(date, exposure) {
+        const m = date.getUTCMonth();
+        const pRain = Math.min(1, this.rain[m] / WEATHER_BASE_WORK_DAYS) * exposure.rain;
+        const pCold = Math.min(1, this.cold[m] / WEATHER_BASE_WORK_DAYS) * exposure.cold;
+        return 1 - (1 - pRain) * (1 - pCold);
+    }
+
+    toJSON() {
+        return {
+            region: this.region,
+            rain: this.rain,
+            cold: this.cold,
+            notes: this.notes
+        };
+    }
+
+    static fromJSON(data) {
+        return new WeatherModel(data);
+    }
+}
+
+// Twelve non-negative monthly values, falling back to the preset month by month
+function _months(values, preset) {
+    return preset.map((fallback, i) => {
+        const v = values?.[i];
+        return Number.isFinite(v) && v >= 0 ? v : fallback;
+    });
+}
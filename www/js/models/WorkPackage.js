@@ -87,4 +87,18 @@ export class WorkPackage {
             assumptions: this.assumptions
         };
     }
+
+    /**
+     * Rebuild a work package, re-linking activityIds to live activities.
+     * @param {Object} data - Serialized work package
+     * @param {import('./Activity.js').Activity[]} activities - Rehydrated estimate activities
+     * @returns {WorkPackage}
+     */
+    static fromJSON(data, activities = []) {
+        const ids = new Set(data.activityIds || []);
+        return new WorkPackage({
+            ...data,
+            activities: activities.filter(a => ids.has(a.id)),
+        });
+    }
 }
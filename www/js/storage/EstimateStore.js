@@ -3,16 +3,28 @@
 // localStorage CRUD with versioning (Tier 6.1)
 // ============================================
 
+import { Estimate } from '../models/Estimate.js';
+
 const STORAGE_KEYS = {
     RATES: 'pavingCalcRates',           // Legacy rate storage key (backward compat)
     ESTIMATES: 'pavingCalcEstimates',    // Estimate index
     ESTIMATE_PREFIX: 'pavingCalcEst_',   // Per-estimate data
+    REVISION_PREFIX: 'pavingCalcRev_',   // Superseded version snapshots: <prefix><id>_v<version>
     RATE_LIBRARY: 'pavingCalcRateLib',   // Master rate library
     SETTINGS: 'pavingCalcSettings',      // v4.0 job mode, shift, etc.
+    PLAN_PREFIX: 'pavingCalcPlan_',      // Plan images, stored once and referenced by id from estimates
+    ITEM_ALIASES: 'pavingCalcAliases',   // CSV takeoff item name → activity type
+    EQUIPMENT: 'pavingCalcEquipment',    // Edits to the equipment O&O library, by code
+    WAGE_TABLES: 'pavingCalcWageTables', // Project prevailing-wage tables, by id
 };
 
 export class EstimateStore {
 
+    constructor() {
+        // Whether the last failed estimate write ran out of localStorage quota
+        this.storageFull = false;
+    }
+
     // ---- Rate Library (backward-compatible with current app) ----
 
     /**
@@ -81,48 +93,149 @@ export class EstimateStore {
         }
     }
 
+    // ---- Takeoff Item Aliases ----
+
+    /**
+     * Save the item name → activity type map CSV takeoff imports resolve with.
+     */
+    saveItemAliases(aliases) {
+        try {
+            localStorage.setItem(STORAGE_KEYS.ITEM_ALIASES, JSON.stringify(aliases));
+            return true;
+        } catch (e) {
+            console.warn('Failed to save item aliases:', e);
+            return false;
+        }
+    }
+
+    /**
+     * Load saved item aliases ({} when none are saved).
+     */
+    loadItemAliases() {
+        try {
+            const saved = localStorage.getItem(STORAGE_KEYS.ITEM_ALIASES);
+            return saved ? JSON.parse(saved) : {};
+        } catch (e) {
+            console.warn('Failed to load item aliases:', e);
+            return {};
+        }
+    }
+
+    // ---- Equipment Library ----
+
+    /**
+     * Save per-unit edits to the equipment O&O library.
+     */
+    saveEquipmentLibrary(overrides) {
+        try {
+            localStorage.setItem(STORAGE_KEYS.EQUIPMENT, JSON.stringify(overrides));
+            return true;
+        } catch (e) {
+            console.warn('Failed to save equipment library:', e);
+            return false;
+        }
+    }
+
+    /**
+     * Load equipment library edits ({} when none are saved).
+     */
+    loadEquipmentLibrary() {
+        try {
+            const saved = localStorage.getItem(STORAGE_KEYS.EQUIPMENT);
+            return saved ? JSON.parse(saved) : {};
+        } catch (e) {
+            console.warn('Failed to load equipment library:', e);
+            return {};
+        }
+    }
+
+    // ---- Wage Tables ----
+
+    /**
+     * Save project prevailing-wage tables (copies of the county tables, edited).
+     */
+    saveWageTables(tables) {
+        try {
+            localStorage.setItem(STORAGE_KEYS.WAGE_TABLES, JSON.stringify(tables));
+            return true;
+        } catch (e) {
+            console.warn('Failed to save wage tables:', e);
+            return false;
+        }
+    }
+
+    /**
+     * Load project wage tables ({} when none are saved).
+     */
+    loadWageTables() {
+        try {
+            const saved = localStorage.getItem(STORAGE_KEYS.WAGE_TABLES);
+            return saved ? JSON.parse(saved) : {};
+        } catch (e) {
+            console.warn('Failed to load wage tables:', e);
+            return {};
+        }
+    }
+
     // ---- Estimate CRUD ----
 
     /**
      * Save an estimate (creates new version).
+     * The first save of a new estimate records it as-is (v1); every later
+     * save of the same ID increments from the last stored version.
+     * The live record is the latest version's snapshot; the version it
+     * replaces moves to its own revision key, so every version is stored once.
+     * A false return with storageFull set means localStorage is out of quota.
+     *
+     * @param {Estimate} estimate
+     * @param {Object} [revisionMeta] - Extra fields for the revision history entry (e.g. { restoredFrom: 3 })
      */
-    saveEstimate(estimate) {
+    saveEstimate(estimate, revisionMeta = {}) {
         try {
+            const key = STORAGE_KEYS.ESTIMATE_PREFIX + estimate.id;
+            const prior = this.listEstimates().find(e => e.id === estimate.id);
+            const priorPayload = prior ? localStorage.getItem(key) : null;
+
             // Increment version
-            estimate.version = (estimate.version || 0) + 1;
+            estimate.version = prior ? (prior.version || 0) + 1 : (estimate.version || 1);
             estimate.lastModified = new Date().toISOString();
 
             // Add to revision history
             if (!estimate.revisionHistory) estimate.revisionHistory = [];
             estimate.revisionHistory.push({
                 version: estimate.version,
-                timestamp: estimate.lastModified
+                timestamp: estimate.lastModified,
+                ...revisionMeta,
             });
 
-            // Save estimate data
-            const key = STORAGE_KEYS.ESTIMATE_PREFIX + estimate.id;
-            localStorage.setItem(key, JSON.stringify(estimate.toJSON()));
+            // Keep the superseded version, then replace the live record with this one
+            const payload = JSON.stringify(estimate.toJSON());
+            if (priorPayload) localStorage.setItem(this._revisionKey(estimate.id, prior.version), priorPayload);
+            localStorage.setItem(key, payload);
 
             // Update index
             this._updateIndex(estimate);
+            this.prunePlanImages();
 
+            this.storageFull = false;
             return true;
         } catch (e) {
             console.warn('Failed to save estimate:', e);
+            this.storageFull = _isQuotaError(e);
             return false;
         }
     }
 
     /**
-     * Load an estimate by ID.
+     * Load an estimate by ID, rehydrated into a live Estimate.
      */
     loadEstimate(estimateId) {
+        const data = this._loadRaw(estimateId);
+        if (!data) return null;
         try {
-            const key = STORAGE_KEYS.ESTIMATE_PREFIX + estimateId;
-            const saved = localStorage.getItem(key);
-            return saved ? JSON.parse(saved) : null;
+            return Estimate.fromJSON(data);
         } catch (e) {
-            console.warn('Failed to load estimate:', e);
+            console.warn('Failed to rebuild estimate:', e);
             return null;
         }
     }
@@ -134,13 +247,127 @@ export class EstimateStore {
         try {
             const key = STORAGE_KEYS.ESTIMATE_PREFIX + estimateId;
             localStorage.removeItem(key);
+            this._revisionKeys(estimateId).forEach(k => localStorage.removeItem(k));
             this._removeFromIndex(estimateId);
+            this.prunePlanImages();
+            return true;
+        } catch (e) {
+            return false;
+        }
+    }
+
+    /**
+     * Rename a saved estimate. Metadata-only change — does not bump the version.
+     * The form snapshot is renamed too, since opening restores from it.
+     */
+    renameEstimate(estimateId, projectName) {
+        try {
+            const data = this._loadRaw(estimateId);
+            if (!data) return false;
+            data.projectName = projectName;
+            if (data.formState) data.formState.projectName = projectName;
+            localStorage.setItem(STORAGE_KEYS.ESTIMATE_PREFIX + estimateId, JSON.stringify(data));
+            this._updateIndex(Estimate.fromJSON(data));
             return true;
         } catch (e) {
+            console.warn('Failed to rename estimate:', e);
             return false;
         }
     }
 
+    /**
+     * Copy a saved estimate under a new ID as the starting point for a similar job.
+     * The copy starts its own revision history at version 1.
+     * @returns {Estimate|null} The saved copy
+     */
+    duplicateEstimate(estimateId, projectName = null) {
+        this.storageFull = false;
+        const source = this._loadRaw(estimateId);
+        if (!source) return null;
+
+        const now = new Date().toISOString();
+        const copy = Estimate.fromJSON({
+            ...source,
+            id: null,
+            projectName: projectName || `${source.projectName || 'Untitled'} (copy)`,
+            version: 1,
+            createdAt: now,
+            lastModified: now,
+            revisionHistory: [],
+        });
+        // Opening restores from the form snapshot, so it carries the copy's name and id
+        if (copy.formState) {
+            copy.formState = { ...copy.formState, projectName: copy.projectName, __estimateId: copy.id };
+        }
+        return this.saveEstimate(copy) ? copy : null;
+    }
+
+    // ---- Revision history ----
+
+    /**
+     * List an estimate's revisions, newest first.
+     * `available` is false for versions saved before per-version snapshots existed.
+     * @returns {Array<{ version, timestamp, restoredFrom?, available, summary }>}
+     */
+    listRevisions(estimateId) {
+        const data = this._loadRaw(estimateId);
+        if (!data) return [];
+        return (data.revisionHistory || [])
+            .map(rev => {
+                const snapshot = this.loadRevisionData(estimateId, rev.version);
+                return { ...rev, available: !!snapshot, summary: snapshot?.summary || null };
+            })
+            .reverse();
+    }
+
+    /**
+     * Raw toJSON() snapshot of one version (for diffing), or null if not kept.
+     * The latest version is the live record.
+     */
+    loadRevisionData(estimateId, version) {
+        const latest = this._loadRaw(estimateId);
+        if (latest && latest.version === version) return latest;
+        try {
+            const saved = localStorage.getItem(this._revisionKey(estimateId, version));
+            return saved ? JSON.parse(saved) : null;
+        } catch (e) {
+            console.warn('Failed to load revision:', e);
+            return null;
+        }
+    }
+
+    /**
+     * One version rehydrated into a live Estimate, or null if not kept.
+     */
+    loadRevision(estimateId, version) {
+        const data = this.loadRevisionData(estimateId, version);
+        return data ? Estimate.fromJSON(data) : null;
+    }
+
+    /**
+     * Restore a prior version by saving its snapshot as a new version.
+     * History is never rewritten — the restore itself becomes the latest revision.
+     * @returns {Estimate|null} The restored estimate at its new version
+     */
+    restoreRevision(estimateId, version) {
+        this.storageFull = false;
+        const current = this._loadRaw(estimateId);
+        const snapshot = this.loadRevisionData(estimateId, version);
+        if (!current || !snapshot) return null;
+
+        const restored = Estimate.fromJSON({
+            ...snapshot,
+            projectName: current.projectName,
+            createdAt: current.createdAt,
+            revisionHistory: current.revisionHistory || [],
+        });
+        // Opening restores from the form snapshot, so it keeps the current name
+        if (restored.formState) {
+            restored.formState = { ...restored.formState, projectName: current.projectName, __estimateId: estimateId };
+        }
+        return this.saveEstimate(restored, { restoredFrom: version }) ? restored : null;
+    }
+
     /**
      * List all saved estimates (metadata only).
      */
@@ -157,25 +384,91 @@ export class EstimateStore {
 
     /**
      * Export estimate as JSON string (for file download or clipboard).
+     * The plan image is stored apart from the estimate, so its data URL is
+     * embedded in the plan reference to keep the export self-contained.
      */
     exportJSON(estimateId) {
-        const data = this.loadEstimate(estimateId);
-        return data ? JSON.stringify(data, null, 2) : null;
+        const data = this._loadRaw(estimateId);
+        if (!data) return null;
+        const image = data.formState?.__plan?.image;
+        const dataUrl = image && this.loadPlanImage(image.id);
+        if (dataUrl) image.dataUrl = dataUrl;
+        return JSON.stringify(data, null, 2);
     }
 
     /**
      * Import estimate from JSON string.
-     * Returns the parsed data (caller must reconstruct Estimate object).
+     * Returns a rehydrated Estimate (not yet saved to storage). An embedded
+     * plan image is stored under its id; it is pruned again if the estimate
+     * is never saved.
      */
     importJSON(jsonString) {
         try {
-            return JSON.parse(jsonString);
+            const data = JSON.parse(jsonString);
+            const image = data.formState?.__plan?.image;
+            if (image?.dataUrl) {
+                this.savePlanImage(image.id, image.dataUrl);
+                delete image.dataUrl;
+            }
+            return Estimate.fromJSON(data);
         } catch (e) {
             console.warn('Failed to parse estimate JSON:', e);
             return null;
         }
     }
 
+    // ---- Plan images ----
+
+    /**
+     * Store a plan image once; estimates and their revisions reference it by id.
+     * @param {string} imageId
+     * @param {string} dataUrl
+     * @returns {boolean} False when storage is full
+     */
+    savePlanImage(imageId, dataUrl) {
+        try {
+            localStorage.setItem(STORAGE_KEYS.PLAN_PREFIX + imageId, dataUrl);
+            return true;
+        } catch (e) {
+            console.warn('Failed to save plan image:', e);
+            return false;
+        }
+    }
+
+    /**
+     * @returns {string|null} Data URL, or null if it was never stored or has been pruned
+     */
+    loadPlanImage(imageId) {
+        try {
+            return localStorage.getItem(STORAGE_KEYS.PLAN_PREFIX + imageId);
+        } catch (e) {
+            console.warn('Failed to load plan image:', e);
+            return null;
+        }
+    }
+
+    /**
+     * Drop plan images no estimate, revision or working session still references.
+     * Run after anything that can replace or drop a plan reference.
+     */
+    prunePlanImages() {
+        try {
+            const keys = [];
+            for (let i = 0; i < localStorage.length; i++) keys.push(localStorage.key(i));
+            const plans = keys.filter(k => k.startsWith(STORAGE_KEYS.PLAN_PREFIX));
+            if (plans.length === 0) return;
+            const referencing = keys
+                .filter(k => k.startsWith('pavingCalc') && !k.startsWith(STORAGE_KEYS.PLAN_PREFIX))
+                .map(k => localStorage.getItem(k) || '');
+            for (const key of plans) {
+                const imageId = key.slice(STORAGE_KEYS.PLAN_PREFIX.length);
+                if (!referencing.some(data => data.includes(`"${imageId}"`))) localStorage.removeItem(key);
+            }
+        } catch (e) {
+            console.warn('Failed to prune plan images:', e);
+        }
+    }
+
     // ---- Storage management ----
 
     /**
@@ -194,6 +487,31 @@ export class EstimateStore {
 
     // ---- Internal ----
 
+    _loadRaw(estimateId) {
+        try {
+            const key = STORAGE_KEYS.ESTIMATE_PREFIX + estimateId;
+            const saved = localStorage.getItem(key);
+            return saved ? JSON.parse(saved) : null;
+        } catch (e) {
+            console.warn('Failed to load estimate:', e);
+            return null;
+        }
+    }
+
+    _revisionKey(estimateId, version) {
+        return `${STORAGE_KEYS.REVISION_PREFIX}${estimateId}_v${version}`;
+    }
+
+    _revisionKeys(estimateId) {
+        const prefix = `${STORAGE_KEYS.REVISION_PREFIX}${estimateId}_v`;
+        const keys = [];
+        for (let i = 0; i < localStorage.length; i++) {
+            const key = localStorage.key(i);
+            if (key.startsWith(prefix)) keys.push(key);
+        }
+        return keys;
+    }
+
     _updateIndex(estimate) {
         const index = this.listEstimates();
         const existing = index.findIndex(e => e.id === estimate.id);
@@ -205,6 +523,7 @@ export class EstimateStore {
             lastModified: estimate.lastModified,
             createdAt: estimate.createdAt,
             jobMode: estimate.jobMode || 'parking_lot',
+            bidPrice: estimate.summary?.totalEstimatedCost ?? null,
         };
 
         if (existing >= 0) {
@@ -221,3 +540,8 @@ export class EstimateStore {
         localStorage.setItem(STORAGE_KEYS.ESTIMATES, JSON.stringify(index));
     }
 }
+
+// Browsers name the quota error differently (Firefox: NS_ERROR_DOM_QUOTA_REACHED)
+function _isQuotaError(e) {
+    return e instanceof Error && (e.name === 'QuotaExceededError' || e.name === 'NS_ERROR_DOM_QUOTA_REACHED' || e.code === 22);
+}
@@ -3,6 +3,8 @@
 // Quick, Full, JSON, Print — 4 export modes
 // ============================================
 
+import { ACTIVITY_CONFIG } from '../data/paving-defaults.js';
+
 export class ExportService {
 
     // ---- Mode 1: Quick Export (clipboard-friendly summary) ----
@@ -36,6 +38,9 @@ export class ExportService {
         if (results.calendarDuration) {
             lines.push(`Calendar:      ${results.calendarDuration.totalDays} days (${results.calendarDuration.workDays} work + ${results.calendarDuration.weatherDays} weather)`);
         }
+        if (results.datedSchedule) {
+            lines.push(`Dates:         ${results.datedSchedule.startDate} to ${results.datedSchedule.finishDate}`);
+        }
 
         if (results.confidenceScore) {
             lines.push(`Confidence:    ${(results.confidenceScore.composite * 100).toFixed(0)}% ${results.confidenceScore.descriptor}`);
@@ -68,6 +73,12 @@ export class ExportService {
             if (ar.truckingCost > 0) activityLines += `\n  Trucking: ${fc(ar.truckingCost)}`;
             if (ar.mobilizationCost > 0) activityLines += `\n  Mobilization: ${fc(ar.mobilizationCost)}`;
             if (ar.unitCost > 0) activityLines += `\n  Unit Cost: $${ar.unitCost.toFixed(2)}/${ar.unitCostUOM || 'SY'}`;
+            for (const s of ar.segments || []) {
+                activityLines += `\n  - ${s.name}: ${fn(s.area, 0)} ${ACTIVITY_CONFIG[ar.activityType]?.takeoffUOM || 'SY'}`;
+                if (s.depth > 0) activityLines += ` @ ${fn(s.depth)}"`;
+                if (s.tons > 0) activityLines += `, ${fn(s.tons, 0)} tons`;
+                activityLines += `, ${fn(s.duration)}d, ${fc(s.directCost)} ($${s.unitCost.toFixed(2)}/${s.unitCostUOM})`;
+            }
             activityLines += '\n';
         }
 
@@ -126,6 +137,67 @@ export class ExportService {
             calLine += `\n  Work Days: ${results.calendarDuration.workDays}`;
             calLine += `\n  Weather Contingency: ${results.calendarDuration.weatherDays}\n`;
         }
+        if (results.datedSchedule) {
+            const ds = results.datedSchedule;
+            calLine += `\nDATED SCHEDULE (${ds.startDate} to ${ds.finishDate}, ${ds.calendarDays} calendar days)\n--------------`;
+            for (const a of ds.activities) {
+                const season = a.seasonSensitive && !a.inSeason ? ' [OUT OF SEASON]' :
+                    a.pushedDays > 0 ? ` [pushed ${a.pushedDays}d to next season]` : '';
+                calLine += `\n  ${a.description}: ${a.startDate} to ${a.finishDate}${season}`;
+            }
+            if (ds.idleWorkDays > 0) calLine += `\n  Idle Work Days: ${ds.idleWorkDays}`;
+            calLine += '\n';
+        }
+        if (results.weatherAnalysis) {
+            const wx = results.weatherAnalysis;
+            calLine += `\nWEATHER (${wx.regionLabel}): ${wx.expectedDays.toFixed(1)} expected lost days, ${wx.contingencyDays} carried\n--------------`;
+            for (const a of wx.activities) {
+                calLine += `\n  ${a.description} (${a.temperatureSensitive ? 'rain + cold' : 'rain'}): ${a.expectedLostDays.toFixed(1)} of ${a.workDays} work days`;
+            }
+            for (const m of wx.months) {
+                calLine += `\n  ${m.month}: ${m.expectedLostDays.toFixed(1)} of ${m.workDays} work days`;
+            }
+            calLine += '\n';
+        }
+
+        // Risk analysis section
+        let riskLines = '';
+        if (results.riskAnalysis) {
+            const ra = results.riskAnalysis;
+            riskLines = `\nRISK ANALYSIS (Monte Carlo, ${ra.iterations} iterations, seed ${ra.seed})\n------------------------------`;
+            riskLines += `\n  P10: ${fc(ra.p10)}  P50: ${fc(ra.p50)}  P80: ${fc(ra.p80)}  P90: ${fc(ra.p90)}`;
+            riskLines += `\n  Contingency for P${Math.round(ra.confidenceLevel * 100)}: ${fc(ra.contingencyAtTarget)} (${(ra.contingencyPctAtTarget * 100).toFixed(1)}%)`;
+            riskLines += `\n  Contingency Carried: ${fc(ra.currentContingency)}`;
+            for (const risk of estimate.riskRegister?.risks || []) {
+                const hitRate = ra.riskHitRates?.[risk.id] || 0;
+                riskLines += `\n  ${risk.id} ${risk.description}: occurred in ${(hitRate * 100).toFixed(0)}% of iterations`;
+            }
+            riskLines += '\n';
+        }
+
+        // Schedule risk section
+        if (results.scheduleRisk) {
+            const sr = results.scheduleRisk;
+            riskLines += `\nSCHEDULE RISK (CPM Monte Carlo, ${sr.iterations} iterations, seed ${sr.seed})\n------------------------------`;
+            riskLines += `\n  Duration P10: ${sr.p10}d  P50: ${sr.p50}d  P80: ${sr.p80}d  P90: ${sr.p90}d`;
+            riskLines += `\n  Within CPM Duration (${sr.deterministicDuration}d): ${Math.round(sr.probabilityOnTime * 100)}%`;
+            riskLines += `\n  Time-Dependent GC P50/P80/P90: ${fc(sr.generalConditions.p50)} / ${fc(sr.generalConditions.p80)} / ${fc(sr.generalConditions.p90)}`;
+            riskLines += '\n  Criticality Index:';
+            for (const c of sr.criticality) {
+                riskLines += `\n    ${c.description}: ${Math.round(c.index * 100)}%${c.deterministicCritical ? ' (CPM critical)' : ''}`;
+            }
+            riskLines += '\n';
+        }
+
+        // Sensitivity section (only when run)
+        if (results.sensitivity?.drivers.length > 0) {
+            const sens = results.sensitivity;
+            riskLines += `\nSENSITIVITY (±${Math.round(sens.range * 100)}% per driver)\n------------------------------`;
+            for (const d of sens.drivers) {
+                riskLines += `\n  ${d.label}: ${fc(d.atLow)} to ${fc(d.atHigh)} (swing ${fc(d.swing)})`;
+            }
+            riskLines += '\n';
+        }
 
         // Scope assumptions
         let scopeLines = '';
@@ -154,6 +226,16 @@ export class ExportService {
             }
         }
 
+        // Resource leveling (crew fleet)
+        let levelingLines = '';
+        if (results.resourceLeveling) {
+            const rl = results.resourceLeveling;
+            levelingLines = `\nUnconstrained CPM Duration: ${fn(rl.cpmDuration)} days (crew conflicts +${fn(rl.delay)})`;
+            for (const l of rl.links) {
+                levelingLines += `\n  ${l.successorDescription} waits ${fn(l.delay)}d for ${l.crewCode} crew from ${l.predecessorDescription}`;
+            }
+        }
+
         const report = `PAVING ESTIMATE — RUBRIC-COMPLIANT
 =====================================
 Project: ${projectName}
@@ -165,13 +247,13 @@ AC Index: ${acIndex}
 
 SCHEDULE SUMMARY
 ------------------
-Project Duration (CPM): ${fn(results.projectDuration)} days
+Project Duration (${results.resourceLeveling ? 'Crew-Leveled' : 'CPM'}): ${fn(results.projectDuration)} days${levelingLines}
 Total Activity Days: ${fn(results.totalActivityDays)} days
 Critical Path: ${results.criticalPath.join(' \u2192 ') || 'None'}
 Total Truck Hours: ${fn(results.totalTruckHours, 0)} hrs
 
 ACTIVITY DETAIL
-------------------${activityLines}${unitCheckLines}${mobLines}${analysisLines}${confLine}${calLine}${scopeLines}${noteLines}=====================================
+------------------${activityLines}${unitCheckLines}${mobLines}${analysisLines}${confLine}${calLine}${riskLines}${scopeLines}${noteLines}=====================================
 COST SUMMARY (Rubric Tier 4 Structure)
 =====================================
 
@@ -225,6 +307,7 @@ TOTAL ESTIMATED COST: ${fc(results.totalEstimatedCost)}
                 projectDuration: results.projectDuration,
                 totalActivityDays: results.totalActivityDays,
                 criticalPath: results.criticalPath,
+                resourceLeveling: results.resourceLeveling || null,
                 directCostTotal: results.directCostTotal,
                 totalMaterialCost: results.totalMaterialCost,
                 totalLaborCost: results.totalLaborCost,
@@ -248,12 +331,18 @@ TOTAL ESTIMATED COST: ${fc(results.totalEstimatedCost)}
                     unitCost: ar.unitCost || 0,
                     trucks: ar.trucks,
                     truckHours: ar.truckHours,
+                    segments: ar.segments || [],
                 })),
                 confidence: results.confidenceScore || null,
                 unitChecks: results.unitChecks || [],
                 analysis: results.analysisResults || [],
                 clusterResults: results.clusterResults || null,
                 calendarDuration: results.calendarDuration || null,
+                datedSchedule: results.datedSchedule || null,
+                weatherAnalysis: results.weatherAnalysis || null,
+                riskAnalysis: results.riskAnalysis || null,
+                scheduleRisk: results.scheduleRisk || null,
+                sensitivity: results.sensitivity || null,
                 indirects: {
                     gcTotal: results.gcTotal,
                     totalFieldCost: results.totalFieldCost,
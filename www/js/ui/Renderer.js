@@ -3,6 +3,8 @@
 // DOM update orchestration — reads calculation results and updates all display elements
 // ============================================
 
+import { ACTIVITY_CONFIG } from '../data/paving-defaults.js';
+
 export class Renderer {
 
     // ---- Utility ----
@@ -21,6 +23,14 @@ export class Renderer {
         return '$' + Math.round(val).toLocaleString('en-US');
     }
 
+    // 'YYYY-MM-DD' → 'Mon 4/6/2026' (dates are calendar days, so format in UTC)
+    static formatDate(iso) {
+        if (!iso) return '—';
+        return new Date(iso + 'T00:00:00Z').toLocaleDateString('en-US', {
+            weekday: 'short', month: 'numeric', day: 'numeric', year: 'numeric', timeZone: 'UTC',
+        });
+    }
+
     static showWarning(id, show) {
         const el = document.getElementById(id);
         if (el) el.classList.toggle('show', show);
@@ -66,27 +76,18 @@ export class Renderer {
         sv('totalDays', results.projectDuration.toFixed(1));
         sv('totalTruckHrs', Math.round(results.totalTruckHours));
 
-        // Compute material totals from activity extras
-        let totalHMA = 0, totalDGA = 0, totalExcCY = 0, totalRAP = 0;
+        // Material totals from activity extras, per config summaryTotal
+        const summaryTotals = {};
+        for (const config of Object.values(ACTIVITY_CONFIG)) {
+            if (config.summaryTotal) summaryTotals[config.summaryTotal.id] = 0;
+        }
         for (const ar of results.activities) {
-            if (!ar._extra) continue;
-            if (ar.activityType === 'paving_base' || ar.activityType === 'paving_surface') {
-                totalHMA += ar._extra.tonsWithWaste || 0;
-            }
-            if (ar.activityType === 'dga_base') {
-                totalDGA += ar._extra.tonsWithWaste || 0;
-            }
-            if (ar.activityType === 'excavation') {
-                totalExcCY += ar._extra.bankCY || 0;
-            }
-            if (ar.activityType === 'milling') {
-                totalRAP += ar._extra.rapTons || 0;
-            }
+            const total = ACTIVITY_CONFIG[ar.activityType]?.summaryTotal;
+            if (total && ar._extra) summaryTotals[total.id] += ar._extra[total.key] || 0;
+        }
+        for (const [id, total] of Object.entries(summaryTotals)) {
+            sv(id, Math.round(total));
         }
-        sv('totalHMA', Math.round(totalHMA));
-        sv('totalDGA', Math.round(totalDGA));
-        sv('totalExcCY', Math.round(totalExcCY));
-        sv('totalRAP', Math.round(totalRAP));
 
         // ---- Schedule Summary ----
         Renderer._renderSchedule(results);
@@ -99,86 +100,35 @@ export class Renderer {
 
         // ---- v4.0 panels ----
         Renderer._renderConfidence(results.confidenceScore);
+        Renderer._renderSegments(results.activities);
         Renderer._renderUnitChecks(results.unitChecks);
         Renderer._renderAnalysis(results.analysisResults);
         Renderer._renderMobSafety(results.clusterResults);
-        Renderer._renderCalendar(results.calendarDuration);
+        Renderer._renderCalendar(results.calendarDuration, results.datedSchedule);
+        Renderer._renderWeather(results.weatherAnalysis);
+        Renderer._renderRiskAnalysis(results.riskAnalysis);
+        Renderer._renderScheduleRisk(results.scheduleRisk);
+        Renderer.renderSensitivity(results.sensitivity);
     }
 
     static _renderActivityOutputs(ar) {
         const fc = Renderer.formatCurrency;
         const sv = Renderer.setVal;
+        const config = ACTIVITY_CONFIG[ar.activityType];
+        if (!config || config.card === false) return;
         const ex = ar._extra || {};
-
-        switch (ar.activityType) {
-            case 'excavation':
-                sv('excBankCY', ex.bankCY || 0);
-                sv('excLooseCY', ex.looseCY || 0);
-                sv('excTons', ex.tons || 0);
-                sv('excDays', ar.duration);
-                sv('excTrucks', ar.trucks);
-                sv('excTruckHrs', ar.truckHours);
-                sv('excLaborCost', fc(ar.laborCost));
-                sv('excTruckCost', fc(ar.truckingCost));
-                Renderer.showWarning('excCycleWarn', ar.duration > 0 && ar.trucks === 0);
-                Renderer.setInputWarning('excavationCycle', ar.duration > 0 && ar.trucks === 0);
-                break;
-
-            case 'fine_grading':
-                sv('fgDays', ar.duration);
-                sv('fgLaborCost', fc(ar.laborCost));
-                break;
-
-            case 'dga_base':
-                sv('dgaCY', ex.cy || 0);
-                sv('dgaTons', ex.tons || 0);
-                sv('dgaTonsWaste', ex.tonsWithWaste || 0);
-                sv('dgaDays', ar.duration);
-                sv('dgaTrucks', ar.trucks);
-                sv('dgaTruckHrs', ar.truckHours);
-                sv('dgaMatCost', fc(ar.materialCost));
-                sv('dgaLaborCost', fc(ar.laborCost));
-                sv('dgaTruckCost', fc(ar.truckingCost));
-                Renderer.showWarning('dgaCycleWarn', ar.duration > 0 && ar.trucks === 0);
-                Renderer.setInputWarning('dgaCycle', ar.duration > 0 && ar.trucks === 0);
-                break;
-
-            case 'milling':
-                sv('millTons', ex.rapTons || 0);
-                sv('millDays', ar.duration);
-                sv('millTrucks', ar.trucks);
-                sv('millTruckHrs', ar.truckHours);
-                sv('millLaborCost', fc(ar.laborCost));
-                sv('millTruckCost', fc(ar.truckingCost));
-                Renderer.showWarning('millCycleWarn', ar.duration > 0 && ar.trucks === 0);
-                Renderer.setInputWarning('millingCycle', ar.duration > 0 && ar.trucks === 0);
-                break;
-
-            case 'paving_base':
-                sv('baseTons', ex.tons || 0);
-                sv('baseTonsWaste', ex.tonsWithWaste || 0);
-                sv('baseDays', ar.duration);
-                sv('baseTrucks', ar.trucks);
-                sv('baseTruckHrs', ar.truckHours);
-                sv('baseMatCost', fc(ar.materialCost));
-                sv('baseLaborCost', fc(ar.laborCost));
-                sv('baseTruckCost', fc(ar.truckingCost));
-                Renderer.showWarning('baseCycleWarn', ar.duration > 0 && ar.trucks === 0);
-                Renderer.setInputWarning('baseCycle', ar.duration > 0 && ar.trucks === 0);
-                break;
-
-            case 'paving_surface':
-                sv('surfTons', ex.tons || 0);
-                sv('surfTonsWaste', ex.tonsWithWaste || 0);
-                sv('surfDays', ar.duration);
-                sv('surfTrucks', ar.trucks);
-                sv('surfTruckHrs', ar.truckHours);
-                sv('surfMatCost', fc(ar.materialCost));
-                sv('surfLaborCost', fc(ar.laborCost));
-                sv('surfTruckCost', fc(ar.truckingCost));
-                Renderer.showWarning('surfCycleWarn', ar.duration > 0 && ar.trucks === 0);
-                Renderer.setInputWarning('surfaceCycle', ar.duration > 0 && ar.trucks === 0);
-                break;
+        const out = (key, val) => sv(`out_${ar.activityType}_${key}`, val);
+
+        for (const { key } of config.outputs) out(key, ex[key] || 0);
+        out('days', ar.duration);
+        if (config.hasMaterial) out('matCost', fc(ar.materialCost));
+        out('laborCost', fc(ar.laborCost));
+        if (config.hasCycleTime) {
+            out('trucks', ar.trucks);
+            out('truckHrs', ar.truckHours);
+            out('truckCost', fc(ar.truckingCost));
+            Renderer.showWarning(`cycleWarn_${ar.activityType}`, ar.duration > 0 && ar.trucks === 0);
+            Renderer.setInputWarning(config.inputs.cycle, ar.duration > 0 && ar.trucks === 0);
         }
     }
 
@@ -186,7 +136,8 @@ export class Renderer {
         const sv = Renderer.setVal;
         const fc = Renderer.formatCurrency;
 
-        sv('projectDuration', results.projectDuration.toFixed(1));
+        const rl = results.resourceLeveling;
+        sv('projectDuration', (rl ? rl.cpmDuration : results.projectDuration).toFixed(1));
         sv('activityDaysTotal', results.totalActivityDays.toFixed(1));
         sv('concurrencySaving', Math.max(0, results.totalActivityDays - results.projectDuration).toFixed(1));
         sv('criticalPathDisplay', results.criticalPath.length > 0 ?
@@ -195,10 +146,39 @@ export class Renderer {
                 return a ? a.description : id;
             }).join(' → ') : 'None');
 
+        Renderer._renderLeveling(rl);
+
         // Gantt chart
         Renderer._renderGantt(results.ganttData, results.projectDuration);
     }
 
+    static _renderLeveling(rl) {
+        const stat = document.getElementById('leveledStat');
+        const linksEl = document.getElementById('levelingLinks');
+        if (!stat || !linksEl) return;
+
+        if (!rl) {
+            stat.style.display = 'none';
+            linksEl.style.display = 'none';
+            return;
+        }
+
+        stat.style.display = 'block';
+        stat.classList.toggle('critical', rl.delay > 0.001);
+        Renderer.setVal('leveledDuration', rl.leveledDuration.toFixed(1));
+
+        linksEl.style.display = 'block';
+        if (rl.links.length === 0) {
+            linksEl.textContent = 'No crew conflicts — every activity has a crew when its logic allows it to start.';
+            return;
+        }
+        const heading = rl.delay > 0.001 ?
+            `Crew conflicts add ${rl.delay.toFixed(1)} days:` : 'Crew conflicts absorbed by float:';
+        linksEl.innerHTML = `<div>${heading}</div>` + rl.links.map(l =>
+            `<div class="leveling-link">${l.successorDescription} waits ${l.delay.toFixed(1)}d for ${l.crewCode} crew from ${l.predecessorDescription}</div>`
+        ).join('');
+    }
+
     static _renderGantt(ganttData, projectDuration) {
         const container = document.getElementById('ganttContainer');
         if (!container || !ganttData || projectDuration <= 0) return;
@@ -234,47 +214,27 @@ export class Renderer {
         const fc = Renderer.formatCurrency;
         const sv = Renderer.setVal;
 
-        // Materials by activity
+        // Per-activity lines (built by initCostSummary as cost_<category>_<type>)
         for (const ar of results.activities) {
-            if (ar.activityType === 'paving_surface') sv('cost95HMA', fc(ar.materialCost));
-            if (ar.activityType === 'paving_base') sv('cost19HMA', fc(ar.materialCost));
-            if (ar.activityType === 'dga_base') sv('costDGAMat', fc(ar.materialCost));
-            if (ar.activityType === 'tack_coat') sv('costTack', fc(ar.materialCost));
+            sv(`cost_material_${ar.activityType}`, fc(ar.materialCost));
+            sv(`cost_labor_${ar.activityType}`, fc(ar.laborCost));
+            sv(`cost_equipment_${ar.activityType}`, fc(ar.equipmentCost));
+            sv(`cost_trucking_${ar.activityType}`, fc(ar.truckingCost));
         }
         sv('subtotalMaterials', fc(results.totalMaterialCost));
-
-        // Labor by activity
-        const laborMap = { excavation: 'costLaborExc', fine_grading: 'costLaborFG', dga_base: 'costLaborDGA', milling: 'costLaborMill', paving_base: 'costLaborBase', paving_surface: 'costLaborSurf' };
-        for (const ar of results.activities) {
-            if (laborMap[ar.activityType]) sv(laborMap[ar.activityType], fc(ar.laborCost));
-        }
         sv('subtotalLabor', fc(results.totalLaborCost));
-
-        // Equipment by activity
-        const equipMap = { excavation: 'costEquipExc', fine_grading: 'costEquipFG', dga_base: 'costEquipDGA', milling: 'costEquipMill', paving_base: 'costEquipBase', paving_surface: 'costEquipSurf' };
-        for (const ar of results.activities) {
-            if (equipMap[ar.activityType]) sv(equipMap[ar.activityType], fc(ar.equipmentCost));
-        }
         sv('subtotalEquipment', fc(results.totalEquipmentCost));
-
-        // Trucking by activity
-        const truckMap = { excavation: 'costTruckExc', dga_base: 'costTruckDGA', milling: 'costTruckMill', paving_base: 'costTruckBase', paving_surface: 'costTruckSurf' };
-        for (const ar of results.activities) {
-            if (truckMap[ar.activityType]) sv(truckMap[ar.activityType], fc(ar.truckingCost));
-        }
         sv('subtotalTrucking', fc(results.totalTruckingCost));
 
         // Mobilization by activity (activity-level mob or cluster mob)
         if (results.clusterResults && results.clusterMobCost > 0) {
             // Cluster mode: show cluster mob total (replaces per-activity mob)
-            const mobMap = { excavation: 'costMobExc', fine_grading: 'costMobFG', dga_base: 'costMobDGA', milling: 'costMobMill', paving_base: 'costMobBase', paving_surface: 'costMobSurf' };
-            for (const key of Object.values(mobMap)) sv(key, '—');
+            for (const type of Object.keys(ACTIVITY_CONFIG)) sv(`cost_mob_${type}`, '—');
             sv('subtotalMob', fc(results.clusterMobCost));
         } else {
             // Activity-level mob
-            const mobMap = { excavation: 'costMobExc', fine_grading: 'costMobFG', dga_base: 'costMobDGA', milling: 'costMobMill', paving_base: 'costMobBase', paving_surface: 'costMobSurf' };
             for (const ar of results.activities) {
-                if (mobMap[ar.activityType]) sv(mobMap[ar.activityType], fc(ar.mobilizationCost));
+                sv(`cost_mob_${ar.activityType}`, fc(ar.mobilizationCost));
             }
             sv('subtotalMob', fc(results.totalMobilizationCost));
         }
@@ -323,12 +283,12 @@ export class Renderer {
 
         // Unit costs
         const pavedActivities = results.activities.filter(a =>
-            ['paving_base', 'paving_surface'].includes(a.activityType) && a.netQuantity > 0
+            ACTIVITY_CONFIG[a.activityType]?.isHMA && a.netQuantity > 0
         );
         const totalPavedSY = Math.max(0, ...pavedActivities.map(a => a.netQuantity), 0);
         let totalHMA = 0;
         for (const ar of results.activities) {
-            if (ar._extra && (ar.activityType === 'paving_base' || ar.activityType === 'paving_surface')) {
+            if (ar._extra && ACTIVITY_CONFIG[ar.activityType]?.isHMA) {
                 totalHMA += ar._extra.tonsWithWaste || 0;
             }
         }
@@ -397,6 +357,40 @@ export class Renderer {
         }
     }
 
+    static _renderSegments(activities) {
+        const panel = document.getElementById('segmentPanel');
+        const tbody = document.getElementById('segmentBody');
+        if (!panel || !tbody) return;
+
+        const segmented = activities.filter(a => a.segments?.length > 0 && a.duration > 0);
+        if (segmented.length === 0) { panel.style.display = 'none'; return; }
+
+        panel.style.display = 'block';
+        tbody.innerHTML = '';
+        const fc = Renderer.formatCurrency;
+
+        for (const a of segmented) {
+            const takeoffUOM = ACTIVITY_CONFIG[a.activityType]?.takeoffUOM || 'SY';
+            const header = document.createElement('tr');
+            header.innerHTML = `<td colspan="7"><strong>${a.description}</strong></td>`;
+            tbody.appendChild(header);
+
+            for (const s of a.segments) {
+                const tr = document.createElement('tr');
+                tr.innerHTML = `
+                    <td>${s.name}${s.mobilizationCost > 0 ? ' (+mob)' : ''}</td>
+                    <td>${Math.round(s.area).toLocaleString('en-US')} ${takeoffUOM}</td>
+                    <td>${s.depth ? s.depth + '"' : '—'}</td>
+                    <td>${s.tons ? Math.round(s.tons).toLocaleString('en-US') : '—'}</td>
+                    <td>${s.duration.toFixed(1)}</td>
+                    <td>${fc(s.directCost)}</td>
+                    <td>$${s.unitCost.toFixed(2)}/${s.unitCostUOM}</td>
+                `;
+                tbody.appendChild(tr);
+            }
+        }
+    }
+
     static _renderUnitChecks(checks) {
         const panel = document.getElementById('unitCheckPanel');
         const tbody = document.getElementById('unitCheckBody');
@@ -496,7 +490,526 @@ export class Renderer {
         sv('mobSafetyTotalDisplay', fc(clusterResults.totalMobAndSafety || 0));
     }
 
-    static _renderCalendar(cal) {
+    // ---- Equipment library ----
+
+    /**
+     * Render the equipment O&O library with each unit's built-up rate.
+     * Inputs carry no ids, so session snapshots and form resets leave them alone.
+     * @param {{ code: string, unit: Object, cost: Object, edited: boolean }[]} rows - cost = EquipmentCost.ownershipOperatingRate()
+     * @param {number} fuelPrice - $/gal the rates are priced at
+     */
+    static renderEquipmentLibrary(rows, fuelPrice) {
+        const tbody = document.getElementById('equipmentBody');
+        if (!tbody) return;
+
+        const edited = rows.filter(r => r.edited).length;
+        Renderer.setVal('equipmentFuelNote', `Priced at $${fuelPrice.toFixed(2)}/gal fuel` +
+            (edited ? ` · ${edited} unit${edited === 1 ? '' : 's'} edited` : ''));
+        const esc = s => String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/"/g, '&quot;');
+        const money = v => '$' + v.toFixed(2);
+        const input = (code, field, value, step, width = 70) =>
+            `<input type="number" inputmode="decimal" min="0" step="${step}" style="width: ${width}px;" value="${value}" onchange="setEquipmentField('${code}', '${field}', this.value)">`;
+        const pct = v => Math.round(v * 10000) / 100;
+
+        tbody.innerHTML = rows.map(({ code, unit, cost, edited }) => `
+            <tr>
+                <td title="${esc(code)}">${esc(unit.name)}${edited ? ' <em>(edited)</em>' : ''}</td>
+                <td>${input(code, 'purchasePrice', unit.purchasePrice, 500, 85)}</td>
+                <td>${input(code, 'salvage', unit.salvage, 100, 75)}</td>
+                <td>${input(code, 'lifeHours', unit.lifeHours, 500)}</td>
+                <td>${input(code, 'annualHours', unit.annualHours, 100, 60)}</td>
+                <td>${input(code, 'interestRate', pct(unit.interestRate), 0.25, 55)}</td>
+                <td>${input(code, 'insuranceTaxRate', pct(unit.insuranceTaxRate), 0.25, 55)}</td>
+                <td>${input(code, 'fuelBurn', unit.fuelBurn, 0.1, 55)}</td>
+                <td>${input(code, 'wearPerHour', unit.wearPerHour, 0.01, 60)}</td>
+                <td>${input(code, 'repairFactor', unit.repairFactor, 0.05, 55)}</td>
+                <td>${money(cost.ownership)}</td>
+                <td>${money(cost.operating)}</td>
+                <td><strong>${money(cost.rate)}</strong></td>
+            </tr>`).join('');
+    }
+
+    // ---- Labor rates ----
+
+    /**
+     * Render the wage table picker and the selected table's itemized rates.
+     * Only project tables get inputs; county and company tables are read-only.
+     * @param {Object} view
+     * @param {{ value: string, label: string }[]} view.options - Wage tables to pick from
+     * @param {string} view.selected - Picked table id ('' = company rates)
+     * @param {Object} view.table - Wage table (label, determination, overtime, classifications)
+     * @param {boolean} view.editable
+     * @param {{ key: string, wages: Object, cost: Object }[]} view.rows - cost = LaborCost.burdenedRate()
+     */
+    static renderLaborRates({ options, selected, table, editable, rows }) {
+        const tbody = document.getElementById('wageBody');
+        if (!tbody) return;
+        const esc = s => String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/"/g, '&quot;');
+        const money = v => '$' + v.toFixed(2);
+
+        const select = document.getElementById('wageTable');
+        if (select) {
+            select.innerHTML = options.map(o => `<option value="${esc(o.value)}">${esc(o.label)}</option>`).join('');
+            select.value = selected;
+        }
+        const deleteBtn = document.getElementById('wageDeleteBtn');
+        if (deleteBtn) deleteBtn.disabled = !editable;
+
+        Renderer.setVal('wageTableNote', !selected
+            ? 'Crews are priced at their composition rates; these wages set the overtime premium only.'
+            : `${table.county ? table.county + ' · ' : ''}${table.determination || ''}` +
+              (editable ? '' : ' · Copy to a project table to edit'));
+
+        const rules = table.overtime;
+        const ruleInput = (field, value, step, min = 0) => editable
+            ? `<input type="number" inputmode="decimal" min="${min}" step="${step}" style="width: 55px;" value="${value}" onchange="setOvertimeRule('${field}', this.value)">`
+            : `<strong>${value || '—'}</strong>`;
+        const overtime = document.getElementById('wageOvertime');
+        if (overtime) {
+            overtime.innerHTML = `Overtime ${ruleInput('multiplier', rules.multiplier, 0.25, 1)}× after ` +
+                `${ruleInput('dailyAfter', rules.dailyAfter, 0.5)} hr/day or ${ruleInput('weeklyAfter', rules.weeklyAfter, 1)} hr/week · ` +
+                `double time ${ruleInput('doubleMultiplier', rules.doubleMultiplier, 0.25, 1)}× after ${ruleInput('doubleAfter', rules.doubleAfter, 0.5)} hr/day`;
+        }
+
+        const cell = (key, field, value) => editable
+            ? `<input type="number" inputmode="decimal" min="0" step="0.05" style="width: 65px;" value="${value}" onchange="setWageField('${key}', '${field}', this.value)">`
+            : money(value || 0);
+        const premium = mult => (mult || 1) - 1;
+
+        tbody.innerHTML = rows.map(({ key, wages, cost }) => `
+            <tr>
+                <td title="${esc(key)}">${esc(wages.label || key)}</td>
+                <td>${cell(key, 'baseWage', wages.baseWage)}</td>
+                <td>${money(cost.fica)}</td>
+                <td>${money(cost.futa + cost.suta)}</td>
+                <td>${cell(key, 'healthWelfare', wages.healthWelfare)}</td>
+                <td>${cell(key, 'pension', wages.pension)}</td>
+                <td>${cell(key, 'training', wages.training)}</td>
+                <td>${cell(key, 'dues', wages.dues)}</td>
+                <td><strong>${money(cost.rate)}</strong></td>
+                <td>${money(cost.rate + premium(rules.multiplier) * cost.overtimeBase)}</td>
+                <td>${money(cost.rate + premium(rules.doubleMultiplier) * cost.overtimeBase)}</td>
+            </tr>`).join('');
+    }
+
+    // ---- Takeoff builders ----
+
+    /**
+     * Show the quantities a roadway cross-section measures to.
+     * @param {import('../models/CrossSection.js').CrossSection} section
+     */
+    static renderCrossSection(section) {
+        for (const key of ['laneSY', 'shoulderSY', 'turnLaneSY', 'pavedSY', 'millingSY', 'jointLF']) {
+            Renderer.setVal(`xs_${key}`, section[key].toLocaleString('en-US'));
+        }
+    }
+
+    /**
+     * Render imported takeoff polygons with their activity assignments.
+     * Row controls carry no ids, so session snapshots leave them to the polygon list.
+     * @param {import('../models/TakeoffPolygon.js').TakeoffPolygon[]} polygons
+     * @param {{ value: string, label: string }[]} activityOptions - Activities a polygon can feed
+     */
+    static renderPolygonList(polygons, activityOptions) {
+        const tbody = document.getElementById('polygonBody');
+        const empty = document.getElementById('polygonEmpty');
+        if (!tbody) return;
+
+        tbody.innerHTML = '';
+        if (empty) empty.style.display = polygons.length === 0 ? 'block' : 'none';
+        const esc = s => String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/"/g, '&quot;');
+
+        polygons.forEach((poly, i) => {
+            const options = activityOptions.map(o =>
+                `<option value="${o.value}"${o.value === poly.activityType ? ' selected' : ''}>${esc(o.label)}</option>`).join('');
+            const tr = document.createElement('tr');
+            tr.innerHTML = `
+                <td>${esc(poly.name)}</td>
+                <td>${esc(poly.source)}</td>
+                <td>${Math.ceil(poly.areaSY).toLocaleString('en-US')}</td>
+                <td><select onchange="setPolygonField(${i}, 'activityType', this.value)"><option value="">Unassigned</option>${options}</select></td>
+                <td><select onchange="setPolygonField(${i}, 'target', this.value)">
+                    <option value="segment"${poly.target === 'segment' ? ' selected' : ''}>Segment</option>
+                    <option value="main"${poly.target === 'main' ? ' selected' : ''}>Main area</option>
+                </select></td>
+                <td><input type="number" inputmode="decimal" min="0" step="0.5" style="width: 60px;" value="${poly.depth || ''}" placeholder="—" onchange="setPolygonField(${i}, 'depth', this.value)"></td>
+                <td class="saved-actions"><button class="btn btn-danger btn-small" onclick="removePolygon(${i})">Remove</button></td>
+            `;
+            tbody.appendChild(tr);
+        });
+    }
+
+    /**
+     * Render an imported DXF's layer totals and the layer → activity mappings.
+     * @param {string} fileName - Imported drawing ('' = none)
+     * @param {Object[]} layers - { name, closedCount, openCount, blockCount, areaSY, lengthLF }
+     * @param {Object[]} mappings - { layer, activityType, target, depth, quantity, uom }
+     * @param {{ value: string, label: string }[]} activityOptions
+     */
+    static renderDxfTakeoff(fileName, layers, mappings, activityOptions) {
+        const layerBody = document.getElementById('dxfLayerBody');
+        const mapBody = document.getElementById('dxfMapBody');
+        if (!layerBody || !mapBody) return;
+
+        Renderer.setVal('dxfFileName', fileName || 'No drawing imported.');
+        const detail = document.getElementById('dxfDetail');
+        if (detail) detail.style.display = fileName ? 'block' : 'none';
+        const esc = s => String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/"/g, '&quot;');
+        const n = v => v.toLocaleString('en-US');
+
+        layerBody.innerHTML = layers.map(l => `
+            <tr>
+                <td>${esc(l.name)}</td>
+                <td>${l.closedCount || '—'}</td>
+                <td>${l.areaSY ? n(l.areaSY) : '—'}</td>
+                <td>${l.openCount || '—'}</td>
+                <td>${l.lengthLF ? n(l.lengthLF) : '—'}</td>
+                <td>${l.blockCount || '—'}</td>
+            </tr>`).join('');
+
+        mapBody.innerHTML = '';
+        mappings.forEach((m, i) => {
+            const layerOptions = [...new Set([m.layer, ...layers.map(l => l.name)])].map(name =>
+                `<option value="${esc(name)}"${name === m.layer ? ' selected' : ''}>${esc(name)}${layers.some(l => l.name === name) ? '' : ' (missing)'}</option>`).join('');
+            const options = activityOptions.map(o =>
+                `<option value="${o.value}"${o.value === m.activityType ? ' selected' : ''}>${esc(o.label)}</option>`).join('');
+            const tr = document.createElement('tr');
+            tr.innerHTML = `
+                <td><select onchange="setDxfMapping(${i}, 'layer', this.value)">${layerOptions}</select></td>
+                <td><select onchange="setDxfMapping(${i}, 'activityType', this.value)"><option value="">Unassigned</option>${options}</select></td>
+                <td><select onchange="setDxfMapping(${i}, 'target', this.value)">
+                    <option value="main"${m.target === 'main' ? ' selected' : ''}>Main</option>
+                    <option value="segment"${m.target === 'segment' ? ' selected' : ''}>Segment</option>
+                </select></td>
+                <td><input type="number" inputmode="decimal" min="0" step="0.5" style="width: 60px;" value="${m.depth || ''}" placeholder="—" onchange="setDxfMapping(${i}, 'depth', this.value)"></td>
+                <td>${m.activityType ? `${n(m.quantity)} ${m.uom}` : '—'}</td>
+                <td class="saved-actions"><button class="btn btn-danger btn-small" onclick="removeDxfMapping(${i})">Remove</button></td>
+            `;
+            mapBody.appendChild(tr);
+        });
+    }
+
+    /**
+     * Render an imported CSV's column mapping and every row's result, with
+     * unmapped rows shown beside the reason they were left out.
+     * @param {Object} view
+     * @param {string} view.fileName - Imported file ('' = none)
+     * @param {string[]} view.headers
+     * @param {{ item: number, area: number, depth: number, unit: number }} view.columns
+     * @param {Object[]} view.rows - CsvImport.mapCsvRows() results
+     * @param {{ value: string, label: string }[]} view.activityOptions
+     */
+    static renderCsvImport({ fileName, headers, columns, rows, activityOptions }) {
+        const columnsEl = document.getElementById('csvColumns');
+        const body = document.getElementById('csvRowBody');
+        if (!columnsEl || !body) return;
+
+        Renderer.setVal('csvFileName', fileName || 'No CSV imported.');
+        const detail = document.getElementById('csvDetail');
+        if (detail) detail.style.display = fileName ? 'block' : 'none';
+        const esc = s => String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/"/g, '&quot;');
+        const n = v => v.toLocaleString('en-US');
+
+        const fields = [['item', 'Item'], ['area', 'Quantity'], ['depth', 'Depth'], ['unit', 'Unit']];
+        columnsEl.innerHTML = fields.map(([field, label]) => `
+            <div class="setting-group compact">
+                <label>${label} Column</label>
+                <select onchange="setCsvColumn('${field}', this.value)">
+                    <option value="-1">—</option>
+                    ${headers.map((h, i) => `<option value="${i}"${columns[field] === i ? ' selected' : ''}>${esc(h || `Column ${i + 1}`)}</option>`).join('')}
+                </select>
+            </div>`).join('');
+
+        const unmapped = rows.filter(r => r.reason).length;
+        Renderer.setVal('csvSummary', `${rows.length} rows · ${rows.length - unmapped} mapped · ${unmapped} not mapped`);
+
+        body.innerHTML = '';
+        for (const row of rows) {
+            const options = activityOptions.map(o =>
+                `<option value="${o.value}"${o.value === row.activityType ? ' selected' : ''}>${esc(o.label)}</option>`).join('');
+            const tr = document.createElement('tr');
+            tr.innerHTML = `
+                <td>${row.line}</td>
+                <td>${esc(row.item) || '—'}</td>
+                <td>${esc(row.rawQuantity) || '—'} ${esc(row.rawUnit)}</td>
+                <td>${row.item ? `<select data-item="${esc(row.item)}" onchange="setCsvAlias(this.dataset.item, this.value)"><option value="">Unmapped</option>${options}</select>` : '—'}</td>
+                <td>${row.reason ? '—' : `${n(row.quantity)} ${row.uom}`}</td>
+                <td${row.reason ? ' style="color: var(--accent-red);"' : ''}>${row.reason ? esc(row.reason) : '✓'}</td>
+            `;
+            body.appendChild(tr);
+        }
+    }
+
+    /**
+     * Render the plan image with its calibration line, traced shapes and the
+     * shape being drawn, plus the shape assignment list.
+     * @param {Object} view
+     * @param {{ name: string, width: number, height: number }|null} view.image
+     * @param {string|null} view.imageUrl
+     * @param {number} view.zoom - Display width as a multiple of the panel width
+     * @param {{ a: number[], b: number[], feet: number }|null} view.calibration
+     * @param {number} view.feetPerPixel
+     * @param {{ shape: Object, measure: string, options: Object[] }[]} view.shapes
+     * @param {number} view.selected - Selected shape index (-1 = none)
+     * @param {{ tool: string, points: number[][] }|null} view.draft
+     */
+    static renderPlanTakeoff(view) {
+        const canvas = document.getElementById('planCanvas');
+        const tbody = document.getElementById('planShapeBody');
+        if (!canvas || !tbody) return;
+
+        const esc = s => String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/"/g, '&quot;');
+        const { image, draft } = view;
+        const toolLabels = { calibrate: 'Click both ends of a known dimension', area: 'Click the outline, then Finish', line: 'Click along the line, then Finish', hole: 'Click the hole outline, then Finish' };
+        Renderer.setVal('planStatus', !image ? 'No plan loaded.'
+            : draft ? `${toolLabels[draft.tool]} — ${draft.points.length} point${draft.points.length === 1 ? '' : 's'}`
+            : view.feetPerPixel ? `${image.name} — ${view.calibration.feet} ft calibration`
+            : `${image.name} — not calibrated`);
+        const draftActions = document.getElementById('planDraftActions');
+        if (draftActions) draftActions.style.display = draft ? 'flex' : 'none';
+
+        if (!image) {
+            canvas.innerHTML = '';
+        } else {
+            const { width: W, height: H } = image;
+            const pts = points => points.map(([x, y]) => `${x},${y}`).join(' ');
+            const ring = points => `M${points.map(([x, y]) => `${x} ${y}`).join(' L')} Z`;
+            const fontSize = Math.max(W, H) / 70;
+            let svg = `<svg class="plan-svg${draft ? ' drawing' : ''}" viewBox="0 0 ${W} ${H}" style="width: ${view.zoom * 100}%;" onclick="planClick(event)" xmlns="http://www.w3.org/2000/svg">`;
+            svg += view.imageUrl
+                ? `<image href="${view.imageUrl}" x="0" y="0" width="${W}" height="${H}"/>`
+                : `<rect class="plan-missing" x="0" y="0" width="${W}" height="${H}"/>`;
+
+            view.shapes.forEach(({ shape }, i) => {
+                const cls = `plan-shape${i === view.selected ? ' selected' : ''}`;
+                svg += shape.kind === 'line'
+                    ? `<polyline class="${cls} plan-line" points="${pts(shape.points)}" vector-effect="non-scaling-stroke"/>`
+                    : `<path class="${cls} plan-area" d="${[shape.points, ...shape.holes].map(ring).join(' ')}" fill-rule="evenodd" vector-effect="non-scaling-stroke"/>`;
+                const [lx, ly] = shape.points[0];
+                svg += `<text class="plan-label" x="${lx}" y="${ly}" font-size="${fontSize}">${esc(shape.name)}</text>`;
+            });
+            if (view.calibration) {
+                const { a, b } = view.calibration;
+                svg += `<line class="plan-calibration" x1="${a[0]}" y1="${a[1]}" x2="${b[0]}" y2="${b[1]}" vector-effect="non-scaling-stroke"/>`;
+            }
+            if (draft?.points.length) {
+                svg += `<polyline class="plan-draft" points="${pts(draft.points)}" vector-effect="non-scaling-stroke"/>`;
+                svg += draft.points.map(([x, y]) => `<circle class="plan-draft-point" cx="${x}" cy="${y}" r="${fontSize / 4}"/>`).join('');
+            }
+            svg += '</svg>';
+            canvas.innerHTML = view.imageUrl ? svg
+                : `${svg}<div class="plan-note">Plan image not found on this device — traced shapes are shown without it.</div>`;
+        }
+
+        tbody.innerHTML = '';
+        const empty = document.getElementById('planEmpty');
+        if (empty) empty.style.display = view.shapes.length === 0 ? 'block' : 'none';
+        view.shapes.forEach(({ shape, measure, options }, i) => {
+            const activityOptions = options.map(o =>
+                `<option value="${o.value}"${o.value === shape.activityType ? ' selected' : ''}>${esc(o.label)}</option>`).join('');
+            const tr = document.createElement('tr');
+            if (i === view.selected) tr.className = 'saved-current';
+            tr.innerHTML = `
+                <td><input type="text" value="${esc(shape.name)}" style="width: 90px;" onchange="setPlanShapeField(${i}, 'name', this.value)"></td>
+                <td>${shape.kind === 'line' ? 'Line' : `Area${shape.holes.length ? ` − ${shape.holes.length} hole${shape.holes.length === 1 ? '' : 's'}` : ''}`}</td>
+                <td>${measure}</td>
+                <td><select onchange="setPlanShapeField(${i}, 'activityType', this.value)"><option value="">Unassigned</option>${activityOptions}</select></td>
+                <td><select onchange="setPlanShapeField(${i}, 'target', this.value)">
+                    <option value="main"${shape.target === 'main' ? ' selected' : ''}>Main</option>
+                    <option value="segment"${shape.target === 'segment' ? ' selected' : ''}>Segment</option>
+                </select></td>
+                <td><input type="number" inputmode="decimal" min="0" step="0.5" style="width: 60px;" value="${shape.depth || ''}" placeholder="—" onchange="setPlanShapeField(${i}, 'depth', this.value)"></td>
+                <td class="saved-actions">
+                    <button class="btn btn-secondary btn-small" onclick="selectPlanShape(${i})">${i === view.selected ? 'Deselect' : 'Select'}</button>
+                    ${shape.holes.length ? `<button class="btn btn-secondary btn-small" onclick="removePlanHole(${i})">Undo Hole</button>` : ''}
+                    <button class="btn btn-danger btn-small" onclick="removePlanShape(${i})">Remove</button>
+                </td>
+            `;
+            tbody.appendChild(tr);
+        });
+    }
+
+    // ---- Saved Estimates (job list) ----
+
+    /**
+     * Render the saved-estimate browser from the EstimateStore index.
+     * @param {Object[]} estimates - Index metadata from EstimateStore.listEstimates()
+     * @param {string|null} currentId - Estimate currently open in the form
+     */
+    static renderEstimateList(estimates, currentId = null) {
+        const tbody = document.getElementById('savedEstimatesBody');
+        const empty = document.getElementById('savedEstimatesEmpty');
+        if (!tbody) return;
+
+        tbody.innerHTML = '';
+        if (empty) empty.style.display = estimates.length === 0 ? 'block' : 'none';
+
+        const sorted = [...estimates].sort((a, b) =>
+            (b.lastModified || '').localeCompare(a.lastModified || ''));
+        const modeLabels = { parking_lot: 'Parking Lot', roadway: 'Roadway' };
+
+        for (const meta of sorted) {
+            const tr = document.createElement('tr');
+            if (meta.id === currentId) tr.className = 'saved-current';
+
+            const name = document.createElement('td');
+            name.textContent = meta.projectName || 'Untitled';
+            tr.appendChild(name);
+
+            const modified = meta.lastModified ? new Date(meta.lastModified) : null;
+            const cells = [
+                modeLabels[meta.jobMode] || meta.jobMode || '—',
+                `v${meta.version || 1}`,
+                modified ? modified.toLocaleDateString() + ' ' + modified.toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' }) : '—',
+                meta.bidPrice != null ? Renderer.formatCurrency(meta.bidPrice) : '—',
+            ];
+            for (const text of cells) {
+                const td = document.createElement('td');
+                td.textContent = text;
+                tr.appendChild(td);
+            }
+
+            const actions = document.createElement('td');
+            actions.className = 'saved-actions';
+            actions.innerHTML = `
+                <button class="btn btn-primary btn-small" onclick="openEstimate('${meta.id}')">Open</button>
+                <button class="btn btn-secondary btn-small" onclick="showRevisions('${meta.id}')">History</button>
+                <button class="btn btn-secondary btn-small" onclick="duplicateSavedEstimate('${meta.id}')">Duplicate</button>
+                <button class="btn btn-secondary btn-small" onclick="renameSavedEstimate('${meta.id}')">Rename</button>
+                <button class="btn btn-danger btn-small" onclick="deleteSavedEstimate('${meta.id}')">Delete</button>
+            `;
+            tr.appendChild(actions);
+            tbody.appendChild(tr);
+        }
+    }
+
+    /**
+     * Render the revision history panel for one saved estimate.
+     * @param {Object|null} meta - Index metadata (null hides the panel)
+     * @param {Object[]} revisions - From EstimateStore.listRevisions(), newest first
+     */
+    static renderRevisionList(meta, revisions) {
+        const panel = document.getElementById('revisionPanel');
+        const tbody = document.getElementById('revisionBody');
+        if (!panel || !tbody) return;
+
+        if (!meta) { panel.style.display = 'none'; return; }
+
+        panel.style.display = 'block';
+        Renderer.setVal('revisionTitle', `Revision History — ${meta.projectName || 'Untitled'}`);
+        tbody.innerHTML = '';
+        const fc = Renderer.formatCurrency;
+
+        for (const rev of revisions) {
+            const tr = document.createElement('tr');
+            if (!rev.available) tr.className = 'rev-unavailable';
+            const saved = rev.timestamp ? new Date(rev.timestamp).toLocaleString() : '—';
+            const note = rev.restoredFrom ? `Restored from v${rev.restoredFrom}` : (rev.available ? '' : 'No snapshot kept');
+            tr.innerHTML = `
+                <td>v${rev.version}</td>
+                <td>${saved}</td>
+                <td>${rev.summary ? fc(rev.summary.directCost) : '—'}</td>
+                <td>${rev.summary ? rev.summary.projectDuration : '—'}</td>
+                <td>${rev.summary ? fc(rev.summary.totalEstimatedCost) : '—'}</td>
+                <td>${note}</td>
+                <td class="saved-actions">${rev.available && rev.version !== meta.version ?
+                    `<button class="btn btn-secondary btn-small" onclick="restoreSavedRevision('${meta.id}', ${rev.version})">Restore</button>` : ''}</td>
+            `;
+            tbody.appendChild(tr);
+        }
+
+        // Compare pickers: default to previous → latest
+        const available = revisions.filter(r => r.available).map(r => r.version);
+        for (const [id, pick] of [['revisionFrom', available[1] ?? available[0]], ['revisionTo', available[0]]]) {
+            const select = document.getElementById(id);
+            if (!select) continue;
+            select.innerHTML = available.map(v => `<option value="${v}">v${v}</option>`).join('');
+            if (pick !== undefined) select.value = pick;
+        }
+
+        const diff = document.getElementById('revisionDiff');
+        if (diff) diff.innerHTML = '';
+    }
+
+    /**
+     * Render a side-by-side diff of two versions with per-change impact.
+     * @param {Object} diff - From diffEstimates()
+     * @param {number} fromVersion
+     * @param {number} toVersion
+     */
+    static renderRevisionDiff(diff, fromVersion, toVersion) {
+        const container = document.getElementById('revisionDiff');
+        if (!container) return;
+
+        const fc = Renderer.formatCurrency;
+        const signed = (val, fmt) => (val > 0 ? '+' : val < 0 ? '−' : '') + fmt(Math.abs(val));
+        const money = (val) => Math.abs(val) < 0.5 ? '—' : signed(val, fc);
+        const days = (val) => Math.abs(val) < 0.01 ? '—' : signed(val, v => `${+v.toFixed(1)}d`);
+        const fmt = (val) => {
+            if (val === null || val === undefined || val === '') return '—';
+            if (typeof val === 'boolean') return val ? 'Yes' : 'No';
+            if (typeof val === 'number') return (+val.toFixed(4)).toLocaleString('en-US');
+            return String(val);
+        };
+        const esc = (text) => String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+        let html = `
+            <table class="revision-diff-table">
+                <thead>
+                    <tr>
+                        <th>Item</th>
+                        <th>v${fromVersion}</th>
+                        <th>v${toVersion}</th>
+                        <th>Δ Direct</th>
+                        <th>Δ Duration</th>
+                        <th>Δ Bid</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    <tr class="diff-total">
+                        <td>Estimate totals</td>
+                        <td>${fc(diff.before.directCost)} · ${diff.before.projectDuration}d · ${fc(diff.before.totalEstimatedCost)}</td>
+                        <td>${fc(diff.after.directCost)} · ${diff.after.projectDuration}d · ${fc(diff.after.totalEstimatedCost)}</td>
+                        <td>${money(diff.delta.directCost)}</td>
+                        <td>${days(diff.delta.projectDuration)}</td>
+                        <td>${money(diff.delta.totalEstimatedCost)}</td>
+                    </tr>`;
+
+        if (diff.changes.length === 0) {
+            html += '<tr><td colspan="6">No input changes between these versions.</td></tr>';
+        }
+
+        for (const c of diff.changes) {
+            const before = c.details.map(d => `${esc(d.label)}: ${esc(fmt(d.before))}`).join('<br>') || '—';
+            const after = c.details.map(d => `${esc(d.label)}: ${esc(fmt(d.after))}`).join('<br>') || '—';
+            const impact = c.impact;
+            html += `
+                    <tr${c.informational ? ' class="diff-info"' : ''}>
+                        <td><strong>${esc(c.scope)}</strong><br>${esc(c.label)}</td>
+                        <td>${before}</td>
+                        <td>${after}</td>
+                        <td>${impact ? money(impact.directCost) : 'in activities'}</td>
+                        <td>${impact ? days(impact.projectDuration) : ''}</td>
+                        <td>${impact ? money(impact.totalEstimatedCost) : ''}</td>
+                    </tr>`;
+        }
+
+        const ix = diff.interaction;
+        if (diff.changes.length > 1 && (Math.abs(ix.totalEstimatedCost) >= 0.5 || Math.abs(ix.projectDuration) >= 0.01)) {
+            html += `
+                    <tr class="diff-info">
+                        <td colspan="3">Combined effect of changes together (not attributable to one input)</td>
+                        <td>${money(ix.directCost)}</td>
+                        <td>${days(ix.projectDuration)}</td>
+                        <td>${money(ix.totalEstimatedCost)}</td>
+                    </tr>`;
+        }
+
+        html += '</tbody></table>';
+        container.innerHTML = html;
+    }
+
+    static _renderCalendar(cal, dated = null) {
         const panel = document.getElementById('calendarPanel');
         if (!panel) return;
 
@@ -506,12 +1019,20 @@ export class Renderer {
         const sv = Renderer.setVal;
         sv('calWorkDays', cal.workDays);
         sv('calWeatherDays', cal.weatherDays);
-        sv('calTotalDays', cal.totalDays);
+        sv('calTotalDays', dated ? dated.calendarDays : cal.totalDays);
+
+        const datesEl = document.getElementById('calendarDates');
+        if (datesEl) datesEl.style.display = dated ? 'block' : 'none';
 
         const timeline = document.getElementById('calendarTimeline');
         if (!timeline) return;
         timeline.innerHTML = '';
 
+        if (dated) {
+            Renderer._renderDatedSchedule(dated, timeline);
+            return;
+        }
+
         for (const day of cal.timeline) {
             const block = document.createElement('div');
             block.className = `cal-day cal-${day.type}`;
@@ -534,4 +1055,260 @@ export class Renderer {
             timeline.appendChild(block);
         }
     }
+
+    static _renderDatedSchedule(dated, timeline) {
+        const sv = Renderer.setVal;
+        const fd = Renderer.formatDate;
+        sv('calStartDate', fd(dated.startDate));
+        sv('calWorkFinish', fd(dated.workFinishDate));
+        sv('calFinishDate', `${fd(dated.finishDate)} (${dated.calendarDays} calendar days)`);
+
+        const tbody = document.getElementById('calActivityDates');
+        if (tbody) {
+            tbody.innerHTML = '';
+            for (const a of dated.activities) {
+                const tr = document.createElement('tr');
+                const season = !a.seasonSensitive ? '—' :
+                    !a.inSeason ? 'Out of season' :
+                    a.pushedDays > 0 ? `Pushed ${a.pushedDays}d` : 'OK';
+                tr.innerHTML = `
+                    <td>${a.description}</td>
+                    <td>${fd(a.startDate)}</td>
+                    <td>${fd(a.finishDate)}</td>
+                    <td class="${a.seasonSensitive && !a.inSeason ? 'out-of-season' : ''}">${season}</td>
+                `;
+                tbody.appendChild(tr);
+            }
+        }
+
+        const outOfSeason = new Set(dated.activities.filter(a => a.seasonSensitive && !a.inSeason).map(a => a.id));
+        for (const day of dated.timeline) {
+            const block = document.createElement('div');
+            const label = document.createElement('span');
+            label.className = 'cal-day-label';
+
+            if (day.type === 'idle') {
+                block.className = 'cal-day cal-idle';
+                block.title = `${fd(day.date)} – ${fd(day.endDate)}: no work scheduled`;
+                label.textContent = `${day.days}d idle`;
+                block.appendChild(label);
+                timeline.appendChild(block);
+                continue;
+            }
+
+            const late = day.activities.some(a => outOfSeason.has(a.id));
+            block.className = `cal-day cal-${day.type}` + (late ? ' cal-out-of-season' : '');
+            block.title = day.type === 'weather' ? `${fd(day.date)}: Weather contingency` :
+                `${fd(day.date)}: ${day.activities.map(a => a.description).join(', ')}`;
+            label.textContent = day.date.slice(5).replace('-', '/');
+            block.appendChild(label);
+
+            for (const a of day.activities) {
+                const dot = document.createElement('span');
+                dot.className = `cal-dot ${a.colorClass}`;
+                block.appendChild(dot);
+            }
+            timeline.appendChild(block);
+        }
+    }
+
+    static _renderWeather(wx) {
+        const block = document.getElementById('calendarWeather');
+        if (!block) return;
+
+        if (!wx) { block.style.display = 'none'; return; }
+
+        block.style.display = 'block';
+        const sv = Renderer.setVal;
+        sv('calWeatherLabel', `Expected weather days (${wx.regionLabel})`);
+        sv('calWeatherExpected', `${wx.expectedDays.toFixed(1)} → ${wx.contingencyDays} carried`);
+
+        const tbody = document.getElementById('calWeatherActivities');
+        if (tbody) {
+            tbody.innerHTML = '';
+            for (const a of wx.activities) {
+                const tr = document.createElement('tr');
+                tr.innerHTML = `
+                    <td>${a.description}</td>
+                    <td>${a.temperatureSensitive ? 'Rain + cold' : 'Rain'}</td>
+                    <td>${a.workDays}</td>
+                    <td>${a.expectedLostDays.toFixed(1)}</td>
+                `;
+                tbody.appendChild(tr);
+            }
+        }
+
+        sv('calWeatherMonths', wx.months
+            .map(m => `${m.month}: ${m.expectedLostDays.toFixed(1)} of ${m.workDays} days`)
+            .join(' · '));
+    }
+
+    static _renderRiskAnalysis(ra) {
+        const panel = document.getElementById('riskAnalysisPanel');
+        if (!panel) return;
+
+        if (!ra) { panel.style.display = 'none'; return; }
+
+        panel.style.display = 'block';
+        const sv = Renderer.setVal;
+        const fc = Renderer.formatCurrency;
+        const targetPct = Math.round(ra.confidenceLevel * 100);
+
+        sv('riskP10', fc(ra.p10));
+        sv('riskP50', fc(ra.p50));
+        sv('riskP80', fc(ra.p80));
+        sv('riskP90', fc(ra.p90));
+        sv('riskBaseTotal', fc(ra.baseTotal));
+        sv('riskIdentifiedTotal', fc(ra.identifiedRisksTotal));
+        sv('riskTargetLabel', `Contingency needed for P${targetPct}`);
+        sv('riskTargetContingency', `${fc(ra.contingencyAtTarget)} (${(ra.contingencyPctAtTarget * 100).toFixed(1)}%)`);
+        sv('riskCurrentContingency', fc(ra.currentContingency));
+
+        const carried = document.getElementById('riskCurrentContingency');
+        if (carried) {
+            carried.classList.toggle('shortfall', ra.currentContingency < ra.contingencyAtTarget);
+        }
+
+        const chart = document.getElementById('riskHistogram');
+        if (chart) {
+            chart.innerHTML = '';
+            const peak = Math.max(...ra.histogram.map(b => b.count), 1);
+            for (const bin of ra.histogram) {
+                const bar = document.createElement('div');
+                bar.className = 'risk-bar' + (bin.binStart >= ra.bidAtTarget ? ' beyond-target' : '');
+                bar.style.height = `${(bin.count / peak) * 100}%`;
+                bar.title = `${fc(bin.binStart)} – ${fc(bin.binEnd)}: ${(bin.frequency * 100).toFixed(1)}%`;
+                chart.appendChild(bar);
+            }
+        }
+
+        sv('riskNote', `${ra.iterations.toLocaleString()} iterations over ${ra.variableCount} cost variables and ${ra.riskCount} risks (seed ${ra.seed}). ` +
+            'Simulated against the subtotal before contingency; the unidentified-risk allowance is not simulated.');
+    }
+
+    static _renderScheduleRisk(sr) {
+        const panel = document.getElementById('scheduleRiskPanel');
+        if (!panel) return;
+
+        if (!sr) { panel.style.display = 'none'; return; }
+
+        panel.style.display = 'block';
+        const sv = Renderer.setVal;
+        const fc = Renderer.formatCurrency;
+        const days = d => `${d} days`;
+
+        sv('schedP10', days(sr.p10));
+        sv('schedP50', days(sr.p50));
+        sv('schedP80', days(sr.p80));
+        sv('schedP90', days(sr.p90));
+        sv('schedDeterministic', days(sr.deterministicDuration));
+        sv('schedOnTime', `${Math.round(sr.probabilityOnTime * 100)}%`);
+        const gc = sr.generalConditions;
+        sv('schedGC', `${fc(gc.p50)} / ${fc(gc.p80)} / ${fc(gc.p90)}`);
+
+        const chart = document.getElementById('schedHistogram');
+        if (chart) {
+            chart.innerHTML = '';
+            const peak = Math.max(...sr.histogram.map(b => b.count), 1);
+            for (const bin of sr.histogram) {
+                const bar = document.createElement('div');
+                bar.className = 'risk-bar' + (bin.binStart >= sr.deterministicDuration ? ' beyond-target' : '');
+                bar.style.height = `${(bin.count / peak) * 100}%`;
+                bar.title = `${bin.binStart.toFixed(1)} – ${bin.binEnd.toFixed(1)} days: ${(bin.frequency * 100).toFixed(1)}%`;
+                chart.appendChild(bar);
+            }
+        }
+
+        const list = document.getElementById('schedCriticality');
+        if (list) {
+            list.innerHTML = '';
+            for (const c of sr.criticality) {
+                const pct = Math.round(c.index * 100);
+                const row = document.createElement('div');
+                row.className = 'criticality-row' + (c.deterministicCritical ? ' cpm-critical' : '');
+                row.title = c.deterministicCritical ? 'On the deterministic critical path' : '';
+                row.innerHTML = `
+                    <span>${c.description}</span>
+                    <div class="criticality-track"><div class="criticality-fill" style="width: ${pct}%"></div></div>
+                    <span class="criticality-pct">${pct}%</span>
+                `;
+                list.appendChild(row);
+            }
+        }
+
+        sv('schedNote', `${sr.iterations.toLocaleString()} iterations (seed ${sr.seed}). ` +
+            'Criticality index = share of iterations in which the activity was on the critical path.');
+    }
+
+    /**
+     * Tornado (ranked swing) and spider (bid vs. input change) charts.
+     * Called after calculation and again when sensitivity is run on demand.
+     */
+    static renderSensitivity(sens) {
+        const panel = document.getElementById('sensitivityPanel');
+        if (!panel) return;
+
+        if (!sens || sens.drivers.length === 0) { panel.style.display = 'none'; return; }
+
+        panel.style.display = 'block';
+        const fc = Renderer.formatCurrency;
+        const rangePct = Math.round(sens.range * 100);
+        Renderer.setVal('sensTitle', `Sensitivity — Bid Price Drivers (±${rangePct}%)`);
+
+        // ---- Tornado ----
+        const tornado = document.getElementById('sensTornado');
+        if (tornado) {
+            tornado.innerHTML = '';
+            const top = sens.drivers.slice(0, 10);
+            const maxDev = Math.max(...top.flatMap(d => [Math.abs(d.atLow - sens.baseBid), Math.abs(d.atHigh - sens.baseBid)]), 1);
+            const bar = (value, cls) => {
+                const dev = (value - sens.baseBid) / maxDev * 50;
+                const left = dev < 0 ? 50 + dev : 50;
+                return `<div class="tornado-bar ${cls}" style="left: ${left}%; width: ${Math.abs(dev)}%" title="${fc(value)}"></div>`;
+            };
+
+            for (const d of top) {
+                const row = document.createElement('div');
+                row.className = 'tornado-row';
+                row.innerHTML = `
+                    <span>${d.label}</span>
+                    <div class="tornado-track">${bar(d.atLow, 'input-low')}${bar(d.atHigh, 'input-high')}</div>
+                    <span class="tornado-swing">${fc(d.swing)}</span>
+                `;
+                tornado.appendChild(row);
+            }
+        }
+
+        // ---- Spider ----
+        const spider = document.getElementById('sensSpider');
+        if (spider) {
+            const lines = sens.drivers.slice(0, 6);
+            const colors = ['--accent-blue', '--accent-orange', '--accent-green', '--accent-purple', '--accent-pink', '--accent-yellow'];
+            const W = 400, H = 200, PAD = 30;
+            const pctChange = bid => (bid / sens.baseBid - 1) * 100;
+            const maxY = Math.max(...lines.flatMap(d => d.points.map(p => Math.abs(pctChange(p.bid)))), 0.1);
+            const x = step => PAD + ((step / sens.range + 1) / 2) * (W - 2 * PAD);
+            const y = pct => H / 2 - (pct / maxY) * (H / 2 - PAD / 2);
+
+            let svg = `<svg viewBox="0 0 ${W} ${H}" xmlns="http://www.w3.org/2000/svg">`;
+            svg += `<line class="spider-axis" x1="${PAD}" y1="${H / 2}" x2="${W - PAD}" y2="${H / 2}"/>`;
+            svg += `<line class="spider-axis" x1="${W / 2}" y1="${PAD / 2}" x2="${W / 2}" y2="${H - PAD / 2}"/>`;
+            svg += `<text class="spider-label" x="${PAD}" y="${H - 4}">−${rangePct}% input</text>`;
+            svg += `<text class="spider-label" x="${W - PAD}" y="${H - 4}" text-anchor="end">+${rangePct}% input</text>`;
+            svg += `<text class="spider-label" x="${W / 2 + 4}" y="${PAD / 2 + 8}">+${maxY.toFixed(1)}% bid</text>`;
+            svg += `<text class="spider-label" x="${W / 2 + 4}" y="${H - PAD / 2}">−${maxY.toFixed(1)}% bid</text>`;
+            lines.forEach((d, i) => {
+                const pts = d.points.map(p => `${x(p.step).toFixed(1)},${y(pctChange(p.bid)).toFixed(1)}`).join(' ');
+                svg += `<polyline points="${pts}" fill="none" stroke="var(${colors[i]})" stroke-width="2"/>`;
+            });
+            svg += '</svg>';
+
+            const legend = lines.map((d, i) =>
+                `<span><span class="spider-swatch" style="background: var(${colors[i]})"></span>${d.label}</span>`).join('');
+            spider.innerHTML = svg + `<div class="spider-legend">${legend}</div>`;
+        }
+
+        Renderer.setVal('sensNote', `Base bid ${fc(sens.baseBid)}. Each driver moved alone by ±${rangePct}%; ` +
+            'blue = input lowered, orange = input raised. Waste is varied on its allowance.');
+    }
 }
@@ -4,7 +4,7 @@
 // v4.0: Added benchmark, quantity range, crew, mob, and roadway checks
 // ============================================
 
-import { BENCHMARKS, QTY_RANGES } from '../data/paving-defaults.js';
+import { ACTIVITY_CONFIG, BENCHMARKS, QTY_RANGES, STANDARD_SCOPE_TYPES } from '../data/paving-defaults.js';
 
 export class Validator {
     /**
@@ -63,13 +63,16 @@ export class Validator {
         // ---- 15. Output integrity (v4.1) ----
         this._checkIntegrity(results, warnings);
 
+        // ---- 16. Paving season (v4.1) ----
+        this._checkPavingSeason(results, warnings);
+
         return warnings;
     }
 
     _checkParametric(results, estimate, warnings) {
         // Cost per SY check for paving
         const pavedActivities = results.activities.filter(a =>
-            ['paving_base', 'paving_surface'].includes(a.activityType)
+            ACTIVITY_CONFIG[a.activityType]?.isHMA
         );
         const maxPavedArea = Math.max(0, ...pavedActivities.map(a => a.netQuantity));
 
@@ -133,7 +136,7 @@ export class Validator {
         // Axiom 3: Collective Exhaustion — all expected scope must appear
         const completeness = estimate.completeness;
         if (completeness.present < completeness.expected && completeness.present > 0) {
-            const missing = ['excavation', 'fine_grading', 'dga_base', 'milling', 'paving_base', 'paving_surface', 'tack_coat']
+            const missing = STANDARD_SCOPE_TYPES
                 .filter(t => !completeness.types.includes(t))
                 .map(t => t.replace(/_/g, ' '));
 
@@ -187,7 +190,7 @@ export class Validator {
 
         // Check if any activities are missing cycle times but need trucking
         for (const ar of results.activities) {
-            if (ar.duration > 0 && ar.trucks === 0 && ['excavation', 'dga_base', 'milling', 'paving_base', 'paving_surface'].includes(ar.activityType)) {
+            if (ar.duration > 0 && ar.trucks === 0 && ACTIVITY_CONFIG[ar.activityType]?.hasCycleTime) {
                 // Only warn if there's material that needs transport
                 if (ar.grossQuantity > 0) {
                     warnings.push({
@@ -475,4 +478,33 @@ export class Validator {
             }
         }
     }
+
+    _checkPavingSeason(results, warnings) {
+        const dated = results.datedSchedule;
+        if (!dated) return;
+
+        for (const a of dated.activities) {
+            if (a.seasonSensitive && !a.inSeason) {
+                warnings.push({
+                    level: 'warning', check: 'season',
+                    message: `${a.description} is scheduled ${a.startDate} – ${a.finishDate}, outside the paving season. Confirm plant availability or push to next season.`,
+                    axiom: null
+                });
+            } else if (a.pushedDays > 0) {
+                warnings.push({
+                    level: 'info', check: 'season',
+                    message: `${a.description} pushed ${a.pushedDays} work days into the next paving season (starts ${a.startDate}).`,
+                    axiom: null
+                });
+            }
+        }
+
+        if (dated.idleWorkDays > 0) {
+            warnings.push({
+                level: 'info', check: 'season',
+                message: `${dated.idleWorkDays} idle work days between phases. Time-dependent general conditions assume the site is demobilized over the gap.`,
+                axiom: null
+            });
+        }
+    }
 }